@@ -145,6 +145,24 @@ const tenantRoutes = require('./src/routes/tenant.routes');
 // Import super admin routes
 const superAdminRoutes = require('./src/routes/super-admin.routes');
 
+// Import reschedule request routes
+const rescheduleRequestRoutes = require('./src/routes/reschedule-request.routes');
+
+// Import route planning routes
+const routePlanRoutes = require('./src/routes/route-plan.routes');
+
+// Import waitlist routes
+const waitlistRoutes = require('./src/routes/waitlist.routes');
+
+// Import blackout calendar routes
+const blackoutRoutes = require('./src/routes/blackout.routes');
+
+// Import time tracking routes
+const timeEntryRoutes = require('./src/routes/time-entry.routes');
+
+// Import materials catalog routes
+const materialRoutes = require('./src/routes/material.routes');
+
 // Mount routers
 app.use(`${API_PREFIX}/auth`, authRoutes);
 app.use(`${API_PREFIX}/users`, userRoutes);
@@ -184,6 +202,24 @@ app.use(`${API_PREFIX}/logo`, logoRoutes);
 // Mount the property routes
 app.use(`${API_PREFIX}/properties`, propertyRoutes);
 
+// Mount the reschedule request routes
+app.use(`${API_PREFIX}/reschedule-requests`, rescheduleRequestRoutes);
+
+// Mount the route planning routes
+app.use(`${API_PREFIX}/route-plans`, routePlanRoutes);
+
+// Mount the waitlist routes
+app.use(`${API_PREFIX}/waitlist`, waitlistRoutes);
+
+// Mount the blackout calendar routes
+app.use(`${API_PREFIX}/blackouts`, blackoutRoutes);
+
+// Mount the time tracking routes
+app.use(`${API_PREFIX}/time-entries`, timeEntryRoutes);
+
+// Mount the materials catalog routes
+app.use(`${API_PREFIX}/materials`, materialRoutes);
+
 // Mount webhook routes
 app.use('/webhook', webhookRoutes);
 
@@ -209,6 +245,24 @@ const server = app.listen(PORT, () => {
   console.log(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
 });
 
+// Keep recurring appointment series materialized over their rolling horizon
+const { extendActiveSeries } = require('./src/utils/appointmentSeries');
+const SERIES_EXTEND_INTERVAL = 6 * 60 * 60 * 1000; // 6 hours
+setInterval(() => {
+  extendActiveSeries().catch(err => console.error('Series extension failed:', err.message));
+}, SERIES_EXTEND_INTERVAL).unref();
+
+// Pass lapsed waitlist offers on to the next customer
+const { expireWaitlistOffers } = require('./src/utils/waitlist');
+const WAITLIST_EXPIRY_INTERVAL = 5 * 60 * 1000; // 5 minutes
+setInterval(() => {
+  expireWaitlistOffers().catch(err => console.error('Waitlist expiry failed:', err.message));
+}, WAITLIST_EXPIRY_INTERVAL).unref();
+
+// Send appointment reminders as they fall due
+const { createReminderScheduler } = require('./src/utils/reminders');
+createReminderScheduler().start();
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err, promise) => {
   console.log(`Error: ${err.message}`);
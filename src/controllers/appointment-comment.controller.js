@@ -0,0 +1,212 @@
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middlewares/async');
+const Appointment = require('../models/appointment.model');
+const AppointmentComment = require('../models/appointment-comment.model');
+const Customer = require('../models/customer.model');
+const { CREW_ROLES } = require('../utils/calendarScope');
+const { getCrewIds } = require('../utils/schedulingConflicts');
+const {
+  COMMENT_VISIBILITIES,
+  parseMentions,
+  resolveMentions,
+  uploadCommentAttachments,
+  notifyMentionedUsers,
+  formatComment,
+  getCommentThreads
+} = require('../utils/appointmentComments');
+
+// Admins see every appointment of their tenant, crew their assigned jobs, customers their own
+const loadAppointment = async (req, next) => {
+  const appointment = await Appointment.findById(req.params.id);
+
+  if (!appointment || !appointment.belongsToTenant(req.user.tenantId)) {
+    next(new ErrorResponse(`Appointment not found with id of ${req.params.id}`, 404));
+    return null;
+  }
+
+  if (CREW_ROLES.includes(req.user.role) && !getCrewIds(appointment.crew).includes(req.user.id)) {
+    next(new ErrorResponse('You are not assigned to this appointment', 403));
+    return null;
+  }
+
+  if (req.user.role === 'customer') {
+    const customer = await Customer.findOne({ user: req.user.id });
+    if (!customer || appointment.customer.toString() !== customer._id.toString()) {
+      next(new ErrorResponse('Not authorized to access this appointment', 403));
+      return null;
+    }
+  }
+
+  return appointment;
+};
+
+const loadComment = async (req, next, appointment) => {
+  const comment = await AppointmentComment.findOne({
+    _id: req.params.commentId,
+    appointment: appointment._id,
+    deletedAt: null
+  });
+
+  if (!comment || (req.user.role === 'customer' && comment.visibility !== 'customer')) {
+    next(new ErrorResponse(`Comment not found with id of ${req.params.commentId}`, 404));
+    return null;
+  }
+
+  return comment;
+};
+
+// @desc    Get the comment threads of an appointment
+// @route   GET /api/v1/appointments/:id/comments
+// @access  Private (tenantAdmin, assigned crew, or customer for customer-visible comments)
+exports.getComments = asyncHandler(async (req, res, next) => {
+  const appointment = await loadAppointment(req, next);
+  if (!appointment) return;
+
+  const threads = await getCommentThreads([appointment._id], { customerView: req.user.role === 'customer' });
+  const data = threads.get(appointment._id.toString());
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    data
+  });
+});
+
+// @desc    Comment on an appointment or reply to a thread
+// @route   POST /api/v1/appointments/:id/comments
+// @access  Private (tenantAdmin, assigned crew, or customer)
+exports.addComment = asyncHandler(async (req, res, next) => {
+  const appointment = await loadAppointment(req, next);
+  if (!appointment) return;
+
+  const isCustomer = req.user.role === 'customer';
+  const { body, parent } = req.body;
+  const attachments = req.body.attachments || [];
+
+  if (!body?.trim() && attachments.length === 0) {
+    return next(new ErrorResponse('Please add a comment or an attachment', 400));
+  }
+  if (req.body.mentions !== undefined && !Array.isArray(req.body.mentions)) {
+    return next(new ErrorResponse('mentions must be a list of user ids', 400));
+  }
+
+  // Customers only ever write to the customer-visible conversation
+  const visibility = isCustomer ? 'customer' : (req.body.visibility || 'internal');
+  if (!COMMENT_VISIBILITIES.includes(visibility)) {
+    return next(new ErrorResponse(`Visibility must be one of ${COMMENT_VISIBILITIES.join(', ')}`, 400));
+  }
+
+  let root = null;
+  if (parent) {
+    const parentComment = await AppointmentComment.findOne({ _id: parent, appointment: appointment._id });
+    if (!parentComment || (isCustomer && parentComment.visibility !== 'customer')) {
+      return next(new ErrorResponse(`Comment not found with id of ${parent}`, 404));
+    }
+    // Threads are one level deep; replies to replies join the thread
+    root = parentComment.parent || parentComment._id;
+    const rootComment = parentComment.parent
+      ? await AppointmentComment.findById(parentComment.parent)
+      : parentComment;
+    if (rootComment.visibility === 'internal' && visibility === 'customer') {
+      return next(new ErrorResponse('Replies to an internal comment stay internal', 400));
+    }
+  }
+
+  const mentioned = isCustomer
+    ? []
+    : await resolveMentions(appointment.tenant, parseMentions(body, req.body.mentions || []));
+  const uploaded = await uploadCommentAttachments(attachments, appointment._id);
+
+  const comment = await AppointmentComment.create({
+    appointment: appointment._id,
+    parent: root,
+    author: req.user.id,
+    authorRole: req.user.role,
+    body,
+    visibility,
+    attachments: uploaded,
+    mentions: mentioned.map(user => user._id),
+    tenant: appointment.tenant
+  });
+
+  await notifyMentionedUsers(comment, mentioned, req.user);
+  await comment.populate([
+    { path: 'author', select: 'name role' },
+    { path: 'mentions', select: 'name' }
+  ]);
+
+  res.status(201).json({
+    success: true,
+    data: formatComment(comment)
+  });
+});
+
+// @desc    Edit your own comment
+// @route   PUT /api/v1/appointments/:id/comments/:commentId
+// @access  Private (comment author)
+exports.updateComment = asyncHandler(async (req, res, next) => {
+  const appointment = await loadAppointment(req, next);
+  if (!appointment) return;
+
+  const comment = await loadComment(req, next, appointment);
+  if (!comment) return;
+
+  if (comment.author.toString() !== req.user.id) {
+    return next(new ErrorResponse('You can only edit your own comments', 403));
+  }
+  if (!req.body.body?.trim() && comment.attachments.length === 0) {
+    return next(new ErrorResponse('Please add a comment', 400));
+  }
+  if (req.body.mentions !== undefined && !Array.isArray(req.body.mentions)) {
+    return next(new ErrorResponse('mentions must be a list of user ids', 400));
+  }
+
+  // Only people mentioned for the first time are notified
+  const previous = comment.mentions.map(id => id.toString());
+  const mentioned = req.user.role === 'customer'
+    ? []
+    : await resolveMentions(appointment.tenant, parseMentions(req.body.body, req.body.mentions || []));
+
+  comment.body = req.body.body;
+  comment.mentions = mentioned.map(user => user._id);
+  comment.editedAt = new Date();
+  await comment.save();
+
+  await notifyMentionedUsers(
+    comment,
+    mentioned.filter(user => !previous.includes(user._id.toString())),
+    req.user
+  );
+  await comment.populate([
+    { path: 'author', select: 'name role' },
+    { path: 'mentions', select: 'name' }
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: formatComment(comment)
+  });
+});
+
+// @desc    Delete a comment; its replies stay in the thread
+// @route   DELETE /api/v1/appointments/:id/comments/:commentId
+// @access  Private (comment author or tenantAdmin)
+exports.deleteComment = asyncHandler(async (req, res, next) => {
+  const appointment = await loadAppointment(req, next);
+  if (!appointment) return;
+
+  const comment = await loadComment(req, next, appointment);
+  if (!comment) return;
+
+  if (comment.author.toString() !== req.user.id && req.user.role !== 'tenantAdmin') {
+    return next(new ErrorResponse('Not authorized to delete this comment', 403));
+  }
+
+  comment.deletedAt = new Date();
+  await comment.save();
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
@@ -0,0 +1,430 @@
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middlewares/async');
+const Appointment = require('../models/appointment.model');
+const AppointmentSeries = require('../models/appointment-series.model');
+const Customer = require('../models/customer.model');
+const {
+  toUTCDate,
+  toDateKey,
+  generateOccurrenceDates
+} = require('../utils/recurrence');
+const {
+  EDITABLE_OCCURRENCE_STATUSES,
+  buildOccurrence,
+  materializeSeries,
+  findEditableOccurrences
+} = require('../utils/appointmentSeries');
+const { offerFreedSlot } = require('../utils/waitlist');
+const { transitionAppointmentStatus, getTransitionError } = require('../utils/appointmentStatus');
+const { cancelAppointment, revokeCancellation } = require('../utils/cancellationPolicy');
+const { requoteBooking } = require('../utils/pricing');
+const { timeToMinutes } = require('../utils/scheduling');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SERIES_EDIT_SCOPES = ['this', 'following', 'all'];
+
+// Admins may act on their tenant's series, customers only on their own
+const ensureSeriesAccess = async (series, user) => {
+  if (user.role === 'tenantAdmin') return Boolean(user.tenantId && series.belongsToTenant(user.tenantId));
+  if (user.role !== 'customer') return false;
+  const customer = await Customer.findOne({ user: user.id });
+  return Boolean(customer && series.customer.toString() === customer._id.toString());
+};
+
+// Pick the fields a series edit is allowed to change for the caller's role
+const pickSeriesChanges = (changes, role) => {
+  const updates = {};
+
+  if (changes.date) {
+    const date = new Date(changes.date);
+    if (isNaN(date.getTime())) {
+      throw new ErrorResponse('Invalid date format', 400);
+    }
+    updates.date = toUTCDate(date);
+  }
+
+  if (changes.timeSlot) {
+    const { startTime, endTime } = changes.timeSlot;
+    if (!startTime || !endTime) {
+      throw new ErrorResponse('Please provide both startTime and endTime in the timeSlot object', 400);
+    }
+    updates.timeSlot = { startTime, endTime };
+    updates.duration = timeToMinutes(endTime) - timeToMinutes(startTime);
+  }
+
+  if (changes.packageType) {
+    updates.packageType = changes.packageType;
+  }
+
+  if (changes.status) {
+    if (changes.status !== 'Cancelled') {
+      throw new ErrorResponse('Series edits can only change status to Cancelled', 400);
+    }
+    updates.status = changes.status;
+    updates.reason = changes.reason;
+  }
+
+  if (changes.notes) {
+    updates.notes = role === 'customer'
+      ? { customer: changes.notes.customer }
+      : changes.notes;
+  }
+
+  if (changes.crew && role === 'tenantAdmin') {
+    updates.crew = {
+      leadProfessional: changes.crew.leadProfessional || null,
+      assignedTo: changes.crew.assignedTo || []
+    };
+  }
+
+  return updates;
+};
+
+// Copy template fields (everything but the date) onto a series or occurrence
+const applyTemplateChanges = (doc, updates) => {
+  if (updates.timeSlot) {
+    doc.timeSlot = updates.timeSlot;
+    doc.duration = updates.duration;
+  }
+  if (updates.packageType) doc.packageType = updates.packageType;
+  if (updates.crew) doc.crew = updates.crew;
+  if (updates.notes) {
+    doc.notes = {
+      customer: doc.notes?.customer,
+      professional: doc.notes?.professional,
+      internal: doc.notes?.internal,
+      ...updates.notes
+    };
+  }
+};
+
+const shiftDate = (date, days) => new Date(toUTCDate(date).getTime() + days * DAY_MS);
+
+// @desc    Get recurring series with its occurrences
+// @route   GET /api/v1/appointments/series/:seriesId
+// @access  Private (tenantAdmin, or customer for own series)
+exports.getSeries = asyncHandler(async (req, res, next) => {
+  const series = await AppointmentSeries.findById(req.params.seriesId)
+    .populate('service', 'name category duration basePrice');
+
+  if (!series) {
+    return next(new ErrorResponse(`Appointment series not found with id of ${req.params.seriesId}`, 404));
+  }
+
+  if (!(await ensureSeriesAccess(series, req.user))) {
+    return next(new ErrorResponse('Not authorized to access this appointment series', 403));
+  }
+
+  const occurrences = await Appointment.find({ series: series._id })
+    .select('date occurrenceDate timeSlot status packageType isSeriesException payment.amount crew')
+    .sort({ date: 1 });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...series.toObject(),
+      occurrences
+    }
+  });
+});
+
+// @desc    Edit one occurrence, this and following, or all occurrences of a series
+// @route   PUT /api/v1/appointments/:id/series
+// @access  Private (tenantAdmin, or customer for own series)
+exports.updateSeriesOccurrence = asyncHandler(async (req, res, next) => {
+  const { scope = 'this', changes } = req.body;
+
+  if (!SERIES_EDIT_SCOPES.includes(scope)) {
+    return next(new ErrorResponse(`Scope must be one of: ${SERIES_EDIT_SCOPES.join(', ')}`, 400));
+  }
+
+  if (!changes || typeof changes !== 'object') {
+    return next(new ErrorResponse('Please provide the changes to apply', 400));
+  }
+
+  const appointment = await Appointment.findById(req.params.id);
+
+  if (!appointment) {
+    return next(new ErrorResponse(`Appointment not found with id of ${req.params.id}`, 404));
+  }
+
+  if (!appointment.series) {
+    return next(new ErrorResponse('This appointment is not part of a recurring series', 400));
+  }
+
+  const series = await AppointmentSeries.findById(appointment.series);
+  if (!series) {
+    return next(new ErrorResponse('Appointment series not found', 404));
+  }
+
+  if (!(await ensureSeriesAccess(series, req.user))) {
+    return next(new ErrorResponse('Not authorized to edit this appointment series', 403));
+  }
+
+  const updates = pickSeriesChanges(changes, req.user.role);
+  if (Object.keys(updates).length === 0) {
+    return next(new ErrorResponse('No editable changes provided', 400));
+  }
+
+  const occurrenceDate = appointment.occurrenceDate || appointment.date;
+  const dayOffset = updates.date
+    ? Math.round((updates.date.getTime() - toUTCDate(appointment.date).getTime()) / DAY_MS)
+    : 0;
+
+  // Single occurrence: detach it from series-wide edits
+  if (scope === 'this') {
+    const previous = {
+      date: appointment.date,
+      timeSlot: {
+        startTime: appointment.timeSlot.startTime,
+        endTime: appointment.timeSlot.endTime
+      }
+    };
+    if (updates.date) {
+      appointment.date = updates.date;
+    }
+    applyTemplateChanges(appointment, updates);
+    // Package and duration (for hourly services) change the price
+    if (updates.packageType || updates.duration) {
+      appointment.pricing = await requoteBooking(appointment);
+      appointment.payment.amount = appointment.pricing.amount;
+    }
+    appointment.isSeriesException = true;
+
+    try {
+      if (updates.status === 'Cancelled') {
+        await cancelAppointment(appointment, { user: req.user, reason: updates.reason, initiatedBy: req.body.initiatedBy });
+      } else {
+        await appointment.save();
+      }
+    } catch (error) {
+      if (error.code === 11000) {
+        return next(new ErrorResponse('This time slot has already been booked. Please select another time.', 400));
+      }
+      throw error;
+    }
+
+    // Only a cancelled or moved occurrence frees its old slot
+    const movedOff = toDateKey(appointment.date) !== toDateKey(previous.date) ||
+      appointment.timeSlot.startTime !== previous.timeSlot.startTime ||
+      appointment.timeSlot.endTime !== previous.timeSlot.endTime;
+    if (updates.status === 'Cancelled' || movedOff) {
+      await offerFreedSlot(appointment, movedOff ? previous : undefined);
+    }
+
+    return res.status(200).json({
+      success: true,
+      scope,
+      data: [appointment]
+    });
+  }
+
+  const fromDate = scope === 'all'
+    ? (toUTCDate(new Date()) > series.startDate ? toUTCDate(new Date()) : series.startDate)
+    : occurrenceDate;
+  const occurrences = await findEditableOccurrences(series._id, fromDate);
+
+  // The occurrence being edited is included even if it was detached earlier
+  if (!occurrences.some(o => o._id.equals(appointment._id)) &&
+      EDITABLE_OCCURRENCE_STATUSES.includes(appointment.status)) {
+    occurrences.unshift(appointment);
+  }
+
+  // Cancelling ends the series instead of rewriting its template
+  if (updates.status === 'Cancelled') {
+    // Check every occurrence before anything is written
+    const transitionError = occurrences
+      .map(o => getTransitionError(o.status, 'Cancelled', { role: req.user.role, fields: { reason: updates.reason } }))
+      .find(Boolean);
+    if (transitionError) {
+      return next(transitionError);
+    }
+
+    if (scope === 'all' || toDateKey(occurrenceDate) === toDateKey(series.startDate)) {
+      series.status = 'Cancelled';
+    } else {
+      series.endDate = shiftDate(occurrenceDate, -1);
+      series.status = 'Ended';
+    }
+    await series.save();
+
+    // Freed occurrences go to the waitlist
+    for (const occurrence of occurrences) {
+      await cancelAppointment(occurrence, { user: req.user, reason: updates.reason, initiatedBy: req.body.initiatedBy });
+      await offerFreedSlot(occurrence);
+    }
+
+    return res.status(200).json({
+      success: true,
+      scope,
+      series,
+      count: occurrences.length,
+      data: occurrences.map(o => o._id)
+    });
+  }
+
+  // "This and following" splits the series so earlier occurrences keep the old template
+  let targetSeries = series;
+  if (scope === 'following' && toDateKey(occurrenceDate) !== toDateKey(series.startDate)) {
+    const { _id, createdAt, updatedAt, __v, ...template } = series.toObject();
+    targetSeries = new AppointmentSeries({
+      ...template,
+      startDate: occurrenceDate,
+      skipDates: (series.skipDates || []).filter(d => d >= occurrenceDate),
+      previousSeries: series._id,
+      createdBy: req.user.id
+    });
+
+    series.endDate = shiftDate(occurrenceDate, -1);
+    series.skipDates = (series.skipDates || []).filter(d => d < occurrenceDate);
+    series.status = 'Ended';
+  }
+
+  applyTemplateChanges(targetSeries, updates);
+  if (dayOffset) {
+    targetSeries.startDate = shiftDate(targetSeries.startDate, dayOffset);
+    targetSeries.skipDates = (targetSeries.skipDates || []).map(d => shiftDate(d, dayOffset));
+  }
+  if (updates.packageType || updates.duration) {
+    targetSeries.pricing = await requoteBooking(targetSeries);
+  }
+
+  await targetSeries.save();
+  if (targetSeries !== series) {
+    await series.save();
+  }
+
+  const updated = [];
+  const conflicts = [];
+  for (const occurrence of occurrences) {
+    occurrence.series = targetSeries._id;
+    applyTemplateChanges(occurrence, updates);
+    if (dayOffset) {
+      occurrence.date = shiftDate(occurrence.date, dayOffset);
+      occurrence.occurrenceDate = shiftDate(occurrence.occurrenceDate || occurrence.date, dayOffset);
+    }
+    if (updates.packageType || updates.duration) {
+      occurrence.pricing = targetSeries.pricing;
+      occurrence.payment.amount = targetSeries.pricing.amount;
+    }
+
+    try {
+      await occurrence.save();
+      updated.push(occurrence);
+    } catch (error) {
+      if (error.code === 11000) {
+        conflicts.push({ id: occurrence._id, date: occurrence.date });
+        continue;
+      }
+      throw error;
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    scope,
+    series: targetSeries,
+    count: updated.length,
+    conflicts,
+    data: updated
+  });
+});
+
+// @desc    Add or remove skip dates on a series
+// @route   PUT /api/v1/appointments/series/:seriesId/skip-dates
+// @access  Private (tenantAdmin, or customer for own series)
+exports.updateSeriesSkipDates = asyncHandler(async (req, res, next) => {
+  const add = (req.body.add || []).map(d => new Date(d));
+  const remove = (req.body.remove || []).map(d => new Date(d));
+
+  if (add.length === 0 && remove.length === 0) {
+    return next(new ErrorResponse('Please provide dates to add or remove', 400));
+  }
+
+  if ([...add, ...remove].some(d => isNaN(d.getTime()))) {
+    return next(new ErrorResponse('Invalid date format', 400));
+  }
+
+  const series = await AppointmentSeries.findById(req.params.seriesId);
+
+  if (!series) {
+    return next(new ErrorResponse(`Appointment series not found with id of ${req.params.seriesId}`, 404));
+  }
+
+  if (!(await ensureSeriesAccess(series, req.user))) {
+    return next(new ErrorResponse('Not authorized to edit this appointment series', 403));
+  }
+
+  const addKeys = new Set(add.map(toDateKey));
+  const removeKeys = new Set(remove.map(toDateKey));
+  const skipKeys = new Set((series.skipDates || []).map(toDateKey));
+  addKeys.forEach(key => skipKeys.add(key));
+  removeKeys.forEach(key => skipKeys.delete(key));
+
+  series.skipDates = [...skipKeys].sort().map(key => new Date(`${key}T00:00:00.000Z`));
+  await series.save();
+
+  // Cancel occurrences already materialized on newly skipped dates
+  const skippedOccurrences = await Appointment.find({
+    series: series._id,
+    occurrenceDate: { $in: [...addKeys].map(key => new Date(`${key}T00:00:00.000Z`)) },
+    status: { $in: EDITABLE_OCCURRENCE_STATUSES }
+  });
+  for (const occurrence of skippedOccurrences) {
+    // Skipping a date is part of the plan, not a late cancellation
+    await cancelAppointment(occurrence, {
+      user: req.user,
+      reason: 'Date skipped in recurring series',
+      initiatedBy: req.body.initiatedBy,
+      waiveFee: 'series-skip'
+    });
+    await offerFreedSlot(occurrence);
+  }
+
+  // Bring back un-skipped dates that fall inside the already materialized range
+  let restored = 0;
+  for (const key of removeKeys) {
+    const date = new Date(`${key}T00:00:00.000Z`);
+    if (series.materializedThrough && date > series.materializedThrough) continue;
+
+    const isOccurrence = generateOccurrenceDates({
+      startDate: series.startDate,
+      recurringType: series.recurringType,
+      endDate: series.endDate,
+      from: date,
+      until: date
+    }).length > 0;
+    if (!isOccurrence) continue;
+
+    const existing = await Appointment.findOne({ series: series._id, occurrenceDate: date });
+    try {
+      if (!existing) {
+        await Appointment.create(buildOccurrence(series, date));
+        restored += 1;
+      } else if (existing.status === 'Cancelled') {
+        transitionAppointmentStatus(existing, 'Pending', {
+          user: req.user,
+          role: 'system',
+          reason: 'Date restored in recurring series'
+        });
+        await revokeCancellation(existing);
+        await existing.save();
+        restored += 1;
+      }
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  // Dates beyond the materialized range are picked up when the horizon rolls forward
+  await materializeSeries(series);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      skipDates: series.skipDates,
+      cancelled: skippedOccurrences.length,
+      restored
+    }
+  });
+});
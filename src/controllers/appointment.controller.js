@@ -5,6 +5,70 @@ const Customer = require('../models/customer.model');
 const User = require('../models/user.model');
 const Service = require('../models/service.model');
 const Tenant = require('../models/tenant.model');
+const AppointmentSeries = require('../models/appointment-series.model');
+const Property = require('../models/property.model');
+const { isRecurring, toUTCDate, toDateKey } = require('../utils/recurrence');
+const { materializeSeries } = require('../utils/appointmentSeries');
+const { getServiceAvailability } = require('../utils/availability');
+const {
+  findSchedulingConflicts,
+  checkSlotForAppointment,
+  sendConflictResponse,
+  isConflictOverride,
+  recordConflictOverride
+} = require('../utils/schedulingConflicts');
+const { getCalendarScope, CREW_ROLES } = require('../utils/calendarScope');
+const {
+  getTenantTimezone,
+  parseDateKey,
+  describeSlotTimes,
+  getSlotInstants,
+  toZonedISOString,
+  localTimeExists,
+  zonedTimeToUtc
+} = require('../utils/timezone');
+const {
+  PROPERTY_SUMMARY_FIELDS,
+  formatAddress,
+  getAppointmentAddress,
+  getBookingAddress,
+  resolveBookingProperty
+} = require('../utils/properties');
+const { quoteAppointment, requoteBooking, isAppointmentPaid } = require('../utils/pricing');
+const { offerFreedSlot } = require('../utils/waitlist');
+const { loadReportAppointment, generateCompletionReport, issueCompletionReport } = require('../utils/completionReport');
+const {
+  getCancellationPolicy,
+  describePolicy,
+  quoteCancellation,
+  cancelAppointment
+} = require('../utils/cancellationPolicy');
+const {
+  RAIN_DAY_STRATEGIES,
+  findRainedOutAppointments,
+  planRainDayMoves,
+  applyRainDayMoves,
+  notifyRainDayCustomers
+} = require('../utils/rainDay');
+const {
+  LOCKED_STATUSES,
+  MAX_BATCH_MOVES,
+  slotChanged,
+  planCalendarMoves,
+  applyCalendarMoves
+} = require('../utils/calendarBatch');
+const {
+  publishCalendarChange,
+  subscribeCalendarChanges,
+  summarizeCalendarAppointment
+} = require('../utils/calendarEvents');
+const { INACTIVE_STATUSES, timeToMinutes } = require('../utils/availability');
+const {
+  getAllowedTransitions,
+  getTransitionError,
+  transitionAppointmentStatus
+} = require('../utils/appointmentStatus');
+const { getCommentThreads } = require('../utils/appointmentComments');
 const sendEmail = require('../utils/sendEmail');
 const cloudinary = require('../utils/cloudinary');
 const moment = require('moment'); // For backend/Node.js files
@@ -186,6 +250,7 @@ exports.getAppointment = asyncHandler(async (req, res, next) => {
         select: 'name email phone'
       }
     })
+    .populate('property', `${PROPERTY_SUMMARY_FIELDS} images`)
     .populate('service')
     .populate({
       path: 'crew.assignedTo',
@@ -198,6 +263,10 @@ exports.getAppointment = asyncHandler(async (req, res, next) => {
     .populate({
       path: 'createdBy',
       select: 'name'
+    })
+    .populate({
+      path: 'statusHistory.changedBy',
+      select: 'name role'
     });
 
   if (!appointment) {
@@ -225,9 +294,17 @@ exports.getAppointment = asyncHandler(async (req, res, next) => {
     );
   }
 
+  const timezone = await getTenantTimezone(appointment.tenant);
+  const threads = await getCommentThreads([appointment._id], { customerView: req.user.role === 'customer' });
+
   res.status(200).json({
     success: true,
-    data: appointment
+    data: {
+      ...appointment.toObject({ virtuals: true }),
+      ...describeSlotTimes(appointment.date, appointment.timeSlot, timezone),
+      allowedTransitions: getAllowedTransitions(appointment.status, req.user.role),
+      comments: threads.get(appointment._id.toString())
+    }
   });
 });
 
@@ -495,91 +572,83 @@ exports.getAppointment = asyncHandler(async (req, res, next) => {
 
 
 
-exports.getAvailability = async (req, res) => {
-  const { serviceId, date } = req.query;
-
-  if (!serviceId || !date) {
-    return res.status(400).json({ message: "serviceId and date are required" });
-  }
-
-  // Convert to date-only string (ignore time)
-  const dateOnly = new Date(date).toISOString().split("T")[0];
-  const today = new Date().toISOString().split("T")[0];
-  const isToday = dateOnly === today;
-  const currentTime = new Date();
+// @desc    Price a booking before it is made
+// @route   POST /api/v1/appointments/quote
+// @access  Private/Customer
+exports.getPriceQuote = asyncHandler(async (req, res, next) => {
+  const { service: serviceId, packageType, recurringType, timeSlot, addOns } = req.body;
 
-  // Get service duration
   const service = await Service.findById(serviceId);
   if (!service) {
-    return res.status(404).json({ message: "Service not found" });
+    return next(new ErrorResponse(`Service not found with id of ${serviceId}`, 404));
   }
 
-  const workingStartHour = 8; // 08:00
-  const workingEndHour = 18;  // 18:00
-  const slotDuration = service.duration; // Use service duration
-  const slotInterval = 30;    // step every 30 min
-
-  const slots = [];
+  const customer = await Customer.findOne({ user: req.user.id });
+  if (!customer) {
+    return next(new ErrorResponse(`Customer not found with user id of ${req.user.id}`, 404));
+  }
+  // Quoting never creates a property; a first booking does
+  const property = await resolveBookingProperty(customer, req.body.property || req.body.propertyId, {
+    tenantId: service.tenantId,
+    address: getBookingAddress(req.body),
+    save: false
+  });
 
-  // Generate all possible time slots
-  for (let hour = workingStartHour; hour < workingEndHour; hour++) {
-    for (let minutes of [0, 30]) {
-      // Skip if this would go past working hours
-      if (hour === workingEndHour - 1 && minutes + slotDuration > 60) continue;
-      
-      const start = new Date(`${dateOnly}T${String(hour).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:00`);
-      const end = new Date(start.getTime() + slotDuration * 60000);
+  const durationMinutes = timeSlot?.startTime && timeSlot?.endTime
+    ? timeToMinutes(timeSlot.endTime) - timeToMinutes(timeSlot.startTime)
+    : service.duration;
 
-      // Skip slots that would end after working hours
-      if (end.getHours() >= workingEndHour && end.getMinutes() > 0) continue;
+  const pricing = await quoteAppointment(service, {
+    packageType: packageType || 'Standard',
+    recurringType,
+    property,
+    durationMinutes,
+    addOns
+  });
 
-      // For today's date, skip slots that are in the past
-      if (isToday && start < currentTime) {
-        continue;
-      }
+  res.status(200).json({
+    success: true,
+    data: pricing
+  });
+});
 
-      const startTime = start.toTimeString().substring(0, 5); // "HH:mm"
-      const endTime = end.toTimeString().substring(0, 5);
+// @desc    Get available time slots for a service on a date
+// @route   GET /api/v1/appointments/availability
+// @access  Public
+exports.getAvailability = asyncHandler(async (req, res) => {
+  const { serviceId, date } = req.query;
 
-      slots.push({
-        startTime,
-        endTime,
-        available: true // Mark all as available initially
-      });
-    }
+  if (!serviceId || !date) {
+    return res.status(400).json({ message: "serviceId and date are required" });
   }
 
-  // Get booked appointments for this service and date
-  const bookedAppointments = await Appointment.find({
-    service: serviceId,
-    date: {
-      $gte: new Date(dateOnly),
-      $lt: new Date(new Date(dateOnly).getTime() + 86400000) // Next day
-    }
-  });
+  // Get service duration
+  const service = await Service.findById(serviceId);
+  if (!service) {
+    return res.status(404).json({ message: "Service not found" });
+  }
 
-  // Mark overlapping slots as booked
-  bookedAppointments.forEach(booking => {
-    // Only consider active bookings
-    if (['Cancelled', 'Rejected'].includes(booking.status)) return;
+  // The requested day is a day in the tenant's timezone
+  const dateOnly = parseDateKey(date, await getTenantTimezone(service.tenantId));
+  if (!dateOnly) {
+    return res.status(400).json({ message: "Invalid date format" });
+  }
 
-    const bookedStartVal = parseInt(booking.timeSlot.startTime.replace(':', ''));
-    const bookedEndVal = parseInt(booking.timeSlot.endTime.replace(':', ''));
-    
-    slots.forEach(slot => {
-      // Check for exact match only
-      if (slot.startTime === booking.timeSlot.startTime && slot.endTime === booking.timeSlot.endTime) {
-        slot.available = false;
-      }
-    });
-  });
+  // Slots follow the tenant's opening hours and stay open while a crew is free
+  const availability = await getServiceAvailability({ service, dateOnly });
 
   return res.json({
     success: true,
     date: dateOnly,
-    data: slots
+    timezone: availability.timezone,
+    closed: availability.closed,
+    ...(availability.reason && { reason: availability.reason }),
+    ...(availability.capacity && { capacity: availability.capacity }),
+    // Fully booked days can be waitlisted via POST /api/v1/waitlist
+    canJoinWaitlist: !availability.closed && !availability.slots.some(slot => slot.available),
+    data: availability.slots
   });
-};
+});
 
 
 
@@ -680,12 +749,20 @@ exports.createAppointment = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Normalize the incoming booking date to UTC midnight to avoid client timezone mismatches
-const normalizeDateToUTC = (inputDate) => {
-  const d = new Date(inputDate);
-  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
-};
-const normalizedDate = normalizeDateToUTC(req.body.date);
+  // The booking date is a day in the tenant's timezone, stored as UTC midnight of that day
+  const timezone = await getTenantTimezone(service.tenantId);
+  const dateKey = parseDateKey(req.body.date, timezone);
+  if (!dateKey) {
+    return next(new ErrorResponse('Please provide a valid appointment date', 400));
+  }
+  const normalizedDate = toUTCDate(dateKey);
+
+  if (!localTimeExists(dateKey, req.body.timeSlot.startTime, timezone)) {
+    return next(new ErrorResponse(`${req.body.timeSlot.startTime} does not exist on ${dateKey} (daylight saving change)`, 400));
+  }
+  if (zonedTimeToUtc(dateKey, req.body.timeSlot.startTime, timezone) < new Date()) {
+    return next(new ErrorResponse('Cannot book a time in the past', 400));
+  }
 
   // Calculate duration in minutes
   const calculateDuration = (start, end) => {
@@ -717,7 +794,8 @@ const normalizedDate = normalizeDateToUTC(req.body.date);
     weekday: 'long',
     year: 'numeric',
     month: 'long',
-    day: 'numeric'
+    day: 'numeric',
+    timeZone: 'UTC'
   });
 
   // Format time slot for display
@@ -735,72 +813,99 @@ const normalizedDate = normalizeDateToUTC(req.body.date);
     formattedTimeSlot
   };
 
-  // If booking payload includes an address (various shapes), update the customer's saved address
-  const possibleAddress = (
-    (req.body && typeof req.body.address === 'object' && req.body.address) ||
-    (req.body && req.body.property && typeof req.body.property.address === 'object' && req.body.property.address) ||
-    (Array.isArray(req.body.properties) && req.body.properties[0] && typeof req.body.properties[0].address === 'object' && req.body.properties[0].address) ||
-    (Array.isArray(req.body.propertyDetails) && req.body.propertyDetails[0] && typeof req.body.propertyDetails[0].propertyAddress === 'object' && req.body.propertyDetails[0].propertyAddress)
-  );
-  if (possibleAddress) {
-    const a = possibleAddress || {};
-    const nextAddress = {
-      street: a.street || customer.address?.street || '',
-      city: a.city || customer.address?.city || '',
-      state: a.state || customer.address?.state || '',
-      zipCode: a.zipCode || customer.address?.zipCode || '',
-      country: a.country || customer.address?.country || 'USA'
-    };
-    try {
-      await Customer.findByIdAndUpdate(
-        customer._id,
-        { address: nextAddress },
-        { new: true, runValidators: true }
-      );
-    } catch (e) {
-      // Do not block booking if address update fails; log for diagnostics
-      console.error('Failed to update customer address from booking:', e?.message || e);
-    }
-  }
-
-  // Check for overlapping appointments for the same service
-     const startOfDayUTC = normalizedDate;
-  const endOfDayUTC = new Date(Date.UTC(
-    normalizedDate.getUTCFullYear(),
-    normalizedDate.getUTCMonth(),
-    normalizedDate.getUTCDate(),
-    23, 59, 59, 999
-  ));
-  const existingAppointments = await Appointment.find({
-    service: req.body.service,
-    date: {
-      $gte: startOfDayUTC,
-      $lt: endOfDayUTC
-    },
-    status: { $nin: ['Cancelled', 'Rejected'] }
+  // The booking is for one of the customer's properties: the one at the address sent,
+  // or their default; customers with only a saved address get a property created from it,
+  // saved once the booking is accepted
+  const property = await resolveBookingProperty(customer, req.body.property || req.body.propertyId, {
+    tenantId: service.tenantId,
+    address: getBookingAddress(req.body),
+    save: false
   });
-
-  // Check for EXACT duplicate slots only (same start AND same end time)
-  // Per user requirement: Overlapping times (e.g. 8:00-9:00 and 8:30-9:30) allow booking.
-  // We only prevent EXACT duplicate bookings (8:00-9:00 vs 8:00-9:00).
-  const hasExactConflict = existingAppointments.some(appt => {
-    return (appt.timeSlot.startTime === req.body.timeSlot.startTime && 
-            appt.timeSlot.endTime === req.body.timeSlot.endTime);
+  appointmentData.property = property._id;
+
+  // Price from the service, package, property size, frequency discount, add-ons and tax
+  const packageType = req.body.packageType || 'Standard';
+  const pricing = await quoteAppointment(service, {
+    packageType,
+    recurringType: req.body.recurringType,
+    property,
+    durationMinutes,
+    addOns: req.body.addOns
+  });
+  appointmentData.pricing = pricing;
+  appointmentData.payment = { amount: pricing.amount };
+
+  // Overlapping visits to the same property, or no crew left for the slot
+  const conflicts = await findSchedulingConflicts({
+    tenantId: service.tenantId,
+    date: normalizedDate,
+    timeSlot: req.body.timeSlot,
+    customerId: customer._id,
+    propertyId: property._id,
+    service,
+    checkCapacity: true
   });
+  if (conflicts.length > 0) {
+    return sendConflictResponse(res, conflicts);
+  }
 
-  if (hasExactConflict) {
-    return next(new ErrorResponse('This time slot has already been booked. Please select another time.', 400));
+  const newProperty = property.isNew;
+  if (newProperty) {
+    await property.save();
   }
+  // A booking lost to a race leaves no new property behind
+  const rejectTakenSlot = async () => {
+    if (newProperty) {
+      await Property.deleteOne({ _id: property._id });
+    }
+    return next(new ErrorResponse('This time slot was just booked by another customer. Please select another time.', 400));
+  };
 
   // Create appointment with race condition handling
   let appointment;
-  try {
-    appointment = await Appointment.create(appointmentData);
-  } catch (error) {
-    if (error.code === 11000) {
-      return next(new ErrorResponse('This time slot was just booked by another customer. Please select another time.', 400));
+  let series;
+  let seriesConflicts = [];
+  let seriesBlackedOut = [];
+  if (isRecurring(req.body.recurringType)) {
+    // Recurring bookings become a series whose first occurrence is the requested slot
+    series = await AppointmentSeries.create({
+      tenant: service.tenantId,
+      customer: customer._id,
+      property: property._id,
+      service: service._id,
+      packageType,
+      recurringType: req.body.recurringType,
+      startDate: normalizedDate,
+      endDate: req.body.seriesEndDate ? toUTCDate(req.body.seriesEndDate) : undefined,
+      timeSlot: {
+        startTime: req.body.timeSlot.startTime,
+        endTime: req.body.timeSlot.endTime
+      },
+      duration: durationMinutes,
+      notes: req.body.notes,
+      pricing,
+      createdBy: userId
+    });
+
+    const { created, conflicts, blackedOut } = await materializeSeries(series);
+    appointment = created.find(a => a.date.getTime() === normalizedDate.getTime());
+    seriesConflicts = conflicts;
+    seriesBlackedOut = blackedOut;
+
+    if (!appointment) {
+      await Appointment.deleteMany({ series: series._id });
+      await AppointmentSeries.findByIdAndDelete(series._id);
+      return rejectTakenSlot();
+    }
+  } else {
+    try {
+      appointment = await Appointment.create(appointmentData);
+    } catch (error) {
+      if (error.code === 11000) {
+        return rejectTakenSlot();
+      }
+      throw error;
     }
-    throw error;
   }
 
   // Add customer to tenant's customers list if not already there
@@ -827,9 +932,12 @@ const normalizedDate = normalizeDateToUTC(req.body.date);
             <div style="background: #f7fafc; padding: 16px; border-radius: 8px; margin: 16px 0;">
               <h3 style="margin-top: 0; color: #4a5568;">Appointment Details</h3>
               <p><strong>Service:</strong> ${service.name}</p>
+              <p><strong>Property:</strong> ${property.name} (${formatAddress(property.address)})</p>
               <p><strong>Date:</strong> ${formattedDate}</p>
               <p><strong>Time:</strong> ${formattedTimeSlot}</p>
               <p><strong>Duration:</strong> ${durationMinutes} minutes</p>
+              <p><strong>Price:</strong> $${pricing.amount.toFixed(2)}${pricing.taxAmount ? ` (incl. $${pricing.taxAmount.toFixed(2)} tax)` : ''}</p>
+              ${series ? `<p><strong>Repeats:</strong> ${series.recurringType}</p>` : ''}
               ${tenant?.phone ? `<p><strong>Contact:</strong> ${tenant.phone}</p>` : ''}
             </div>
 
@@ -855,7 +963,17 @@ const normalizedDate = normalizeDateToUTC(req.body.date);
 
   res.status(201).json({
     success: true,
-    data: appointment
+    data: appointment,
+    ...(series && {
+      series: {
+        id: series._id,
+        recurringType: series.recurringType,
+        materializedThrough: series.materializedThrough,
+        pricing: series.pricing,
+        conflicts: seriesConflicts,
+        blackedOut: seriesBlackedOut
+      }
+    })
   });
 });
 
@@ -885,9 +1003,103 @@ exports.updateAppointment = asyncHandler(async (req, res, next) => {
     status: appointment.status
   };
 
+  // Status moves through the state machine; the history is never written directly
+  const { status: nextStatus, reason: statusReason, statusHistory, ...updates } = req.body;
+  const isStatusChange = Boolean(nextStatus) && nextStatus !== appointment.status;
+  if (isStatusChange) {
+    const transitionError = getTransitionError(appointment.status, nextStatus, {
+      role: req.user.role,
+      fields: { reason: statusReason },
+      appointment
+    });
+    if (transitionError) {
+      return next(transitionError);
+    }
+  }
+
+  // A different property must still be one of the customer's
+  if (updates.property) {
+    const property = await resolveBookingProperty(appointment.customer, updates.property);
+    updates.property = property._id;
+  }
+
+  // Package, add-on, property and duration changes are priced again unless already paid
+  const { addOns } = updates;
+  delete updates.addOns;
+  if ((updates.packageType || addOns || updates.property || req.body.timeSlot) && !isAppointmentPaid(appointment)) {
+    const timeSlot = {
+      startTime: req.body.timeSlot?.startTime || appointment.timeSlot.startTime,
+      endTime: req.body.timeSlot?.endTime || appointment.timeSlot.endTime
+    };
+    updates.pricing = await requoteBooking(appointment, {
+      packageType: updates.packageType,
+      property: updates.property,
+      durationMinutes: timeToMinutes(timeSlot.endTime) - timeToMinutes(timeSlot.startTime),
+      addOns
+    });
+    updates['payment.amount'] = updates.pricing.amount;
+    delete updates.payment;
+  }
+
+  // Dates are local days of the tenant, stored as UTC midnight like new bookings
+  if (req.body.date) {
+    const dateKey = parseDateKey(req.body.date, await getTenantTimezone(appointment.tenant));
+    if (!dateKey) {
+      return next(new ErrorResponse('Invalid date', 400));
+    }
+    updates.date = toUTCDate(dateKey);
+  }
+  if (req.body.timeSlot) {
+    updates.timeSlot = {
+      startTime: req.body.timeSlot.startTime || appointment.timeSlot.startTime,
+      endTime: req.body.timeSlot.endTime || appointment.timeSlot.endTime
+    };
+  }
+  // Unchanged values are left out so the booking's reminder is not reset
+  if (updates.date && toDateKey(updates.date) === toDateKey(appointment.date)) {
+    delete updates.date;
+  }
+  if (updates.timeSlot && updates.timeSlot.startTime === appointment.timeSlot.startTime &&
+    updates.timeSlot.endTime === appointment.timeSlot.endTime) {
+    delete updates.timeSlot;
+  }
+
+  // Check hours, past times and overlaps when the schedule, crew or property changes
+  let overriddenConflicts = [];
+  if (updates.date || updates.timeSlot || req.body.crew || updates.property) {
+    const to = {
+      date: updates.date || appointment.date,
+      timeSlot: updates.timeSlot || appointment.timeSlot
+    };
+    const slotMoved = toDateKey(to.date) !== toDateKey(appointment.date) ||
+      to.timeSlot.startTime !== appointment.timeSlot.startTime ||
+      to.timeSlot.endTime !== appointment.timeSlot.endTime;
+
+    // Reassigning a job that already started its day must not fail as "in the past"
+    const check = await checkSlotForAppointment({
+      _id: appointment._id,
+      tenant: appointment.tenant,
+      customer: appointment.customer,
+      service: appointment.service,
+      crew: req.body.crew || appointment.crew,
+      property: updates.property || appointment.property
+    }, to, slotMoved ? new Date() : new Date(0));
+
+    if (!check.available) {
+      // Closed days, past times and invalid slots cannot be overridden, only clashes
+      if (check.conflicts.length === 0) {
+        return next(new ErrorResponse(check.reason, 400));
+      }
+      if (!isConflictOverride(req)) {
+        return sendConflictResponse(res, check.conflicts, { canOverride: req.user.role === 'tenantAdmin' });
+      }
+      overriddenConflicts = check.conflicts;
+    }
+  }
+
   // Update logic based on user role
   if (req.user.role === 'tenantAdmin' || req.user.role === 'professional') {
-    appointment = await Appointment.findByIdAndUpdate(req.params.id, req.body, {
+    appointment = await Appointment.findByIdAndUpdate(req.params.id, updates, {
       new: true,
       runValidators: true
     }).populate({
@@ -901,36 +1113,48 @@ exports.updateAppointment = asyncHandler(async (req, res, next) => {
     // ... existing customer update logic ...
   }
 
-  // Email notification for completion
-  if (req.body.status === 'Completed' && originalValues.status !== 'Completed') {
-    try {
-      // Update completion details
-      appointment.completionDetails = {
-        ...appointment.completionDetails,
-        completedAt: new Date(),
-        ...(req.body.completionDetails || {})
-      };
+  if (overriddenConflicts.length > 0) {
+    recordConflictOverride(appointment, req, overriddenConflicts);
+  }
+  if (isStatusChange && nextStatus === 'Cancelled') {
+    // Saves the appointment along with the override above
+    await cancelAppointment(appointment, {
+      user: req.user,
+      reason: statusReason,
+      initiatedBy: req.body.initiatedBy
+    });
+  } else {
+    if (isStatusChange) {
+      transitionAppointmentStatus(appointment, nextStatus, { user: req.user, reason: statusReason });
+    }
+    if (overriddenConflicts.length > 0 || isStatusChange) {
       await appointment.save();
-
-      // Only send email if customer has email
-      if (appointment.customer?.user?.email) {
-        await sendCompletionEmail(appointment);
-        appointment.notificationsStatus.completionSent = true;
-        await appointment.save();
-      }
-    } catch (err) {
-      console.error('Completion notification failed:', err);
-      // Implement retry mechanism here if needed
     }
   }
 
+  // A cancelled or rejected booking frees its slot for the waitlist
+  if (INACTIVE_STATUSES.includes(appointment.status) && !INACTIVE_STATUSES.includes(originalValues.status)) {
+    await offerFreedSlot(appointment);
+  }
+
+  // Completion report for the customer
+  if (appointment.status === 'Completed' && originalValues.status !== 'Completed') {
+    appointment.completionDetails = {
+      ...appointment.completionDetails,
+      completedAt: new Date(),
+      ...(req.body.completionDetails || {})
+    };
+    await appointment.save();
+    await issueCompletionReport(appointment._id);
+  }
+
   // Email notification for rescheduling
-  const isDateChanged = req.body.date && 
-    !moment(req.body.date).isSame(originalValues.date, 'day');
-  
-  const isTimeChanged = req.body.timeSlot && (
-    req.body.timeSlot.startTime !== originalValues.timeSlot.startTime ||
-    req.body.timeSlot.endTime !== originalValues.timeSlot.endTime
+  const isDateChanged = Boolean(updates.date) &&
+    toDateKey(updates.date) !== toDateKey(originalValues.date);
+
+  const isTimeChanged = Boolean(updates.timeSlot) && (
+    updates.timeSlot.startTime !== originalValues.timeSlot.startTime ||
+    updates.timeSlot.endTime !== originalValues.timeSlot.endTime
   );
 
   if ((isDateChanged || isTimeChanged) && appointment.status !== 'Completed') {
@@ -945,6 +1169,12 @@ exports.updateAppointment = asyncHandler(async (req, res, next) => {
     }
   }
 
+  publishCalendarChange(appointment.tenant, {
+    type: 'updated',
+    changedBy: req.user.id,
+    appointments: [summarizeCalendarAppointment(appointment)]
+  });
+
   res.status(200).json({
     success: true,
     data: appointment
@@ -952,29 +1182,6 @@ exports.updateAppointment = asyncHandler(async (req, res, next) => {
 });
 
 // Helper functions for email sending
-async function sendCompletionEmail(appointment) {
-  const emailContent = `
-    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-      <h2 style="color: #4CAF50;">Service Completed</h2>
-      <p>Dear valued customer,</p>
-      <p>Your landscaping service has been successfully completed.</p>
-      <p><strong>Service Details:</strong></p>
-      <ul>
-        <li>Date: ${moment(appointment.date).format('MMMM D, YYYY')}</li>
-        <li>Service: ${appointment.serviceType || 'Landscaping Service'}</li>
-      </ul>
-      <p>Thank you for choosing our services!</p>
-      <p>Best regards,<br>Your Landscaping Team</p>
-    </div>
-  `;
-
-  await sendEmail({
-    email: appointment.customer.user.email,
-    subject: 'Service Completed',
-    html: emailContent
-  });
-}
-
 async function sendRescheduleEmail(appointment, originalValues) {
   const formattedDate = moment(appointment.date).format('dddd, MMMM D, YYYY');
   const originalDate = moment(originalValues.date).format('dddd, MMMM D, YYYY');
@@ -1045,41 +1252,89 @@ async function sendRescheduleEmail(appointment, originalValues) {
 
 
 
-// @desc    Delete appointment
-// @route   DELETE /api/v1/appointments/:id
-// @access  Private
-exports.deleteAppointment = asyncHandler(async (req, res, next) => {
-  const appointment = await Appointment.findById(req.params.id);
+// Load an appointment the user may cancel: customers their own, staff their tenant's
+const loadCancellableAppointment = async (req, next) => {
+  const appointment = await Appointment.findById(req.params.id).populate('service', 'name basePrice');
 
   if (!appointment) {
-    return next(new ErrorResponse('Appointment not found', 404));
+    next(new ErrorResponse(`Appointment not found with id of ${req.params.id}`, 404));
+    return null;
   }
 
-  // Admin can always delete
-  if (req.user.role === 'admin') {
-    await Appointment.findByIdAndDelete(req.params.id);
-    return res.status(200).json({ success: true, data: {} });
+  if (req.user.role === 'customer') {
+    const customer = await Customer.findOne({ user: req.user.id });
+    if (!customer || appointment.customer.toString() !== customer._id.toString()) {
+      next(new ErrorResponse('Not authorized to cancel this appointment', 403));
+      return null;
+    }
+  } else if (!appointment.belongsToTenant(req.user.tenantId)) {
+    next(new ErrorResponse('Not authorized to cancel this appointment', 403));
+    return null;
   }
 
-  // For customers - since they only see their own appointments via my-appointments,
-  // we just need to enforce the 24-hour rule
+  return appointment;
+};
+
+// Cancel under the tenant's policy; customers must accept a late-cancel fee first
+const cancelWithPolicy = async (req, res, next, appointment) => {
+  const { reason, initiatedBy, acceptFee } = req.body || {};
+
   if (req.user.role === 'customer') {
-    const now = new Date();
-    const appointmentDate = new Date(appointment.date);
-    const hoursBeforeAppointment = (appointmentDate - now) / (1000 * 60 * 60);
-    
-    if (hoursBeforeAppointment < 24) {
-      return next(new ErrorResponse(
-        'Appointments can only be canceled at least 24 hours before', 
-        400
-      ));
+    const policy = await getCancellationPolicy(appointment.tenant);
+    const quote = await quoteCancellation(appointment, { policy, initiatedBy: 'customer' });
+    if (quote.fee > 0 && acceptFee !== true) {
+      return res.status(409).json({
+        success: false,
+        error: `Cancelling now incurs a $${quote.fee.toFixed(2)} late-cancellation fee. Resend with acceptFee: true to confirm.`,
+        data: { policy: describePolicy(policy), ...quote }
+      });
     }
+  }
 
-    await Appointment.findByIdAndDelete(req.params.id);
-    return res.status(200).json({ success: true, data: {} });
+  const previousStatus = appointment.status;
+  const { fee, payment } = await cancelAppointment(appointment, { user: req.user, reason, initiatedBy });
+
+  if (!INACTIVE_STATUSES.includes(previousStatus)) {
+    await offerFreedSlot(appointment);
   }
 
-  return next(new ErrorResponse('Not authorized', 403));
+  res.status(200).json({
+    success: true,
+    data: appointment,
+    fee,
+    feePayment: payment?._id
+  });
+};
+
+// @desc    Preview the cancellation policy and fee for an appointment
+// @route   GET /api/v1/appointments/:id/cancellation
+// @access  Private (tenantAdmin, or customer for own appointment)
+exports.getCancellationQuote = asyncHandler(async (req, res, next) => {
+  const appointment = await loadCancellableAppointment(req, next);
+  if (!appointment) return;
+
+  const policy = await getCancellationPolicy(appointment.tenant);
+  const initiatedBy = req.user.role === 'customer' ? 'customer' : req.query.initiatedBy || 'tenant';
+  const quote = await quoteCancellation(appointment, { policy, initiatedBy });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      policy: describePolicy(policy),
+      cutoffHours: policy.cutoffHours,
+      ...quote
+    }
+  });
+});
+
+// @desc    Cancel appointment (kept on record as a status change)
+// @route   DELETE /api/v1/appointments/:id
+// @access  Private (tenantAdmin, or customer for own appointment)
+exports.deleteAppointment = asyncHandler(async (req, res, next) => {
+  const appointment = await loadCancellableAppointment(req, next);
+  if (!appointment) return;
+
+  return cancelWithPolicy(req, res, next, appointment);
 });
 
 
@@ -1096,15 +1351,15 @@ exports.uploadServicePhotos = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Check if appointment is completed
-  if (appointment.status !== 'Completed') {
+  // Photos are taken on site, so the job must be underway or finished
+  if (!['In Progress', 'Completed'].includes(appointment.status)) {
     return next(
-      new ErrorResponse(`Photos can only be uploaded for completed appointments`, 400)
+      new ErrorResponse(`Photos can only be uploaded for in-progress or completed appointments`, 400)
     );
   }
 
   // Check if user is authorized to upload photos
-  if (req.user.role !== 'tenantAdmin' && req.user.role !== 'professional') {
+  if (![...CREW_ROLES, 'tenantAdmin'].includes(req.user.role) || !appointment.belongsToTenant(req.user.tenantId)) {
     return next(
       new ErrorResponse(`Not authorized to upload photos for this appointment`, 403)
     );
@@ -1119,6 +1374,14 @@ exports.uploadServicePhotos = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`Please specify photoType as 'beforeService' or 'afterService'`, 400));
   }
 
+  // Optionally attach the photo to a checklist item as proof it was done
+  const checklistItem = req.body.checklistItem
+    ? appointment.checklist.id(req.body.checklistItem)
+    : null;
+  if (req.body.checklistItem && !checklistItem) {
+    return next(new ErrorResponse(`Checklist item not found with id of ${req.body.checklistItem}`, 404));
+  }
+
   const uploadPromises = req.body.photos.map(photo => {
     return new Promise((resolve, reject) => {
       try {
@@ -1158,6 +1421,10 @@ exports.uploadServicePhotos = asyncHandler(async (req, res, next) => {
     } else {
       appointment.photos.afterService.push(...uploadedPhotos);
     }
+    if (checklistItem) {
+      const [photo] = uploadedPhotos;
+      checklistItem.photo = { url: photo.url, publicId: photo.publicId, uploadedAt: photo.uploadedAt };
+    }
     
     await appointment.save();
 
@@ -1171,221 +1438,172 @@ exports.uploadServicePhotos = asyncHandler(async (req, res, next) => {
   }
 });
 
-// @desc    Get my appointments (Customer)
-// @route   GET /api/v1/appointments/my-appointments
-// @access  Private/Customer
-exports.getMyAppointments = asyncHandler(async (req, res, next) => {
-  const customer = await Customer.findOne({ user: req.user.id });
+// @desc    Tick off or reopen a checklist item
+// @route   PUT /api/v1/appointments/:id/checklist/:itemId
+// @access  Private (tenantAdmin, crew)
+exports.updateChecklistItem = asyncHandler(async (req, res, next) => {
+  const appointment = await Appointment.findById(req.params.id);
 
-  if (!customer) {
-    return next(new ErrorResponse(`No customer profile found`, 404));
+  if (!appointment) {
+    return next(
+      new ErrorResponse(`Appointment not found with id of ${req.params.id}`, 404)
+    );
   }
 
-  const appointments = await Appointment.find({ customer: customer._id })
-    .populate('service', 'name category')
-    .sort({ date: -1 });
+  if (!appointment.belongsToTenant(req.user.tenantId)) {
+    return next(new ErrorResponse('Not authorized to update this appointment', 403));
+  }
+
+  if (['Completed', 'Cancelled', 'Rejected'].includes(appointment.status)) {
+    return next(new ErrorResponse(`The checklist of a ${appointment.status.toLowerCase()} appointment cannot be changed`, 400));
+  }
+
+  const item = appointment.checklist.id(req.params.itemId);
+  if (!item) {
+    return next(new ErrorResponse(`Checklist item not found with id of ${req.params.itemId}`, 404));
+  }
+
+  const { completed, note } = req.body;
+  if (completed === true && item.requiresPhoto && !item.photo?.url) {
+    return next(new ErrorResponse(`Upload a photo for "${item.label}" before ticking it off`, 400));
+  }
+
+  if (typeof completed === 'boolean') {
+    item.completed = completed;
+    item.completedBy = completed ? req.user.id : undefined;
+    item.completedAt = completed ? new Date() : undefined;
+  }
+  if (note !== undefined) {
+    item.note = note;
+  }
+
+  await appointment.save();
 
   res.status(200).json({
     success: true,
-    count: appointments.length,
-    data: appointments
+    data: appointment.checklist
   });
 });
 
-// // // @desc    Request reschedule (Customer)
-// // // @route   PUT /api/v1/appointments/:id/reschedule-request
-// // // @access  Private/Customer
-// // exports.requestReschedule = asyncHandler(async (req, res, next) => {
-// //   const { requestedDate, requestedTime, reason } = req.body;
-
-// //   if (!requestedDate || !requestedTime) {
-// //     return next(new ErrorResponse(`Please provide requested date and time`, 400));
-// //   }
-
-// //   const appointment = await Appointment.findById(req.params.id);
-
-// //   if (!appointment) {
-// //     return next(new ErrorResponse(`Appointment not found with id of ${req.params.id}`, 404));
-// //   }
-
-// //   // Verify customer owns this appointment
-// //   const customer = await Customer.findOne({ user: req.user.id });
-// //   if (!customer || appointment.customer.toString() !== customer._id.toString()) {
-// //     return next(new ErrorResponse(`Not authorized to reschedule this appointment`, 403));
-// //   }
-
-// //   // Parse the time slot (assuming format "HH:MM - HH:MM")
-// //   const [startTime, endTime] = requestedTime.split(' - ');
-
-// //   // Update the appointment with new date/time
-// //   appointment.date = requestedDate;
-// //   appointment.timeSlot = {
-// //     startTime: startTime.trim(),
-// //     endTime: endTime.trim()
-// //   };
-  
-// //   // Add reschedule request to notes
-// //   if (!appointment.notes.customer) {
-// //     appointment.notes.customer = '';
-// //   }
-  
-// //   appointment.notes.customer += `\n[RESCHEDULE REQUEST] Date: ${requestedDate}, Time: ${requestedTime}, Reason: ${reason || 'Not provided'}`;
-// //   appointment.status = 'Rescheduled';
-  
-// //   await appointment.save();
-
-// //   // Notify admin about reschedule request
-// //   try {
-// //     const admins = await User.find({ role: 'admin' });
-// //     if (admins.length > 0) {
-// //       await sendEmail({
-// //         email: admins[0].email,
-// //         subject: 'Appointment Reschedule Request',
-// //         message: `Customer ${req.user.name} has requested to reschedule their appointment on ${new Date(appointment.date).toLocaleDateString()} to ${requestedDate} at ${requestedTime}. Reason: ${reason || 'Not provided'}`
-// //       });
-// //     }
-// //   } catch (err) {
-// //     console.log('Reschedule notification failed:', err);
-// //   }
-
-// //   res.status(200).json({
-// //     success: true,
-// //     data: appointment
-// //   });
-// // });
-
-
-
-// exports.requestReschedule = asyncHandler(async (req, res, next) => {
-//   const { requestedDate, requestedTime } = req.body;
-  
-//   // Parse time slot
-//   const [startTime, endTime] = requestedTime.split(' - ').map(t => t.trim());
-
-//   // Create datetime in UTC by combining date and time
-//   const newAppointmentDate = new Date(`${requestedDate}T${startTime}:00Z`);
-  
-//   // Get current time in UTC
-//   const now = new Date();
-//   const bufferTime = new Date(now.getTime() + 5 * 60 * 1000); // 5 minute buffer
-
-//   // Debug logs
-//   console.log("Received reschedule request:", {
-//     requestedDate,
-//     requestedTime,
-//     newAppointmentDate,
-//     now,
-//     bufferTime
-//   });
-
-//   if (newAppointmentDate < bufferTime) {
-//     return next(new ErrorResponse(`Cannot reschedule to a past date/time`, 400));
-//   }
+// @desc    Capture the customer's signature
+// @route   PUT /api/v1/appointments/:id/signature
+// @access  Private (tenantAdmin, crew, or customer for own appointment)
+exports.captureSignature = asyncHandler(async (req, res, next) => {
+  const { signature, signedBy } = req.body;
 
-//   // Update appointment with UTC date
-//   appointment.date = newAppointmentDate;
-//   appointment.timeSlot = { startTime, endTime };
-//   appointment.status = 'Rescheduled';
-  
-//   // Add reschedule note with local time display
-//   const localDateStr = newAppointmentDate.toLocaleDateString();
-//   const localTimeStr = `${startTime}-${endTime}`;
-//   appointment.notes.customer = (appointment.notes.customer || '') + 
-//     `\n[RESCHEDULE REQUEST] Date: ${localDateStr}, Time: ${localTimeStr}, Reason: Customer requested reschedule`;
+  if (!signature || !/^data:image\/(png|jpe?g);base64,/.test(signature)) {
+    return next(new ErrorResponse('Please provide the signature as a PNG or JPEG data URL', 400));
+  }
 
-//   await appointment.save();
+  const appointment = await Appointment.findById(req.params.id);
 
-//   res.status(200).json({
-//     success: true,
-//     data: appointment
-//   });
-// });
+  if (!appointment) {
+    return next(
+      new ErrorResponse(`Appointment not found with id of ${req.params.id}`, 404)
+    );
+  }
 
+  if (req.user.role === 'customer') {
+    const customer = await Customer.findOne({ user: req.user.id });
+    if (!customer || appointment.customer.toString() !== customer._id.toString()) {
+      return next(new ErrorResponse('Not authorized to sign this appointment', 403));
+    }
+  } else if (!appointment.belongsToTenant(req.user.tenantId)) {
+    return next(new ErrorResponse('Not authorized to sign this appointment', 403));
+  }
 
+  if (!['In Progress', 'Completed'].includes(appointment.status)) {
+    return next(new ErrorResponse('Only in-progress or completed appointments can be signed off', 400));
+  }
 
+  let upload;
+  try {
+    upload = await cloudinary.uploader.upload(signature, {
+      folder: `landscaping/appointments/${appointment._id}/signature`,
+      resource_type: 'image'
+    });
+  } catch (err) {
+    return next(new ErrorResponse(`Problem with signature upload: ${err.message}`, 500));
+  }
 
-exports.requestReschedule = asyncHandler(async (req, res, next) => {
-  const { requestedDate, requestedTime, reason } = req.body;
+  appointment.completionDetails.customerSignature = upload.secure_url;
+  appointment.completionDetails.signedBy = signedBy;
+  appointment.completionDetails.signedAt = new Date();
+  await appointment.save();
 
-  if (!requestedDate || !requestedTime) {
-    return next(new ErrorResponse(`Please provide requested date and time`, 400));
+  // A report that went out unsigned is replaced by the signed one
+  if (appointment.status === 'Completed') {
+    await issueCompletionReport(appointment._id);
   }
 
-  const appointment = await Appointment.findById(req.params.id);
+  res.status(200).json({
+    success: true,
+    data: appointment.completionDetails
+  });
+});
+
+// @desc    Download the completion report
+// @route   GET /api/v1/appointments/:id/completion-report
+// @access  Private (tenantAdmin, crew, or customer for own appointment)
+exports.getCompletionReport = asyncHandler(async (req, res, next) => {
+  const appointment = await loadReportAppointment(req.params.id);
 
   if (!appointment) {
-    return next(new ErrorResponse(`Appointment not found with id of ${req.params.id}`, 404));
+    return next(
+      new ErrorResponse(`Appointment not found with id of ${req.params.id}`, 404)
+    );
   }
 
-  // Verify customer owns this appointment
-  const customer = await Customer.findOne({ user: req.user.id });
-  if (!customer || appointment.customer.toString() !== customer._id.toString()) {
-    return next(new ErrorResponse(`Not authorized to reschedule this appointment`, 403));
+  if (req.user.role === 'customer') {
+    const customer = await Customer.findOne({ user: req.user.id });
+    if (!customer || appointment.customer._id.toString() !== customer._id.toString()) {
+      return next(new ErrorResponse('Not authorized to view this report', 403));
+    }
+  } else if (!appointment.belongsToTenant(req.user.tenantId)) {
+    return next(new ErrorResponse('Not authorized to view this report', 403));
   }
 
-  // Parse time slot
-  const [startTime, endTime] = requestedTime.split(' - ').map(t => t.trim());
-
-  // Create datetime in UTC by combining date and time
-  const newAppointmentDate = new Date(`${requestedDate}T${startTime}:00Z`);
-  
-  // Get current time in UTC
-  const now = new Date();
-  const bufferTime = new Date(now.getTime() + 5 * 60 * 1000); // 5 minute buffer
-
-  if (newAppointmentDate < bufferTime) {
-    return next(new ErrorResponse(`Cannot reschedule to a past date/time`, 400));
+  if (appointment.status !== 'Completed') {
+    return next(new ErrorResponse('The report is available once the appointment is completed', 400));
   }
 
-  // Update appointment with UTC date
-  appointment.date = newAppointmentDate;
-  appointment.timeSlot = { startTime, endTime };
-  appointment.status = 'Rescheduled';
-  
-  // Add reschedule note with local time display
-  const localDateStr = newAppointmentDate.toLocaleDateString();
-  const localTimeStr = `${startTime}-${endTime}`;
-  appointment.notes.customer = (appointment.notes.customer || '') + 
-    `\n[RESCHEDULE REQUEST] Date: ${localDateStr}, Time: ${localTimeStr}, Reason: ${reason || 'Not provided'}`;
+  const pdfBuffer = await generateCompletionReport(appointment);
 
-  await appointment.save();
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename=completion-report-${appointment._id}.pdf`);
 
-  // Notify admin about reschedule request
-  try {
-    const admins = await User.find({ role: 'admin' });
-    if (admins.length > 0) {
-      // Format date for email in a user-friendly way
-      const formattedDate = newAppointmentDate.toLocaleString('en-US', {
-        weekday: 'long',
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit',
-        timeZoneName: 'short'
-      });
+  res.send(pdfBuffer);
+});
 
-      await sendEmail({
-        email: admins[0].email,
-        subject: 'Appointment Reschedule Request',
-        message: `Customer ${req.user.name} has requested to reschedule their appointment to:
-        \n\nNew Date/Time: ${formattedDate}
-        \nTime Slot: ${startTime} - ${endTime}
-        \nReason: ${reason || 'Not provided'}`
-      });
-    }
-  } catch (err) {
-    console.log('Reschedule notification failed:', err);
-    // Don't fail the request if email fails
+// @desc    Get my appointments (Customer)
+// @route   GET /api/v1/appointments/my-appointments
+// @access  Private/Customer
+exports.getMyAppointments = asyncHandler(async (req, res, next) => {
+  const customer = await Customer.findOne({ user: req.user.id });
+
+  if (!customer) {
+    return next(new ErrorResponse(`No customer profile found`, 404));
   }
 
+  // Staff notes and internal comments stay with the company
+  const appointments = await Appointment.find({ customer: customer._id })
+    .select('-notes.internal -notes.professional -conflictOverrides')
+    .populate('service', 'name category')
+    .populate('property', 'name address')
+    .sort({ date: -1 });
+
+  const threads = await getCommentThreads(appointments.map(apt => apt._id), { customerView: true });
+
   res.status(200).json({
     success: true,
-    data: appointment
+    count: appointments.length,
+    data: appointments.map(apt => ({
+      ...apt.toObject({ virtuals: true }),
+      comments: threads.get(apt._id.toString())
+    }))
   });
 });
 
-
 // @desc    Get appointments by date range
 // @route   GET /api/v1/appointments/calendar
 // @access  Private
@@ -1398,43 +1616,48 @@ exports.getCalendarAppointments = asyncHandler(async (req, res, next) => {
     );
   }
 
+  // Customers see their own visits, crew their assigned jobs, admins their tenant
+  const scope = await getCalendarScope(req.user);
+  if (!scope) {
+    return next(new ErrorResponse(`No customer profile found`, 404));
+  }
+
+  // Range bounds are days in the viewer's tenant timezone
+  const viewerTimezone = await getTenantTimezone(req.user.tenantId);
+  const startKey = parseDateKey(start, viewerTimezone);
+  const endKey = parseDateKey(end, viewerTimezone);
+  if (!startKey || !endKey) {
+    return next(new ErrorResponse(`Please provide valid start and end dates`, 400));
+  }
+
   let query = {
+    ...scope.query,
     date: {
-      $gte: new Date(start),
-      $lte: new Date(end)
+      $gte: toUTCDate(startKey),
+      $lte: toUTCDate(endKey)
     }
   };
 
-  // If customer, only show their appointments
-  if (req.user.role === 'customer') {
-    const customer = await Customer.findOne({ user: req.user.id });
-    if (!customer) {
-      return next(new ErrorResponse(`No customer profile found`, 404));
-    }
-    query.customer = customer._id;
-  }
-
-  // If professional, only show appointments they're assigned to
-  if (req.user.role === 'professional') {
-    query.$or = [
-      { 'crew.assignedTo': req.user.id },
-      { 'crew.leadProfessional': req.user.id }
-    ];
-  }
-
   const appointments = await Appointment.find(query)
     .populate('customer', 'address')
+    .populate('property', PROPERTY_SUMMARY_FIELDS)
     .populate('service', 'name category')
     .populate('crew.leadProfessional', 'name')
     .sort({ date: 1 });
 
+  // Slot times are wall-clock times in the timezone of the appointment's tenant
+  const timezones = new Map();
+  for (const tenantId of new Set(appointments.map(apt => apt.tenant?.toString()))) {
+    timezones.set(tenantId, await getTenantTimezone(tenantId));
+  }
+
   // Format for calendar display with null checks
   const calendarAppointments = appointments.map(apt => {
     // Get service name with fallback
     const serviceName = apt.service?.name || 'Unassigned Service';
     
-    // Get customer address with fallback
-    const customerAddress = apt.customer?.address || 'No Address';
+    // Get property address with fallback
+    const customerAddress = formatAddress(getAppointmentAddress(apt)) || 'No Address';
     
     // Get start and end times with validation
     const startTime = apt.timeSlot?.startTime || '00:00';
@@ -1453,8 +1676,8 @@ exports.getCalendarAppointments = asyncHandler(async (req, res, next) => {
   // const normalizedDate = normalizeDateToUTC(req.body.date);
     
     // Create date objects with validation
-    const startDate = new Date(`${apt.date.toISOString().split('T')[0]}T${startTime}`);
-    const endDate = new Date(`${apt.date.toISOString().split('T')[0]}T${endTime}`);
+    const timezone = timezones.get(apt.tenant?.toString());
+    const { start: startDate, end: endDate } = getSlotInstants(apt.date, { startTime, endTime }, timezone);
     
     // Validate dates
     if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
@@ -1468,12 +1691,16 @@ exports.getCalendarAppointments = asyncHandler(async (req, res, next) => {
 
     return {
       id: apt._id,
+      // Sent back with calendar edits so stale changes are rejected
+      version: apt.__v,
       title: `${serviceName} - ${customerAddress}`,
-      start: startDate,
-      end: endDate,
+      start: toZonedISOString(startDate, timezone),
+      end: toZonedISOString(endDate, timezone),
+      timezone,
       color: apt.calendarColor || '#3174ad', // Default color if calendarColor is not set
       status: apt.status || 'Scheduled',
       customer: apt.customer || null,
+      property: apt.property || null,
       packageType: apt.packageType || 'Standard',
       recurring: apt.recurringType !== 'One-time'
     };
@@ -1486,6 +1713,203 @@ exports.getCalendarAppointments = asyncHandler(async (req, res, next) => {
   });
 }); 
 
+// Heartbeats keep proxies from closing an idle event stream
+const CALENDAR_HEARTBEAT_MS = 25 * 1000;
+
+const writeCalendarEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// @desc    Stream appointment changes so open calendars can refresh
+// @route   GET /api/v1/appointments/calendar/events
+// @access  Private/TenantAdmin/Crew
+exports.streamCalendarChanges = (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  writeCalendarEvent(res, 'ready', { tenant: req.user.tenantId });
+
+  const unsubscribe = subscribeCalendarChanges(req.user.tenantId, change => {
+    writeCalendarEvent(res, 'appointments.changed', change);
+  });
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), CALENDAR_HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+};
+
+// Crew members given in a batch must be staff of the same tenant
+const validateBatchCrew = async (moves, tenantId) => {
+  const ids = [...new Set(moves
+    .filter(move => move.crew)
+    .flatMap(move => [move.crew.leadProfessional, ...move.crew.assignedTo])
+    .filter(Boolean)
+    .map(String))];
+  if (ids.length === 0) return true;
+
+  const count = await User.countDocuments({
+    _id: { $in: ids },
+    tenantId,
+    role: { $in: [...CREW_ROLES, 'tenantAdmin'] }
+  });
+  return count === ids.length;
+};
+
+// @desc    Move or reassign several appointments at once
+// @route   PUT /api/v1/appointments/calendar/batch
+// @access  Private/TenantAdmin
+exports.batchMoveAppointments = asyncHandler(async (req, res, next) => {
+  const { moves } = req.body;
+
+  if (!Array.isArray(moves) || moves.length === 0) {
+    return next(new ErrorResponse('Please provide the appointments to move', 400));
+  }
+  if (moves.length > MAX_BATCH_MOVES) {
+    return next(new ErrorResponse(`A batch can move at most ${MAX_BATCH_MOVES} appointments`, 400));
+  }
+  const ids = moves.map(move => String(move.id));
+  if (new Set(ids).size !== ids.length) {
+    return next(new ErrorResponse('Each appointment can only appear once in a batch', 400));
+  }
+  if (moves.some(move => !Number.isInteger(Number(move.version)) || move.version === null || move.version === '')) {
+    return next(new ErrorResponse('Every move must include the version it was based on', 400));
+  }
+
+  const appointments = await Appointment.find({ _id: { $in: ids }, tenant: req.user.tenantId });
+  const byId = new Map(appointments.map(appointment => [String(appointment._id), appointment]));
+  const missing = ids.filter(id => !byId.has(id));
+  if (missing.length > 0) {
+    return next(new ErrorResponse(`Appointment not found with id of ${missing.join(', ')}`, 404));
+  }
+
+  // Someone else changed these since the dispatcher loaded them; nothing is applied
+  const stale = moves
+    .filter(move => Number(move.version) !== byId.get(String(move.id)).__v)
+    .map(move => ({
+      id: move.id,
+      version: Number(move.version),
+      current: summarizeCalendarAppointment(byId.get(String(move.id)))
+    }));
+  if (stale.length > 0) {
+    return res.status(409).json({
+      success: false,
+      error: `${stale.length} appointment(s) were changed by someone else; nothing was moved`,
+      stale
+    });
+  }
+
+  const locked = appointments.filter(appointment => LOCKED_STATUSES.includes(appointment.status));
+  if (locked.length > 0) {
+    return next(new ErrorResponse(
+      `${locked.map(appointment => `${appointment._id} (${appointment.status})`).join(', ')} can no longer be moved`,
+      400
+    ));
+  }
+
+  const timezone = await getTenantTimezone(req.user.tenantId);
+  const planned = [];
+  for (const move of moves) {
+    const appointment = byId.get(String(move.id));
+
+    let date = appointment.date;
+    if (move.date) {
+      const dateKey = parseDateKey(move.date, timezone);
+      if (!dateKey) {
+        return next(new ErrorResponse(`Invalid date for appointment ${move.id}`, 400));
+      }
+      date = toUTCDate(dateKey);
+    }
+    const timeSlot = {
+      startTime: move.timeSlot?.startTime || appointment.timeSlot.startTime,
+      endTime: move.timeSlot?.endTime || appointment.timeSlot.endTime
+    };
+    const crew = move.crew && {
+      leadProfessional: move.crew.leadProfessional || null,
+      assignedTo: move.crew.assignedTo || []
+    };
+
+    planned.push({ appointment, to: { date, timeSlot }, crew });
+  }
+
+  if (!(await validateBatchCrew(planned, req.user.tenantId))) {
+    return next(new ErrorResponse('One or more crew members are invalid', 400));
+  }
+
+  await planCalendarMoves(planned);
+
+  const results = planned.map(move => ({
+    id: move.appointment._id,
+    available: move.available,
+    reason: move.available ? undefined : move.reason,
+    conflicts: move.conflicts
+  }));
+  // Invalid slots, past times and closed days cannot be overridden, only clashes
+  const blocked = planned.filter(move => !move.available);
+  const overridable = blocked.every(move => move.conflicts.length > 0);
+  if (blocked.length > 0) {
+    if (!overridable || !isConflictOverride(req)) {
+      return res.status(409).json({
+        success: false,
+        error: `${blocked.length} appointment(s) cannot be moved; nothing was changed`,
+        canOverride: overridable,
+        data: results
+      });
+    }
+    blocked.forEach(move => recordConflictOverride(move.appointment, req, move.conflicts));
+  }
+
+  try {
+    await applyCalendarMoves(planned);
+  } catch (error) {
+    if (error.name === 'VersionError' || error.code === 11000) {
+      const current = await Appointment.find({ _id: { $in: ids } });
+      return res.status(409).json({
+        success: false,
+        error: 'The calendar changed while moving; all moves were rolled back',
+        stale: current.map(appointment => ({
+          id: appointment._id,
+          current: summarizeCalendarAppointment(appointment)
+        }))
+      });
+    }
+    throw error;
+  }
+
+  const summaries = planned.map(move => summarizeCalendarAppointment(move.appointment));
+  publishCalendarChange(req.user.tenantId, {
+    type: 'moved',
+    changedBy: req.user.id,
+    appointments: summaries
+  });
+
+  // Customers hear about new times, not crew changes
+  for (const move of planned.filter(slotChanged)) {
+    const { appointment } = move;
+    try {
+      await appointment.populate({ path: 'customer', populate: { path: 'user', select: 'email' } });
+      if (appointment.customer?.user?.email) {
+        await sendRescheduleEmail(appointment, move.from);
+        appointment.notificationsStatus.rescheduleSent = true;
+        await appointment.save();
+      }
+    } catch (err) {
+      console.error('Reschedule notification failed:', err);
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    count: summaries.length,
+    data: summaries
+  });
+});
+
 // @desc    Update crew assignment for appointment
 // @route   PUT /api/v1/appointments/:id/crew
 // @access  Private/TenantAdmin
@@ -1530,52 +1954,26 @@ exports.updateCrewAssignment = asyncHandler(async (req, res, next) => {
     }
   }
 
-  // Check for scheduling conflicts for the given time window
-  const dateOnly = new Date(appointment.date.toISOString().split('T')[0]);
   const { startTime, endTime } = appointment.timeSlot || {};
   if (!startTime || !endTime) {
     return next(new ErrorResponse('Appointment timeSlot is missing', 400));
   }
 
-  // Helper to check availability for a professional (as lead or team member)
-  const hasConflict = async (professionalId) => {
-    // Conflicts where this professional is lead
-    const leadConflicts = await Appointment.find({
-      'crew.leadProfessional': professionalId,
-      date: dateOnly,
-      'timeSlot.startTime': { $lt: endTime },
-      'timeSlot.endTime': { $gt: startTime },
-      _id: { $ne: appointment._id }
-    }).limit(1);
-
-    if (leadConflicts.length > 0) return true;
-
-    // Conflicts where this professional is in assignedTo
-    const teamConflicts = await Appointment.find({
-      'crew.assignedTo': professionalId,
-      date: dateOnly,
-      'timeSlot.startTime': { $lt: endTime },
-      'timeSlot.endTime': { $gt: startTime },
-      _id: { $ne: appointment._id }
-    }).limit(1);
-
-    return teamConflicts.length > 0;
-  };
-
-  // Check lead availability
-  if (leadProfessional) {
-    const leadBusy = await hasConflict(leadProfessional);
-    if (leadBusy) {
-      return next(new ErrorResponse('Lead professional is not available during this time slot', 400));
-    }
-  }
+  // Check every crew member for overlapping jobs, travel buffer included
+  const conflicts = await findSchedulingConflicts({
+    tenantId: appointment.tenant,
+    date: appointment.date,
+    timeSlot: { startTime, endTime },
+    crew: { leadProfessional, assignedTo },
+    service: appointment.service,
+    excludeIds: [appointment._id]
+  });
 
-  // Check each assigned staff availability
-  for (const memberId of assignedTo || []) {
-    const busy = await hasConflict(memberId);
-    if (busy) {
-      return next(new ErrorResponse(`Staff member ${memberId} is not available during this time slot`, 400));
+  if (conflicts.length > 0) {
+    if (!isConflictOverride(req)) {
+      return sendConflictResponse(res, conflicts, { canOverride: true });
     }
+    recordConflictOverride(appointment, req, conflicts);
   }
 
   // Update crew assignment
@@ -1586,6 +1984,12 @@ exports.updateCrewAssignment = asyncHandler(async (req, res, next) => {
 
   await appointment.save();
 
+  publishCalendarChange(appointment.tenant, {
+    type: 'updated',
+    changedBy: req.user.id,
+    appointments: [summarizeCalendarAppointment(appointment)]
+  });
+
   // Populate the crew data for response
   await appointment.populate([
     { path: 'crew.leadProfessional', select: 'name email role' },
@@ -1605,6 +2009,61 @@ exports.updateCrewAssignment = asyncHandler(async (req, res, next) => {
 
 
 
+// @desc    Change appointment status
+// @route   PUT /api/v1/appointments/:id/status
+// @access  Private (tenantAdmin, crew, or customer for own appointment)
+exports.updateAppointmentStatus = asyncHandler(async (req, res, next) => {
+  const { status, reason } = req.body;
+
+  if (!status) {
+    return next(new ErrorResponse('Please provide a status', 400));
+  }
+
+  // Cancelling goes through the cancellation policy
+  if (status === 'Cancelled') {
+    const appointment = await loadCancellableAppointment(req, next);
+    if (!appointment) return;
+    return cancelWithPolicy(req, res, next, appointment);
+  }
+
+  const appointment = await Appointment.findById(req.params.id);
+
+  if (!appointment) {
+    return next(
+      new ErrorResponse(`Appointment not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  if (req.user.role === 'customer') {
+    const customer = await Customer.findOne({ user: req.user.id });
+    if (!customer || appointment.customer.toString() !== customer._id.toString()) {
+      return next(new ErrorResponse('Not authorized to update this appointment', 403));
+    }
+  } else if (!appointment.belongsToTenant(req.user.tenantId)) {
+    return next(new ErrorResponse('Not authorized to update this appointment', 403));
+  }
+
+  const previousStatus = appointment.status;
+  transitionAppointmentStatus(appointment, status, { user: req.user, reason });
+  if (status === 'Completed') {
+    appointment.completionDetails.completedAt = Date.now();
+  }
+  await appointment.save();
+
+  // A cancelled or rejected booking frees its slot for the waitlist
+  if (INACTIVE_STATUSES.includes(status) && !INACTIVE_STATUSES.includes(previousStatus)) {
+    await offerFreedSlot(appointment);
+  }
+  if (status === 'Completed') {
+    await issueCompletionReport(appointment._id);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: appointment
+  });
+});
+
 // @desc    Approve appointment
 // @route   PUT /api/v1/appointments/:id/approve
 // @access  Private/Admin
@@ -1626,7 +2085,7 @@ exports.approveAppointment = asyncHandler(async (req, res, next) => {
   }
 
   // Update status to confirmed
-  appointment.status = 'Confirmed';
+  transitionAppointmentStatus(appointment, 'Confirmed', { user: req.user });
   await appointment.save();
 
   // Send confirmation email
@@ -1669,24 +2128,117 @@ exports.completeAppointment = asyncHandler(async (req, res, next) => {
   }
 
   // Update status and payment requirement
-  appointment.status = 'Completed';
-  appointment.payment.status = 'pending';
-  // Calculate payment amount from service pricing
-  let paymentAmount = 50; // Default fallback amount
-  if (appointment.service?.basePrice) {
-    paymentAmount = appointment.service.basePrice;
+  transitionAppointmentStatus(appointment, 'Completed', { user: req.user });
+  // Charge the price quoted at booking; older bookings without one are priced now
+  if (appointment.pricing?.amount == null) {
+    appointment.pricing = await requoteBooking(appointment);
   }
   appointment.payment = {
     ...appointment.payment,
     status: 'Pending',
-    amount: paymentAmount
+    amount: appointment.pricing.amount
   };
   appointment.completionDetails.completedAt = Date.now();
+  if (req.body.additionalWorkPerformed) {
+    appointment.completionDetails.additionalWorkPerformed = req.body.additionalWorkPerformed;
+  }
 
   await appointment.save();
+  await issueCompletionReport(appointment._id);
 
   res.status(200).json({
     success: true,
     data: appointment
   });
-});
\ No newline at end of file
+});
+
+// Plan entry as returned to the admin
+const summarizeRainDayMove = (move) => ({
+  appointment: move.appointment._id,
+  customer: move.appointment.customer?.user?.name,
+  service: move.appointment.service?.name,
+  series: move.series,
+  rainedOut: move.rainedOut,
+  from: move.from,
+  to: move.to,
+  available: move.available,
+  reason: move.available ? undefined : move.reason,
+  conflicts: move.conflicts
+});
+
+// @desc    Move every appointment off a washed-out day
+// @route   POST /api/v1/appointments/rain-day
+// @access  Private/TenantAdmin
+exports.rescheduleRainDay = asyncHandler(async (req, res, next) => {
+  const { date, strategy, crewMember, serviceCategory, note } = req.body;
+  const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+  const days = req.body.days === undefined ? 1 : Number(req.body.days);
+
+  if (!date || isNaN(new Date(date).getTime())) {
+    return next(new ErrorResponse('Please provide the date to reschedule', 400));
+  }
+  if (!RAIN_DAY_STRATEGIES.includes(strategy)) {
+    return next(new ErrorResponse(`Strategy must be one of: ${RAIN_DAY_STRATEGIES.join(', ')}`, 400));
+  }
+  if (!Number.isInteger(days) || days < 1) {
+    return next(new ErrorResponse('Days must be a positive whole number', 400));
+  }
+
+  const appointments = await findRainedOutAppointments({
+    tenantId: req.user.tenantId,
+    date,
+    crewMember,
+    serviceCategory
+  });
+  const plan = await planRainDayMoves(appointments, { strategy, days });
+  const summary = plan.moves.map(summarizeRainDayMove);
+  const blocked = summary.filter(move => !move.available);
+
+  if (dryRun || plan.moves.length === 0) {
+    return res.status(200).json({
+      success: true,
+      dryRun,
+      strategy,
+      count: summary.length,
+      blocked: blocked.length,
+      data: summary
+    });
+  }
+
+  // All or nothing: a partly moved day is harder to fix than an unmoved one
+  if (blocked.length > 0) {
+    return res.status(409).json({
+      success: false,
+      error: `${blocked.length} appointment(s) cannot be moved with this strategy; nothing was changed`,
+      count: summary.length,
+      blocked: blocked.length,
+      data: summary
+    });
+  }
+
+  try {
+    await applyRainDayMoves(plan, { user: req.user });
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(new ErrorResponse('A time slot was booked while rescheduling; all moves were rolled back', 409));
+    }
+    throw error;
+  }
+
+  publishCalendarChange(req.user.tenantId, {
+    type: 'moved',
+    changedBy: req.user.id,
+    appointments: plan.moves.map(move => summarizeCalendarAppointment(move.appointment))
+  });
+
+  const notified = await notifyRainDayCustomers(plan.moves, note);
+
+  res.status(200).json({
+    success: true,
+    dryRun,
+    strategy,
+    count: summary.length,
+    notified,
+    data: summary
+  });
+});
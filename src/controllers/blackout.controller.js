@@ -0,0 +1,169 @@
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middlewares/async');
+const Blackout = require('../models/blackout.model');
+const User = require('../models/user.model');
+const { toUTCDate } = require('../utils/recurrence');
+const { getBlackoutsInRange, findAffectedAppointments } = require('../utils/blackouts');
+
+const EDITABLE_FIELDS = [
+  'title',
+  'type',
+  'startDate',
+  'endDate',
+  'allDay',
+  'startTime',
+  'endTime',
+  'serviceCategories',
+  'crewMembers',
+  'notes'
+];
+
+const pickBlackoutFields = (body) => EDITABLE_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) {
+    fields[key] = ['startDate', 'endDate'].includes(key) ? toUTCDate(body[key]) : body[key];
+  }
+  return fields;
+}, {});
+
+// Crew members must belong to the admin's company
+const validateCrewMembers = async (crewMembers, tenantId) => {
+  if (!crewMembers || crewMembers.length === 0) return true;
+  const count = await User.countDocuments({ _id: { $in: crewMembers }, tenantId });
+  return count === new Set(crewMembers.map(String)).size;
+};
+
+const summarizeAffected = (appointments) => appointments.map(appointment => ({
+  _id: appointment._id,
+  date: appointment.date,
+  timeSlot: appointment.timeSlot,
+  status: appointment.status,
+  service: appointment.service?.name,
+  customer: appointment.customer?.user?.name,
+  crew: appointment.crew,
+  series: appointment.series
+}));
+
+const loadBlackout = async (req, next) => {
+  const blackout = await Blackout.findById(req.params.id);
+
+  if (!blackout || !blackout.belongsToTenant(req.user.tenantId)) {
+    next(new ErrorResponse(`Blackout not found with id of ${req.params.id}`, 404));
+    return null;
+  }
+
+  return blackout;
+};
+
+// @desc    Get blackouts, optionally within a date range
+// @route   GET /api/v1/blackouts?from=YYYY-MM-DD&to=YYYY-MM-DD
+// @access  Private/TenantAdmin/Staff
+exports.getBlackouts = asyncHandler(async (req, res, next) => {
+  const { from, to } = req.query;
+
+  const blackouts = from
+    ? await getBlackoutsInRange(req.user.tenantId, from, to || from)
+    : await Blackout.find({ tenant: req.user.tenantId }).sort({ startDate: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: blackouts.length,
+    data: blackouts
+  });
+});
+
+// @desc    Get single blackout
+// @route   GET /api/v1/blackouts/:id
+// @access  Private/TenantAdmin/Staff
+exports.getBlackout = asyncHandler(async (req, res, next) => {
+  const blackout = await loadBlackout(req, next);
+  if (!blackout) return;
+
+  res.status(200).json({
+    success: true,
+    data: blackout
+  });
+});
+
+// @desc    Create blackout
+// @route   POST /api/v1/blackouts
+// @access  Private/TenantAdmin
+exports.createBlackout = asyncHandler(async (req, res, next) => {
+  const fields = pickBlackoutFields(req.body);
+  if (fields.startDate && !fields.endDate) {
+    fields.endDate = fields.startDate;
+  }
+
+  if (!(await validateCrewMembers(fields.crewMembers, req.user.tenantId))) {
+    return next(new ErrorResponse('Invalid crew members', 400));
+  }
+
+  const blackout = await Blackout.create({
+    ...fields,
+    tenant: req.user.tenantId,
+    createdBy: req.user.id
+  });
+
+  // Existing bookings are left in place for the dispatcher to move
+  const affected = await findAffectedAppointments(blackout);
+
+  res.status(201).json({
+    success: true,
+    data: blackout,
+    affectedAppointments: summarizeAffected(affected)
+  });
+});
+
+// @desc    Update blackout
+// @route   PUT /api/v1/blackouts/:id
+// @access  Private/TenantAdmin
+exports.updateBlackout = asyncHandler(async (req, res, next) => {
+  const blackout = await loadBlackout(req, next);
+  if (!blackout) return;
+
+  const fields = pickBlackoutFields(req.body);
+  if (!(await validateCrewMembers(fields.crewMembers, req.user.tenantId))) {
+    return next(new ErrorResponse('Invalid crew members', 400));
+  }
+
+  blackout.set(fields);
+  await blackout.save();
+
+  const affected = await findAffectedAppointments(blackout);
+
+  res.status(200).json({
+    success: true,
+    data: blackout,
+    affectedAppointments: summarizeAffected(affected)
+  });
+});
+
+// @desc    Delete blackout
+// @route   DELETE /api/v1/blackouts/:id
+// @access  Private/TenantAdmin
+exports.deleteBlackout = asyncHandler(async (req, res, next) => {
+  const blackout = await loadBlackout(req, next);
+  if (!blackout) return;
+
+  await blackout.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Appointments booked inside a blackout
+// @route   GET /api/v1/blackouts/:id/appointments
+// @access  Private/TenantAdmin
+exports.getAffectedAppointments = asyncHandler(async (req, res, next) => {
+  const blackout = await loadBlackout(req, next);
+  if (!blackout) return;
+
+  const affected = await findAffectedAppointments(blackout);
+
+  res.status(200).json({
+    success: true,
+    count: affected.length,
+    data: summarizeAffected(affected)
+  });
+});
@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middlewares/async');
+const Appointment = require('../models/appointment.model');
+const AppointmentSeries = require('../models/appointment-series.model');
+const User = require('../models/user.model');
+const Tenant = require('../models/tenant.model');
+const { getCalendarScope, isInCalendarScope } = require('../utils/calendarScope');
+const { buildCalendar, buildRRule, buildUid } = require('../utils/icalendar');
+const { toDateKey } = require('../utils/recurrence');
+const { formatAddress, getAppointmentAddress } = require('../utils/properties');
+const { DEFAULT_TIMEZONE, isValidTimezone } = require('../utils/timezone');
+const { INACTIVE_STATUSES } = require('../utils/scheduling');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Crew and admin feeds keep a month of history; customer feeds only show upcoming visits
+const FEED_HISTORY_DAYS = 30;
+
+const CUSTOMER_POPULATE = {
+  path: 'customer',
+  select: 'address propertyDetails user',
+  populate: {
+    path: 'user',
+    select: 'name'
+  }
+};
+
+// Summary, location and description shared by one-off appointments and series
+const describeBooking = (booking, { forCustomer }) => {
+  const serviceName = booking.service?.name || 'Landscaping Service';
+  const customerName = booking.customer?.user?.name;
+  const accessInstructions = booking.property?.accessInstructions ||
+    booking.customer?.propertyDetails?.[0]?.accessInstructions;
+
+  const description = [
+    `Service: ${serviceName}`,
+    booking.packageType && `Package: ${booking.packageType}`,
+    !forCustomer && customerName && `Customer: ${customerName}`,
+    accessInstructions && `Access instructions: ${accessInstructions}`,
+    booking.notes?.customer && `Customer notes: ${booking.notes.customer}`,
+    !forCustomer && booking.notes?.professional && `Crew notes: ${booking.notes.professional}`
+  ].filter(Boolean).join('\n');
+
+  return {
+    summary: forCustomer || !customerName ? serviceName : `${serviceName} - ${customerName}`,
+    location: formatAddress(getAppointmentAddress(booking)),
+    description
+  };
+};
+
+const hashFeedToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const buildFeedUrls = (req, token) => {
+  const url = `${req.protocol}://${req.get('host')}/api/v1/appointments/feeds/${token}.ics`;
+  return {
+    url,
+    webcalUrl: url.replace(/^https?:/, 'webcal:')
+  };
+};
+
+// @desc    Create or rotate the current user's calendar feed link
+// @route   POST /api/v1/appointments/calendar-feed
+// @access  Private
+exports.createCalendarFeed = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    return next(new ErrorResponse('User not found', 404));
+  }
+
+  // Any previous link stops working once the token is replaced
+  const feedToken = user.getCalendarFeedToken();
+  await User.updateOne({ _id: user._id }, { calendarFeedToken: user.calendarFeedToken });
+
+  res.status(201).json({
+    success: true,
+    data: buildFeedUrls(req, feedToken)
+  });
+});
+
+// @desc    Revoke the current user's calendar feed link
+// @route   DELETE /api/v1/appointments/calendar-feed
+// @access  Private
+exports.revokeCalendarFeed = asyncHandler(async (req, res, next) => {
+  await User.updateOne({ _id: req.user.id }, { $unset: { calendarFeedToken: 1 } });
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    iCalendar feed for the owner of a feed token
+// @route   GET /api/v1/appointments/feeds/:token.ics
+// @access  Public (secret token)
+exports.getCalendarFeed = asyncHandler(async (req, res, next) => {
+  const user = await User.findOne({ calendarFeedToken: hashFeedToken(req.params.token) });
+
+  if (!user) {
+    return next(new ErrorResponse('Calendar feed not found', 404));
+  }
+
+  const scope = await getCalendarScope(user);
+  if (!scope) {
+    return next(new ErrorResponse('Calendar feed not found', 404));
+  }
+
+  const forCustomer = user.role === 'customer';
+  const tenant = user.tenantId ? await Tenant.findById(user.tenantId).select('name settings') : null;
+  const timezone = isValidTimezone(tenant?.settings?.timezone) ? tenant.settings.timezone : DEFAULT_TIMEZONE;
+
+  const today = new Date(`${toDateKey(new Date())}T00:00:00Z`);
+  const windowStart = forCustomer ? today : new Date(today.getTime() - FEED_HISTORY_DAYS * DAY_MS);
+
+  const appointments = await Appointment.find({ ...scope.query, date: { $gte: windowStart } })
+    .populate('service', 'name category')
+    .populate(CUSTOMER_POPULATE)
+    .populate('property', 'address accessInstructions')
+    .sort({ date: 1 });
+
+  const events = [];
+
+  // Recurring bookings the user fully follows become one RRULE event
+  const seriesIds = [...new Set(appointments.filter(a => a.series).map(a => a.series.toString()))];
+  const seriesList = await AppointmentSeries.find({ _id: { $in: seriesIds } })
+    .populate('service', 'name category')
+    .populate(CUSTOMER_POPULATE)
+    .populate('property', 'address accessInstructions');
+  const coveredSeries = seriesList.filter(series => isInCalendarScope(user, scope, series));
+  const coveredIds = new Set(coveredSeries.map(series => series._id.toString()));
+
+  // Every occurrence of the covered series, loaded at once
+  const occurrencesBySeries = new Map();
+  const allOccurrences = await Appointment.find({ series: { $in: coveredSeries.map(series => series._id) } })
+    .populate('service', 'name category')
+    .populate(CUSTOMER_POPULATE)
+    .populate('property', 'address accessInstructions');
+  allOccurrences.forEach(occurrence => {
+    const key = occurrence.series.toString();
+    occurrencesBySeries.set(key, [...(occurrencesBySeries.get(key) || []), occurrence]);
+  });
+
+  for (const series of coveredSeries) {
+    const uid = buildUid('series', series._id);
+    const occurrences = occurrencesBySeries.get(series._id.toString()) || [];
+
+    const exdates = [...(series.skipDates || [])];
+    const overrides = [];
+
+    occurrences.forEach(occurrence => {
+      const occurrenceDate = occurrence.occurrenceDate || occurrence.date;
+      if (INACTIVE_STATUSES.includes(occurrence.status) || !isInCalendarScope(user, scope, occurrence)) {
+        exdates.push(occurrenceDate);
+        return;
+      }
+
+      const moved = toDateKey(occurrence.date) !== toDateKey(occurrenceDate) ||
+        occurrence.timeSlot.startTime !== series.timeSlot.startTime ||
+        occurrence.timeSlot.endTime !== series.timeSlot.endTime;
+      if (moved || occurrence.isSeriesException || occurrence.status !== 'Pending') {
+        overrides.push({
+          ...describeBooking(occurrence, { forCustomer }),
+          uid,
+          date: occurrence.date,
+          startTime: occurrence.timeSlot.startTime,
+          endTime: occurrence.timeSlot.endTime,
+          timezone,
+          status: occurrence.status,
+          updatedAt: occurrence.updatedAt,
+          recurrenceId: occurrenceDate,
+          recurrenceTime: series.timeSlot.startTime
+        });
+      }
+    });
+
+    events.push({
+      ...describeBooking(series, { forCustomer }),
+      uid,
+      date: series.startDate,
+      startTime: series.timeSlot.startTime,
+      endTime: series.timeSlot.endTime,
+      timezone,
+      status: series.status === 'Cancelled' ? 'Cancelled' : 'Pending',
+      updatedAt: series.updatedAt,
+      rrule: buildRRule(series),
+      exdates
+    }, ...overrides);
+  }
+
+  // Everything else is a single event
+  appointments
+    .filter(appointment => !appointment.series || !coveredIds.has(appointment.series.toString()))
+    .forEach(appointment => {
+      events.push({
+        ...describeBooking(appointment, { forCustomer }),
+        uid: buildUid('appointment', appointment._id),
+        date: appointment.date,
+        startTime: appointment.timeSlot.startTime,
+        endTime: appointment.timeSlot.endTime,
+        timezone,
+        status: appointment.status,
+        updatedAt: appointment.updatedAt
+      });
+    });
+
+  const calendarName = forCustomer
+    ? `${tenant?.name || 'Landscaping'} visits`
+    : `${tenant?.name || 'Landscaping'} - ${user.role === 'tenantAdmin' ? 'All appointments' : user.name}`;
+
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', 'inline; filename="appointments.ics"');
+  res.status(200).send(buildCalendar({ name: calendarName, timezone, events }));
+});
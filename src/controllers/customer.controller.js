@@ -1319,10 +1319,16 @@ exports.getCustomerHistory = asyncHandler(async (req, res, next) => {
   const customer = await Customer.findById(req.params.id)
     .populate({
       path: 'appointments',
-      populate: {
-        path: 'service',
-        select: 'name category'
-      },
+      populate: [
+        {
+          path: 'service',
+          select: 'name category'
+        },
+        {
+          path: 'checklist.completedBy',
+          select: 'name'
+        }
+      ],
       options: { sort: { date: -1 } }
     });
 
@@ -1346,10 +1352,16 @@ exports.getMyServiceHistory = asyncHandler(async (req, res, next) => {
   const customer = await Customer.findOne({ user: req.user.id })
     .populate({
       path: 'appointments',
-      populate: {
-        path: 'service',
-        select: 'name category'
-      },
+      populate: [
+        {
+          path: 'service',
+          select: 'name category'
+        },
+        {
+          path: 'checklist.completedBy',
+          select: 'name'
+        }
+      ],
       options: { sort: { date: -1 } }
     });
 
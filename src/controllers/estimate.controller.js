@@ -8,6 +8,17 @@ const cloudinary = require('../utils/cloudinary');
 const sendEmail = require('../utils/sendEmail');
 const Service = require('../models/service.model');
 const tenantContext = require('../utils/tenantContext');
+const { priceEstimatePackages } = require('../utils/pricing');
+const { getRevision, diffRevisions, pinApproval, applyEstimateChanges } = require('../utils/estimateRevisions');
+const {
+  hashApprovalToken,
+  sendApprovalLink,
+  priceAcceptedPackage,
+  formatPublicEstimate,
+  notifyEstimateResponse
+} = require('../utils/estimateApproval');
+const { getClientIp } = require('../utils/requestIp');
+const { loadPdfEstimate, generateEstimatePdf } = require('../utils/estimatePdf');
 
 // controllers/estimate.controller.js
 
@@ -113,9 +124,7 @@ exports.createEstimate = asyncHandler(async (req, res, next) => {
   // Add user as creator and tenant context
   req.body.createdBy = req.user.id;
   const store = tenantContext.getStore();
-  if (store?.tenantId) {
-    req.body.tenant = store.tenantId;
-  }
+  req.body.tenant = store?.tenantId || req.user.tenantId;
 
   // Check customer exists
   const customer = await Customer.findById(req.body.customer);
@@ -130,6 +139,16 @@ exports.createEstimate = asyncHandler(async (req, res, next) => {
     req.body.expiryDate = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
   }
 
+  // Package totals come from the pricing engine and the tenant's tax rate
+  if (req.body.packages) {
+    req.body.packages = await priceEstimatePackages({
+      tenantId: req.body.tenant,
+      packages: req.body.packages,
+      services: req.body.services,
+      propertySize: req.body.property?.size
+    });
+  }
+
   const estimate = await Estimate.create(req.body);
 
   res.status(201).json({
@@ -175,47 +194,6 @@ exports.createEstimate = asyncHandler(async (req, res, next) => {
 // });
 
 
-exports.updateEstimate = asyncHandler(async (req, res, next) => {
-  let estimate = await Estimate.findById(req.params.id).populate('services.service');
-
-  if (!estimate) {
-    return next(new ErrorResponse(`Estimate not found with id of ${req.params.id}`, 404));
-  }
-
-  // Make sure user is admin
-  if (req.user.role !== 'admin') {
-    return next(new ErrorResponse(`Not authorized to update this estimate`, 403));
-  }
-
-  // Update service names if they changed
-  for (const serviceItem of req.body.services) {
-    if (serviceItem.service.name) {
-      await Service.findByIdAndUpdate(
-        serviceItem.service._id,
-        { name: serviceItem.service.name },
-        { new: true }
-      );
-    }
-  }
-
-  // Update the estimate
-  estimate = await Estimate.findByIdAndUpdate(
-    req.params.id, 
-    req.body, 
-    {
-      new: true,
-      runValidators: true
-    }
-  ).populate('services.service');
-
-  res.status(200).json({
-    success: true,
-    data: estimate
-  });
-});
-
-
-
 // @desc    Delete estimate
 // @route   DELETE /api/v1/estimates/:id
 // @access  Private/Admin
@@ -542,26 +520,62 @@ exports.getMyEstimates = asyncHandler(async (req, res, next) => {
 
 
 
+// Tenant staff see their company's estimates, customers their own
+const loadEstimate = async (req, next) => {
+  const estimate = await Estimate.findById(req.params.id);
+
+  if (!estimate) {
+    next(new ErrorResponse(`Estimate not found with id of ${req.params.id}`, 404));
+    return null;
+  }
+
+  if (req.user.role === 'customer') {
+    const customer = await Customer.findOne({ user: req.user.id });
+    if (!customer || estimate.customer.toString() !== customer._id.toString()) {
+      next(new ErrorResponse(`Not authorized to access this estimate`, 403));
+      return null;
+    }
+  } else if (req.user.role !== 'superAdmin' && !estimate.belongsToTenant(req.user.tenantId)) {
+    next(new ErrorResponse(`Estimate not found with id of ${req.params.id}`, 404));
+    return null;
+  }
+
+  return estimate;
+};
+
 // @desc    Update estimate
 // @route   PUT /api/v1/estimates/:id
 // @access  Private/Admin
 exports.approveEstimate = asyncHandler(async (req, res, next) => {
-  let estimate = await Estimate.findById(req.params.id).populate('customer', 'user phone');
-
-  if (!estimate) {
-    return next(
-      new ErrorResponse(`Estimate not found with id of ${req.params.id}`, 404)
-    );
+  const estimate = await loadEstimate(req, next);
+  if (!estimate) return;
+
+  // Package totals come from the pricing engine and the tenant's tax rate
+  if (req.body.packages) {
+    req.body.packages = await priceEstimatePackages({
+      tenantId: estimate.tenant,
+      packages: req.body.packages,
+      services: req.body.services || estimate.services,
+      propertySize: req.body.property?.size ?? estimate.property?.size
+    });
   }
 
-  // Check if status is being updated to Approved
-  const isApproving = req.body.status === 'Approved' && estimate.status !== 'Approved';
+  // Changes to a quote the customer has seen become a new revision; approval pins one
+  const { revision, revisionNote, ...changes } = req.body;
+  const { approving: isApproving, sending } = applyEstimateChanges(estimate, changes, {
+    user: req.user,
+    note: revisionNote,
+    revision
+  });
+  const approvalToken = sending ? estimate.getApprovalToken() : null;
+  await estimate.save();
+
+  // Sending the quote gives the customer a link to accept it
+  if (approvalToken) {
+    await sendApprovalLink(estimate, approvalToken);
+  }
 
-  // Update estimate
-  estimate = await Estimate.findByIdAndUpdate(req.params.id, req.body, {
-    new: true,
-    runValidators: true
-  }).populate({
+  await estimate.populate({
     path: 'customer',
     populate: {
       path: 'user',
@@ -575,12 +589,12 @@ exports.approveEstimate = asyncHandler(async (req, res, next) => {
       await sendEmail({
         email: estimate.customer.user.email,
         subject: 'Your Estimate Has Been Approved',
-        message: `Dear ${estimate.customer.user.name},\n\nYour estimate #${estimate.estimateNumber} has been approved by our team.\n\nThank you for choosing our services!\n\nBest regards,\nThe Landscaping Team`,
+        message: `Dear ${estimate.customer.user.name},\n\nYour estimate #${estimate.estimateNumber} (revision ${estimate.approvedRevision}) has been approved by our team.\n\nThank you for choosing our services!\n\nBest regards,\nThe Landscaping Team`,
         html: `
           <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
             <h2 style="color: #2d3748;">Estimate Approved</h2>
             <p>Dear ${estimate.customer.user.name},</p>
-            <p>Your estimate <strong>#${estimate.estimateNumber}</strong> has been approved by our team.</p>
+            <p>Your estimate <strong>#${estimate.estimateNumber}</strong> (revision ${estimate.approvedRevision}) has been approved by our team.</p>
             <p>Thank you for choosing our services!</p>
             <p style="margin-top: 30px;">Best regards,<br>The Landscaping Team</p>
           </div>
@@ -596,4 +610,261 @@ exports.approveEstimate = asyncHandler(async (req, res, next) => {
     success: true,
     data: estimate
   });
-});
\ No newline at end of file
+});
+
+
+// @desc    List the revisions of an estimate
+// @route   GET /api/v1/estimates/:id/revisions
+// @access  Private
+exports.getEstimateRevisions = asyncHandler(async (req, res, next) => {
+  const estimate = await loadEstimate(req, next);
+  if (!estimate) return;
+
+  const data = estimate.revisions.map(revision => ({
+    number: revision.number,
+    note: revision.note,
+    createdAt: revision.createdAt,
+    createdBy: revision.createdBy,
+    totals: revision.packages.map(pkg => ({ name: pkg.name, total: pkg.total })),
+    current: revision.number === estimate.currentRevision,
+    approved: revision.number === estimate.approvedRevision
+  }));
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    currentRevision: estimate.currentRevision,
+    approvedRevision: estimate.approvedRevision,
+    data
+  });
+});
+
+// @desc    Compare two revisions; defaults to the latest against the one before it
+// @route   GET /api/v1/estimates/:id/revisions/diff?from=&to=
+// @access  Private
+exports.getEstimateRevisionDiff = asyncHandler(async (req, res, next) => {
+  const estimate = await loadEstimate(req, next);
+  if (!estimate) return;
+
+  if (estimate.revisions.length === 0) {
+    return next(new ErrorResponse(`Estimate ${estimate.estimateNumber} has not been sent yet`, 400));
+  }
+
+  const to = getRevision(estimate, req.query.to || estimate.currentRevision);
+  const from = getRevision(estimate, req.query.from || Math.max(to.number - 1, 1));
+
+  res.status(200).json({
+    success: true,
+    data: diffRevisions(from, to)
+  });
+});
+
+// @desc    Get one revision of an estimate
+// @route   GET /api/v1/estimates/:id/revisions/:number
+// @access  Private
+exports.getEstimateRevision = asyncHandler(async (req, res, next) => {
+  const estimate = await loadEstimate(req, next);
+  if (!estimate) return;
+
+  res.status(200).json({
+    success: true,
+    data: getRevision(estimate, req.params.number)
+  });
+});
+
+const sendEstimatePdf = async (res, estimateId) => {
+  const estimate = await loadPdfEstimate(estimateId);
+  const pdf = await generateEstimatePdf(estimate);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename=estimate-${estimate.estimateNumber}.pdf`);
+  res.send(pdf);
+};
+
+// @desc    Download the estimate as a branded PDF
+// @route   GET /api/v1/estimates/:id/pdf
+// @access  Private
+exports.getEstimatePdf = asyncHandler(async (req, res, next) => {
+  const estimate = await loadEstimate(req, next);
+  if (!estimate) return;
+
+  await sendEstimatePdf(res, estimate._id);
+});
+
+// @desc    Email the customer a new link to review and accept the estimate
+// @route   POST /api/v1/estimates/:id/approval-link
+// @access  Private/TenantAdmin
+exports.createApprovalLink = asyncHandler(async (req, res, next) => {
+  const estimate = await loadEstimate(req, next);
+  if (!estimate) return;
+
+  if (!['Prepared', 'Sent'].includes(estimate.status)) {
+    return next(new ErrorResponse(`Only prepared or sent estimates can be offered for approval; this one is ${estimate.status}`, 400));
+  }
+  if (estimate.packages.length === 0) {
+    return next(new ErrorResponse('Add at least one package before sending the estimate', 400));
+  }
+
+  // Sending a prepared estimate records it as revision 1; any earlier link stops working
+  applyEstimateChanges(estimate, { status: 'Sent' }, { user: req.user });
+  const approvalToken = estimate.getApprovalToken();
+  await estimate.save();
+
+  const url = await sendApprovalLink(estimate, approvalToken);
+
+  res.status(201).json({
+    success: true,
+    data: {
+      url,
+      revision: estimate.currentRevision,
+      expiryDate: estimate.expiryDate
+    }
+  });
+});
+
+// Load an estimate by its approval token; the link only works while the quote is valid
+const findEstimateByToken = async (token, next) => {
+  const estimate = await Estimate.findOne({ approvalToken: hashApprovalToken(token) })
+    .populate({
+      path: 'customer',
+      select: 'user',
+      populate: { path: 'user', select: 'name' }
+    })
+    .populate('tenant', 'name subdomain');
+
+  if (!estimate) {
+    next(new ErrorResponse('Estimate not found', 404));
+    return null;
+  }
+
+  const lapsed = estimate.status === 'Sent' && estimate.expiryDate && estimate.expiryDate <= new Date();
+  if (estimate.status === 'Expired' || lapsed) {
+    next(new ErrorResponse('This estimate has expired; please ask us for an updated quote', 410));
+    return null;
+  }
+
+  return estimate;
+};
+
+const checkAwaitingResponse = (estimate, next) => {
+  if (estimate.status !== 'Sent') {
+    next(new ErrorResponse(`This estimate has already been ${estimate.status.toLowerCase()}`, 409));
+    return false;
+  }
+  return true;
+};
+
+// @desc    View an estimate from its approval link
+// @route   GET /api/v1/estimates/public/:token
+// @access  Public (approval token)
+exports.getPublicEstimate = asyncHandler(async (req, res, next) => {
+  const estimate = await findEstimateByToken(req.params.token, next);
+  if (!estimate) return;
+
+  res.status(200).json({
+    success: true,
+    data: formatPublicEstimate(estimate)
+  });
+});
+
+// @desc    Download the estimate PDF from its approval link
+// @route   GET /api/v1/estimates/public/:token/pdf
+// @access  Public (approval token)
+exports.getPublicEstimatePdf = asyncHandler(async (req, res, next) => {
+  const estimate = await findEstimateByToken(req.params.token, next);
+  if (!estimate) return;
+
+  await sendEstimatePdf(res, estimate._id);
+});
+
+// @desc    Accept a package of the estimate with a typed or drawn signature
+// @route   POST /api/v1/estimates/public/:token/accept
+// @access  Public (approval token)
+exports.acceptPublicEstimate = asyncHandler(async (req, res, next) => {
+  const { packageName, revision, optionalItems, signedBy, signature } = req.body;
+
+  if (!packageName) {
+    return next(new ErrorResponse('Please choose a package to accept', 400));
+  }
+  if (!signedBy?.trim()) {
+    return next(new ErrorResponse('Please type your full name to sign', 400));
+  }
+  if (signature && !/^data:image\/(png|jpe?g);base64,/.test(signature)) {
+    return next(new ErrorResponse('Please provide the drawn signature as a PNG or JPEG data URL', 400));
+  }
+  if (optionalItems !== undefined && !Array.isArray(optionalItems)) {
+    return next(new ErrorResponse('optionalItems must be a list of line item ids', 400));
+  }
+
+  const estimate = await findEstimateByToken(req.params.token, next);
+  if (!estimate) return;
+  if (!checkAwaitingResponse(estimate, next)) return;
+
+  // Refuses a revision that has since been replaced, or a package it does not have
+  const pinned = pinApproval(estimate, { revision, packageName });
+  const pricing = priceAcceptedPackage(pinned.packages.find(pkg => pkg.name === packageName), optionalItems);
+
+  let imageUrl;
+  if (signature) {
+    try {
+      const upload = await cloudinary.uploader.upload(signature, {
+        folder: `landscaping/estimates/${estimate._id}/signature`,
+        resource_type: 'image'
+      });
+      imageUrl = upload.secure_url;
+    } catch (err) {
+      return next(new ErrorResponse(`Problem with signature upload: ${err.message}`, 500));
+    }
+  }
+
+  estimate.status = 'Approved';
+  estimate.customerResponse = {
+    decision: 'Accepted',
+    revision: pinned.number,
+    packageName,
+    ...pricing,
+    signature: {
+      method: imageUrl ? 'drawn' : 'typed',
+      name: signedBy.trim(),
+      imageUrl
+    },
+    ip: getClientIp(req),
+    userAgent: req.get('user-agent'),
+    respondedAt: estimate.approvedAt
+  };
+  await estimate.save();
+
+  await notifyEstimateResponse(estimate);
+
+  res.status(200).json({
+    success: true,
+    data: formatPublicEstimate(estimate)
+  });
+});
+
+// @desc    Decline the estimate
+// @route   POST /api/v1/estimates/public/:token/decline
+// @access  Public (approval token)
+exports.declinePublicEstimate = asyncHandler(async (req, res, next) => {
+  const estimate = await findEstimateByToken(req.params.token, next);
+  if (!estimate) return;
+  if (!checkAwaitingResponse(estimate, next)) return;
+
+  estimate.status = 'Declined';
+  estimate.customerResponse = {
+    decision: 'Declined',
+    revision: estimate.currentRevision,
+    reason: req.body.reason,
+    ip: getClientIp(req),
+    userAgent: req.get('user-agent'),
+    respondedAt: new Date()
+  };
+  await estimate.save();
+
+  await notifyEstimateResponse(estimate);
+
+  res.status(200).json({
+    success: true,
+    data: formatPublicEstimate(estimate)
+  });
+});
@@ -0,0 +1,273 @@
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middlewares/async');
+const Material = require('../models/material.model');
+const Appointment = require('../models/appointment.model');
+const { CREW_ROLES } = require('../utils/calendarScope');
+const { getCrewIds } = require('../utils/schedulingConflicts');
+const { checkLowStock, logMaterialUsage, removeMaterialUsage } = require('../utils/materials');
+
+// Stock levels change through the stock endpoint and job usage, never by plain edits
+const EDITABLE_FIELDS = [
+  'name',
+  'category',
+  'unit',
+  'unitCost',
+  'unitPrice',
+  'billable',
+  'lowStockThreshold',
+  'isActive'
+];
+
+const STOCK_ADJUSTMENT_REASONS = ['Restock', 'Correction', 'Waste'];
+
+const pickMaterialFields = (body) => EDITABLE_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) {
+    fields[key] = body[key];
+  }
+  return fields;
+}, {});
+
+const loadMaterial = async (req, next) => {
+  const material = await Material.findById(req.params.id);
+
+  if (!material || !material.belongsToTenant(req.user.tenantId)) {
+    next(new ErrorResponse(`Material not found with id of ${req.params.id}`, 404));
+    return null;
+  }
+
+  return material;
+};
+
+// Crew may only log materials on jobs they are assigned to
+const loadJob = async (req, next) => {
+  const appointment = await Appointment.findById(req.params.id);
+
+  if (!appointment || !appointment.belongsToTenant(req.user.tenantId)) {
+    next(new ErrorResponse(`Appointment not found with id of ${req.params.id}`, 404));
+    return null;
+  }
+
+  if (CREW_ROLES.includes(req.user.role) && !getCrewIds(appointment.crew).includes(req.user.id)) {
+    next(new ErrorResponse('You are not assigned to this appointment', 403));
+    return null;
+  }
+
+  return appointment;
+};
+
+// @desc    Get materials catalog
+// @route   GET /api/v1/materials?category=&lowStock=true&search=&includeInactive=true
+// @access  Private/TenantAdmin/Crew
+exports.getMaterials = asyncHandler(async (req, res, next) => {
+  const { category, lowStock, search, includeInactive } = req.query;
+
+  const query = { tenant: req.user.tenantId };
+  if (includeInactive !== 'true') {
+    query.isActive = true;
+  }
+  if (category) {
+    query.category = category;
+  }
+  if (search) {
+    query.name = { $regex: search, $options: 'i' };
+  }
+  if (lowStock === 'true') {
+    query.$expr = { $lte: ['$quantityOnHand', '$lowStockThreshold'] };
+  }
+
+  const materials = await Material.find(query)
+    .select('-adjustments')
+    .sort({ category: 1, name: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: materials.length,
+    data: materials
+  });
+});
+
+// @desc    Get single material with its stock adjustments
+// @route   GET /api/v1/materials/:id
+// @access  Private/TenantAdmin/Crew
+exports.getMaterial = asyncHandler(async (req, res, next) => {
+  const material = await loadMaterial(req, next);
+  if (!material) return;
+
+  res.status(200).json({
+    success: true,
+    data: material
+  });
+});
+
+// @desc    Add a material to the catalog
+// @route   POST /api/v1/materials
+// @access  Private/TenantAdmin
+exports.createMaterial = asyncHandler(async (req, res, next) => {
+  const quantityOnHand = Number(req.body.quantityOnHand) || 0;
+
+  let material;
+  try {
+    material = await Material.create({
+      ...pickMaterialFields(req.body),
+      quantityOnHand,
+      adjustments: quantityOnHand > 0
+        ? [{ quantity: quantityOnHand, reason: 'Restock', note: 'Opening stock', adjustedBy: req.user.id }]
+        : [],
+      tenant: req.user.tenantId,
+      createdBy: req.user.id
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(new ErrorResponse(`A material named ${req.body.name} already exists`, 400));
+    }
+    throw error;
+  }
+
+  const lowStockAlert = await checkLowStock(material);
+
+  res.status(201).json({
+    success: true,
+    data: material,
+    lowStockAlert
+  });
+});
+
+// @desc    Update material details
+// @route   PUT /api/v1/materials/:id
+// @access  Private/TenantAdmin
+exports.updateMaterial = asyncHandler(async (req, res, next) => {
+  const material = await loadMaterial(req, next);
+  if (!material) return;
+
+  if (req.body.quantityOnHand !== undefined) {
+    return next(new ErrorResponse('Use the stock endpoint to change stock levels', 400));
+  }
+
+  material.set(pickMaterialFields(req.body));
+  try {
+    await material.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(new ErrorResponse(`A material named ${req.body.name} already exists`, 400));
+    }
+    throw error;
+  }
+
+  const lowStockAlert = await checkLowStock(material);
+
+  res.status(200).json({
+    success: true,
+    data: material,
+    lowStockAlert
+  });
+});
+
+// @desc    Retire a material; past usage on jobs keeps referring to it
+// @route   DELETE /api/v1/materials/:id
+// @access  Private/TenantAdmin
+exports.deleteMaterial = asyncHandler(async (req, res, next) => {
+  const material = await loadMaterial(req, next);
+  if (!material) return;
+
+  material.isActive = false;
+  await material.save();
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Restock, correct or write off stock
+// @route   POST /api/v1/materials/:id/stock
+// @access  Private/TenantAdmin
+exports.adjustStock = asyncHandler(async (req, res, next) => {
+  const material = await loadMaterial(req, next);
+  if (!material) return;
+
+  const reason = req.body.reason || 'Restock';
+  const quantity = Number(req.body.quantity);
+  if (!STOCK_ADJUSTMENT_REASONS.includes(reason)) {
+    return next(new ErrorResponse(`Reason must be one of ${STOCK_ADJUSTMENT_REASONS.join(', ')}`, 400));
+  }
+  if (!quantity) {
+    return next(new ErrorResponse('Please provide a non-zero quantity', 400));
+  }
+  if (reason === 'Restock' && quantity < 0) {
+    return next(new ErrorResponse('Restocks must add stock', 400));
+  }
+
+  // Applied atomically so concurrent job usage is not lost
+  const updated = await Material.findOneAndUpdate(
+    {
+      _id: material._id,
+      ...(quantity < 0 && { quantityOnHand: { $gte: -quantity } })
+    },
+    {
+      $inc: { quantityOnHand: quantity },
+      $push: {
+        adjustments: {
+          quantity,
+          reason,
+          note: req.body.note,
+          adjustedBy: req.user.id
+        }
+      },
+      ...(reason === 'Restock' && req.body.unitCost !== undefined && { $set: { unitCost: req.body.unitCost } })
+    },
+    { new: true, runValidators: true }
+  );
+  if (!updated) {
+    return next(new ErrorResponse(`Only ${material.quantityOnHand} ${material.unit} of ${material.name} in stock`, 400));
+  }
+
+  const lowStockAlert = await checkLowStock(updated);
+
+  res.status(200).json({
+    success: true,
+    data: updated,
+    lowStockAlert
+  });
+});
+
+// @desc    Log materials used on a job
+// @route   POST /api/v1/appointments/:id/materials
+// @access  Private/TenantAdmin/Crew
+exports.logAppointmentMaterial = asyncHandler(async (req, res, next) => {
+  const appointment = await loadJob(req, next);
+  if (!appointment) return;
+
+  const { usage, material, lowStockAlert } = await logMaterialUsage(appointment, {
+    materialId: req.body.material,
+    quantity: req.body.quantity,
+    user: req.user
+  });
+
+  res.status(201).json({
+    success: true,
+    data: usage,
+    stock: {
+      material: material._id,
+      quantityOnHand: material.quantityOnHand,
+      isLowStock: material.isLowStock
+    },
+    lowStockAlert,
+    pricing: appointment.pricing
+  });
+});
+
+// @desc    Remove a materials entry from a job and return it to stock
+// @route   DELETE /api/v1/appointments/:id/materials/:usageId
+// @access  Private/TenantAdmin/Crew
+exports.removeAppointmentMaterial = asyncHandler(async (req, res, next) => {
+  const appointment = await loadJob(req, next);
+  if (!appointment) return;
+
+  await removeMaterialUsage(appointment, req.params.usageId);
+
+  res.status(200).json({
+    success: true,
+    data: appointment.materialsUsed,
+    pricing: appointment.pricing
+  });
+});
@@ -2,6 +2,23 @@ const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middlewares/async');
 const User = require('../models/user.model');
 const Appointment = require('../models/appointment.model');
+const Service = require('../models/service.model');
+const {
+  findSchedulingConflicts,
+  sendConflictResponse,
+  isConflictOverride,
+  recordConflictOverride
+} = require('../utils/schedulingConflicts');
+const {
+  getWorkloadWeek,
+  getAppointmentWorkMinutes,
+  getMissingSkills,
+  planCrewAssignments,
+  applyCrewAssignments
+} = require('../utils/crewAssignment');
+const { getTenantTimezone, parseDateKey } = require('../utils/timezone');
+const { toUTCDate } = require('../utils/recurrence');
+const { publishCalendarChange, summarizeCalendarAppointment } = require('../utils/calendarEvents');
 
 // @desc    Get all professionals
 // @route   GET /api/v1/professionals
@@ -136,17 +153,8 @@ exports.getProfessionalWorkload = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Get current date
-  const today = new Date();
-  
-  // Get start and end dates for current week
-  const startOfWeek = new Date(today);
-  startOfWeek.setDate(today.getDate() - today.getDay()); // Sunday
-  startOfWeek.setHours(0, 0, 0, 0);
-  
-  const endOfWeek = new Date(startOfWeek);
-  endOfWeek.setDate(startOfWeek.getDate() + 6); // Saturday
-  endOfWeek.setHours(23, 59, 59, 999);
+  // Sunday to Saturday of the current week
+  const { startOfWeek, endOfWeek } = getWorkloadWeek(new Date());
 
   // Get all appointments for this professional in the current week
   const appointments = await Appointment.find({
@@ -160,13 +168,7 @@ exports.getProfessionalWorkload = asyncHandler(async (req, res, next) => {
   // Calculate total work hours
   let totalMinutes = 0;
   appointments.forEach(appointment => {
-    // If service has duration, use it
-    if (appointment.service && appointment.service.duration) {
-      totalMinutes += appointment.service.duration;
-    } else {
-      // Otherwise estimate 2 hours per appointment
-      totalMinutes += 120;
-    }
+    totalMinutes += getAppointmentWorkMinutes(appointment);
   });
 
   const totalHours = Math.round(totalMinutes / 60 * 10) / 10; // Round to 1 decimal place
@@ -185,17 +187,9 @@ exports.getProfessionalWorkload = asyncHandler(async (req, res, next) => {
   const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
   
   appointments.forEach(appointment => {
-    const day = days[new Date(appointment.date).getDay()];
+    const day = days[new Date(appointment.date).getUTCDay()];
     workloadByDay[day].count += 1;
-    
-    let appointmentHours = 0;
-    if (appointment.service && appointment.service.duration) {
-      appointmentHours = appointment.service.duration / 60;
-    } else {
-      appointmentHours = 2; // Default 2 hours
-    }
-    
-    workloadByDay[day].hours += appointmentHours;
+    workloadByDay[day].hours += getAppointmentWorkMinutes(appointment) / 60;
   });
 
   res.status(200).json({
@@ -241,48 +235,21 @@ exports.assignToAppointment = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Check if appointment date conflicts with professional's existing schedule
-  const appointmentDate = new Date(appointment.date);
-  const startOfDay = new Date(appointmentDate);
-  startOfDay.setHours(0, 0, 0, 0);
-  
-  const endOfDay = new Date(appointmentDate);
-  endOfDay.setHours(23, 59, 59, 999);
-
-  // Find professional's appointments for the same day
-  const existingAppointments = await Appointment.find({
-    $or: [
-      { 'crew.assignedTo': req.params.id },
-      { 'crew.leadProfessional': req.params.id }
-    ],
-    date: { $gte: startOfDay, $lte: endOfDay },
-    _id: { $ne: req.params.appointmentId } // Exclude current appointment
+  // Check the professional's overlapping jobs, travel buffer included
+  const conflicts = await findSchedulingConflicts({
+    tenantId: appointment.tenant,
+    date: appointment.date,
+    timeSlot: appointment.timeSlot,
+    crew: { assignedTo: [req.params.id] },
+    service: appointment.service,
+    excludeIds: [appointment._id]
   });
 
-  // Check for time conflicts
-  let hasConflict = false;
-  const appointmentStart = appointment.timeSlot.startTime;
-  const appointmentEnd = appointment.timeSlot.endTime;
-
-  existingAppointments.forEach(existingAppointment => {
-    const existingStart = existingAppointment.timeSlot.startTime;
-    const existingEnd = existingAppointment.timeSlot.endTime;
-
-    // Simple string comparison for time overlaps
-    if ((appointmentStart >= existingStart && appointmentStart < existingEnd) ||
-        (appointmentEnd > existingStart && appointmentEnd <= existingEnd) ||
-        (appointmentStart <= existingStart && appointmentEnd >= existingEnd)) {
-      hasConflict = true;
+  if (conflicts.length > 0) {
+    if (!isConflictOverride(req)) {
+      return sendConflictResponse(res, conflicts, { canOverride: true });
     }
-  });
-
-  if (hasConflict) {
-    return next(
-      new ErrorResponse(
-        `Professional has scheduling conflict on ${appointmentDate.toDateString()}`,
-        400
-      )
-    );
+    recordConflictOverride(appointment, req, conflicts);
   }
 
   // Determine if this is for lead professional or crew member
@@ -447,41 +414,21 @@ exports.updateAppointmentCrew = asyncHandler(async (req, res, next) => {
       });
     }
 
-    // Check for scheduling conflicts
-    const dateStr = new Date(appointment.date).toISOString().split('T')[0];
-    
-    // Check lead professional availability
-    const isLeadAvailable = await checkProfessionalAvailability(
-      leadProfessional,
-      dateStr,
-      appointment.timeSlot.startTime,
-      appointment.timeSlot.endTime,
-      appointment._id // exclude current appointment
-    );
-
-    if (!isLeadAvailable) {
-      return res.status(400).json({
-        success: false,
-        error: 'Lead professional is not available during this time slot'
-      });
-    }
-
-    // Check team members availability
-    for (const memberId of assignedTo || []) {
-      const isAvailable = await checkProfessionalAvailability(
-        memberId,
-        dateStr,
-        appointment.timeSlot.startTime,
-        appointment.timeSlot.endTime,
-        appointment._id // exclude current appointment
-      );
+    // Check the whole crew for overlapping jobs, travel buffer included
+    const conflicts = await findSchedulingConflicts({
+      tenantId: appointment.tenant,
+      date: appointment.date,
+      timeSlot: appointment.timeSlot,
+      crew: { leadProfessional, assignedTo },
+      service: appointment.service,
+      excludeIds: [appointment._id]
+    });
 
-      if (!isAvailable) {
-        return res.status(400).json({
-          success: false,
-          error: `Professional ${memberId} is not available during this time slot`
-        });
+    if (conflicts.length > 0) {
+      if (!isConflictOverride(req)) {
+        return sendConflictResponse(res, conflicts, { canOverride: true });
       }
+      recordConflictOverride(appointment, req, conflicts);
     }
 
     // Update the crew assignment
@@ -505,40 +452,11 @@ exports.updateAppointmentCrew = asyncHandler(async (req, res, next) => {
   }
 });
 
-// Helper function to check professional availability
-async function checkProfessionalAvailability(professionalId, date, startTime, endTime, excludeAppointmentId) {
-  // Check if the professional has any conflicting appointments
-  const conflictingAppointments = await Appointment.find({
-    'crew.leadProfessional': professionalId,
-    date: new Date(date),
-    'timeSlot.startTime': { $lt: endTime },
-    'timeSlot.endTime': { $gt: startTime },
-    _id: { $ne: excludeAppointmentId }
-  });
-
-  if (conflictingAppointments.length > 0) {
-    return false;
-  }
-
-  // Also check if they're assigned as team members in other appointments
-  const conflictingTeamAssignments = await Appointment.find({
-    'crew.assignedTo': professionalId,
-    date: new Date(date),
-    'timeSlot.startTime': { $lt: endTime },
-    'timeSlot.endTime': { $gt: startTime },
-    _id: { $ne: excludeAppointmentId }
-  });
-
-  return conflictingTeamAssignments.length === 0;
-}
-
-
-
 // @desc    Get all available professionals for a time slot
-// @route   GET /api/v1/professionals/available
+// @route   GET /api/v1/professionals/available?date=&startTime=&endTime=&service=&skills=
 // @access  Private/Admin
 exports.getAvailableProfessionals = asyncHandler(async (req, res, next) => {
-  const { date, startTime, endTime } = req.query;
+  const { date, startTime, endTime, service, skills } = req.query;
 
   if (!date || !startTime || !endTime) {
     return next(
@@ -546,8 +464,19 @@ exports.getAvailableProfessionals = asyncHandler(async (req, res, next) => {
     );
   }
 
+  // Only professionals with the skills the job needs
+  let requiredSkills = skills ? skills.split(',').map(skill => skill.trim()).filter(Boolean) : [];
+  if (service) {
+    const serviceDoc = await Service.findById(service).select('requiredSkills');
+    if (!serviceDoc) {
+      return next(new ErrorResponse(`Service not found with id of ${service}`, 404));
+    }
+    requiredSkills = [...requiredSkills, ...(serviceDoc.requiredSkills || [])];
+  }
+
   // Get all professionals
-  const professionals = await User.find({ role: 'professional' });
+  const professionals = (await User.find({ role: 'professional' }))
+    .filter(professional => getMissingSkills(professional, requiredSkills, new Date(date)).length === 0);
 
   const appointmentDate = new Date(date);
   const startOfDay = new Date(appointmentDate);
@@ -592,4 +521,54 @@ exports.getAvailableProfessionals = asyncHandler(async (req, res, next) => {
     count: availableProfessionals.length,
     data: availableProfessionals
   });
-}); 
\ No newline at end of file
+});
+
+// @desc    Assign qualified crew to a day's unassigned appointments
+// @route   POST /api/v1/professionals/auto-assign
+// @access  Private/TenantAdmin
+exports.autoAssignCrew = asyncHandler(async (req, res, next) => {
+  const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+  const timezone = await getTenantTimezone(req.user.tenantId);
+  const dateKey = req.body.date && parseDateKey(req.body.date, timezone);
+  if (!dateKey) {
+    return next(new ErrorResponse('Please provide the date to assign', 400));
+  }
+
+  const plan = await planCrewAssignments({ tenantId: req.user.tenantId, date: toUTCDate(dateKey) });
+
+  let assigned = plan.filter(entry => entry.assignedTo).length;
+  if (!dryRun && assigned > 0) {
+    const applied = await applyCrewAssignments(plan);
+    assigned = applied.length;
+
+    publishCalendarChange(req.user.tenantId, {
+      type: 'updated',
+      changedBy: req.user.id,
+      appointments: applied.map(entry => summarizeCalendarAppointment(entry.appointment))
+    });
+  }
+
+  const data = plan.map(entry => ({
+    appointment: entry.appointment._id,
+    service: entry.appointment.service?.name,
+    timeSlot: {
+      startTime: entry.appointment.timeSlot.startTime,
+      endTime: entry.appointment.timeSlot.endTime
+    },
+    requiredSkills: entry.requiredSkills,
+    assignedTo: entry.assignedTo,
+    reason: entry.reason,
+    candidates: entry.candidates
+  }));
+
+  res.status(200).json({
+    success: true,
+    dryRun,
+    date: dateKey,
+    count: data.length,
+    assigned,
+    unassigned: data.length - assigned,
+    data
+  });
+});
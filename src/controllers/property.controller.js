@@ -2,6 +2,7 @@ const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middlewares/async');
 const Property = require('../models/property.model');
 const Customer = require('../models/customer.model');
+const Appointment = require('../models/appointment.model');
 const cloudinary = require('cloudinary').v2;
 const { Readable } = require('stream');
 const crypto = require('crypto');
@@ -204,6 +205,16 @@ exports.deleteProperty = asyncHandler(async (req, res, next) => {
     }
   }
 
+  // Crews still need the address and access instructions for booked visits
+  const upcoming = await Appointment.countDocuments({
+    property: property._id,
+    date: { $gte: new Date(new Date().setUTCHours(0, 0, 0, 0)) },
+    status: { $nin: ['Completed', 'Cancelled', 'Rejected'] }
+  });
+  if (upcoming > 0) {
+    return next(new ErrorResponse(`This property has ${upcoming} upcoming appointment(s); cancel or move them first`, 400));
+  }
+
   // Delete all images from cloudinary
   if (property.images && property.images.length > 0) {
     for (const image of property.images) {
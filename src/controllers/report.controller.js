@@ -5,13 +5,19 @@ const Payment = require('../models/payment.model');
 const Appointment = require('../models/appointment.model');
 const Customer = require('../models/customer.model');
 const Service = require('../models/service.model');
+const { toUTCDate } = require('../utils/recurrence');
+const { getTenantTimezone, parseDateKey, getZonedDayRange } = require('../utils/timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 // Helper to format date
-const formatDate = (date) => {
+// Appointment dates are stored as UTC midnight of the local day, so UTC is the default
+const formatDate = (date, timeZone = 'UTC') => {
   return new Date(date).toLocaleDateString('en-US', {
     year: 'numeric',
     month: 'short',
-    day: 'numeric'
+    day: 'numeric',
+    timeZone
   });
 };
 
@@ -30,16 +36,20 @@ exports.generateRevenueReport = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Please provide start and end dates', 400));
   }
   
-  const start = new Date(startDate);
-  const end = new Date(endDate);
-  
-  // Add one day to end date to include the full day
-  end.setDate(end.getDate() + 1);
+  // The range covers whole days in the tenant's timezone
+  const timezone = await getTenantTimezone(req.user.tenantId);
+  const startKey = parseDateKey(startDate, timezone);
+  const endKey = parseDateKey(endDate, timezone);
+  if (!startKey || !endKey) {
+    return next(new ErrorResponse('Please provide valid start and end dates', 400));
+  }
   
-  if (start > end) {
+  if (startKey > endKey) {
     return next(new ErrorResponse('Start date must be before end date', 400));
   }
   
+  const { start, end } = getZonedDayRange(startKey, endKey, timezone);
+  
   // Query for completed payments in date range
   const payments = await Payment.find({
     status: 'completed',
@@ -94,7 +104,7 @@ exports.generateRevenueReport = asyncHandler(async (req, res, next) => {
     doc.fontSize(25).text('Revenue Report', { align: 'center' });
     doc.moveDown();
     
-    doc.fontSize(12).text(`Date Range: ${formatDate(start)} to ${formatDate(end)}`, { align: 'center' });
+    doc.fontSize(12).text(`Date Range: ${formatDate(toUTCDate(startKey))} to ${formatDate(toUTCDate(endKey))}`, { align: 'center' });
     doc.moveDown();
     
     doc.fontSize(16).text(`Total Revenue: ${formatCurrency(totalRevenue)}`, { align: 'center' });
@@ -136,7 +146,7 @@ exports.generateRevenueReport = asyncHandler(async (req, res, next) => {
       }
       
       doc.fontSize(9)
-        .text(formatDate(payment.createdAt), 50, y)
+        .text(formatDate(payment.createdAt, timezone), 50, y)
         .text(customerName, 150, y)
         .text(serviceName, 250, y)
         .text(formatCurrency(payment.amount), 380, y, { width: 90, align: 'right' })
@@ -153,14 +163,14 @@ exports.generateRevenueReport = asyncHandler(async (req, res, next) => {
       success: true,
       data: {
         dateRange: {
-          start: formatDate(start),
-          end: formatDate(end)
+          start: formatDate(toUTCDate(startKey)),
+          end: formatDate(toUTCDate(endKey))
         },
         totalRevenue,
         revenueByCategory,
         payments: payments.map(payment => ({
           id: payment._id,
-          date: formatDate(payment.createdAt),
+          date: formatDate(payment.createdAt, timezone),
           amount: payment.amount,
           customer: payment.customer && payment.customer.user ? payment.customer.user.name : 'N/A',
           service: payment.appointment && payment.appointment.service ? payment.appointment.service.name : 'N/A',
@@ -182,16 +192,21 @@ exports.generateAppointmentReport = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Please provide start and end dates', 400));
   }
   
-  const start = new Date(startDate);
-  const end = new Date(endDate);
-  
-  // Add one day to end date to include the full day
-  end.setDate(end.getDate() + 1);
+  // Appointment dates are local days, so the keys are compared as-is
+  const timezone = await getTenantTimezone(req.user.tenantId);
+  const startKey = parseDateKey(startDate, timezone);
+  const endKey = parseDateKey(endDate, timezone);
+  if (!startKey || !endKey) {
+    return next(new ErrorResponse('Please provide valid start and end dates', 400));
+  }
   
-  if (start > end) {
+  if (startKey > endKey) {
     return next(new ErrorResponse('Start date must be before end date', 400));
   }
   
+  const start = toUTCDate(startKey);
+  const end = new Date(toUTCDate(endKey).getTime() + DAY_MS);
+  
   // Build query
   const query = {
     date: { $gte: start, $lt: end }
@@ -253,7 +268,7 @@ exports.generateAppointmentReport = asyncHandler(async (req, res, next) => {
     doc.fontSize(25).text('Appointment Report', { align: 'center' });
     doc.moveDown();
     
-    doc.fontSize(12).text(`Date Range: ${formatDate(start)} to ${formatDate(end)}`, { align: 'center' });
+    doc.fontSize(12).text(`Date Range: ${formatDate(toUTCDate(startKey))} to ${formatDate(toUTCDate(endKey))}`, { align: 'center' });
     if (status) {
       doc.text(`Status: ${status}`, { align: 'center' });
     }
@@ -327,8 +342,8 @@ exports.generateAppointmentReport = asyncHandler(async (req, res, next) => {
       success: true,
       data: {
         dateRange: {
-          start: formatDate(start),
-          end: formatDate(end)
+          start: formatDate(toUTCDate(startKey)),
+          end: formatDate(toUTCDate(endKey))
         },
         totalAppointments: appointments.length,
         appointmentsByStatus,
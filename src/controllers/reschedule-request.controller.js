@@ -0,0 +1,449 @@
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middlewares/async');
+const RescheduleRequest = require('../models/reschedule-request.model');
+const Appointment = require('../models/appointment.model');
+const Customer = require('../models/customer.model');
+const { toUTCDate } = require('../utils/recurrence');
+const { timeToMinutes, minutesToTime } = require('../utils/availability');
+const { getTenantTimezone, parseDateKey } = require('../utils/timezone');
+const {
+  checkSlotForAppointment,
+  sendConflictResponse,
+  isConflictOverride,
+  recordConflictOverride
+} = require('../utils/schedulingConflicts');
+const sendEmail = require('../utils/sendEmail');
+const notifyTenantAdmins = require('../utils/notifyTenantAdmins');
+
+// Requests still waiting on someone
+const OPEN_STATUSES = ['Pending', 'Countered'];
+
+// Appointments that can no longer be moved
+const LOCKED_APPOINTMENT_STATUSES = ['In Progress', 'Completed', 'Cancelled', 'Rejected'];
+
+const REQUEST_POPULATE = [
+  {
+    path: 'appointment',
+    select: 'date timeSlot status service series',
+    populate: {
+      path: 'service',
+      select: 'name'
+    }
+  },
+  {
+    path: 'customer',
+    select: 'user',
+    populate: {
+      path: 'user',
+      select: 'name email phone'
+    }
+  }
+];
+
+/**
+ * Read a slot from a request body
+ * Accepts { date, startTime, endTime } or the legacy
+ * { requestedDate, requestedTime: 'HH:MM - HH:MM' }. A missing end time is
+ * derived from the appointment's duration. The date is a day in the tenant's timezone.
+ * @returns {{ date: Date, timeSlot: { startTime: String, endTime: String } }|null}
+ */
+const parseSlot = (body, appointment, timezone) => {
+  const date = body.date || body.requestedDate;
+  let { startTime, endTime } = body;
+
+  if (body.requestedTime) {
+    [startTime, endTime] = body.requestedTime.split('-').map(t => t.trim());
+  }
+
+  const dateKey = parseDateKey(date, timezone);
+  if (!dateKey || !startTime) {
+    return null;
+  }
+
+  if (!endTime) {
+    const [currentStart, currentEnd] = [appointment.timeSlot.startTime, appointment.timeSlot.endTime].map(timeToMinutes);
+    endTime = minutesToTime(timeToMinutes(startTime) + (currentEnd - currentStart));
+  }
+
+  return {
+    date: toUTCDate(dateKey),
+    timeSlot: { startTime, endTime }
+  };
+};
+
+const formatSlot = (slot) => `${new Date(slot.date).toLocaleDateString('en-US', {
+  weekday: 'long',
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric',
+  timeZone: 'UTC'
+})}, ${slot.timeSlot.startTime} - ${slot.timeSlot.endTime}`;
+
+// Reply to an unavailable slot: 409 with conflicts, 400 for closed days and bad times
+const rejectSlot = (res, next, check, options) => {
+  if (check.conflicts.length > 0) {
+    return sendConflictResponse(res, check.conflicts, options);
+  }
+  return next(new ErrorResponse(check.reason, 400));
+};
+
+const notifyCustomer = async (request, subject, message) => {
+  try {
+    const customer = await Customer.findById(request.customer._id || request.customer).populate('user', 'email');
+    if (customer && customer.user && customer.user.email) {
+      await sendEmail({
+        email: customer.user.email,
+        subject,
+        message
+      });
+    }
+  } catch (err) {
+    console.error('Reschedule notification failed:', err.message);
+  }
+};
+
+/**
+ * Move the appointment to an agreed slot (not saved)
+ */
+const applySlot = (appointment, slot) => {
+  appointment.date = slot.date;
+  appointment.timeSlot = {
+    startTime: slot.timeSlot.startTime,
+    endTime: slot.timeSlot.endTime
+  };
+  if (appointment.series) {
+    // Keep series-wide edits from moving it back
+    appointment.isSeriesException = true;
+  }
+};
+
+const findCustomerForUser = (userId) => Customer.findOne({ user: userId });
+
+// Load a request the caller is allowed to act on
+const loadRequest = async (req, next) => {
+  const request = await RescheduleRequest.findById(req.params.requestId).populate(REQUEST_POPULATE);
+
+  if (!request) {
+    next(new ErrorResponse(`Reschedule request not found with id of ${req.params.requestId}`, 404));
+    return null;
+  }
+
+  if (req.user.role === 'customer') {
+    const customer = await findCustomerForUser(req.user.id);
+    if (!customer || request.customer._id.toString() !== customer._id.toString()) {
+      next(new ErrorResponse('Not authorized to access this reschedule request', 403));
+      return null;
+    }
+  } else if (!request.belongsToTenant(req.user.tenantId)) {
+    next(new ErrorResponse('Not authorized to access this reschedule request', 403));
+    return null;
+  }
+
+  return request;
+};
+
+// @desc    Request reschedule (Customer)
+// @route   PUT /api/v1/appointments/:id/reschedule-request
+// @access  Private/Customer
+exports.requestReschedule = asyncHandler(async (req, res, next) => {
+  const appointment = await Appointment.findById(req.params.id).populate('service', 'name');
+
+  if (!appointment) {
+    return next(new ErrorResponse(`Appointment not found with id of ${req.params.id}`, 404));
+  }
+
+  // Verify customer owns this appointment
+  const customer = await findCustomerForUser(req.user.id);
+  if (!customer || appointment.customer.toString() !== customer._id.toString()) {
+    return next(new ErrorResponse(`Not authorized to reschedule this appointment`, 403));
+  }
+
+  if (LOCKED_APPOINTMENT_STATUSES.includes(appointment.status)) {
+    return next(new ErrorResponse(`${appointment.status} appointments cannot be rescheduled`, 400));
+  }
+
+  const openRequest = await RescheduleRequest.findOne({
+    appointment: appointment._id,
+    status: { $in: OPEN_STATUSES }
+  });
+  if (openRequest) {
+    return next(new ErrorResponse('This appointment already has an open reschedule request', 400));
+  }
+
+  const requestedSlot = parseSlot(req.body, appointment, await getTenantTimezone(appointment.tenant));
+  if (!requestedSlot) {
+    return next(new ErrorResponse(`Please provide requested date and time`, 400));
+  }
+
+  const check = await checkSlotForAppointment(appointment, requestedSlot);
+  if (!check.available) {
+    return rejectSlot(res, next, check);
+  }
+
+  // The appointment keeps its current slot until the request is approved
+  const request = await RescheduleRequest.create({
+    tenant: appointment.tenant,
+    appointment: appointment._id,
+    customer: customer._id,
+    requestedBy: req.user.id,
+    originalSlot: {
+      date: appointment.date,
+      timeSlot: appointment.timeSlot
+    },
+    requestedSlot,
+    reason: req.body.reason
+  });
+
+  await notifyTenantAdmins(
+    appointment.tenant,
+    'Appointment Reschedule Request',
+    `Customer ${req.user.name} has requested to reschedule their ${appointment.service?.name || ''} appointment.
+    \n\nCurrent: ${formatSlot(request.originalSlot)}
+    \nRequested: ${formatSlot(request.requestedSlot)}
+    \nReason: ${req.body.reason || 'Not provided'}`
+  );
+
+  res.status(201).json({
+    success: true,
+    data: request
+  });
+});
+
+// @desc    Get reschedule requests
+// @route   GET /api/v1/reschedule-requests
+// @access  Private/Admin/Customer
+exports.getRescheduleRequests = asyncHandler(async (req, res, next) => {
+  const query = {};
+
+  if (req.user.role === 'customer') {
+    const customer = await findCustomerForUser(req.user.id);
+    if (!customer) {
+      return next(new ErrorResponse('No customer profile found', 404));
+    }
+    query.customer = customer._id;
+  } else {
+    query.tenant = req.user.tenantId;
+  }
+
+  if (req.query.status) {
+    query.status = { $in: req.query.status.split(',') };
+  }
+  if (req.query.appointment) {
+    query.appointment = req.query.appointment;
+  }
+
+  const requests = await RescheduleRequest.find(query)
+    .populate(REQUEST_POPULATE)
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: requests.length,
+    data: requests
+  });
+});
+
+// @desc    Get single reschedule request
+// @route   GET /api/v1/reschedule-requests/:requestId
+// @access  Private/Admin/Customer
+exports.getRescheduleRequest = asyncHandler(async (req, res, next) => {
+  const request = await loadRequest(req, next);
+  if (!request) return;
+
+  res.status(200).json({
+    success: true,
+    data: request
+  });
+});
+
+// @desc    Approve a pending reschedule request and move the appointment
+// @route   PUT /api/v1/reschedule-requests/:requestId/approve
+// @access  Private/Admin
+exports.approveRescheduleRequest = asyncHandler(async (req, res, next) => {
+  const request = await loadRequest(req, next);
+  if (!request) return;
+
+  if (request.status !== 'Pending') {
+    return next(new ErrorResponse('Only pending reschedule requests can be approved', 400));
+  }
+
+  const appointment = await Appointment.findById(request.appointment._id);
+  if (!appointment || LOCKED_APPOINTMENT_STATUSES.includes(appointment.status)) {
+    return next(new ErrorResponse('The appointment can no longer be rescheduled', 400));
+  }
+
+  // The slot may have been taken while the request was waiting
+  const check = await checkSlotForAppointment(appointment, request.requestedSlot);
+  if (!check.available) {
+    const override = check.conflicts.length > 0 && isConflictOverride(req);
+    if (!override) {
+      return rejectSlot(res, next, check, { canOverride: req.user.role === 'tenantAdmin' });
+    }
+    recordConflictOverride(appointment, req, check.conflicts);
+  }
+
+  applySlot(appointment, request.requestedSlot);
+  await appointment.save();
+
+  request.status = 'Approved';
+  request.approvedSlot = request.requestedSlot;
+  request.decision = {
+    decidedBy: req.user.id,
+    decidedAt: new Date(),
+    note: req.body.note
+  };
+  await request.save();
+
+  await notifyCustomer(
+    request,
+    'Reschedule Request Approved',
+    `Your ${request.appointment.service?.name || ''} appointment has been moved to ${formatSlot(request.approvedSlot)}.${req.body.note ? `\n\nNote: ${req.body.note}` : ''}`
+  );
+
+  res.status(200).json({
+    success: true,
+    data: request
+  });
+});
+
+// @desc    Decline a reschedule request, keeping the original slot
+// @route   PUT /api/v1/reschedule-requests/:requestId/decline
+// @access  Private/Admin
+exports.declineRescheduleRequest = asyncHandler(async (req, res, next) => {
+  const request = await loadRequest(req, next);
+  if (!request) return;
+
+  if (!OPEN_STATUSES.includes(request.status)) {
+    return next(new ErrorResponse(`Reschedule request is already ${request.status.toLowerCase()}`, 400));
+  }
+
+  request.status = 'Declined';
+  request.decision = {
+    decidedBy: req.user.id,
+    decidedAt: new Date(),
+    note: req.body.note
+  };
+  await request.save();
+
+  await notifyCustomer(
+    request,
+    'Reschedule Request Declined',
+    `We could not move your ${request.appointment.service?.name || ''} appointment. It remains scheduled for ${formatSlot(request.originalSlot)}.${req.body.note ? `\n\nNote: ${req.body.note}` : ''}`
+  );
+
+  res.status(200).json({
+    success: true,
+    data: request
+  });
+});
+
+// @desc    Offer the customer a different time
+// @route   PUT /api/v1/reschedule-requests/:requestId/counter
+// @access  Private/Admin
+exports.counterRescheduleRequest = asyncHandler(async (req, res, next) => {
+  const request = await loadRequest(req, next);
+  if (!request) return;
+
+  if (!OPEN_STATUSES.includes(request.status)) {
+    return next(new ErrorResponse(`Reschedule request is already ${request.status.toLowerCase()}`, 400));
+  }
+
+  const appointment = await Appointment.findById(request.appointment._id);
+  if (!appointment || LOCKED_APPOINTMENT_STATUSES.includes(appointment.status)) {
+    return next(new ErrorResponse('The appointment can no longer be rescheduled', 400));
+  }
+
+  const slot = parseSlot(req.body, appointment, await getTenantTimezone(appointment.tenant));
+  if (!slot) {
+    return next(new ErrorResponse('Please provide the proposed date and start time', 400));
+  }
+
+  const check = await checkSlotForAppointment(appointment, slot);
+  if (!check.available) {
+    return rejectSlot(res, next, check);
+  }
+
+  request.status = 'Countered';
+  request.counterProposal = {
+    slot,
+    message: req.body.message,
+    proposedBy: req.user.id,
+    proposedAt: new Date()
+  };
+  await request.save();
+
+  await notifyCustomer(
+    request,
+    'New Time Proposed For Your Appointment',
+    `We can't make ${formatSlot(request.requestedSlot)}, but we can offer ${formatSlot(slot)} instead.${req.body.message ? `\n\n${req.body.message}` : ''}
+    \n\nPlease accept or decline the proposed time. Until then your appointment stays on ${formatSlot(request.originalSlot)}.`
+  );
+
+  res.status(200).json({
+    success: true,
+    data: request
+  });
+});
+
+// @desc    Accept or decline a counter-proposal
+// @route   PUT /api/v1/reschedule-requests/:requestId/respond
+// @access  Private/Customer
+exports.respondToCounterProposal = asyncHandler(async (req, res, next) => {
+  const request = await loadRequest(req, next);
+  if (!request) return;
+
+  if (request.status !== 'Countered') {
+    return next(new ErrorResponse('There is no counter-proposal to respond to', 400));
+  }
+
+  const accept = req.body.accept === true || req.body.accept === 'true';
+  const serviceName = request.appointment.service?.name || '';
+
+  if (accept) {
+    const appointment = await Appointment.findById(request.appointment._id);
+    if (!appointment || LOCKED_APPOINTMENT_STATUSES.includes(appointment.status)) {
+      return next(new ErrorResponse('The appointment can no longer be rescheduled', 400));
+    }
+
+    const slot = request.counterProposal.slot;
+    const check = await checkSlotForAppointment(appointment, slot);
+    if (!check.available) {
+      return rejectSlot(res, next, check);
+    }
+
+    applySlot(appointment, slot);
+    await appointment.save();
+
+    request.status = 'Approved';
+    request.approvedSlot = slot;
+  } else {
+    request.status = 'Declined';
+  }
+
+  request.decision = {
+    decidedBy: req.user.id,
+    decidedAt: new Date(),
+    note: req.body.note
+  };
+  await request.save();
+
+  const outcome = accept
+    ? `accepted the proposed time. The appointment is now on ${formatSlot(request.approvedSlot)}`
+    : `declined the proposed time. The appointment stays on ${formatSlot(request.originalSlot)}`;
+
+  await notifyTenantAdmins(
+    request.tenant,
+    `Counter-Proposal ${accept ? 'Accepted' : 'Declined'}`,
+    `Customer ${req.user.name} ${outcome} (${serviceName}).${req.body.note ? `\n\nNote: ${req.body.note}` : ''}`
+  );
+  await notifyCustomer(
+    request,
+    accept ? 'Appointment Rescheduled' : 'Appointment Unchanged',
+    `You ${outcome}.`
+  );
+
+  res.status(200).json({
+    success: true,
+    data: request
+  });
+});
@@ -0,0 +1,163 @@
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middlewares/async');
+const RoutePlan = require('../models/route-plan.model');
+const User = require('../models/user.model');
+const { planCrewRoute } = require('../utils/routePlanner');
+const { toUTCDate } = require('../utils/recurrence');
+const { CREW_ROLES } = require('../utils/calendarScope');
+
+// Locked positions of a stored plan, keyed by appointment id
+const getLocks = (plan) => (plan ? plan.stops : [])
+  .filter(stop => stop.locked)
+  .reduce((locks, stop) => ({ ...locks, [stop.appointment.toString()]: stop.position }), {});
+
+// Re-plan the day and store the result on the plan document
+const replan = async (plan, { locks, start, userId }) => {
+  const result = await planCrewRoute({
+    tenantId: plan.tenant,
+    date: plan.date,
+    crewMemberId: plan.crewMember,
+    locks,
+    start
+  });
+
+  plan.stops = result.stops;
+  plan.totals = result.totals;
+  plan.start = result.start || undefined;
+  plan.distanceProvider = result.distanceProvider;
+  plan.plannedBy = userId;
+  plan.plannedAt = new Date();
+  await plan.save();
+
+  return plan;
+};
+
+const loadPlan = async (req, next) => {
+  const plan = await RoutePlan.findById(req.params.id);
+
+  if (!plan || !plan.belongsToTenant(req.user.tenantId)) {
+    next(new ErrorResponse(`Route plan not found with id of ${req.params.id}`, 404));
+    return null;
+  }
+
+  return plan;
+};
+
+// @desc    Plan (or re-plan) a crew member's route for a day
+// @route   POST /api/v1/route-plans
+// @access  Private/TenantAdmin
+exports.planRoute = asyncHandler(async (req, res, next) => {
+  const { date, crewMember, start } = req.body;
+
+  if (!date || !crewMember) {
+    return next(new ErrorResponse('Please provide a date and crew member', 400));
+  }
+
+  const crewUser = await User.findById(crewMember);
+  if (!crewUser || crewUser.tenantId?.toString() !== req.user.tenantId?.toString() ||
+      ![...CREW_ROLES, 'tenantAdmin'].includes(crewUser.role)) {
+    return next(new ErrorResponse('Invalid crew member', 400));
+  }
+
+  const routeDate = toUTCDate(date);
+  let plan = await RoutePlan.findOne({ tenant: req.user.tenantId, date: routeDate, crewMember });
+  if (!plan) {
+    plan = new RoutePlan({ tenant: req.user.tenantId, date: routeDate, crewMember });
+  }
+
+  // Stops dispatchers already pinned keep their positions
+  await replan(plan, { locks: getLocks(plan), start, userId: req.user.id });
+
+  res.status(200).json({
+    success: true,
+    data: plan
+  });
+});
+
+// @desc    Get the stored route for a crew member and day
+// @route   GET /api/v1/route-plans?date=YYYY-MM-DD&crewMember=:userId
+// @access  Private/TenantAdmin/Staff
+exports.getRoutePlan = asyncHandler(async (req, res, next) => {
+  const { date } = req.query;
+
+  if (!date) {
+    return next(new ErrorResponse('Please provide a date', 400));
+  }
+
+  // Crew members can only look at their own route
+  const crewMember = req.user.role === 'tenantAdmin' ? req.query.crewMember : req.user.id;
+  if (!crewMember) {
+    return next(new ErrorResponse('Please provide a crew member', 400));
+  }
+
+  const plan = await RoutePlan.findOne({
+    tenant: req.user.tenantId,
+    date: toUTCDate(date),
+    crewMember
+  }).populate({
+    path: 'stops.appointment',
+    select: 'date timeSlot status service customer property notes',
+    populate: [
+      { path: 'service', select: 'name' },
+      { path: 'property', select: 'name address size accessInstructions specialRequirements' },
+      { path: 'customer', select: 'address propertyDetails user', populate: { path: 'user', select: 'name phone' } }
+    ]
+  });
+
+  if (!plan) {
+    return next(new ErrorResponse('No route has been planned for this crew member and date', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: plan
+  });
+});
+
+// @desc    Lock a stop at a position and re-plan around it
+// @route   PUT /api/v1/route-plans/:id/stops/:appointmentId/lock
+// @access  Private/TenantAdmin
+exports.lockStop = asyncHandler(async (req, res, next) => {
+  const plan = await loadPlan(req, next);
+  if (!plan) return;
+
+  const stop = plan.stops.find(s => s.appointment.toString() === req.params.appointmentId);
+  if (!stop) {
+    return next(new ErrorResponse('Appointment is not a stop on this route', 404));
+  }
+
+  const position = req.body.position === undefined ? stop.position : Number(req.body.position);
+  if (!Number.isInteger(position) || position < 0 || position >= plan.stops.length) {
+    return next(new ErrorResponse(`Position must be between 0 and ${plan.stops.length - 1}`, 400));
+  }
+
+  // A newly locked stop takes the position over from any stop locked there before
+  const locks = Object.fromEntries(Object.entries(getLocks(plan))
+    .filter(([appointmentId, lockedPosition]) => lockedPosition !== position && appointmentId !== req.params.appointmentId));
+  locks[req.params.appointmentId] = position;
+
+  await replan(plan, { locks, userId: req.user.id });
+
+  res.status(200).json({
+    success: true,
+    data: plan
+  });
+});
+
+// @desc    Unlock a stop and re-plan
+// @route   DELETE /api/v1/route-plans/:id/stops/:appointmentId/lock
+// @access  Private/TenantAdmin
+exports.unlockStop = asyncHandler(async (req, res, next) => {
+  const plan = await loadPlan(req, next);
+  if (!plan) return;
+
+  const locks = getLocks(plan);
+  delete locks[req.params.appointmentId];
+
+  await replan(plan, { locks, userId: req.user.id });
+
+  res.status(200).json({
+    success: true,
+    data: plan
+  });
+});
@@ -0,0 +1,264 @@
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middlewares/async');
+const TimeEntry = require('../models/time-entry.model');
+const Appointment = require('../models/appointment.model');
+const User = require('../models/user.model');
+const { CREW_ROLES } = require('../utils/calendarScope');
+const { getCrewIds } = require('../utils/schedulingConflicts');
+const { transitionAppointmentStatus } = require('../utils/appointmentStatus');
+const {
+  calculateLaborMinutes,
+  getOpenBreak,
+  rollupAppointmentLabor,
+  buildTimesheet
+} = require('../utils/timeTracking');
+const { getTenantTimezone } = require('../utils/timezone');
+
+// Statuses a crew can start work from; the first clock-in moves them to In Progress
+const STARTABLE_STATUSES = ['Confirmed', 'Rescheduled'];
+
+const pickLocation = (location) => {
+  if (!location || location.lat === undefined || location.lng === undefined) return undefined;
+  return { lat: location.lat, lng: location.lng, accuracy: location.accuracy };
+};
+
+const findOpenEntry = (userId) => TimeEntry.findOne({ crewMember: userId, clockOutAt: { $exists: false } });
+
+const closeEntry = (entry, at, location) => {
+  const openBreak = getOpenBreak(entry);
+  if (openBreak) {
+    openBreak.endedAt = at;
+  }
+  entry.clockOutAt = at;
+  entry.clockOutLocation = location;
+  entry.laborMinutes = calculateLaborMinutes(entry);
+};
+
+// Snapshot of the editable fields, kept with each correction
+const snapshotEntry = (entry) => ({
+  clockInAt: entry.clockInAt,
+  clockOutAt: entry.clockOutAt,
+  breaks: entry.breaks.map(entryBreak => ({ startedAt: entryBreak.startedAt, endedAt: entryBreak.endedAt })),
+  laborMinutes: entry.laborMinutes
+});
+
+// @desc    Clock in to an appointment
+// @route   POST /api/v1/time-entries/clock-in
+// @access  Private/Crew/TenantAdmin
+exports.clockIn = asyncHandler(async (req, res, next) => {
+  const appointment = await Appointment.findById(req.body.appointment);
+
+  if (!appointment || !appointment.belongsToTenant(req.user.tenantId)) {
+    return next(new ErrorResponse(`Appointment not found with id of ${req.body.appointment}`, 404));
+  }
+
+  if (CREW_ROLES.includes(req.user.role) && !getCrewIds(appointment.crew).includes(req.user.id)) {
+    return next(new ErrorResponse('You are not assigned to this appointment', 403));
+  }
+
+  if (appointment.status !== 'In Progress' && !STARTABLE_STATUSES.includes(appointment.status)) {
+    return next(new ErrorResponse(`Cannot clock in to a ${appointment.status.toLowerCase()} appointment`, 400));
+  }
+
+  if (await findOpenEntry(req.user.id)) {
+    return next(new ErrorResponse('You are already clocked in; clock out first', 400));
+  }
+
+  // The first crew member on site starts the job
+  if (STARTABLE_STATUSES.includes(appointment.status)) {
+    transitionAppointmentStatus(appointment, 'In Progress', { user: req.user });
+    await appointment.save();
+  }
+
+  const entry = await TimeEntry.create({
+    tenant: appointment.tenant,
+    appointment: appointment._id,
+    crewMember: req.user.id,
+    clockInAt: new Date(),
+    clockInLocation: pickLocation(req.body.location)
+  });
+
+  res.status(201).json({
+    success: true,
+    data: entry
+  });
+});
+
+// @desc    Clock out of the current appointment
+// @route   POST /api/v1/time-entries/clock-out
+// @access  Private/Crew/TenantAdmin
+exports.clockOut = asyncHandler(async (req, res, next) => {
+  const entry = await findOpenEntry(req.user.id);
+
+  if (!entry) {
+    return next(new ErrorResponse('You are not clocked in', 400));
+  }
+
+  closeEntry(entry, new Date(), pickLocation(req.body.location));
+  await entry.save();
+
+  const labor = await rollupAppointmentLabor(entry.appointment);
+
+  res.status(200).json({
+    success: true,
+    data: entry,
+    appointmentLabor: labor
+  });
+});
+
+// @desc    Start a break on the current time entry
+// @route   POST /api/v1/time-entries/breaks/start
+// @access  Private/Crew/TenantAdmin
+exports.startBreak = asyncHandler(async (req, res, next) => {
+  const entry = await findOpenEntry(req.user.id);
+
+  if (!entry) {
+    return next(new ErrorResponse('You are not clocked in', 400));
+  }
+
+  if (getOpenBreak(entry)) {
+    return next(new ErrorResponse('You are already on a break', 400));
+  }
+
+  entry.breaks.push({ startedAt: new Date() });
+  await entry.save();
+
+  res.status(200).json({
+    success: true,
+    data: entry
+  });
+});
+
+// @desc    End the break on the current time entry
+// @route   POST /api/v1/time-entries/breaks/end
+// @access  Private/Crew/TenantAdmin
+exports.endBreak = asyncHandler(async (req, res, next) => {
+  const entry = await findOpenEntry(req.user.id);
+  const openBreak = entry && getOpenBreak(entry);
+
+  if (!openBreak) {
+    return next(new ErrorResponse('You are not on a break', 400));
+  }
+
+  openBreak.endedAt = new Date();
+  await entry.save();
+
+  res.status(200).json({
+    success: true,
+    data: entry
+  });
+});
+
+// @desc    Get time entries
+// @route   GET /api/v1/time-entries?appointment=&crewMember=&from=&to=
+// @access  Private/Crew/TenantAdmin
+exports.getTimeEntries = asyncHandler(async (req, res, next) => {
+  const query = { tenant: req.user.tenantId };
+
+  // Crew members only see their own time
+  if (CREW_ROLES.includes(req.user.role)) {
+    query.crewMember = req.user.id;
+  } else if (req.query.crewMember) {
+    query.crewMember = req.query.crewMember;
+  }
+  if (req.query.appointment) {
+    query.appointment = req.query.appointment;
+  }
+  if (req.query.from || req.query.to) {
+    query.clockInAt = {};
+    if (req.query.from) query.clockInAt.$gte = new Date(req.query.from);
+    if (req.query.to) query.clockInAt.$lte = new Date(req.query.to);
+  }
+
+  const entries = await TimeEntry.find(query)
+    .populate('crewMember', 'name')
+    .populate('corrections.correctedBy', 'name')
+    .sort({ clockInAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: entries.length,
+    data: entries
+  });
+});
+
+// @desc    Weekly timesheet of a crew member
+// @route   GET /api/v1/time-entries/timesheet?crewMember=&week=YYYY-MM-DD
+// @access  Private/Crew/TenantAdmin
+exports.getTimesheet = asyncHandler(async (req, res, next) => {
+  const crewMemberId = CREW_ROLES.includes(req.user.role)
+    ? req.user.id
+    : req.query.crewMember || req.user.id;
+
+  if (crewMemberId !== req.user.id) {
+    const crewMember = await User.findById(crewMemberId);
+    if (!crewMember || crewMember.tenantId?.toString() !== req.user.tenantId?.toString()) {
+      return next(new ErrorResponse('Invalid crew member', 400));
+    }
+  }
+
+  // A YYYY-MM-DD week is read as a local day of the tenant
+  const week = req.query.week || new Date();
+  if (isNaN(new Date(week).getTime())) {
+    return next(new ErrorResponse('Invalid week date', 400));
+  }
+
+  const timesheet = await buildTimesheet({
+    tenantId: req.user.tenantId,
+    crewMemberId,
+    week,
+    timezone: await getTenantTimezone(req.user.tenantId)
+  });
+
+  res.status(200).json({
+    success: true,
+    data: timesheet
+  });
+});
+
+// @desc    Correct a time entry
+// @route   PUT /api/v1/time-entries/:id
+// @access  Private/TenantAdmin
+exports.correctTimeEntry = asyncHandler(async (req, res, next) => {
+  const { clockInAt, clockOutAt, breaks, reason } = req.body;
+
+  if (!reason || !String(reason).trim()) {
+    return next(new ErrorResponse('Please provide a reason for the correction', 400));
+  }
+
+  const entry = await TimeEntry.findById(req.params.id);
+
+  if (!entry || !entry.belongsToTenant(req.user.tenantId)) {
+    return next(new ErrorResponse(`Time entry not found with id of ${req.params.id}`, 404));
+  }
+
+  const before = snapshotEntry(entry);
+
+  if (clockInAt) entry.clockInAt = new Date(clockInAt);
+  if (clockOutAt) entry.clockOutAt = new Date(clockOutAt);
+  if (Array.isArray(breaks)) {
+    entry.breaks = breaks.map(entryBreak => ({
+      startedAt: new Date(entryBreak.startedAt),
+      endedAt: entryBreak.endedAt ? new Date(entryBreak.endedAt) : undefined
+    }));
+  }
+  if (entry.clockOutAt) {
+    entry.laborMinutes = calculateLaborMinutes(entry);
+  }
+
+  entry.corrections.push({
+    correctedBy: req.user.id,
+    reason: String(reason).trim(),
+    before,
+    after: snapshotEntry(entry)
+  });
+  await entry.save();
+
+  const labor = await rollupAppointmentLabor(entry.appointment);
+
+  res.status(200).json({
+    success: true,
+    data: entry,
+    appointmentLabor: labor
+  });
+});
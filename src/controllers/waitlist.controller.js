@@ -0,0 +1,278 @@
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middlewares/async');
+const WaitlistEntry = require('../models/waitlist-entry.model');
+const WaitlistOffer = require('../models/waitlist-offer.model');
+const Appointment = require('../models/appointment.model');
+const Customer = require('../models/customer.model');
+const Service = require('../models/service.model');
+const { toUTCDate } = require('../utils/recurrence');
+const { timeToMinutes } = require('../utils/availability');
+const { findSchedulingConflicts } = require('../utils/schedulingConflicts');
+const { getBookingAddress, resolveBookingProperty } = require('../utils/properties');
+const { hashClaimToken, releaseOffer } = require('../utils/waitlist');
+
+// Load an offer by its claim token, expiring it on the spot if it has lapsed
+const findOfferByToken = async (token, next) => {
+  const offer = await WaitlistOffer.findOne({ claimToken: hashClaimToken(token) })
+    .populate('service', 'name category duration');
+
+  if (!offer) {
+    next(new ErrorResponse('Waitlist offer not found', 404));
+    return null;
+  }
+
+  if (offer.status === 'Open' && offer.expiresAt <= new Date()) {
+    await releaseOffer(offer, 'Expired');
+  }
+
+  return offer;
+};
+
+// @desc    Join the waitlist for a service and date range
+// @route   POST /api/v1/waitlist
+// @access  Private/Customer
+exports.joinWaitlist = asyncHandler(async (req, res, next) => {
+  const { service: serviceId, dateFrom, dateTo, packageType, notes } = req.body;
+
+  const customer = await Customer.findOne({ user: req.user.id });
+  if (!customer) {
+    return next(new ErrorResponse(`Customer not found with user id of ${req.user.id}`, 404));
+  }
+
+  const service = await Service.findById(serviceId);
+  if (!service) {
+    return next(new ErrorResponse(`Service not found with id of ${serviceId}`, 404));
+  }
+
+  if (!dateFrom || !dateTo) {
+    return next(new ErrorResponse('Please provide dateFrom and dateTo', 400));
+  }
+
+  const from = toUTCDate(dateFrom);
+  const to = toUTCDate(dateTo);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) {
+    return next(new ErrorResponse('dateFrom must be on or before dateTo', 400));
+  }
+  if (to < toUTCDate(new Date())) {
+    return next(new ErrorResponse('The date range has already passed', 400));
+  }
+
+  const existing = await WaitlistEntry.findOne({
+    customer: customer._id,
+    service: service._id,
+    status: { $in: ['Waiting', 'Offered'] },
+    dateFrom: { $lte: to },
+    dateTo: { $gte: from }
+  });
+  if (existing) {
+    return next(new ErrorResponse('You are already on the waitlist for this service and dates', 400));
+  }
+
+  const property = await resolveBookingProperty(customer, req.body.property, {
+    tenantId: service.tenantId,
+    address: getBookingAddress(req.body)
+  });
+
+  // Preferences default to the ones saved on the customer profile
+  const preferences = customer.servicePreferences || {};
+  const entry = await WaitlistEntry.create({
+    tenant: service.tenantId,
+    customer: customer._id,
+    property: property._id,
+    service: service._id,
+    packageType,
+    dateFrom: from,
+    dateTo: to,
+    preferredDays: req.body.preferredDays || preferences.preferredDays,
+    preferredTimeOfDay: req.body.preferredTimeOfDay || preferences.preferredTimeOfDay,
+    notes,
+    createdBy: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: entry
+  });
+});
+
+// @desc    Get waitlist entries
+// @route   GET /api/v1/waitlist
+// @access  Private/Admin/Customer
+exports.getWaitlist = asyncHandler(async (req, res, next) => {
+  const query = {};
+
+  if (req.user.role === 'customer') {
+    const customer = await Customer.findOne({ user: req.user.id });
+    if (!customer) {
+      return next(new ErrorResponse('No customer profile found', 404));
+    }
+    query.customer = customer._id;
+  } else {
+    query.tenant = req.user.tenantId;
+  }
+
+  if (req.query.status) {
+    query.status = { $in: req.query.status.split(',') };
+  }
+  if (req.query.service) {
+    query.service = req.query.service;
+  }
+
+  const entries = await WaitlistEntry.find(query)
+    .populate('service', 'name category')
+    .populate({
+      path: 'customer',
+      select: 'user',
+      populate: {
+        path: 'user',
+        select: 'name email phone'
+      }
+    })
+    .sort({ createdAt: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: entries.length,
+    data: entries
+  });
+});
+
+// @desc    Leave the waitlist
+// @route   DELETE /api/v1/waitlist/:id
+// @access  Private/Admin/Customer
+exports.leaveWaitlist = asyncHandler(async (req, res, next) => {
+  const entry = await WaitlistEntry.findById(req.params.id);
+
+  if (!entry) {
+    return next(new ErrorResponse(`Waitlist entry not found with id of ${req.params.id}`, 404));
+  }
+
+  if (req.user.role === 'customer') {
+    const customer = await Customer.findOne({ user: req.user.id });
+    if (!customer || entry.customer.toString() !== customer._id.toString()) {
+      return next(new ErrorResponse('Not authorized to remove this waitlist entry', 403));
+    }
+  } else if (!entry.belongsToTenant(req.user.tenantId)) {
+    return next(new ErrorResponse('Not authorized to remove this waitlist entry', 403));
+  }
+
+  entry.status = 'Cancelled';
+  await entry.save();
+
+  // An outstanding offer moves on to the next customer
+  const openOffer = await WaitlistOffer.findOne({ entry: entry._id, status: 'Open' });
+  if (openOffer) {
+    await releaseOffer(openOffer, 'Declined');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: entry
+  });
+});
+
+// @desc    View a waitlist offer from its claim link
+// @route   GET /api/v1/waitlist/offers/:token
+// @access  Public (claim token)
+exports.getWaitlistOffer = asyncHandler(async (req, res, next) => {
+  const offer = await findOfferByToken(req.params.token, next);
+  if (!offer) return;
+
+  res.status(200).json({
+    success: true,
+    data: {
+      service: offer.service?.name,
+      date: offer.date,
+      timeSlot: offer.timeSlot,
+      status: offer.status,
+      expiresAt: offer.expiresAt
+    }
+  });
+});
+
+// @desc    Claim a waitlist offer and book the slot
+// @route   POST /api/v1/waitlist/offers/:token/claim
+// @access  Public (claim token)
+exports.claimWaitlistOffer = asyncHandler(async (req, res, next) => {
+  const offer = await findOfferByToken(req.params.token, next);
+  if (!offer) return;
+
+  if (offer.status !== 'Open') {
+    return next(new ErrorResponse(`This offer is no longer available (${offer.status.toLowerCase()})`, 410));
+  }
+
+  const entry = await WaitlistEntry.findById(offer.entry);
+
+  // The slot may have been booked directly since the offer went out
+  const conflicts = await findSchedulingConflicts({
+    tenantId: offer.tenant,
+    date: offer.date,
+    timeSlot: offer.timeSlot,
+    customerId: offer.customer,
+    propertyId: entry.property,
+    service: offer.service,
+    checkCapacity: true
+  });
+  if (conflicts.length > 0) {
+    offer.status = 'Unavailable';
+    offer.respondedAt = new Date();
+    await offer.save();
+    entry.status = 'Waiting';
+    await entry.save();
+    return next(new ErrorResponse('Sorry, this slot has just been taken', 409));
+  }
+
+  let appointment;
+  try {
+    appointment = await Appointment.create({
+      tenant: offer.tenant,
+      customer: offer.customer,
+      property: entry.property,
+      service: offer.service._id,
+      packageType: entry.packageType,
+      date: offer.date,
+      timeSlot: offer.timeSlot,
+      duration: timeToMinutes(offer.timeSlot.endTime) - timeToMinutes(offer.timeSlot.startTime),
+      notes: { customer: entry.notes },
+      createdBy: entry.createdBy
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(new ErrorResponse('Sorry, this slot has just been taken', 409));
+    }
+    throw error;
+  }
+
+  offer.status = 'Claimed';
+  offer.respondedAt = new Date();
+  offer.appointment = appointment._id;
+  await offer.save();
+
+  entry.status = 'Booked';
+  entry.appointment = appointment._id;
+  await entry.save();
+
+  res.status(201).json({
+    success: true,
+    data: appointment
+  });
+});
+
+// @desc    Decline a waitlist offer so it passes to the next customer
+// @route   POST /api/v1/waitlist/offers/:token/decline
+// @access  Public (claim token)
+exports.declineWaitlistOffer = asyncHandler(async (req, res, next) => {
+  const offer = await findOfferByToken(req.params.token, next);
+  if (!offer) return;
+
+  if (offer.status !== 'Open') {
+    return next(new ErrorResponse(`This offer is no longer available (${offer.status.toLowerCase()})`, 410));
+  }
+
+  await releaseOffer(offer, 'Declined');
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
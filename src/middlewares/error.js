@@ -27,6 +27,12 @@ const errorHandler = (err, req, res, next) => {
     error = new ErrorResponse(message, 400);
   }
 
+  // Mongoose optimistic concurrency: the document changed since it was loaded
+  if (err.name === 'VersionError') {
+    const message = 'This record was changed by someone else; reload it and try again';
+    error = new ErrorResponse(message, 409);
+  }
+
   res.status(error.statusCode || 500).json({
     success: false,
     error: error.message || 'Server Error'
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const tenantScopePlugin = require('./plugins/tenantScope.plugin');
+
+const AttachmentSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  publicId: {
+    type: String
+  },
+  name: {
+    type: String
+  },
+  contentType: {
+    type: String
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const AppointmentCommentSchema = new mongoose.Schema({
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: true,
+    index: true
+  },
+  // Replies point at the comment that started the thread
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AppointmentComment',
+    default: null
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  authorRole: {
+    type: String
+  },
+  body: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Comment cannot be more than 5000 characters']
+  },
+  // Internal comments are never shown to the customer
+  visibility: {
+    type: String,
+    enum: ['internal', 'customer'],
+    default: 'internal'
+  },
+  attachments: [AttachmentSchema],
+  // Staff mentioned with @[Name](userId); each is notified once
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  editedAt: {
+    type: Date
+  },
+  // Deleted comments keep their place in the thread without their content
+  deletedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+AppointmentCommentSchema.index({ appointment: 1, createdAt: 1 });
+
+AppointmentCommentSchema.plugin(tenantScopePlugin);
+
+module.exports = mongoose.model('AppointmentComment', AppointmentCommentSchema);
@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const tenantScopePlugin = require('./plugins/tenantScope.plugin');
+
+// Parent record of a recurring booking. Occurrences are regular Appointment
+// documents that reference the series and are materialized over a rolling horizon.
+const AppointmentSeriesSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property'
+  },
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: true
+  },
+  packageType: {
+    type: String,
+    enum: ['Basic', 'Standard', 'Premium'],
+    default: 'Standard'
+  },
+  recurringType: {
+    type: String,
+    enum: ['Weekly', 'Bi-weekly', 'Monthly', 'Quarterly', 'Annually'],
+    required: [true, 'Please add a recurring frequency']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Please add a series start date']
+  },
+  endDate: {
+    type: Date
+  },
+  timeSlot: {
+    startTime: {
+      type: String,
+      required: [true, 'Please add a start time']
+    },
+    endTime: {
+      type: String,
+      required: [true, 'Please add an end time']
+    }
+  },
+  duration: {
+    type: Number,
+    min: 15,
+    max: 480
+  },
+  crew: {
+    assignedTo: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    leadProfessional: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  notes: {
+    customer: {
+      type: String
+    },
+    professional: {
+      type: String
+    },
+    internal: {
+      type: String
+    }
+  },
+  // Price of each occurrence, copied onto them as they are materialized
+  pricing: {
+    priceUnit: {
+      type: String,
+      enum: ['flat', 'hourly', 'per_sqft']
+    },
+    basePrice: {
+      type: Number
+    },
+    // Hours, square feet or 1 for flat-priced jobs
+    quantity: {
+      type: Number
+    },
+    unit: {
+      type: String
+    },
+    baseAmount: {
+      type: Number
+    },
+    priceMultiplier: {
+      type: Number,
+      default: 1
+    },
+    packageAmount: {
+      type: Number
+    },
+    discountPercent: {
+      type: Number,
+      default: 0
+    },
+    discountAmount: {
+      type: Number
+    },
+    addOns: [{
+      name: String,
+      price: Number,
+      quantity: Number,
+      amount: Number
+    }],
+    addOnsTotal: {
+      type: Number
+    },
+    subtotal: {
+      type: Number
+    },
+    taxRate: {
+      type: Number
+    },
+    taxAmount: {
+      type: Number
+    },
+    // Total to charge, tax included
+    amount: {
+      type: Number
+    }
+  },
+  skipDates: [{
+    type: Date
+  }],
+  // Last date occurrences have been generated up to (inclusive)
+  materializedThrough: {
+    type: Date
+  },
+  // Series this one was split from by a "this and following" edit
+  previousSeries: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AppointmentSeries'
+  },
+  status: {
+    type: String,
+    enum: ['Active', 'Ended', 'Cancelled'],
+    default: 'Active'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+AppointmentSeriesSchema.index({ status: 1, materializedThrough: 1 });
+AppointmentSeriesSchema.index({ customer: 1 });
+
+AppointmentSeriesSchema.plugin(tenantScopePlugin);
+
+module.exports = mongoose.model('AppointmentSeries', AppointmentSeriesSchema);
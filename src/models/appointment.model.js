@@ -1,12 +1,20 @@
 const mongoose = require('mongoose');
 const tenantScopePlugin = require('./plugins/tenantScope.plugin');
 
+// Fields the calendar shows; changing any of them invalidates the version a dispatcher worked from
+const SCHEDULE_PATHS = ['date', 'timeSlot', 'crew', 'service', 'status'];
+
 const AppointmentSchema = new mongoose.Schema({
   customer: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Customer',
     required: true
   },
+  // Where the work happens; older appointments may only have the customer address
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property'
+  },
   service: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Service',
@@ -43,11 +51,49 @@ const AppointmentSchema = new mongoose.Schema({
     enum: ['Pending', 'Confirmed', 'In Progress', 'Completed', 'Cancelled', 'Rescheduled', 'Rejected'],
     default: 'Pending'
   },
+  // Append-only log of status changes; written through utils/appointmentStatus
+  statusHistory: [{
+    from: {
+      type: String
+    },
+    to: {
+      type: String,
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    role: {
+      type: String
+    },
+    reason: {
+      type: String
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   recurringType: {
     type: String,
     enum: ['One-time', 'Weekly', 'Bi-weekly', 'Monthly', 'Quarterly', 'Annually'],
     default: 'One-time'
   },
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AppointmentSeries',
+    index: true
+  },
+  // Date the series scheduled this occurrence for, kept even if the occurrence is moved
+  occurrenceDate: {
+    type: Date
+  },
+  // Set when a single occurrence was edited on its own, so series-wide edits leave it alone
+  isSeriesException: {
+    type: Boolean,
+    default: false
+  },
   crew: {
     assignedTo: [{
       type: mongoose.Schema.Types.ObjectId,
@@ -69,6 +115,67 @@ const AppointmentSchema = new mongoose.Schema({
       type: String
     }
   },
+  // Price breakdown quoted at booking; completion charges and receipts use it
+  pricing: {
+    priceUnit: {
+      type: String,
+      enum: ['flat', 'hourly', 'per_sqft']
+    },
+    basePrice: {
+      type: Number
+    },
+    // Hours, square feet or 1 for flat-priced jobs
+    quantity: {
+      type: Number
+    },
+    unit: {
+      type: String
+    },
+    baseAmount: {
+      type: Number
+    },
+    priceMultiplier: {
+      type: Number,
+      default: 1
+    },
+    packageAmount: {
+      type: Number
+    },
+    discountPercent: {
+      type: Number,
+      default: 0
+    },
+    discountAmount: {
+      type: Number
+    },
+    addOns: [{
+      name: String,
+      price: Number,
+      quantity: Number,
+      amount: Number
+    }],
+    addOnsTotal: {
+      type: Number
+    },
+    // Billable materials logged on the job
+    materialsTotal: {
+      type: Number,
+      default: 0
+    },
+    subtotal: {
+      type: Number
+    },
+    taxRate: {
+      type: Number
+    },
+    taxAmount: {
+      type: Number
+    },
+    // Total to charge, tax included
+    amount: {
+      type: Number
+    }
+  },
   payment: {
     status: {
       type: String,
@@ -90,6 +197,83 @@ const AppointmentSchema = new mongoose.Schema({
       type: Date
     }
   },
+  // Copied from the service and package checklist when the appointment is booked
+  checklist: [{
+    label: {
+      type: String,
+      required: true
+    },
+    required: {
+      type: Boolean,
+      default: true
+    },
+    requiresPhoto: {
+      type: Boolean,
+      default: false
+    },
+    completed: {
+      type: Boolean,
+      default: false
+    },
+    completedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    completedAt: {
+      type: Date
+    },
+    note: {
+      type: String
+    },
+    photo: {
+      url: {
+        type: String
+      },
+      publicId: {
+        type: String
+      },
+      uploadedAt: {
+        type: Date
+      }
+    }
+  }],
+  // Materials the crew used on the job, with the prices in force when logged
+  materialsUsed: [{
+    material: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Material',
+      required: true
+    },
+    name: {
+      type: String
+    },
+    unit: {
+      type: String
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: [0, 'Quantity cannot be negative']
+    },
+    unitCost: {
+      type: Number
+    },
+    unitPrice: {
+      type: Number
+    },
+    billable: {
+      type: Boolean,
+      default: true
+    },
+    loggedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    loggedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   photos: {
     beforeService: [{
       url: {
@@ -123,11 +307,34 @@ const AppointmentSchema = new mongoose.Schema({
     duration: {
       type: Number // in minutes
     },
+    // Minutes worked by all crew members, from time entries
+    laborMinutes: {
+      type: Number
+    },
     additionalWorkPerformed: {
       type: String
     },
+    // URL of the captured signature image
     customerSignature: {
       type: String
+    },
+    signedBy: {
+      type: String
+    },
+    signedAt: {
+      type: Date
+    }
+  },
+  // Stored copy of the PDF emailed to the customer on completion
+  completionReport: {
+    url: {
+      type: String
+    },
+    publicId: {
+      type: String
+    },
+    generatedAt: {
+      type: Date
     }
   },
   notificationsStatus: {
@@ -135,6 +342,9 @@ const AppointmentSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+    reminderSentAt: {
+      type: Date
+    },
     confirmationSent: {
       type: Boolean,
       default: false
@@ -144,6 +354,49 @@ const AppointmentSchema = new mongoose.Schema({
       default: false
     }
   },
+  // How the appointment was cancelled and what the cancellation policy charged
+  cancellation: {
+    initiatedBy: {
+      type: String,
+      enum: ['customer', 'tenant', 'weather']
+    },
+    cancelledAt: {
+      type: Date
+    },
+    hoursBefore: {
+      type: Number
+    },
+    fee: {
+      type: Number,
+      default: 0
+    },
+    // Why no fee was charged inside the cutoff (e.g. weather)
+    exemption: {
+      type: String
+    },
+    feePayment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    }
+  },
+  // Admin decisions to book despite detected scheduling conflicts
+  conflictOverrides: [{
+    overriddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    overriddenAt: {
+      type: Date,
+      default: Date.now
+    },
+    reason: {
+      type: String
+    },
+    conflictingAppointments: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appointment'
+    }]
+  }],
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -153,7 +406,9 @@ const AppointmentSchema = new mongoose.Schema({
     default: Date.now
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  // Calendar edits are made against a version; only changes to the schedule bump it
+  optimisticConcurrency: SCHEDULE_PATHS
 });
 
 // Generate a color code based on service type
@@ -176,6 +431,118 @@ AppointmentSchema.virtual('calendarColor').get(function() {
   return colorMap[this.service.category] || '#6c757d';
 });
 
+// Remember how much history was loaded so saves can only append to it
+// Projections that leave out the history skip this
+AppointmentSchema.post('init', function() {
+  if (!this.isSelected('statusHistory')) return;
+  this.$locals.loadedHistoryIds = (this.statusHistory || []).map(entry => String(entry._id));
+});
+
+AppointmentSchema.pre('save', function(next) {
+  // Without the loaded history there is nothing to check, but also nowhere to record a status change
+  if (!this.isNew && !this.isSelected('statusHistory')) {
+    if (this.isModified('status')) {
+      return next(new Error('Load the status history before changing the appointment status'));
+    }
+    return next();
+  }
+
+  // New bookings start their history with the initial status
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      to: this.status,
+      changedBy: this.createdBy,
+      changedAt: this.createdAt || new Date()
+    });
+  }
+
+  const loadedIds = this.$locals.loadedHistoryIds || [];
+  const rewritten = loadedIds.some((id, i) => String(this.statusHistory[i]?._id) !== id) ||
+    this.modifiedPaths().some(path => {
+      const match = path.match(/^statusHistory\.(\d+)\./);
+      return match && Number(match[1]) < loadedIds.length;
+    });
+  if (!this.isNew && rewritten) {
+    return next(new Error('Appointment status history is append-only'));
+  }
+
+  const last = this.statusHistory[this.statusHistory.length - 1];
+  if (this.isModified('status') && (!last || last.to !== this.status)) {
+    return next(new Error('Appointment status changes must be recorded in the status history'));
+  }
+
+  this.$locals.loadedHistoryIds = this.statusHistory.map(entry => String(entry._id));
+  next();
+});
+
+// Copy the service checklist onto new bookings
+AppointmentSchema.pre('save', async function(next) {
+  if (!this.isNew || this.checklist.length > 0 || !this.service) {
+    return next();
+  }
+
+  try {
+    const service = await mongoose.model('Service')
+      .findById(this.service._id || this.service)
+      .select('checklist packages');
+    const pkg = service?.packages?.find(p => p.name === this.packageType);
+    const templates = [...(service?.checklist || []), ...(pkg?.checklist || [])];
+
+    this.checklist = templates.map(item => ({
+      label: item.label,
+      required: item.required,
+      requiresPhoto: item.requiresPhoto
+    }));
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// A moved appointment gets a fresh reminder
+AppointmentSchema.pre('save', function(next) {
+  if (!this.isNew && (this.isModified('date') || this.isModified('timeSlot.startTime'))) {
+    this.notificationsStatus.reminderSent = false;
+    this.notificationsStatus.reminderSentAt = undefined;
+  }
+  next();
+});
+
+// Status and history cannot be rewritten by bulk updates either
+AppointmentSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function(next) {
+  const update = this.getUpdate() || {};
+  const touched = [update, update.$set, update.$unset, update.$push, update.$pull]
+    .filter(Boolean)
+    .some(fields => 'status' in fields || 'statusHistory' in fields);
+
+  if (touched) {
+    return next(new Error('Appointment status must be changed through the status workflow'));
+  }
+
+  // Keep the calendar version in step with saves when bulk updates move a booking
+  if (!Array.isArray(update)) {
+    const changed = [update, update.$set, update.$unset]
+      .filter(Boolean)
+      .flatMap(fields => Object.keys(fields));
+    if (changed.some(path => SCHEDULE_PATHS.some(p => path === p || path.startsWith(`${p}.`)))) {
+      update.$inc = { ...update.$inc, __v: 1 };
+      this.setUpdate(update);
+    }
+
+    // A moved appointment gets a fresh reminder, as on save
+    const moved = changed.some(path => ['date', 'timeSlot', 'timeSlot.startTime'].includes(path));
+    if (moved && !changed.includes('notificationsStatus.reminderSent')) {
+      update.$set = {
+        ...update.$set,
+        'notificationsStatus.reminderSent': false,
+        'notificationsStatus.reminderSentAt': null
+      };
+      this.setUpdate(update);
+    }
+  }
+  next();
+});
+
 // Prevent exact duplicate bookings for the same service, date, and time
 // This handles race conditions where two users book at the exact same millisecond
 AppointmentSchema.index(
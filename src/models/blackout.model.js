@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const tenantScopePlugin = require('./plugins/tenantScope.plugin');
+
+const BlackoutSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Please add a title'],
+    trim: true,
+    maxlength: [100, 'Title cannot be more than 100 characters']
+  },
+  type: {
+    type: String,
+    enum: ['Holiday', 'Weather', 'Company Event', 'Other'],
+    default: 'Other'
+  },
+  // Inclusive date range (UTC midnight); single-day closures use the same date twice
+  startDate: {
+    type: Date,
+    required: [true, 'Please add a start date']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'Please add an end date']
+  },
+  allDay: {
+    type: Boolean,
+    default: true
+  },
+  // Closed hours on each day of the range when not all day
+  startTime: {
+    type: String,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Start time must be HH:mm']
+  },
+  endTime: {
+    type: String,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'End time must be HH:mm']
+  },
+  // Empty means every service
+  serviceCategories: [{
+    type: String,
+    enum: [
+      'Lawn Maintenance',
+      'Gardening',
+      'Tree Service',
+      'Landscaping Design',
+      'Irrigation',
+      'Seasonal',
+      'Residential',
+      'Other'
+    ]
+  }],
+  // Empty means the whole company; otherwise only these crew members are off
+  crewMembers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  notes: {
+    type: String
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+BlackoutSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date cannot be before start date');
+  }
+  if (!this.allDay) {
+    if (!this.startTime || !this.endTime) {
+      this.invalidate('startTime', 'Partial-day blackouts need a start and end time');
+    } else if (this.startTime >= this.endTime) {
+      this.invalidate('endTime', 'End time must be after start time');
+    }
+  }
+  next();
+});
+
+BlackoutSchema.index({ tenant: 1, startDate: 1, endDate: 1 });
+
+BlackoutSchema.plugin(tenantScopePlugin);
+
+module.exports = mongoose.model('Blackout', BlackoutSchema);
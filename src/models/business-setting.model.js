@@ -148,6 +148,98 @@ const BusinessSettingSchema = new mongoose.Schema({
       }
     }
   },
+  scheduling: {
+    // Minutes between bookable slot start times
+    slotInterval: {
+      type: Number,
+      default: 30,
+      min: [5, 'Slot interval must be at least 5 minutes']
+    },
+    // Number of crews that can work at the same time; defaults to the number of staff members
+    crewCapacity: {
+      type: Number,
+      min: [1, 'Crew capacity must be at least 1']
+    },
+    // Driving time kept free between two jobs of the same crew member
+    travelBufferMinutes: {
+      type: Number,
+      default: 15,
+      min: [0, 'Travel buffer cannot be negative']
+    },
+    // Where crews start their day; route planning begins here when set
+    depotLocation: {
+      lat: {
+        type: Number,
+        min: -90,
+        max: 90
+      },
+      lng: {
+        type: Number,
+        min: -180,
+        max: 180
+      }
+    },
+    // Name of the distance provider used by route planning
+    distanceProvider: {
+      type: String,
+      default: 'haversine'
+    },
+    // Average driving speed used to turn straight-line distance into travel time
+    averageSpeedKmh: {
+      type: Number,
+      default: 40,
+      min: [1, 'Average speed must be at least 1 km/h']
+    },
+    // How long a waitlisted customer has to claim a freed slot
+    waitlistOfferHours: {
+      type: Number,
+      default: 12,
+      min: [1, 'Waitlist offers must last at least 1 hour']
+    }
+  },
+  cancellationPolicy: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    // Cancelling later than this many hours before the start incurs the fee
+    cutoffHours: {
+      type: Number,
+      default: 24,
+      min: [0, 'Cutoff cannot be negative']
+    },
+    feeType: {
+      type: String,
+      enum: ['flat', 'percent'],
+      default: 'flat'
+    },
+    // Dollars for flat fees, percent of the appointment price otherwise; 0 means no fee
+    feeAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Fee cannot be negative']
+    },
+    exemptions: {
+      weather: {
+        type: Boolean,
+        default: true
+      },
+      tenantInitiated: {
+        type: Boolean,
+        default: true
+      }
+    }
+  },
+  holidays: [{
+    date: {
+      type: Date,
+      required: [true, 'Please add a holiday date']
+    },
+    name: {
+      type: String,
+      trim: true
+    }
+  }],
   notificationSettings: {
     sendAppointmentReminders: {
       type: Boolean,
@@ -227,6 +319,12 @@ BusinessSettingSchema.statics.getSettings = async function() {
   });
 };
 
+// Settings of a single tenant; falls back to an unsaved document carrying the schema defaults
+BusinessSettingSchema.statics.getSettingsForTenant = async function(tenantId) {
+  const settings = tenantId ? await this.findOne({ tenant: tenantId }) : null;
+  return settings || new this({ tenant: tenantId });
+};
+
 BusinessSettingSchema.plugin(tenantScopePlugin);
 
 BusinessSettingSchema.plugin(tenantScopePlugin);
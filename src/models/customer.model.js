@@ -33,6 +33,19 @@ const CustomerSchema = new mongoose.Schema({
     country: {
       type: String,
       default: 'USA'
+    },
+    // Used by crew route planning
+    coordinates: {
+      lat: {
+        type: Number,
+        min: -90,
+        max: 90
+      },
+      lng: {
+        type: Number,
+        min: -180,
+        max: 180
+      }
     }
   },
   propertyDetails: [{
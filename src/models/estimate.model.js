@@ -1,6 +1,71 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const tenantScopePlugin = require('./plugins/tenantScope.plugin');
 
+const PackageSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    enum: ['Basic', 'Standard', 'Premium'],
+    required: true
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  lineItems: [{
+    service: {
+      type: String,
+      required: true
+    },
+    description: String,
+    unitPrice: Number,
+    quantity: Number,
+    totalPrice: Number,
+    // Optional items can be left out by the customer when accepting
+    optional: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  subTotal: Number,
+  tax: Number,
+  discount: {
+    amount: Number,
+    description: String
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+  notes: String
+});
+
+// What the customer was quoted at one point; never changed once recorded
+const EstimateRevisionSchema = new mongoose.Schema({
+  number: {
+    type: Number,
+    required: true
+  },
+  packages: [PackageSchema],
+  services: [{
+    service: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Service'
+    },
+    quantity: Number
+  }],
+  expiryDate: Date,
+  note: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
 const EstimateSchema = new mongoose.Schema({
   tenant: {
       type: mongoose.Schema.Types.ObjectId,
@@ -59,47 +124,66 @@ const EstimateSchema = new mongoose.Schema({
   accessInfo: {
     type: String
   },
-  packages: [{
-    name: {
-      type: String,
-      enum: ['Basic', 'Standard', 'Premium'],
-      required: true
-    },
-    description: {
+  packages: [PackageSchema],
+  // Every version sent to the customer, starting when the estimate is first sent
+  revisions: [EstimateRevisionSchema],
+  currentRevision: {
+    type: Number
+  },
+  approvedPackage: {
+    type: String,
+    enum: ['Basic', 'Standard', 'Premium']
+  },
+  // Revision the customer accepted, so later edits cannot change what was agreed
+  approvedRevision: {
+    type: Number
+  },
+  approvedAt: {
+    type: Date
+  },
+  // sha256 of the public approval link token
+  approvalToken: {
+    type: String,
+    select: false,
+    index: true,
+    sparse: true
+  },
+  // The customer's answer through the approval link
+  customerResponse: {
+    decision: {
       type: String,
-      required: true
+      enum: ['Accepted', 'Declined']
     },
-    lineItems: [{
-      service: {
-        type: String,
-        required: true
-      },
+    revision: Number,
+    packageName: String,
+    // Optional line items the customer left out, and the totals without them
+    excludedItems: [{
+      service: String,
       description: String,
-      unitPrice: Number,
-      quantity: Number,
       totalPrice: Number
     }],
     subTotal: Number,
+    discount: Number,
     tax: Number,
-    discount: {
-      amount: Number,
-      description: String
-    },
-    total: {
-      type: Number,
-      required: true
+    total: Number,
+    signature: {
+      method: {
+        type: String,
+        enum: ['typed', 'drawn']
+      },
+      name: String,
+      imageUrl: String
     },
-    notes: String
-  }],
+    reason: String,
+    ip: String,
+    userAgent: String,
+    respondedAt: Date
+  },
   status: {
     type: String,
     enum: ['Requested', 'In Review', 'Prepared', 'Sent', 'Approved', 'Declined', 'Expired'],
     default: 'Requested'
   },
-  approvedPackage: {
-    type: String,
-    enum: ['Basic', 'Standard', 'Premium']
-  },
   expiryDate: {
     type: Date
   },
@@ -143,7 +227,57 @@ EstimateSchema.pre('save', async function(next) {
   next();
 });
 
-EstimateSchema.plugin(tenantScopePlugin);
+// Remember how many revisions were loaded so saves can only add to them
+EstimateSchema.post('init', function() {
+  if (!this.isSelected('revisions')) return;
+  this.$locals.loadedRevisionCount = (this.revisions || []).length;
+});
+
+EstimateSchema.pre('save', function(next) {
+  // Nothing to compare against when a projection left the revisions out
+  if (!this.isNew && !this.isSelected('revisions')) return next();
+
+  const loaded = this.$locals.loadedRevisionCount || 0;
+  const rewritten = this.revisions.length < loaded ||
+    this.modifiedPaths().some(path => {
+      const match = path.match(/^revisions\.(\d+)\./);
+      return match && Number(match[1]) < loaded;
+    });
+  if (!this.isNew && rewritten) {
+    return next(new Error('Estimate revisions cannot be changed once recorded'));
+  }
+
+  this.$locals.loadedRevisionCount = this.revisions.length;
+  next();
+});
+
+// Revisions and the approval pin are only written through document saves
+EstimateSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function(next) {
+  const update = this.getUpdate() || {};
+  const touched = [update, update.$set, update.$unset, update.$push, update.$pull]
+    .filter(Boolean)
+    .some(fields => Object.keys(fields).some(path =>
+      /^(revisions|currentRevision|approvedRevision)(\.|$)/.test(path)));
+
+  if (touched) {
+    return next(new Error('Estimate revisions can only be recorded through the revision workflow'));
+  }
+  next();
+});
+
+// Generate approval link token
+EstimateSchema.methods.getApprovalToken = function() {
+  // Generate token
+  const approvalToken = crypto.randomBytes(24).toString('hex');
+
+  // Hash token and set to field (the link lasts until the quote expires; a new link replaces it)
+  this.approvalToken = crypto
+    .createHash('sha256')
+    .update(approvalToken)
+    .digest('hex');
+
+  return approvalToken;
+};
 
 EstimateSchema.plugin(tenantScopePlugin);
 
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const tenantScopePlugin = require('./plugins/tenantScope.plugin');
+
+// Stock changes other than job usage, kept for audit
+const StockAdjustmentSchema = new mongoose.Schema({
+  quantity: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['Restock', 'Correction', 'Waste'],
+    default: 'Restock'
+  },
+  note: {
+    type: String,
+    maxlength: [200, 'Note cannot be more than 200 characters']
+  },
+  adjustedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  adjustedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const MaterialSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a material name'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  category: {
+    type: String,
+    enum: ['Mulch', 'Fertilizer', 'Seed', 'Plants', 'Soil', 'Stone', 'Chemicals', 'Other'],
+    default: 'Other'
+  },
+  // What one unit is: bag, lb, cubic yard, flat...
+  unit: {
+    type: String,
+    required: [true, 'Please add a unit'],
+    trim: true
+  },
+  // What the company pays per unit
+  unitCost: {
+    type: Number,
+    required: [true, 'Please add a unit cost'],
+    min: [0, 'Unit cost cannot be negative']
+  },
+  // What customers are charged per unit; defaults to the unit cost
+  unitPrice: {
+    type: Number,
+    min: [0, 'Unit price cannot be negative']
+  },
+  billable: {
+    type: Boolean,
+    default: true
+  },
+  quantityOnHand: {
+    type: Number,
+    default: 0,
+    min: [0, 'Stock cannot be negative']
+  },
+  // Admins are alerted when stock falls to this level
+  lowStockThreshold: {
+    type: Number,
+    default: 0,
+    min: [0, 'Low-stock threshold cannot be negative']
+  },
+  // Set when the low-stock alert goes out; cleared once restocked above the threshold
+  lowStockAlertedAt: {
+    type: Date
+  },
+  adjustments: [StockAdjustmentSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+MaterialSchema.pre('save', function(next) {
+  if (this.unitPrice === undefined || this.unitPrice === null) {
+    this.unitPrice = this.unitCost;
+  }
+  next();
+});
+
+MaterialSchema.virtual('isLowStock').get(function() {
+  return this.quantityOnHand <= this.lowStockThreshold;
+});
+
+MaterialSchema.index({ tenant: 1, name: 1 }, { unique: true });
+
+MaterialSchema.set('toJSON', { virtuals: true });
+MaterialSchema.set('toObject', { virtuals: true });
+
+MaterialSchema.plugin(tenantScopePlugin);
+
+module.exports = mongoose.model('Material', MaterialSchema);
@@ -17,7 +17,7 @@ const PaymentSchema = new mongoose.Schema({
   },
   paymentType: {
     type: String,
-    enum: ['Deposit', 'Full Payment', 'Installment', 'Recurring', 'Additional Service', 'Refund'],
+    enum: ['Deposit', 'Full Payment', 'Installment', 'Recurring', 'Additional Service', 'Refund', 'Cancellation Fee'],
     required: true
   },
   amount: {
@@ -26,7 +26,7 @@ const PaymentSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['Pending', 'Processing', 'Completed', 'Failed', 'Refunded', 'Partially Refunded'],
+    enum: ['Pending', 'Processing', 'Completed', 'Failed', 'Refunded', 'Partially Refunded', 'Voided'],
     default: 'Pending'
   },
   method: {
@@ -54,6 +54,19 @@ const PropertySchema = new mongoose.Schema({
     fullAddress: {
       type: String,
       trim: true
+    },
+    // Used by crew route planning
+    coordinates: {
+      lat: {
+        type: Number,
+        min: -90,
+        max: 90
+      },
+      lng: {
+        type: Number,
+        min: -180,
+        max: 180
+      }
     }
   },
   size: {
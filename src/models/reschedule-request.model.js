@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const tenantScopePlugin = require('./plugins/tenantScope.plugin');
+
+const SlotSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: true
+  },
+  timeSlot: {
+    startTime: {
+      type: String,
+      required: true
+    },
+    endTime: {
+      type: String,
+      required: true
+    }
+  }
+}, { _id: false });
+
+const RescheduleRequestSchema = new mongoose.Schema({
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: true,
+    index: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Slot the appointment held when the request was made
+  originalSlot: {
+    type: SlotSchema,
+    required: true
+  },
+  requestedSlot: {
+    type: SlotSchema,
+    required: true
+  },
+  reason: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['Pending', 'Approved', 'Declined', 'Countered'],
+    default: 'Pending'
+  },
+  // Alternative time offered by a tenant admin, awaiting the customer's answer
+  counterProposal: {
+    slot: SlotSchema,
+    message: {
+      type: String
+    },
+    proposedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    proposedAt: {
+      type: Date
+    }
+  },
+  // Slot the appointment was moved to once approved
+  approvedSlot: SlotSchema,
+  decision: {
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    decidedAt: {
+      type: Date
+    },
+    note: {
+      type: String
+    }
+  }
+}, {
+  timestamps: true
+});
+
+RescheduleRequestSchema.plugin(tenantScopePlugin);
+
+module.exports = mongoose.model('RescheduleRequest', RescheduleRequestSchema);
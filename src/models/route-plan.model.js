@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const tenantScopePlugin = require('./plugins/tenantScope.plugin');
+
+const RouteStopSchema = new mongoose.Schema({
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: true
+  },
+  position: {
+    type: Number,
+    required: true
+  },
+  // Dispatcher pinned this stop to its position; re-planning keeps it there
+  locked: {
+    type: Boolean,
+    default: false
+  },
+  coordinates: {
+    lat: Number,
+    lng: Number
+  },
+  missingCoordinates: {
+    type: Boolean,
+    default: false
+  },
+  eta: String,
+  plannedStart: String,
+  plannedEnd: String,
+  waitMinutes: Number,
+  lateMinutes: Number,
+  travelMinutes: Number,
+  travelMeters: Number
+}, { _id: false });
+
+const RoutePlanSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: [true, 'Please add a route date']
+  },
+  crewMember: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Please select a crew member']
+  },
+  start: {
+    lat: Number,
+    lng: Number
+  },
+  distanceProvider: {
+    type: String,
+    default: 'haversine'
+  },
+  stops: [RouteStopSchema],
+  totals: {
+    travelMinutes: Number,
+    travelMeters: Number,
+    lateMinutes: Number
+  },
+  plannedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  plannedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+RoutePlanSchema.plugin(tenantScopePlugin);
+
+// One plan per crew member per day
+RoutePlanSchema.index({ tenant: 1, date: 1, crewMember: 1 }, { unique: true });
+
+module.exports = mongoose.model('RoutePlan', RoutePlanSchema);
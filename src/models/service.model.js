@@ -1,6 +1,24 @@
 const mongoose = require('mongoose');
 const tenantScopePlugin = require('./plugins/tenantScope.plugin');
 
+// One step crews confirm on site; copied onto appointments at booking
+const ChecklistTemplateItemSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: [true, 'Please add a checklist item label'],
+    trim: true,
+    maxlength: [200, 'Checklist item cannot be more than 200 characters']
+  },
+  required: {
+    type: Boolean,
+    default: true
+  },
+  requiresPhoto: {
+    type: Boolean,
+    default: false
+  }
+});
+
 const ServiceSchema = new mongoose.Schema({
   tenantId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -46,6 +64,28 @@ const ServiceSchema = new mongoose.Schema({
     enum: ['flat', 'hourly', 'per_sqft'],
     default: 'flat'
   },
+  // Optional extras customers can add to a booking, charged per unit
+  addOns: [{
+    name: {
+      type: String,
+      required: [true, 'Please add an add-on name'],
+      trim: true,
+      maxlength: [50, 'Add-on name cannot be more than 50 characters']
+    },
+    description: {
+      type: String,
+      maxlength: [200, 'Add-on description cannot be more than 200 characters']
+    },
+    price: {
+      type: Number,
+      required: [true, 'Please add an add-on price'],
+      min: [0, 'Add-on price cannot be negative']
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  }],
   recurringOptions: {
     isRecurring: {
       type: Boolean,
@@ -94,7 +134,16 @@ const ServiceSchema = new mongoose.Schema({
     priceMultiplier: {
       type: Number,
       default: 1
-    }
+    },
+    // Extra checklist items for this package, on top of the service checklist
+    checklist: [ChecklistTemplateItemSchema]
+  }],
+  // Checklist items every package of the service includes
+  checklist: [ChecklistTemplateItemSchema],
+  // Skills or certifications the crew needs for this job (e.g. "Pesticide License")
+  requiredSkills: [{
+    type: String,
+    trim: true
   }],
   isActive: {
     type: Boolean,
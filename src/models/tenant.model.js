@@ -63,9 +63,21 @@ phone: {
   settings: {
     logo: String,
     themeColor: String,
+    // IANA name such as 'America/New_York'; scheduling runs in this zone
     timezone: {
       type: String,
       default: 'UTC',
+      validate: {
+        validator: (value) => {
+          try {
+            new Intl.DateTimeFormat('en-US', { timeZone: value });
+            return true;
+          } catch (err) {
+            return false;
+          }
+        },
+        message: (props) => `${props.value} is not a valid IANA timezone`,
+      },
     },
   },
   subscription: {
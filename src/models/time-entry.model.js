@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const tenantScopePlugin = require('./plugins/tenantScope.plugin');
+
+const LocationSchema = new mongoose.Schema({
+  lat: {
+    type: Number,
+    min: -90,
+    max: 90
+  },
+  lng: {
+    type: Number,
+    min: -180,
+    max: 180
+  },
+  accuracy: {
+    type: Number // meters, as reported by the device
+  }
+}, { _id: false });
+
+const BreakSchema = new mongoose.Schema({
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: {
+    type: Date
+  }
+});
+
+// Admin edits to an entry; the values before and after are kept for audit
+const CorrectionSchema = new mongoose.Schema({
+  correctedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  correctedAt: {
+    type: Date,
+    default: Date.now
+  },
+  reason: {
+    type: String,
+    required: [true, 'Please add a reason for the correction']
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed
+  }
+});
+
+const TimeEntrySchema = new mongoose.Schema({
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: true
+  },
+  crewMember: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  clockInAt: {
+    type: Date,
+    required: true
+  },
+  clockInLocation: LocationSchema,
+  clockOutAt: {
+    type: Date
+  },
+  clockOutLocation: LocationSchema,
+  breaks: [BreakSchema],
+  // Worked minutes excluding breaks; set when the entry is closed
+  laborMinutes: {
+    type: Number,
+    min: 0
+  },
+  corrections: [CorrectionSchema]
+}, {
+  timestamps: true
+});
+
+TimeEntrySchema.pre('validate', function(next) {
+  if (this.clockOutAt && this.clockOutAt < this.clockInAt) {
+    this.invalidate('clockOutAt', 'Clock-out cannot be before clock-in');
+  }
+  (this.breaks || []).forEach((entryBreak, index) => {
+    if (entryBreak.endedAt && entryBreak.endedAt < entryBreak.startedAt) {
+      this.invalidate(`breaks.${index}.endedAt`, 'A break cannot end before it starts');
+    }
+  });
+  next();
+});
+
+TimeEntrySchema.index({ tenant: 1, crewMember: 1, clockInAt: 1 });
+TimeEntrySchema.index({ appointment: 1 });
+
+TimeEntrySchema.plugin(tenantScopePlugin);
+
+module.exports = mongoose.model('TimeEntry', TimeEntrySchema);
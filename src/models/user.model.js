@@ -53,6 +53,28 @@ const UserSchema = new mongoose.Schema({
   },
   passwordSetupToken: String,
   passwordSetupExpire: Date,
+  // Hashed secret that lets calendar apps poll the user's ICS feed without a JWT
+  calendarFeedToken: {
+    type: String,
+    select: false,
+    index: true,
+    sparse: true
+  },
+  // Crew qualifications; services list the skills their jobs need
+  skills: [{
+    type: String,
+    trim: true
+  }],
+  // Licensed qualifications only count until they expire
+  certifications: [{
+    name: {
+      type: String,
+      required: [true, 'Please add a certification name'],
+      trim: true
+    },
+    number: String,
+    expiresAt: Date
+  }],
   lastLogin: Date,
   createdAt: {
     type: Date,
@@ -154,6 +176,20 @@ UserSchema.methods.getPasswordSetupToken = function() {
 };
 
 
+// Generate calendar feed token
+UserSchema.methods.getCalendarFeedToken = function() {
+  // Generate token
+  const feedToken = crypto.randomBytes(24).toString('hex');
+
+  // Hash token and set to field (feed tokens do not expire; regenerate to revoke)
+  this.calendarFeedToken = crypto
+    .createHash('sha256')
+    .update(feedToken)
+    .digest('hex');
+
+  return feedToken;
+};
+
 
 
 module.exports = mongoose.model('User', UserSchema); 
\ No newline at end of file
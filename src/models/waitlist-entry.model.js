@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const tenantScopePlugin = require('./plugins/tenantScope.plugin');
+
+const WaitlistEntrySchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property'
+  },
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: true
+  },
+  packageType: {
+    type: String,
+    enum: ['Basic', 'Standard', 'Premium'],
+    default: 'Standard'
+  },
+  dateFrom: {
+    type: Date,
+    required: [true, 'Please add the first acceptable date']
+  },
+  dateTo: {
+    type: Date,
+    required: [true, 'Please add the last acceptable date']
+  },
+  // Defaults come from Customer.servicePreferences
+  preferredDays: [{
+    type: String,
+    enum: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']
+  }],
+  preferredTimeOfDay: {
+    type: String,
+    enum: ['Morning', 'Afternoon', 'Evening', 'Any'],
+    default: 'Any'
+  },
+  notes: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['Waiting', 'Offered', 'Booked', 'Cancelled', 'Expired'],
+    default: 'Waiting'
+  },
+  // Appointment created when an offer was claimed
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+WaitlistEntrySchema.index({ tenant: 1, service: 1, status: 1, createdAt: 1 });
+
+WaitlistEntrySchema.plugin(tenantScopePlugin);
+
+module.exports = mongoose.model('WaitlistEntry', WaitlistEntrySchema);
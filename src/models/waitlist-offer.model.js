@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const tenantScopePlugin = require('./plugins/tenantScope.plugin');
+
+const WaitlistOfferSchema = new mongoose.Schema({
+  entry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WaitlistEntry',
+    required: true,
+    index: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  timeSlot: {
+    startTime: {
+      type: String,
+      required: true
+    },
+    endTime: {
+      type: String,
+      required: true
+    }
+  },
+  // Appointment whose cancellation freed the slot
+  sourceAppointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  // sha256 of the claim link token
+  claimToken: {
+    type: String,
+    required: true,
+    select: false,
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['Open', 'Claimed', 'Declined', 'Expired', 'Unavailable'],
+    default: 'Open'
+  },
+  respondedAt: {
+    type: Date
+  },
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  }
+}, {
+  timestamps: true
+});
+
+WaitlistOfferSchema.index({ status: 1, expiresAt: 1 });
+
+WaitlistOfferSchema.plugin(tenantScopePlugin);
+
+module.exports = mongoose.model('WaitlistOffer', WaitlistOfferSchema);
@@ -7,13 +7,42 @@ const {
   deleteAppointment,
   uploadServicePhotos,
   getMyAppointments,
-  requestReschedule,
   getCalendarAppointments,
   updateCrewAssignment,
   getAvailability,
   approveAppointment,
-  completeAppointment
+  completeAppointment,
+  updateAppointmentStatus,
+  updateChecklistItem,
+  captureSignature,
+  getCompletionReport,
+  getCancellationQuote,
+  rescheduleRainDay,
+  getPriceQuote,
+  batchMoveAppointments,
+  streamCalendarChanges
 } = require('../controllers/appointment.controller');
+const {
+  getSeries,
+  updateSeriesOccurrence,
+  updateSeriesSkipDates
+} = require('../controllers/appointment-series.controller');
+const {
+  createCalendarFeed,
+  revokeCalendarFeed,
+  getCalendarFeed
+} = require('../controllers/calendar-feed.controller');
+const { requestReschedule } = require('../controllers/reschedule-request.controller');
+const {
+  getComments,
+  addComment,
+  updateComment,
+  deleteComment
+} = require('../controllers/appointment-comment.controller');
+const {
+  logAppointmentMaterial,
+  removeAppointmentMaterial
+} = require('../controllers/material.controller');
 
 const Appointment = require('../models/appointment.model');
 
@@ -83,6 +112,7 @@ router.get('/', optional, advancedResults(
 // router.get('/availability', getAvailableTimeSlots);
 // router.get('/availability', getTimeSlotsWithAvailability);
 router.get('/availability', getAvailability);
+router.post('/quote', protect, authorize('customer'), getPriceQuote);
 
 router.get('/my-appointments', protect, authorize('customer'), getMyAppointments);
 router.get('/calendar', 
@@ -101,17 +131,48 @@ router.get('/calendar',
   }),
   getCalendarAppointments
 );
+router.get('/calendar/events', protect, authorize('tenantAdmin', 'professional', 'staff'), streamCalendarChanges);
+router.put('/calendar/batch', protect, authorize('tenantAdmin'), batchMoveAppointments);
+
+// Calendar feed routes (the feed itself is authenticated by its secret token)
+router.get('/feeds/:token.ics', getCalendarFeed);
+router
+  .route('/calendar-feed')
+  .post(protect, authorize('tenantAdmin', 'professional', 'staff', 'customer'), createCalendarFeed)
+  .delete(protect, authorize('tenantAdmin', 'professional', 'staff', 'customer'), revokeCalendarFeed);
+
+router.post('/rain-day', protect, authorize('tenantAdmin'), rescheduleRainDay);
+
+// Recurring series routes
+router.get('/series/:seriesId', protect, authorize('tenantAdmin', 'customer'), getSeries);
+router.put('/series/:seriesId/skip-dates', protect, authorize('tenantAdmin', 'customer'), updateSeriesSkipDates);
 
 // Parameterized routes
 // router.get('/:id',getAppointment);
 router.get('/:id', protect, authorize('tenantAdmin', 'customer'),getAppointment);
 router.put('/:id/reschedule-request', protect, authorize('customer'), requestReschedule);
-router.post('/:id/photos', protect, authorize('tenantAdmin', 'professional'), uploadServicePhotos);
+router.put('/:id/series', protect, authorize('tenantAdmin', 'customer'), updateSeriesOccurrence);
+router.post('/:id/photos', protect, authorize('tenantAdmin', 'staff', 'professional'), uploadServicePhotos);
+router.get('/:id/cancellation', protect, authorize('tenantAdmin', 'customer'), getCancellationQuote);
+router.put('/:id/signature', protect, authorize('tenantAdmin', 'staff', 'professional', 'customer'), captureSignature);
+router.get('/:id/completion-report', protect, authorize('tenantAdmin', 'staff', 'professional', 'customer'), getCompletionReport);
+router.put('/:id/checklist/:itemId', protect, authorize('tenantAdmin', 'staff', 'professional'), updateChecklistItem);
+router.post('/:id/materials', protect, authorize('tenantAdmin', 'staff', 'professional'), logAppointmentMaterial);
+router.delete('/:id/materials/:usageId', protect, authorize('tenantAdmin', 'staff', 'professional'), removeAppointmentMaterial);
+router
+  .route('/:id/comments')
+  .get(protect, authorize('tenantAdmin', 'staff', 'professional', 'customer'), getComments)
+  .post(protect, authorize('tenantAdmin', 'staff', 'professional', 'customer'), addComment);
+router
+  .route('/:id/comments/:commentId')
+  .put(protect, authorize('tenantAdmin', 'staff', 'professional', 'customer'), updateComment)
+  .delete(protect, authorize('tenantAdmin', 'staff', 'professional', 'customer'), deleteComment);
 
 // Admin and Professional routes
 router.post('/', protect, authorize('customer'), createAppointment);
 router.put('/:id', protect, authorize('tenantAdmin', 'professional'), updateAppointment);
 router.put('/:id/crew', protect, authorize('tenantAdmin'), updateCrewAssignment);
+router.put('/:id/status', protect, authorize('tenantAdmin', 'staff', 'professional', 'customer'), updateAppointmentStatus);
 router.put('/:id/approve', protect, authorize('tenantAdmin'), approveAppointment);
 router.put('/:id/complete', protect, authorize('tenantAdmin'), completeAppointment);
 router.delete('/:id', protect, deleteAppointment);
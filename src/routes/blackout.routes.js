@@ -0,0 +1,28 @@
+const express = require('express');
+const {
+  getBlackouts,
+  getBlackout,
+  createBlackout,
+  updateBlackout,
+  deleteBlackout,
+  getAffectedAppointments
+} = require('../controllers/blackout.controller');
+
+const router = express.Router();
+
+const { protect, authorize } = require('../middlewares/auth');
+
+router.use(protect);
+
+router.route('/')
+  .get(authorize('tenantAdmin', 'staff'), getBlackouts)
+  .post(authorize('tenantAdmin'), createBlackout);
+
+router.route('/:id')
+  .get(authorize('tenantAdmin', 'staff'), getBlackout)
+  .put(authorize('tenantAdmin'), updateBlackout)
+  .delete(authorize('tenantAdmin'), deleteBlackout);
+
+router.get('/:id/appointments', authorize('tenantAdmin'), getAffectedAppointments);
+
+module.exports = router;
@@ -3,12 +3,20 @@ const {
   getEstimates,
   getEstimate,
   createEstimate,
-  updateEstimate,
   deleteEstimate,
   uploadEstimatePhotos,
   requestEstimate,
   getMyEstimates,
-  approveEstimate
+  approveEstimate,
+  getEstimateRevisions,
+  getEstimateRevisionDiff,
+  getEstimateRevision,
+  createApprovalLink,
+  getPublicEstimate,
+  acceptPublicEstimate,
+  declinePublicEstimate,
+  getEstimatePdf,
+  getPublicEstimatePdf
 } = require('../controllers/estimate.controller');
 
 const Estimate = require('../models/estimate.model');
@@ -18,11 +26,28 @@ const router = express.Router();
 const { protect, authorize } = require('../middlewares/auth');
 const advancedResults = require('../middlewares/advancedResults');
 
+// Approval links are authenticated by their token
+router.get('/public/:token', getPublicEstimate);
+router.get('/public/:token/pdf', getPublicEstimatePdf);
+router.post('/public/:token/accept', acceptPublicEstimate);
+router.post('/public/:token/decline', declinePublicEstimate);
+
 // Customer-specific routes
 router.post('/request', protect, authorize('customer'), requestEstimate);
 router.get('/my-estimates', protect, authorize('customer'), getMyEstimates);
 router.put('/:id', protect, authorize('tenantAdmin'), approveEstimate);
 
+// Revision history
+router.get('/:id/revisions', protect, getEstimateRevisions);
+router.get('/:id/revisions/diff', protect, getEstimateRevisionDiff);
+router.get('/:id/revisions/:number', protect, getEstimateRevision);
+
+// Printable estimate
+router.get('/:id/pdf', protect, getEstimatePdf);
+
+// Email the customer a link to accept the estimate
+router.post('/:id/approval-link', protect, authorize('tenantAdmin'), createApprovalLink);
+
 // Photo upload route
 router.post('/:id/photos', uploadEstimatePhotos);
 
@@ -50,11 +75,10 @@ router.route('/')
     ),
     getEstimates
   )
-  .post(protect, authorize('admin'), createEstimate);
+  .post(protect, authorize('tenantAdmin'), createEstimate);
 
 router.route('/:id')
   .get(protect, getEstimate)
-  .put(protect, authorize('tenantAdmin'), updateEstimate)
   .delete(protect, authorize('tenantAdmin'), deleteEstimate);
 
 module.exports = router; 
\ No newline at end of file
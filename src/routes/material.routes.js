@@ -0,0 +1,30 @@
+const express = require('express');
+const {
+  getMaterials,
+  getMaterial,
+  createMaterial,
+  updateMaterial,
+  deleteMaterial,
+  adjustStock
+} = require('../controllers/material.controller');
+
+const router = express.Router();
+
+const { protect, authorize } = require('../middlewares/auth');
+
+router.use(protect);
+
+const CREW = ['tenantAdmin', 'staff', 'professional'];
+
+router.route('/')
+  .get(authorize(...CREW), getMaterials)
+  .post(authorize('tenantAdmin'), createMaterial);
+
+router.route('/:id')
+  .get(authorize(...CREW), getMaterial)
+  .put(authorize('tenantAdmin'), updateMaterial)
+  .delete(authorize('tenantAdmin'), deleteMaterial);
+
+router.post('/:id/stock', authorize('tenantAdmin'), adjustStock);
+
+module.exports = router;
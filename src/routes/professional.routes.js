@@ -8,7 +8,8 @@ const {
   getProfessionalWorkload,
   assignToAppointment,
   getAvailableProfessionals,
-  updateAppointmentCrew
+  updateAppointmentCrew,
+  autoAssignCrew
 } = require('../controllers/professional.controller');
 const { updateUser, deleteUser } = require('../controllers/user.controller');
 
@@ -23,6 +24,9 @@ router.use(authorize('tenantAdmin'));
 // Available professionals route
 router.get('/available', getAvailableProfessionals);
 
+// Fill a day's unassigned appointments with qualified crew
+router.post('/auto-assign', autoAssignCrew);
+
 // Base professional routes
 router.route('/')
   .get(authorize('tenantAdmin'), getProfessionals)
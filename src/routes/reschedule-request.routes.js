@@ -0,0 +1,29 @@
+const express = require('express');
+const {
+  getRescheduleRequests,
+  getRescheduleRequest,
+  approveRescheduleRequest,
+  declineRescheduleRequest,
+  counterRescheduleRequest,
+  respondToCounterProposal
+} = require('../controllers/reschedule-request.controller');
+
+const router = express.Router();
+
+const { protect, authorize } = require('../middlewares/auth');
+
+router.use(protect);
+
+// Requests are created through PUT /api/v1/appointments/:id/reschedule-request
+router.get('/', authorize('tenantAdmin', 'customer'), getRescheduleRequests);
+router.get('/:requestId', authorize('tenantAdmin', 'customer'), getRescheduleRequest);
+
+// Tenant admin decisions
+router.put('/:requestId/approve', authorize('tenantAdmin'), approveRescheduleRequest);
+router.put('/:requestId/decline', authorize('tenantAdmin'), declineRescheduleRequest);
+router.put('/:requestId/counter', authorize('tenantAdmin'), counterRescheduleRequest);
+
+// Customer answer to a counter-proposal
+router.put('/:requestId/respond', authorize('customer'), respondToCounterProposal);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const {
+  planRoute,
+  getRoutePlan,
+  lockStop,
+  unlockStop
+} = require('../controllers/route-plan.controller');
+
+const router = express.Router();
+
+const { protect, authorize } = require('../middlewares/auth');
+
+router.use(protect);
+
+router.route('/')
+  .get(authorize('tenantAdmin', 'staff', 'professional'), getRoutePlan)
+  .post(authorize('tenantAdmin'), planRoute);
+
+router.route('/:id/stops/:appointmentId/lock')
+  .put(authorize('tenantAdmin'), lockStop)
+  .delete(authorize('tenantAdmin'), unlockStop);
+
+module.exports = router;
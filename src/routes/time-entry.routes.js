@@ -0,0 +1,28 @@
+const express = require('express');
+const {
+  clockIn,
+  clockOut,
+  startBreak,
+  endBreak,
+  getTimeEntries,
+  getTimesheet,
+  correctTimeEntry
+} = require('../controllers/time-entry.controller');
+
+const router = express.Router();
+
+const { protect, authorize } = require('../middlewares/auth');
+
+router.use(protect);
+
+const CREW = ['tenantAdmin', 'staff', 'professional'];
+
+router.get('/', authorize(...CREW), getTimeEntries);
+router.get('/timesheet', authorize(...CREW), getTimesheet);
+router.post('/clock-in', authorize(...CREW), clockIn);
+router.post('/clock-out', authorize(...CREW), clockOut);
+router.post('/breaks/start', authorize(...CREW), startBreak);
+router.post('/breaks/end', authorize(...CREW), endBreak);
+router.put('/:id', authorize('tenantAdmin'), correctTimeEntry);
+
+module.exports = router;
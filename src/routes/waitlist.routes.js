@@ -0,0 +1,26 @@
+const express = require('express');
+const {
+  joinWaitlist,
+  getWaitlist,
+  leaveWaitlist,
+  getWaitlistOffer,
+  claimWaitlistOffer,
+  declineWaitlistOffer
+} = require('../controllers/waitlist.controller');
+
+const router = express.Router();
+
+const { protect, authorize } = require('../middlewares/auth');
+
+// Claim links are authenticated by their token
+router.get('/offers/:token', getWaitlistOffer);
+router.post('/offers/:token/claim', claimWaitlistOffer);
+router.post('/offers/:token/decline', declineWaitlistOffer);
+
+router.route('/')
+  .get(protect, authorize('tenantAdmin', 'customer'), getWaitlist)
+  .post(protect, authorize('customer'), joinWaitlist);
+
+router.delete('/:id', protect, authorize('tenantAdmin', 'customer'), leaveWaitlist);
+
+module.exports = router;
@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+const AppointmentComment = require('../models/appointment-comment.model');
+const Notification = require('../models/Notification');
+const User = require('../models/user.model');
+const ErrorResponse = require('./errorResponse');
+const cloudinary = require('./cloudinary');
+const sendEmail = require('./sendEmail');
+const { CREW_ROLES } = require('./calendarScope');
+const { idString } = require('./scheduling');
+
+const COMMENT_VISIBILITIES = ['internal', 'customer'];
+
+// Staff who can be mentioned and read internal comments
+const STAFF_ROLES = [...CREW_ROLES, 'tenantAdmin'];
+
+const MAX_ATTACHMENTS = 5;
+
+// Mention markup written by the front end: @[Jane Doe](<user id>)
+const MENTION_PATTERN = /@\[([^\]]*)\]\(([a-f0-9]{24})\)/gi;
+
+/**
+ * Ids of the users mentioned in a comment
+ * @param {String} body - Comment text with @[Name](userId) markup
+ * @param {String[]} [explicit] - Ids sent alongside the text
+ * @returns {String[]} Unique ids
+ */
+const parseMentions = (body = '', explicit = []) => {
+  const ids = [...String(body).matchAll(MENTION_PATTERN)].map(match => match[2].toLowerCase());
+  return [...new Set([...ids, ...explicit.map(String)])];
+};
+
+/**
+ * Staff of the tenant among the mentioned ids
+ * @param {ObjectId} tenantId
+ * @param {String[]} ids
+ * @throws {ErrorResponse} When an id is not a staff member of the tenant
+ * @returns {Promise<Object[]>} Users
+ */
+const resolveMentions = async (tenantId, ids) => {
+  if (ids.length === 0) return [];
+  if (ids.some(id => !mongoose.isValidObjectId(id))) {
+    throw new ErrorResponse('Only staff members can be mentioned', 400);
+  }
+
+  const users = await User.find({ _id: { $in: ids }, tenantId, role: { $in: STAFF_ROLES } })
+    .select('name email');
+  if (users.length !== ids.length) {
+    throw new ErrorResponse('Only staff members can be mentioned', 400);
+  }
+  return users;
+};
+
+/**
+ * Upload base64 attachments ({ name, contentType, data }) for a comment
+ * @param {Object[]} files
+ * @param {ObjectId} appointmentId
+ * @returns {Promise<Object[]>} Attachment entries
+ */
+const uploadCommentAttachments = async (files = [], appointmentId) => {
+  if (files.length > MAX_ATTACHMENTS) {
+    throw new ErrorResponse(`A comment can have at most ${MAX_ATTACHMENTS} attachments`, 400);
+  }
+  if (files.some(file => !file?.data || !file.contentType)) {
+    throw new ErrorResponse('Each attachment needs its contentType and base64 data', 400);
+  }
+
+  return Promise.all(files.map(file => new Promise((resolve, reject) => {
+    cloudinary.uploader.upload(
+      `data:${file.contentType};base64,${file.data}`,
+      {
+        folder: `landscaping/appointments/${appointmentId}/comments`,
+        resource_type: 'auto'
+      },
+      (error, result) => {
+        if (error) {
+          reject(new ErrorResponse(`Problem with attachment upload: ${error.message}`, 500));
+        } else {
+          resolve({
+            url: result.secure_url,
+            publicId: result.public_id,
+            name: file.name,
+            contentType: file.contentType,
+            uploadedAt: Date.now()
+          });
+        }
+      }
+    );
+  })));
+};
+
+/**
+ * Tell mentioned staff about a comment, in the app and by email
+ * @param {Object} comment - Saved comment
+ * @param {Object[]} users - Newly mentioned users
+ * @param {Object} author - User who wrote the comment
+ */
+const notifyMentionedUsers = async (comment, users, author) => {
+  const recipients = users.filter(user => idString(user) !== idString(author));
+  if (recipients.length === 0) return;
+
+  const title = `${author.name || 'A colleague'} mentioned you on an appointment`;
+  const excerpt = (comment.body || '').replace(MENTION_PATTERN, '@$1');
+
+  try {
+    await Notification.createNotification({
+      title,
+      message: excerpt.slice(0, 500),
+      type: 'info',
+      targetAudience: 'specific_users',
+      targetUsers: recipients.map(user => user._id),
+      channels: { in_app: true, email: true },
+      metadata: { appointment: comment.appointment, comment: comment._id },
+      createdBy: author._id || author.id
+    });
+    await Promise.all(recipients
+      .filter(user => user.email)
+      .map(user => sendEmail({ email: user.email, subject: title, message: excerpt })));
+  } catch (err) {
+    console.error('Mention notification failed:', err.message);
+  }
+};
+
+/**
+ * What a comment shows to readers; deleted comments keep only their place in the thread
+ * @param {Object} comment - Comment document, author populated
+ * @returns {Object}
+ */
+const formatComment = (comment) => {
+  const data = comment.toObject ? comment.toObject() : { ...comment };
+  if (data.deletedAt) {
+    return { ...data, body: undefined, attachments: [], mentions: [] };
+  }
+  return data;
+};
+
+/**
+ * Comments of appointments as threads, oldest first, filtered for the reader
+ * @param {ObjectId[]} appointmentIds
+ * @param {Object} options
+ * @param {Boolean} options.customerView - Only customer-visible comments
+ * @returns {Promise<Map<String, Object[]>>} Threads keyed by appointment id
+ */
+const getCommentThreads = async (appointmentIds, { customerView }) => {
+  const comments = await AppointmentComment.find({
+    appointment: { $in: appointmentIds },
+    ...(customerView && { visibility: 'customer' })
+  })
+    .populate('author', 'name role')
+    .populate('mentions', 'name')
+    .sort({ createdAt: 1 });
+
+  const threads = new Map(appointmentIds.map(id => [idString(id), []]));
+  const roots = new Map();
+  comments.filter(comment => !comment.parent).forEach(comment => {
+    const thread = { ...formatComment(comment), replies: [] };
+    roots.set(idString(comment._id), thread);
+    threads.get(idString(comment.appointment))?.push(thread);
+  });
+  comments.filter(comment => comment.parent).forEach(comment => {
+    roots.get(idString(comment.parent))?.replies.push(formatComment(comment));
+  });
+  return threads;
+};
+
+module.exports = {
+  COMMENT_VISIBILITIES,
+  STAFF_ROLES,
+  parseMentions,
+  resolveMentions,
+  uploadCommentAttachments,
+  notifyMentionedUsers,
+  formatComment,
+  getCommentThreads
+};
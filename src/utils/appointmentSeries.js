@@ -0,0 +1,183 @@
+const Appointment = require('../models/appointment.model');
+const AppointmentSeries = require('../models/appointment-series.model');
+const Service = require('../models/service.model');
+const {
+  SERIES_HORIZON_DAYS,
+  toUTCDate,
+  toDateKey,
+  generateOccurrenceDates
+} = require('./recurrence');
+const { getBlackoutsInRange, filterBlockingBlackouts, coversDate } = require('./blackouts');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statuses of occurrences that series-wide edits are still allowed to touch
+const EDITABLE_OCCURRENCE_STATUSES = ['Pending', 'Confirmed'];
+
+const getHorizonEnd = (now = new Date()) => new Date(toUTCDate(now).getTime() + SERIES_HORIZON_DAYS * DAY_MS);
+
+// Build the Appointment payload for one occurrence of a series
+const buildOccurrence = (series, date) => ({
+  tenant: series.tenant,
+  customer: series.customer,
+  property: series.property,
+  service: series.service,
+  packageType: series.packageType,
+  recurringType: series.recurringType,
+  series: series._id,
+  occurrenceDate: date,
+  date,
+  timeSlot: {
+    startTime: series.timeSlot.startTime,
+    endTime: series.timeSlot.endTime
+  },
+  duration: series.duration,
+  crew: {
+    assignedTo: series.crew?.assignedTo || [],
+    leadProfessional: series.crew?.leadProfessional
+  },
+  notes: {
+    customer: series.notes?.customer,
+    professional: series.notes?.professional,
+    internal: series.notes?.internal
+  },
+  pricing: series.pricing,
+  payment: {
+    amount: series.pricing?.amount
+  },
+  createdBy: series.createdBy
+});
+
+/**
+ * Create the missing occurrences of a series up to a date
+ * Occurrences that collide with an existing booking are reported, not thrown.
+ * Dates closed by the blackout calendar are skipped and reported separately.
+ * @param {Object} series - AppointmentSeries document
+ * @param {Object} [options]
+ * @param {Date} [options.until] - Materialize through this date (defaults to the rolling horizon)
+ * @returns {Promise<{ created: Object[], conflicts: Date[], blackedOut: Date[] }>}
+ */
+const materializeSeries = async (series, { until = getHorizonEnd() } = {}) => {
+  const created = [];
+  const conflicts = [];
+  const blackedOut = [];
+
+  if (series.status !== 'Active') {
+    return { created, conflicts, blackedOut };
+  }
+
+  const from = series.materializedThrough
+    ? new Date(toUTCDate(series.materializedThrough).getTime() + DAY_MS)
+    : series.startDate;
+
+  const dates = generateOccurrenceDates({
+    startDate: series.startDate,
+    recurringType: series.recurringType,
+    endDate: series.endDate,
+    skipDates: series.skipDates,
+    from,
+    until
+  });
+
+  if (dates.length > 0) {
+    const existing = await Appointment.find({
+      series: series._id,
+      occurrenceDate: { $in: dates }
+    }).select('occurrenceDate');
+    const existingKeys = new Set(existing.map(a => toDateKey(a.occurrenceDate)));
+
+    const [blackouts, service] = await Promise.all([
+      getBlackoutsInRange(series.tenant, dates[0], dates[dates.length - 1]),
+      Service.findById(series.service).select('category')
+    ]);
+    const crewIds = [series.crew?.leadProfessional, ...(series.crew?.assignedTo || [])]
+      .filter(Boolean)
+      .map(id => id.toString());
+
+    for (const date of dates) {
+      if (existingKeys.has(toDateKey(date))) continue;
+
+      const blocking = filterBlockingBlackouts(blackouts.filter(b => coversDate(b, date)), {
+        timeSlot: series.timeSlot,
+        category: service?.category,
+        crewIds
+      });
+      if (blocking.length > 0) {
+        blackedOut.push(date);
+        continue;
+      }
+
+      try {
+        created.push(await Appointment.create(buildOccurrence(series, date)));
+      } catch (error) {
+        // Exact duplicate slot already booked by someone else
+        if (error.code === 11000) {
+          conflicts.push(date);
+          continue;
+        }
+        throw error;
+      }
+    }
+  }
+
+  const through = toUTCDate(until);
+  if (!series.materializedThrough || series.materializedThrough < through) {
+    series.materializedThrough = through;
+  }
+  if (series.endDate && series.materializedThrough >= toUTCDate(series.endDate)) {
+    series.status = 'Ended';
+  }
+  await series.save();
+
+  return { created, conflicts, blackedOut };
+};
+
+/**
+ * Roll every active series forward so occurrences always exist for the horizon
+ * @param {Date} [now]
+ * @returns {Promise<Number>} Number of occurrences created
+ */
+const extendActiveSeries = async (now = new Date()) => {
+  const until = getHorizonEnd(now);
+  const seriesList = await AppointmentSeries.find({
+    status: 'Active',
+    $or: [
+      { materializedThrough: { $lt: until } },
+      { materializedThrough: { $exists: false } }
+    ]
+  });
+
+  let createdCount = 0;
+  for (const series of seriesList) {
+    try {
+      const { created } = await materializeSeries(series, { until });
+      createdCount += created.length;
+    } catch (err) {
+      console.error(`Failed to extend appointment series ${series._id}:`, err.message);
+    }
+  }
+  return createdCount;
+};
+
+/**
+ * Occurrences a series-wide edit applies to
+ * Occurrences edited on their own (exceptions) and ones already underway are left alone.
+ * @param {ObjectId} seriesId
+ * @param {Date} fromDate - Only occurrences scheduled on or after this date
+ * @returns {Promise<Object[]>}
+ */
+const findEditableOccurrences = (seriesId, fromDate) => Appointment.find({
+  series: seriesId,
+  isSeriesException: { $ne: true },
+  status: { $in: EDITABLE_OCCURRENCE_STATUSES },
+  occurrenceDate: { $gte: toUTCDate(fromDate) }
+}).sort({ date: 1 });
+
+module.exports = {
+  EDITABLE_OCCURRENCE_STATUSES,
+  getHorizonEnd,
+  buildOccurrence,
+  materializeSeries,
+  extendActiveSeries,
+  findEditableOccurrences
+};
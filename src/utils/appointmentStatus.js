@@ -0,0 +1,146 @@
+const ErrorResponse = require('./errorResponse');
+const { CREW_ROLES } = require('./calendarScope');
+
+/**
+ * Allowed appointment status transitions
+ * Each target lists the roles that may make the move and the fields the change must carry.
+ * 'system' covers changes the app makes on its own, such as restoring a skipped series date.
+ */
+const STATUS_TRANSITIONS = {
+  Pending: {
+    Confirmed: { roles: ['tenantAdmin'] },
+    Rejected: { roles: ['tenantAdmin'], requires: ['reason'] },
+    Cancelled: { roles: ['tenantAdmin', 'customer'], requires: ['reason'] },
+    Rescheduled: { roles: ['tenantAdmin'] }
+  },
+  Confirmed: {
+    'In Progress': { roles: ['tenantAdmin', ...CREW_ROLES] },
+    Cancelled: { roles: ['tenantAdmin', 'customer'], requires: ['reason'] },
+    Rescheduled: { roles: ['tenantAdmin'] }
+  },
+  Rescheduled: {
+    Confirmed: { roles: ['tenantAdmin'] },
+    'In Progress': { roles: ['tenantAdmin', ...CREW_ROLES] },
+    Cancelled: { roles: ['tenantAdmin', 'customer'], requires: ['reason'] }
+  },
+  'In Progress': {
+    Completed: { roles: ['tenantAdmin', ...CREW_ROLES] },
+    Cancelled: { roles: ['tenantAdmin'], requires: ['reason'] }
+  },
+  Cancelled: {
+    Pending: { roles: ['system'] }
+  },
+  Completed: {},
+  Rejected: {}
+};
+
+const TRANSITION_FIELD_LABELS = {
+  reason: 'a reason'
+};
+
+/**
+ * Required checklist items not yet ticked off
+ * @param {Object} appointment
+ * @returns {Object[]}
+ */
+const getIncompleteChecklistItems = (appointment) => (appointment.checklist || [])
+  .filter(item => item.required && !item.completed);
+
+// Conditions on the appointment itself that must hold before entering a status
+const STATUS_GUARDS = {
+  Completed: (appointment) => {
+    const incomplete = getIncompleteChecklistItems(appointment);
+    return incomplete.length > 0
+      ? `Complete the required checklist items first: ${incomplete.map(item => item.label).join(', ')}`
+      : null;
+  }
+};
+
+/**
+ * Statuses a role can move an appointment to from its current status
+ * @param {String} from - Current status
+ * @param {String} role
+ * @returns {String[]}
+ */
+const getAllowedTransitions = (from, role) => Object.entries(STATUS_TRANSITIONS[from] || {})
+  .filter(([, rule]) => rule.roles.includes(role))
+  .map(([to]) => to);
+
+/**
+ * Check a status change against the state machine
+ * @param {String} from
+ * @param {String} to
+ * @param {Object} options
+ * @param {String} options.role - Role making the change
+ * @param {Object} [options.fields] - Values supplied with the change (e.g. { reason })
+ * @param {Object} [options.appointment] - Checked against the target status's guard when given
+ * @returns {ErrorResponse|null} The error to report, or null when the change is allowed
+ */
+const getTransitionError = (from, to, { role, fields = {}, appointment }) => {
+  if (!STATUS_TRANSITIONS[to]) {
+    return new ErrorResponse(`Unknown appointment status '${to}'`, 400);
+  }
+
+  const rule = STATUS_TRANSITIONS[from]?.[to];
+  if (!rule) {
+    return new ErrorResponse(`Cannot change appointment status from ${from} to ${to}`, 400);
+  }
+
+  if (!rule.roles.includes(role)) {
+    return new ErrorResponse(`Not authorized to change appointment status from ${from} to ${to}`, 403);
+  }
+
+  const missing = (rule.requires || []).filter(field => !String(fields[field] ?? '').trim());
+  if (missing.length > 0) {
+    const labels = missing.map(field => TRANSITION_FIELD_LABELS[field] || field);
+    return new ErrorResponse(`Changing status to ${to} requires ${labels.join(' and ')}`, 400);
+  }
+
+  const guardMessage = appointment && STATUS_GUARDS[to]?.(appointment);
+  if (guardMessage) {
+    return new ErrorResponse(guardMessage, 400);
+  }
+
+  return null;
+};
+
+/**
+ * Move an appointment to a new status and append it to the status history
+ * The appointment is not saved; callers save it along with any other changes.
+ * @param {Object} appointment - Appointment document
+ * @param {String} to - New status
+ * @param {Object} options
+ * @param {Object} [options.user] - User making the change (req.user)
+ * @param {String} [options.role] - Defaults to the user's role
+ * @param {String} [options.reason]
+ * @param {Date} [options.now]
+ * @throws {ErrorResponse} When the transition is not allowed
+ * @returns {Object} The appointment
+ */
+const transitionAppointmentStatus = (appointment, to, { user, role = user?.role, reason, now = new Date() } = {}) => {
+  const from = appointment.status;
+  const error = getTransitionError(from, to, { role, fields: { reason }, appointment });
+  if (error) {
+    throw error;
+  }
+
+  appointment.status = to;
+  appointment.statusHistory.push({
+    from,
+    to,
+    changedBy: user?._id || user?.id,
+    role,
+    reason: reason ? String(reason).trim() : undefined,
+    changedAt: now
+  });
+
+  return appointment;
+};
+
+module.exports = {
+  STATUS_TRANSITIONS,
+  getAllowedTransitions,
+  getIncompleteChecklistItems,
+  getTransitionError,
+  transitionAppointmentStatus
+};
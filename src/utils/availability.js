@@ -0,0 +1,207 @@
+const Appointment = require('../models/appointment.model');
+const BusinessSetting = require('../models/business-setting.model');
+const User = require('../models/user.model');
+const { toDateKey } = require('./recurrence');
+const { INACTIVE_STATUSES, timeToMinutes } = require('./scheduling');
+const {
+  getTenantTimezone,
+  zonedTimeToUtc,
+  localTimeExists,
+  toZonedISOString
+} = require('./timezone');
+const {
+  getBlackoutWindow,
+  isCrewBlackout,
+  coversCategory,
+  getBlackoutsInRange
+} = require('./blackouts');
+
+const DAY_KEYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const minutesToTime = (total) => {
+  const hours = Math.floor(total / 60);
+  const minutes = total % 60;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+// Half-open interval overlap: 08:00-09:00 and 09:00-10:00 do not overlap
+const intervalsOverlap = (startA, endA, startB, endB) => startA < endB && startB < endA;
+
+/**
+ * Opening hours that apply on a date
+ * @param {Object} settings - BusinessSetting document
+ * @param {String} dateOnly - YYYY-MM-DD
+ * @returns {{ isOpen: Boolean, openTime: String, closeTime: String, reason?: String }}
+ */
+const getBusinessHoursForDate = (settings, dateOnly) => {
+  const holiday = (settings.holidays || []).find(h => toDateKey(h.date) === dateOnly);
+  if (holiday) {
+    return { isOpen: false, reason: holiday.name ? `Closed for ${holiday.name}` : 'Closed for holiday' };
+  }
+
+  const dayKey = DAY_KEYS[new Date(`${dateOnly}T00:00:00Z`).getUTCDay()];
+  const hours = settings.businessHours?.[dayKey];
+  if (!hours || !hours.isOpen || timeToMinutes(hours.openTime) >= timeToMinutes(hours.closeTime)) {
+    return { isOpen: false, reason: `Closed on ${dayKey.charAt(0).toUpperCase()}${dayKey.slice(1)}` };
+  }
+
+  return { isOpen: true, openTime: hours.openTime, closeTime: hours.closeTime };
+};
+
+/**
+ * Start/end pairs inside opening hours
+ * @param {Object} options
+ * @param {String} options.openTime - HH:mm
+ * @param {String} options.closeTime - HH:mm
+ * @param {Number} options.duration - Slot length in minutes
+ * @param {Number} options.interval - Minutes between slot starts
+ * @returns {{ startTime: String, endTime: String, start: Number, end: Number }[]}
+ */
+const buildDaySlots = ({ openTime, closeTime, duration, interval }) => {
+  const open = timeToMinutes(openTime);
+  const close = timeToMinutes(closeTime);
+  const slots = [];
+
+  for (let start = open; start + duration <= close; start += interval) {
+    slots.push({
+      startTime: minutesToTime(start),
+      endTime: minutesToTime(start + duration),
+      start,
+      end: start + duration
+    });
+  }
+
+  return slots;
+};
+
+/**
+ * Number of crews that can work simultaneously for a tenant
+ * @param {Object} settings - BusinessSetting document
+ * @param {ObjectId} tenantId
+ * @returns {Promise<Number>}
+ */
+const getCrewCapacity = async (settings, tenantId) => {
+  if (settings.scheduling?.crewCapacity) {
+    return settings.scheduling.crewCapacity;
+  }
+  const staffCount = await User.countDocuments({ tenantId, role: 'staff' });
+  return Math.max(staffCount, 1);
+};
+
+/**
+ * Active appointments of a tenant on a date
+ * @param {ObjectId} tenantId
+ * @param {String} dateOnly - YYYY-MM-DD
+ * @returns {Promise<Object[]>}
+ */
+const getBookingsForDate = (tenantId, dateOnly) => {
+  const dayStart = new Date(`${dateOnly}T00:00:00Z`);
+  return Appointment.find({
+    tenant: tenantId,
+    date: { $gte: dayStart, $lt: new Date(dayStart.getTime() + DAY_MS) },
+    status: { $nin: INACTIVE_STATUSES }
+  }).select('timeSlot crew service status');
+};
+
+/**
+ * Slots for a service on a date with remaining crew capacity
+ * Slots are local times in the tenant's timezone; ones skipped by a DST change are left out.
+ * @param {Object} options
+ * @param {Object} options.service - Service document
+ * @param {String} options.dateOnly - YYYY-MM-DD
+ * @param {Date} [options.now] - Slots starting before this moment are dropped
+ * @returns {Promise<{ closed: Boolean, reason?: String, timezone: String, capacity?: Number, slots: Object[] }>}
+ */
+const getServiceAvailability = async ({ service, dateOnly, now = new Date() }) => {
+  const tenantId = service.tenantId;
+  const [settings, timezone] = await Promise.all([
+    BusinessSetting.getSettingsForTenant(tenantId),
+    getTenantTimezone(tenantId)
+  ]);
+  const hours = getBusinessHoursForDate(settings, dateOnly);
+
+  if (!hours.isOpen) {
+    return { closed: true, reason: hours.reason, timezone, slots: [] };
+  }
+
+  const [capacity, bookings, dayBlackouts] = await Promise.all([
+    getCrewCapacity(settings, tenantId),
+    getBookingsForDate(tenantId, dateOnly),
+    getBlackoutsInRange(tenantId, dateOnly)
+  ]);
+
+  const blackouts = dayBlackouts.filter(b => coversCategory(b, service.category));
+  const closure = blackouts.find(b => b.allDay && !isCrewBlackout(b));
+  if (closure) {
+    return { closed: true, reason: `Closed: ${closure.title}`, timezone, slots: [] };
+  }
+
+  // Blackouts active during a slot: company closures block it, crew ones shrink capacity
+  const blackoutsDuring = (slot) => blackouts.filter(b => {
+    const window = getBlackoutWindow(b);
+    return intervalsOverlap(slot.start, slot.end, window.start, window.end);
+  });
+
+  const slots = buildDaySlots({
+    openTime: hours.openTime,
+    closeTime: hours.closeTime,
+    duration: service.duration,
+    interval: settings.scheduling?.slotInterval || 30
+  })
+    .filter(slot => localTimeExists(dateOnly, slot.startTime, timezone))
+    .map(slot => ({
+      ...slot,
+      startsAt: zonedTimeToUtc(dateOnly, slot.startTime, timezone),
+      endsAt: zonedTimeToUtc(dateOnly, slot.endTime, timezone)
+    }))
+    .filter(slot => slot.startsAt >= now)
+    .map(slot => {
+      const booked = bookings.filter(b => intervalsOverlap(
+        slot.start,
+        slot.end,
+        timeToMinutes(b.timeSlot.startTime),
+        timeToMinutes(b.timeSlot.endTime)
+      )).length;
+      const active = blackoutsDuring(slot);
+      const closedBy = active.find(b => !isCrewBlackout(b));
+      const crewOff = new Set(active.filter(isCrewBlackout)
+        .flatMap(b => b.crewMembers.map(member => member.toString()))).size;
+      const remaining = closedBy ? 0 : Math.max(capacity - crewOff - booked, 0);
+
+      return {
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+        startsAt: toZonedISOString(slot.startsAt, timezone),
+        endsAt: toZonedISOString(slot.endsAt, timezone),
+        available: remaining > 0,
+        capacity,
+        booked,
+        remaining,
+        ...(closedBy && { blackout: closedBy.title })
+      };
+    });
+
+  return {
+    closed: false,
+    timezone,
+    openTime: hours.openTime,
+    closeTime: hours.closeTime,
+    capacity,
+    slots
+  };
+};
+
+module.exports = {
+  DAY_KEYS,
+  INACTIVE_STATUSES,
+  timeToMinutes,
+  minutesToTime,
+  intervalsOverlap,
+  getBusinessHoursForDate,
+  buildDaySlots,
+  getCrewCapacity,
+  getBookingsForDate,
+  getServiceAvailability
+};
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Appointment = require('../models/appointment.model');
+const AppointmentSeries = require('../models/appointment-series.model');
+const Customer = require('../models/customer.model');
+const Property = require('../models/property.model');
+const { hasFullAddress, getLegacyCustomerAddress, buildPropertyFromAddress } = require('./properties');
+
+// Load env vars
+dotenv.config({ path: './.env' });
+
+// Usage: npm run backfill-properties [-- --dry-run]
+const DRY_RUN = process.argv.includes('--dry-run');
+
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ MongoDB Connected...');
+  } catch (err) {
+    console.error('❌ Database connection error:', err.message);
+    process.exit(1);
+  }
+};
+
+/**
+ * Property to link a customer's old bookings to
+ * Uses their default (or oldest) Property, otherwise creates one from the
+ * address saved on the customer, with the legacy propertyDetails entry
+ * supplying name, size and access instructions.
+ */
+const findOrCreateProperty = async (customer, tenantId, stats) => {
+  const existing = await Property.findOne({ customer: customer._id })
+    .sort({ isDefault: -1, createdAt: 1 });
+  if (existing) return existing;
+
+  const address = getLegacyCustomerAddress(customer);
+  if (!hasFullAddress(address) || !customer.user) {
+    return null;
+  }
+
+  stats.propertiesCreated++;
+  if (DRY_RUN) {
+    return { _id: null, dryRun: true };
+  }
+
+  return Property.create(buildPropertyFromAddress(customer, tenantId, address));
+};
+
+const backfill = async () => {
+  const stats = { appointments: 0, series: 0, propertiesCreated: 0, skippedCustomers: 0 };
+  const propertyByCustomer = new Map();
+
+  const resolveFor = async (booking) => {
+    const key = booking.customer.toString();
+    if (!propertyByCustomer.has(key)) {
+      const customer = await Customer.findById(booking.customer);
+      const property = customer ? await findOrCreateProperty(customer, booking.tenant, stats) : null;
+      if (!property) {
+        stats.skippedCustomers++;
+        console.log(`⚠️  No property or complete address for customer ${key}; their bookings were left unlinked`);
+      }
+      propertyByCustomer.set(key, property);
+    }
+    return propertyByCustomer.get(key);
+  };
+
+  const seriesCursor = AppointmentSeries.find({ property: { $exists: false } }).cursor();
+  for await (const series of seriesCursor) {
+    const property = await resolveFor(series);
+    if (!property) continue;
+    stats.series++;
+    if (!DRY_RUN) {
+      await AppointmentSeries.updateOne({ _id: series._id }, { $set: { property: property._id } });
+    }
+  }
+
+  const appointmentCursor = Appointment.find({ property: { $exists: false } })
+    .select('customer tenant')
+    .cursor();
+  for await (const appointment of appointmentCursor) {
+    const property = await resolveFor(appointment);
+    if (!property) continue;
+    stats.appointments++;
+    if (!DRY_RUN) {
+      await Appointment.updateOne({ _id: appointment._id }, { $set: { property: property._id } });
+    }
+  }
+
+  return stats;
+};
+
+const run = async () => {
+  try {
+    console.log(`🚀 Linking appointments to properties${DRY_RUN ? ' (dry run)' : ''}...`);
+    await connectDB();
+    const stats = await backfill();
+
+    console.log(`✅ Appointments linked: ${stats.appointments}`);
+    console.log(`✅ Series linked: ${stats.series}`);
+    console.log(`🏠 Properties created from customer addresses: ${stats.propertiesCreated}`);
+    console.log(`⚠️  Customers skipped: ${stats.skippedCustomers}`);
+  } catch (error) {
+    console.error('❌ Backfill failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 MongoDB connection closed.');
+  }
+};
+
+run();
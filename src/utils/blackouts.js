@@ -0,0 +1,113 @@
+const Blackout = require('../models/blackout.model');
+const Appointment = require('../models/appointment.model');
+const { toUTCDate, toDateKey } = require('./recurrence');
+const { INACTIVE_STATUSES, timeToMinutes, idString } = require('./scheduling');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Closed minutes of a blackout on each day it covers
+ * @param {Object} blackout
+ * @returns {{ start: Number, end: Number }}
+ */
+const getBlackoutWindow = (blackout) => (blackout.allDay
+  ? { start: 0, end: 24 * 60 }
+  : { start: timeToMinutes(blackout.startTime), end: timeToMinutes(blackout.endTime) });
+
+// Only some crew members are off; the rest of the company keeps working
+const isCrewBlackout = (blackout) => (blackout.crewMembers || []).length > 0;
+
+const coversCategory = (blackout, category) => {
+  const categories = blackout.serviceCategories || [];
+  return categories.length === 0 || (Boolean(category) && categories.includes(category));
+};
+
+const overlapsSlot = (blackout, timeSlot) => {
+  const { start, end } = getBlackoutWindow(blackout);
+  return timeToMinutes(timeSlot.startTime) < end && start < timeToMinutes(timeSlot.endTime);
+};
+
+/**
+ * Blackouts of a tenant touching a date range
+ * @param {ObjectId} tenantId
+ * @param {Date|String} from
+ * @param {Date|String} [to] - Defaults to from
+ * @returns {Promise<Object[]>}
+ */
+const getBlackoutsInRange = (tenantId, from, to = from) => Blackout.find({
+  tenant: tenantId,
+  startDate: { $lte: toUTCDate(to) },
+  endDate: { $gte: toUTCDate(from) }
+}).sort({ startDate: 1 });
+
+/**
+ * Blackouts that stop a booking from taking place
+ * Company-wide and category blackouts block any matching service; crew
+ * blackouts only block bookings that use one of those crew members.
+ * @param {Object[]} blackouts - Blackouts on the booking's date
+ * @param {Object} booking
+ * @param {{ startTime: String, endTime: String }} booking.timeSlot
+ * @param {String} [booking.category] - Service category
+ * @param {String[]} [booking.crewIds]
+ * @returns {Object[]}
+ */
+const filterBlockingBlackouts = (blackouts, { timeSlot, category, crewIds = [] }) => blackouts.filter(blackout => {
+  if (!overlapsSlot(blackout, timeSlot) || !coversCategory(blackout, category)) {
+    return false;
+  }
+  if (isCrewBlackout(blackout)) {
+    return blackout.crewMembers.some(member => crewIds.includes(idString(member)));
+  }
+  return true;
+});
+
+// Whether a blackout's date range includes a day
+const coversDate = (blackout, date) => {
+  const key = toDateKey(date);
+  return toDateKey(blackout.startDate) <= key && key <= toDateKey(blackout.endDate);
+};
+
+/**
+ * Active appointments a blackout falls on, for bulk rescheduling
+ * @param {Object} blackout - Blackout document
+ * @returns {Promise<Object[]>}
+ */
+const findAffectedAppointments = async (blackout) => {
+  const appointments = await Appointment.find({
+    tenant: blackout.tenant,
+    date: {
+      $gte: toUTCDate(blackout.startDate),
+      $lt: new Date(toUTCDate(blackout.endDate).getTime() + DAY_MS)
+    },
+    status: { $nin: INACTIVE_STATUSES }
+  })
+    .populate('service', 'name category')
+    .populate({
+      path: 'customer',
+      select: 'user address',
+      populate: {
+        path: 'user',
+        select: 'name email phone'
+      }
+    })
+    .sort({ date: 1, 'timeSlot.startTime': 1 });
+
+  return appointments.filter(appointment => filterBlockingBlackouts([blackout], {
+    timeSlot: appointment.timeSlot,
+    category: appointment.service?.category,
+    crewIds: [appointment.crew?.leadProfessional, ...(appointment.crew?.assignedTo || [])]
+      .filter(Boolean)
+      .map(idString)
+  }).length > 0);
+};
+
+module.exports = {
+  getBlackoutWindow,
+  isCrewBlackout,
+  coversCategory,
+  overlapsSlot,
+  getBlackoutsInRange,
+  filterBlockingBlackouts,
+  coversDate,
+  findAffectedAppointments
+};
@@ -0,0 +1,99 @@
+const Appointment = require('../models/appointment.model');
+const { toDateKey } = require('./recurrence');
+const { checkSlotForAppointment, findBatchClash } = require('./schedulingConflicts');
+
+// Jobs underway or closed stay where they are
+const LOCKED_STATUSES = ['In Progress', 'Completed', 'Cancelled', 'Rejected'];
+
+// One calendar drag rarely touches more than a day's worth of jobs
+const MAX_BATCH_MOVES = 100;
+
+const slotChanged = (move) =>
+  toDateKey(move.to.date) !== toDateKey(move.from.date) ||
+  move.to.timeSlot.startTime !== move.from.timeSlot.startTime ||
+  move.to.timeSlot.endTime !== move.from.timeSlot.endTime;
+
+// Where an appointment was before the move
+const snapshotAppointment = (appointment) => ({
+  date: appointment.date,
+  timeSlot: {
+    startTime: appointment.timeSlot.startTime,
+    endTime: appointment.timeSlot.endTime
+  }
+});
+
+/**
+ * Check every move of a calendar batch, without saving anything
+ * New crews are set on the appointments (unsaved) so they are checked in their new slot.
+ * @param {Object[]} moves - { appointment, to: { date, timeSlot }, crew? }
+ * @param {Date} [now]
+ * @returns {Promise<Object[]>} The moves with from, available, reason and conflicts set
+ */
+const planCalendarMoves = async (moves, now = new Date()) => {
+  // Every appointment in the batch gives up its current slot
+  const excludeIds = moves.map(move => move.appointment._id);
+  const planned = [];
+
+  for (const move of moves) {
+    const { appointment } = move;
+    move.from = snapshotAppointment(appointment);
+    if (move.crew) {
+      appointment.crew = move.crew;
+    }
+
+    // Reassigning a job that already started its day must not fail as "in the past"
+    const check = await checkSlotForAppointment(
+      appointment,
+      { ...move.to, excludeIds },
+      slotChanged(move) ? now : new Date(0)
+    );
+    const clash = check.available ? findBatchClash(move, planned) : undefined;
+
+    if (clash) {
+      Object.assign(move, {
+        available: false,
+        reason: 'Clashes with another appointment moved in this batch',
+        conflicts: [{ appointment: clash.appointment._id, reasons: ['batch'] }]
+      });
+    } else {
+      Object.assign(move, { available: check.available, reason: check.reason, conflicts: check.conflicts });
+    }
+
+    planned.push(move);
+  }
+
+  return moves;
+};
+
+/**
+ * Apply planned calendar moves in one transaction, so either all of them persist or none do
+ * Saves check the version each appointment was loaded at, so a concurrent edit
+ * fails the batch with a VersionError instead of being overwritten.
+ * Transactions need MongoDB running as a replica set (Atlas always is).
+ * @param {Object[]} moves - From planCalendarMoves
+ */
+const applyCalendarMoves = async (moves) => {
+  // Mongoose resets the documents' state if the transaction aborts
+  await Appointment.db.transaction(async (session) => {
+    for (const move of moves) {
+      const { appointment } = move;
+
+      appointment.date = move.to.date;
+      appointment.timeSlot = move.to.timeSlot;
+      if (appointment.series && slotChanged(move)) {
+        // Keep series-wide edits from moving it back
+        appointment.isSeriesException = true;
+      }
+
+      await appointment.save({ session });
+    }
+  });
+};
+
+module.exports = {
+  LOCKED_STATUSES,
+  MAX_BATCH_MOVES,
+  slotChanged,
+  planCalendarMoves,
+  applyCalendarMoves
+};
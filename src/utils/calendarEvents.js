@@ -0,0 +1,58 @@
+const { EventEmitter } = require('events');
+
+// In-process only: calendars connected to another server instance are not notified
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const channelOf = (tenantId) => `tenant:${tenantId}`;
+
+/**
+ * Tell the tenant's open calendars that appointments changed
+ * @param {ObjectId|String} tenantId
+ * @param {Object} change
+ * @param {String} change.type - e.g. 'moved', 'updated'
+ * @param {Object[]} change.appointments - Calendar summaries of the changed appointments
+ * @param {ObjectId} [change.changedBy]
+ */
+const publishCalendarChange = (tenantId, change) => {
+  if (!tenantId) return;
+  emitter.emit(channelOf(tenantId), { ...change, at: new Date() });
+};
+
+/**
+ * Listen for appointment changes of a tenant
+ * @param {ObjectId|String} tenantId
+ * @param {Function} listener - Called with each change
+ * @returns {Function} Stops listening
+ */
+const subscribeCalendarChanges = (tenantId, listener) => {
+  const channel = channelOf(tenantId);
+  emitter.on(channel, listener);
+  return () => emitter.off(channel, listener);
+};
+
+/**
+ * What a calendar needs to know about a changed appointment, version included
+ * @param {Object} appointment - Appointment document
+ * @returns {Object}
+ */
+const summarizeCalendarAppointment = (appointment) => ({
+  id: appointment._id,
+  version: appointment.__v,
+  date: appointment.date,
+  timeSlot: {
+    startTime: appointment.timeSlot?.startTime,
+    endTime: appointment.timeSlot?.endTime
+  },
+  crew: {
+    leadProfessional: appointment.crew?.leadProfessional?._id || appointment.crew?.leadProfessional || null,
+    assignedTo: (appointment.crew?.assignedTo || []).map(member => member._id || member)
+  },
+  status: appointment.status
+});
+
+module.exports = {
+  publishCalendarChange,
+  subscribeCalendarChanges,
+  summarizeCalendarAppointment
+};
@@ -0,0 +1,64 @@
+const Customer = require('../models/customer.model');
+const { getCrewIds } = require('./schedulingConflicts');
+
+// Roles that see the jobs they are assigned to
+const CREW_ROLES = ['staff', 'professional'];
+
+/**
+ * Appointment filter for the calendar a user may see
+ * Customers see their own visits, crew members their assigned jobs and
+ * tenant admins every appointment of their company.
+ * @param {Object} user - User document
+ * @returns {Promise<{ query: Object, customerId?: ObjectId }|null>} null when the user has no calendar
+ */
+const getCalendarScope = async (user) => {
+  if (user.role === 'customer') {
+    const customer = await Customer.findOne({ user: user._id });
+    if (!customer) return null;
+    return { query: { customer: customer._id }, customerId: customer._id };
+  }
+
+  if (CREW_ROLES.includes(user.role)) {
+    return {
+      query: {
+        $or: [
+          { 'crew.assignedTo': user._id },
+          { 'crew.leadProfessional': user._id }
+        ]
+      }
+    };
+  }
+
+  if (user.role === 'tenantAdmin') {
+    return { query: { tenant: user.tenantId } };
+  }
+
+  return null;
+};
+
+/**
+ * Whether an appointment or series falls inside a user's calendar scope
+ * @param {Object} user - User document
+ * @param {Object} scope - Result of getCalendarScope
+ * @param {Object} doc - Appointment or AppointmentSeries
+ * @returns {Boolean}
+ */
+const isInCalendarScope = (user, scope, doc) => {
+  if (user.role === 'customer') {
+    const customerId = doc.customer?._id || doc.customer;
+    return customerId?.toString() === scope.customerId.toString();
+  }
+  if (CREW_ROLES.includes(user.role)) {
+    return getCrewIds(doc.crew).includes(user._id.toString());
+  }
+  if (user.role === 'tenantAdmin') {
+    return doc.tenant?.toString() === user.tenantId?.toString();
+  }
+  return false;
+};
+
+module.exports = {
+  CREW_ROLES,
+  getCalendarScope,
+  isInCalendarScope
+};
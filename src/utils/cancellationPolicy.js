@@ -0,0 +1,169 @@
+const BusinessSetting = require('../models/business-setting.model');
+const Service = require('../models/service.model');
+const Payment = require('../models/payment.model');
+const { transitionAppointmentStatus } = require('./appointmentStatus');
+const { getTenantTimezone, getSlotInstants } = require('./timezone');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const CANCELLATION_INITIATORS = ['customer', 'tenant', 'weather'];
+
+/**
+ * Cancellation policy of a tenant, with schema defaults for tenants that never set one
+ * @param {ObjectId} tenantId
+ * @returns {Promise<Object>}
+ */
+const getCancellationPolicy = async (tenantId) => {
+  const settings = await BusinessSetting.getSettingsForTenant(tenantId);
+  return settings.cancellationPolicy?.toObject ? settings.cancellationPolicy.toObject() : settings.cancellationPolicy;
+};
+
+/**
+ * Plain-language summary shown to customers before they cancel
+ * @param {Object} policy
+ * @returns {String}
+ */
+const describePolicy = (policy) => {
+  if (!policy?.enabled || !policy.feeAmount) {
+    return 'Appointments can be cancelled free of charge.';
+  }
+  const fee = policy.feeType === 'percent'
+    ? `${policy.feeAmount}% of the appointment price`
+    : `$${policy.feeAmount.toFixed(2)}`;
+  const exemptions = [
+    policy.exemptions?.weather && 'weather',
+    policy.exemptions?.tenantInitiated && 'cancellations made by us'
+  ].filter(Boolean);
+
+  return `Cancellations made less than ${policy.cutoffHours} hours before the appointment are charged ${fee}.` +
+    (exemptions.length > 0 ? ` No fee applies for ${exemptions.join(' or ')}.` : '');
+};
+
+// Price the percent fee is based on
+const getAppointmentPrice = async (appointment) => {
+  if (appointment.pricing?.amount) return appointment.pricing.amount;
+  if (appointment.payment?.amount) return appointment.payment.amount;
+  const service = appointment.service?.basePrice !== undefined
+    ? appointment.service
+    : await Service.findById(appointment.service).select('basePrice');
+  return service?.basePrice || 0;
+};
+
+/**
+ * Work out what cancelling an appointment would cost
+ * @param {Object} appointment
+ * @param {Object} options
+ * @param {Object} options.policy - From getCancellationPolicy
+ * @param {String} [options.initiatedBy] - customer, tenant or weather
+ * @param {Date} [options.now]
+ * @param {String} [options.timezone] - Looked up from the tenant when omitted
+ * @returns {Promise<{ hoursBefore: Number, withinCutoff: Boolean, fee: Number, exemption: String|null }>}
+ */
+const quoteCancellation = async (appointment, { policy, initiatedBy = 'customer', now = new Date(), timezone }) => {
+  const zone = timezone || await getTenantTimezone(appointment.tenant);
+  const { start } = getSlotInstants(appointment.date, appointment.timeSlot, zone);
+  const hoursBefore = Math.round(((start - now) / HOUR_MS) * 10) / 10;
+  const withinCutoff = hoursBefore < (policy?.cutoffHours ?? 0);
+
+  let exemption = null;
+  if (initiatedBy === 'weather' && policy?.exemptions?.weather) exemption = 'weather';
+  if (initiatedBy === 'tenant' && policy?.exemptions?.tenantInitiated) exemption = 'tenant-initiated';
+
+  let fee = 0;
+  if (policy?.enabled && policy.feeAmount > 0 && withinCutoff && !exemption) {
+    fee = policy.feeType === 'percent'
+      ? Math.round((await getAppointmentPrice(appointment)) * policy.feeAmount) / 100
+      : policy.feeAmount;
+  }
+
+  return {
+    hoursBefore,
+    withinCutoff,
+    fee,
+    exemption: withinCutoff ? exemption : null
+  };
+};
+
+/**
+ * Cancel an appointment under the tenant's cancellation policy
+ * Moves the status through the state machine, records the cancellation and
+ * creates a pending fee Payment when a late-cancel fee applies. The appointment is saved.
+ * @param {Object} appointment - Appointment document
+ * @param {Object} options
+ * @param {Object} options.user - User cancelling (req.user)
+ * @param {String} options.reason
+ * @param {String} [options.initiatedBy] - Defaults from the user's role
+ * @param {String} [options.waiveFee] - Exemption recorded instead of charging a fee (e.g. 'series-skip')
+ * @param {Date} [options.now]
+ * @throws {ErrorResponse} When the status change is not allowed
+ * @returns {Promise<{ appointment: Object, fee: Number, payment: Object|null }>}
+ */
+const cancelAppointment = async (appointment, { user, reason, initiatedBy, waiveFee, now = new Date() }) => {
+  // Customers cannot claim an exemption for themselves
+  const initiator = user?.role === 'customer'
+    ? 'customer'
+    : (CANCELLATION_INITIATORS.includes(initiatedBy) ? initiatedBy : 'tenant');
+
+  const policy = await getCancellationPolicy(appointment.tenant);
+  let quote = await quoteCancellation(appointment, { policy, initiatedBy: initiator, now });
+  if (waiveFee) {
+    quote = { ...quote, fee: 0, exemption: quote.withinCutoff ? waiveFee : null };
+  }
+
+  transitionAppointmentStatus(appointment, 'Cancelled', { user, reason, now });
+  appointment.cancellation = {
+    initiatedBy: initiator,
+    cancelledAt: now,
+    hoursBefore: quote.hoursBefore,
+    fee: quote.fee,
+    exemption: quote.exemption || undefined
+  };
+
+  let payment = null;
+  if (quote.fee > 0) {
+    payment = await Payment.create({
+      tenant: appointment.tenant,
+      customer: appointment.customer._id || appointment.customer,
+      appointment: appointment._id,
+      paymentType: 'Cancellation Fee',
+      amount: quote.fee,
+      status: 'Pending',
+      method: appointment.payment?.paymentMethod || 'Credit Card',
+      gateway: 'Manual',
+      notes: `Late cancellation ${quote.hoursBefore} hours before the appointment`,
+      processedBy: user?._id || user?.id
+    });
+    appointment.cancellation.feePayment = payment._id;
+  }
+
+  await appointment.save();
+
+  return { appointment, fee: quote.fee, payment };
+};
+
+/**
+ * Undo the cancellation record of an appointment that is being brought back
+ * A late-cancel fee not yet collected is voided. The appointment is not saved.
+ * @param {Object} appointment - Appointment document
+ * @returns {Promise<Object|null>} The voided fee Payment
+ */
+const revokeCancellation = async (appointment) => {
+  const feePayment = appointment.cancellation?.feePayment;
+  appointment.cancellation = undefined;
+  if (!feePayment) return null;
+
+  return Payment.findOneAndUpdate(
+    { _id: feePayment, status: { $in: ['Pending', 'Processing'] } },
+    { $set: { status: 'Voided', notes: 'Voided: the cancelled appointment was restored' } },
+    { new: true }
+  );
+};
+
+module.exports = {
+  CANCELLATION_INITIATORS,
+  getCancellationPolicy,
+  describePolicy,
+  quoteCancellation,
+  cancelAppointment,
+  revokeCancellation
+};
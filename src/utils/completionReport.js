@@ -0,0 +1,271 @@
+const Appointment = require('../models/appointment.model');
+const TimeEntry = require('../models/time-entry.model');
+const cloudinary = require('./cloudinary');
+const sendEmail = require('./sendEmail');
+const { loadImage, getTenantBranding, drawBrandedHeader, renderPdf } = require('./pdfBranding');
+const { formatAddress, getAppointmentAddress } = require('./properties');
+const { getTenantTimezone } = require('./timezone');
+
+// Keep reports a reasonable size
+const MAX_PHOTOS_PER_SECTION = 6;
+const PHOTO_SIZE = [240, 170];
+
+const formatMinutes = (minutes) => {
+  if (!minutes && minutes !== 0) return 'Not recorded';
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `${hours} h ${minutes % 60} min` : `${minutes} min`;
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  weekday: 'long',
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric',
+  timeZone: 'UTC'
+});
+
+// Moments such as completion and signing, in the tenant's local time
+const formatDateTime = (date, timeZone) => new Date(date).toLocaleString('en-US', { timeZone, timeZoneName: 'short' });
+
+// Start a new page when the next block would run off the current one
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+};
+
+const sectionTitle = (doc, title, color) => {
+  ensureSpace(doc, 40);
+  doc
+    .moveDown()
+    .fillColor(color)
+    .fontSize(13)
+    .text(title, 50, doc.y)
+    .fillColor('#000000')
+    .fontSize(10)
+    .moveDown(0.3);
+};
+
+const drawPhotoGrid = (doc, images) => {
+  images.forEach((image, index) => {
+    const column = index % 2;
+    if (column === 0) {
+      ensureSpace(doc, PHOTO_SIZE[1] + 10);
+    }
+    const x = 50 + column * (PHOTO_SIZE[0] + 20);
+    const y = doc.y;
+    try {
+      doc.image(image, x, y, { fit: PHOTO_SIZE });
+    } catch (err) {
+      doc.text('(photo could not be included)', x, y + 10, { width: PHOTO_SIZE[0] });
+    }
+    if (column === 1 || index === images.length - 1) {
+      doc.y = y + PHOTO_SIZE[1] + 10;
+    }
+  });
+};
+
+// Appointment with everything the report shows
+const loadReportAppointment = (appointmentId) => Appointment.findById(appointmentId)
+  .populate('service', 'name category')
+  .populate('property', 'name address')
+  .populate({
+    path: 'customer',
+    select: 'user address',
+    populate: {
+      path: 'user',
+      select: 'name email phone'
+    }
+  })
+  .populate('crew.leadProfessional', 'name')
+  .populate('crew.assignedTo', 'name')
+  .populate('checklist.completedBy', 'name');
+
+/**
+ * Build the completion report PDF of an appointment
+ * @param {Object} appointment - From loadReportAppointment
+ * @param {Object} [loadedBranding] - From getTenantBranding; loaded when omitted
+ * @returns {Promise<Buffer>}
+ */
+const generateCompletionReport = async (appointment, loadedBranding) => {
+  const [branding, timeEntries, timezone] = await Promise.all([
+    loadedBranding || getTenantBranding(appointment.tenant),
+    TimeEntry.find({ appointment: appointment._id }).populate('crewMember', 'name'),
+    getTenantTimezone(appointment.tenant)
+  ]);
+  const pickPhotos = (photos = []) => Promise.all(photos.slice(0, MAX_PHOTOS_PER_SECTION).map(p => loadImage(p.url)));
+  const [beforePhotos, afterPhotos, signature] = await Promise.all([
+    pickPhotos(appointment.photos?.beforeService),
+    pickPhotos(appointment.photos?.afterService),
+    loadImage(appointment.completionDetails?.customerSignature)
+  ]);
+
+  return renderPdf({ margin: 50 }, (doc) => {
+    drawBrandedHeader(doc, branding, 'Job Completion Report');
+
+    const customer = appointment.customer;
+    doc
+      .fontSize(10)
+      .text(`Customer: ${customer?.user?.name || ''}`)
+      .text(`Service address: ${formatAddress(getAppointmentAddress(appointment))}`)
+      .text(`Service: ${appointment.service?.name || 'Landscaping Service'}${appointment.packageType ? ` (${appointment.packageType})` : ''}`)
+      .text(`Date: ${formatDate(appointment.date)}, ${appointment.timeSlot.startTime} - ${appointment.timeSlot.endTime}`)
+      .text(`Completed: ${appointment.completionDetails?.completedAt ? formatDateTime(appointment.completionDetails.completedAt, timezone) : ''}`);
+
+    sectionTitle(doc, 'Crew and time on site', branding.color);
+    const crew = [appointment.crew?.leadProfessional, ...(appointment.crew?.assignedTo || [])]
+      .filter(Boolean)
+      .filter((member, index, list) => list.findIndex(m => m._id.equals(member._id)) === index);
+    doc.text(`Crew: ${crew.length > 0 ? crew.map(member => member.name).join(', ') : 'Not recorded'}`);
+    doc.text(`Time on site: ${formatMinutes(appointment.completionDetails?.duration)}`);
+    doc.text(`Labor: ${formatMinutes(appointment.completionDetails?.laborMinutes)}`);
+    timeEntries
+      .filter(entry => entry.clockOutAt)
+      .forEach(entry => doc.text(`  ${entry.crewMember?.name || 'Crew member'}: ${formatMinutes(entry.laborMinutes)}`));
+
+    if (appointment.checklist?.length > 0) {
+      sectionTitle(doc, 'Checklist', branding.color);
+      appointment.checklist.forEach(item => {
+        ensureSpace(doc, 15);
+        const by = item.completedBy?.name ? ` - ${item.completedBy.name}` : '';
+        doc.text(`[${item.completed ? 'x' : ' '}] ${item.label}${item.required ? '' : ' (optional)'}${by}`);
+        if (item.note) {
+          doc.fillColor('#555555').text(`      ${item.note}`).fillColor('#000000');
+        }
+      });
+    }
+
+    if (appointment.materialsUsed?.length > 0) {
+      sectionTitle(doc, 'Materials used', branding.color);
+      appointment.materialsUsed.forEach(usage => {
+        ensureSpace(doc, 15);
+        doc.text(`${usage.name}: ${usage.quantity} ${usage.unit}`);
+      });
+    }
+
+    if (appointment.completionDetails?.additionalWorkPerformed) {
+      sectionTitle(doc, 'Additional work performed', branding.color);
+      doc.text(appointment.completionDetails.additionalWorkPerformed);
+    }
+
+    const before = beforePhotos.filter(Boolean);
+    if (before.length > 0) {
+      sectionTitle(doc, 'Before', branding.color);
+      drawPhotoGrid(doc, before);
+    }
+
+    const after = afterPhotos.filter(Boolean);
+    if (after.length > 0) {
+      sectionTitle(doc, 'After', branding.color);
+      drawPhotoGrid(doc, after);
+    }
+
+    sectionTitle(doc, 'Customer sign-off', branding.color);
+    if (signature) {
+      ensureSpace(doc, 90);
+      const y = doc.y;
+      try {
+        doc.image(signature, 50, y, { fit: [200, 80] });
+      } catch (err) {
+        doc.text('(signature could not be included)', 50, y);
+      }
+      doc.y = y + 85;
+      const { signedBy, signedAt } = appointment.completionDetails;
+      doc.text(`${signedBy || customer?.user?.name || ''}${signedAt ? `, ${formatDateTime(signedAt, timezone)}` : ''}`);
+    } else {
+      doc.text('Not signed');
+    }
+
+    doc
+      .moveDown(2)
+      .fontSize(9)
+      .fillColor('#555555')
+      .text(`Thank you for choosing ${branding.name}!`, 50, doc.y, { align: 'center', width: 500 });
+  });
+};
+
+const uploadReport = (appointment, pdf) => cloudinary.uploader.upload(
+  `data:application/pdf;base64,${pdf.toString('base64')}`,
+  {
+    folder: `landscaping/appointments/${appointment._id}/reports`,
+    resource_type: 'raw',
+    public_id: `completion-report-${appointment._id}.pdf`,
+    overwrite: true
+  }
+);
+
+/**
+ * Generate, store and email the completion report of a finished appointment
+ * Failures are logged so completing the job never fails because of the report.
+ * @param {ObjectId} appointmentId
+ * @returns {Promise<Object|null>} The stored report details
+ */
+const issueCompletionReport = async (appointmentId) => {
+  try {
+    const appointment = await loadReportAppointment(appointmentId);
+    if (!appointment || appointment.status !== 'Completed') return null;
+
+    const branding = await getTenantBranding(appointment.tenant);
+    const pdf = await generateCompletionReport(appointment, branding);
+
+    let upload = null;
+    try {
+      upload = await uploadReport(appointment, pdf);
+    } catch (err) {
+      console.error('Completion report upload failed:', err.message);
+    }
+
+    const report = {
+      url: upload?.secure_url,
+      publicId: upload?.public_id,
+      generatedAt: new Date()
+    };
+    const update = { completionReport: report };
+
+    const email = appointment.customer?.user?.email;
+    if (email) {
+      try {
+        const serviceName = appointment.service?.name || 'Landscaping Service';
+        await sendEmail({
+          email,
+          subject: `Service Completed - ${serviceName}`,
+          message: `Dear ${appointment.customer.user.name},\n\nYour ${serviceName} on ${formatDate(appointment.date)} has been completed. The completion report is attached.\n\nThank you for choosing ${branding.name}!`,
+          html: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: ${branding.color};">Service Completed</h2>
+      <p>Dear ${appointment.customer.user.name},</p>
+      <p>Your landscaping service has been successfully completed.</p>
+      <p><strong>Service Details:</strong></p>
+      <ul>
+        <li>Date: ${formatDate(appointment.date)}</li>
+        <li>Service: ${serviceName}</li>
+      </ul>
+      <p>The completion report with photos and your sign-off is attached.</p>
+      <p>Thank you for choosing ${branding.name}!</p>
+    </div>
+  `,
+          attachments: [{
+            filename: `completion-report-${appointment._id}.pdf`,
+            content: pdf,
+            contentType: 'application/pdf'
+          }]
+        });
+        update['notificationsStatus.completionSent'] = true;
+      } catch (err) {
+        console.error('Completion report email failed:', err.message);
+      }
+    }
+
+    await Appointment.updateOne({ _id: appointment._id }, { $set: update });
+    return report;
+  } catch (err) {
+    console.error('Completion report failed:', err.message);
+    return null;
+  }
+};
+
+module.exports = {
+  loadReportAppointment,
+  generateCompletionReport,
+  issueCompletionReport
+};
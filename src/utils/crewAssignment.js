@@ -0,0 +1,250 @@
+const Appointment = require('../models/appointment.model');
+const User = require('../models/user.model');
+const BusinessSetting = require('../models/business-setting.model');
+const { toUTCDate } = require('./recurrence');
+const { timeToMinutes, intervalsOverlap } = require('./availability');
+const { findSchedulingConflicts } = require('./schedulingConflicts');
+const { CREW_ROLES } = require('./calendarScope');
+const { idString } = require('./scheduling');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Jobs without a service duration count as two hours of work
+const DEFAULT_JOB_MINUTES = 120;
+
+// Appointments auto-assign picks up; jobs underway or closed are left alone
+const ASSIGNABLE_STATUSES = ['Pending', 'Confirmed', 'Rescheduled'];
+
+const normalizeSkill = (skill) => String(skill || '').trim().toLowerCase();
+
+/**
+ * Sunday to Saturday week containing a date, as stored appointment dates
+ * @param {Date|String} date
+ * @returns {{ startOfWeek: Date, endOfWeek: Date }}
+ */
+const getWorkloadWeek = (date) => {
+  const day = toUTCDate(date);
+  const startOfWeek = new Date(day.getTime() - day.getUTCDay() * DAY_MS);
+  const endOfWeek = new Date(startOfWeek.getTime() + 7 * DAY_MS - 1);
+  return { startOfWeek, endOfWeek };
+};
+
+/**
+ * Minutes of work an appointment adds to a crew member's week
+ * @param {Object} appointment - With its service populated
+ * @returns {Number}
+ */
+const getAppointmentWorkMinutes = (appointment) => appointment.service?.duration || DEFAULT_JOB_MINUTES;
+
+/**
+ * Booked work of crew members in the week of a date
+ * @param {ObjectId[]} crewIds
+ * @param {Date|String} date
+ * @returns {Promise<Map<String, { appointments: Number, minutes: Number }>>} Keyed by user id
+ */
+const getCrewWorkload = async (crewIds, date) => {
+  const { startOfWeek, endOfWeek } = getWorkloadWeek(date);
+  const appointments = await Appointment.find({
+    $or: [
+      { 'crew.assignedTo': { $in: crewIds } },
+      { 'crew.leadProfessional': { $in: crewIds } }
+    ],
+    date: { $gte: startOfWeek, $lte: endOfWeek }
+  }).populate('service', 'name duration');
+
+  const workload = new Map(crewIds.map(id => [idString(id), { appointments: 0, minutes: 0 }]));
+  appointments.forEach(appointment => {
+    const members = new Set([
+      idString(appointment.crew?.leadProfessional),
+      ...(appointment.crew?.assignedTo || []).map(idString)
+    ]);
+    members.forEach(id => {
+      const entry = workload.get(id);
+      if (!entry) return;
+      entry.appointments += 1;
+      entry.minutes += getAppointmentWorkMinutes(appointment);
+    });
+  });
+  return workload;
+};
+
+/**
+ * Required skills a crew member does not have on a date
+ * Skills match by name, ignoring case; certifications count until they expire.
+ * @param {Object} user - User with skills and certifications
+ * @param {String[]} requiredSkills
+ * @param {Date} [onDate]
+ * @returns {String[]}
+ */
+const getMissingSkills = (user, requiredSkills = [], onDate = new Date()) => {
+  const held = new Set([
+    ...(user.skills || []).map(normalizeSkill),
+    ...(user.certifications || [])
+      .filter(cert => !cert.expiresAt || cert.expiresAt >= onDate)
+      .map(cert => normalizeSkill(cert.name))
+  ]);
+  return requiredSkills.filter(skill => !held.has(normalizeSkill(skill)));
+};
+
+/**
+ * Active appointments on a day that nobody has been assigned to yet
+ * @param {ObjectId} tenantId
+ * @param {Date} date - Stored appointment date (UTC midnight of the local day)
+ * @returns {Promise<Object[]>}
+ */
+const findUnassignedAppointments = (tenantId, date) => Appointment.find({
+  tenant: tenantId,
+  date: { $gte: date, $lt: new Date(date.getTime() + DAY_MS) },
+  status: { $in: ASSIGNABLE_STATUSES },
+  'crew.leadProfessional': null,
+  'crew.assignedTo.0': { $exists: false }
+})
+  .populate('service', 'name duration category requiredSkills')
+  .sort({ 'timeSlot.startTime': 1 });
+
+const formatHours = (minutes) => Math.round(minutes / 60 * 10) / 10;
+
+const describeChoice = (chosen, pool, requiredSkills) => {
+  const qualification = requiredSkills.length > 0
+    ? `has ${requiredSkills.join(', ')}`
+    : 'is qualified (no special skills needed)';
+  const others = pool.length - 1;
+  return `${chosen.name} ${qualification}, is free for this slot and has ${formatHours(chosen.weeklyMinutes)}h booked this week` +
+    (others > 0 ? `, the lightest load of ${pool.length} qualified, available crew members` : ', the only qualified crew member available');
+};
+
+/**
+ * Pick a lead crew member for each unassigned appointment of a day, without saving
+ * Jobs needing the most skills are placed first. Among qualified crew members
+ * who are free (travel buffer and blackouts included) the one with the least
+ * work booked that week gets the job, counting jobs given out in this run.
+ * @param {Object} options
+ * @param {ObjectId} options.tenantId
+ * @param {Date} options.date - Stored appointment date
+ * @returns {Promise<Object[]>} One entry per appointment with the choice and the reasoning
+ */
+const planCrewAssignments = async ({ tenantId, date }) => {
+  const [appointments, crew, settings] = await Promise.all([
+    findUnassignedAppointments(tenantId, date),
+    User.find({ tenantId, role: { $in: CREW_ROLES } }).select('name role skills certifications'),
+    BusinessSetting.getSettingsForTenant(tenantId)
+  ]);
+  if (appointments.length === 0) return [];
+
+  const buffer = settings.scheduling?.travelBufferMinutes || 0;
+  const crewIds = crew.map(member => member._id);
+  const workload = await getCrewWorkload(crewIds, date);
+  // Slots handed out in this run, which the database does not know about yet
+  const planned = new Map(crewIds.map(id => [idString(id), []]));
+
+  const ordered = [...appointments].sort((a, b) =>
+    (b.service?.requiredSkills?.length || 0) - (a.service?.requiredSkills?.length || 0));
+
+  const plan = [];
+  for (const appointment of ordered) {
+    const requiredSkills = appointment.service?.requiredSkills || [];
+    const start = timeToMinutes(appointment.timeSlot.startTime);
+    const end = timeToMinutes(appointment.timeSlot.endTime);
+
+    const conflicts = crewIds.length > 0
+      ? await findSchedulingConflicts({
+        tenantId,
+        date,
+        timeSlot: appointment.timeSlot,
+        crew: { assignedTo: crewIds },
+        service: appointment.service,
+        excludeIds: [appointment._id]
+      })
+      : [];
+    const closed = conflicts.find(c => c.reasons.includes('blackout') && c.crewMembers.length === 0);
+
+    const candidates = crew.map(member => {
+      const id = idString(member._id);
+      const missingSkills = getMissingSkills(member, requiredSkills, date);
+      const busyWith = conflicts
+        .filter(c => c.crewMembers?.includes(id))
+        .map(c => c.appointment || c.title);
+      const plannedClash = planned.get(id).some(slot =>
+        intervalsOverlap(start - buffer, end + buffer, slot.start, slot.end));
+      const weeklyMinutes = workload.get(id).minutes;
+      return {
+        id: member._id,
+        name: member.name,
+        qualified: missingSkills.length === 0,
+        missingSkills,
+        available: !closed && busyWith.length === 0 && !plannedClash,
+        busyWith: plannedClash ? [...busyWith, 'assigned earlier in this run'] : busyWith,
+        weeklyMinutes,
+        weeklyHours: formatHours(weeklyMinutes)
+      };
+    });
+
+    const pool = candidates
+      .filter(candidate => candidate.qualified && candidate.available)
+      .sort((a, b) => a.weeklyMinutes - b.weeklyMinutes || a.name.localeCompare(b.name));
+    const chosen = pool[0];
+
+    let reason;
+    if (chosen) {
+      reason = describeChoice(chosen, pool, requiredSkills);
+    } else if (closed) {
+      reason = `Closed: ${closed.title}`;
+    } else if (!candidates.some(candidate => candidate.qualified)) {
+      reason = requiredSkills.length > 0
+        ? `Nobody on the crew has ${requiredSkills.join(', ')}`
+        : 'There are no crew members to assign';
+    } else {
+      reason = `All ${candidates.filter(c => c.qualified).length} qualified crew members are busy at this time`;
+    }
+
+    if (chosen) {
+      planned.get(idString(chosen.id)).push({ start, end });
+      const entry = workload.get(idString(chosen.id));
+      entry.appointments += 1;
+      entry.minutes += getAppointmentWorkMinutes(appointment);
+    }
+
+    plan.push({
+      appointment,
+      requiredSkills,
+      assignedTo: chosen ? { id: chosen.id, name: chosen.name } : null,
+      reason,
+      candidates: candidates.map(({ weeklyMinutes, ...candidate }) => candidate)
+    });
+  }
+
+  // Report in the order of the day
+  return plan.sort((a, b) => a.appointment.timeSlot.startTime.localeCompare(b.appointment.timeSlot.startTime));
+};
+
+/**
+ * Save the choices of planCrewAssignments
+ * Appointments someone else staffed or moved in the meantime are skipped.
+ * @param {Object[]} plan - From planCrewAssignments
+ * @returns {Promise<Object[]>} The entries that were saved
+ */
+const applyCrewAssignments = async (plan) => {
+  const applied = [];
+  for (const entry of plan.filter(item => item.assignedTo)) {
+    entry.appointment.crew = { leadProfessional: entry.assignedTo.id, assignedTo: [] };
+    try {
+      await entry.appointment.save();
+      applied.push(entry);
+    } catch (error) {
+      if (error.name !== 'VersionError') throw error;
+      entry.assignedTo = null;
+      entry.reason = 'The appointment changed while assigning; it was left as it is';
+    }
+  }
+  return applied;
+};
+
+module.exports = {
+  ASSIGNABLE_STATUSES,
+  getWorkloadWeek,
+  getAppointmentWorkMinutes,
+  getCrewWorkload,
+  getMissingSkills,
+  planCrewAssignments,
+  applyCrewAssignments
+};
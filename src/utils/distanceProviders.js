@@ -0,0 +1,68 @@
+/**
+ * Distance providers for crew route planning
+ * A provider turns a list of points into travel-time and distance matrices:
+ *   getMatrix(points, options) -> Promise<{ distances: Number[][], durations: Number[][] }>
+ * with distances in meters and durations in minutes. Road-network providers
+ * (e.g. a routing API) can be added with registerDistanceProvider.
+ */
+
+const EARTH_RADIUS_METERS = 6371000;
+
+// Straight lines undercount real roads; scale them to a typical detour
+const HAVERSINE_ROAD_FACTOR = 1.3;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two points
+ * @param {{ lat: Number, lng: Number }} a
+ * @param {{ lat: Number, lng: Number }} b
+ * @returns {Number} Meters
+ */
+const haversineDistance = (a, b) => {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+};
+
+const haversineProvider = {
+  name: 'haversine',
+  // Works offline: no network calls, just geometry and an average speed
+  async getMatrix(points, { averageSpeedKmh = 40 } = {}) {
+    const metersPerMinute = (averageSpeedKmh * 1000) / 60;
+    const distances = points.map(from => points.map(to => haversineDistance(from, to) * HAVERSINE_ROAD_FACTOR));
+    const durations = distances.map(row => row.map(meters => meters / metersPerMinute));
+    return { distances, durations };
+  }
+};
+
+const providers = {
+  haversine: haversineProvider
+};
+
+/**
+ * Make a provider available to route planning
+ * @param {String} name - Value stored in BusinessSetting.scheduling.distanceProvider
+ * @param {{ getMatrix: Function }} provider
+ */
+const registerDistanceProvider = (name, provider) => {
+  if (!provider || typeof provider.getMatrix !== 'function') {
+    throw new Error(`Distance provider "${name}" must implement getMatrix(points, options)`);
+  }
+  providers[name] = { name, ...provider };
+};
+
+/**
+ * Look up a provider, falling back to haversine for unknown names
+ * @param {String} [name]
+ * @returns {{ name: String, getMatrix: Function }}
+ */
+const getDistanceProvider = (name) => providers[name] || haversineProvider;
+
+module.exports = {
+  haversineDistance,
+  registerDistanceProvider,
+  getDistanceProvider
+};
@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const Tenant = require('../models/tenant.model');
+const ErrorResponse = require('./errorResponse');
+const sendEmail = require('./sendEmail');
+const { roundMoney } = require('./pricing');
+const { getTenantFrontendUrl } = require('./tenantUrl');
+const { loadPdfEstimate, generateEstimatePdf } = require('./estimatePdf');
+
+const hashApprovalToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Customer-facing link to review and accept an estimate
+ * @param {Object|String} tenant - Tenant document or subdomain
+ * @param {String} token - Unhashed approval token
+ * @returns {String}
+ */
+const getApprovalUrl = (tenant, token) => getTenantFrontendUrl(tenant || null, `/estimates/approve/${token}`);
+
+/**
+ * Email the customer the link to review and accept an estimate, with the estimate PDF attached
+ * @param {Object} estimate - Estimate document
+ * @param {String} token - Unhashed approval token
+ * @returns {Promise<String>} The link
+ */
+const sendApprovalLink = async (estimate, token) => {
+  const [pdfEstimate, tenant] = await Promise.all([
+    loadPdfEstimate(estimate._id),
+    Tenant.findById(estimate.tenant._id || estimate.tenant)
+  ]);
+  const url = getApprovalUrl(tenant, token);
+  const customer = pdfEstimate.customer;
+  if (!customer?.user?.email) return url;
+
+  const expiry = estimate.expiryDate
+    ? `\n\nThis quote is valid until ${new Date(estimate.expiryDate).toDateString()}.`
+    : '';
+
+  try {
+    const pdf = await generateEstimatePdf(pdfEstimate);
+    await sendEmail({
+      email: customer.user.email,
+      subject: `Your estimate #${estimate.estimateNumber} is ready`,
+      message: `Hello ${customer.user.name},\n\nYour estimate #${estimate.estimateNumber} from ${tenant?.name || 'our team'} is ready and attached. Review the packages, choose the one that suits you and sign to accept it here:\n\n${url}${expiry}`,
+      attachments: [{
+        filename: `estimate-${estimate.estimateNumber}.pdf`,
+        content: pdf,
+        contentType: 'application/pdf'
+      }]
+    });
+  } catch (err) {
+    console.error('Estimate approval link email failed:', err.message);
+  }
+  return url;
+};
+
+/**
+ * Totals of a package without the optional items the customer left out
+ * Tax is scaled with the taxable amount, so the rate the quote was priced at still applies.
+ * @param {Object} pkg - Package of the accepted revision
+ * @param {String[]} [includedOptional] - Ids of the optional line items to keep; all when omitted
+ * @throws {ErrorResponse} When an id is not an optional line item of the package
+ * @returns {Object} { excludedItems, subTotal, discount, tax, total }
+ */
+const priceAcceptedPackage = (pkg, includedOptional) => {
+  const optionalItems = pkg.lineItems.filter(item => item.optional);
+  const kept = includedOptional === undefined
+    ? optionalItems.map(item => item._id.toString())
+    : includedOptional.map(String);
+
+  const unknown = kept.filter(id => !optionalItems.some(item => item._id.toString() === id));
+  if (unknown.length > 0) {
+    throw new ErrorResponse(`Not an optional item of the ${pkg.name} package: ${unknown.join(', ')}`, 400);
+  }
+
+  const excluded = optionalItems.filter(item => !kept.includes(item._id.toString()));
+  const subTotal = roundMoney(pkg.subTotal - excluded.reduce((total, item) => total + (item.totalPrice || 0), 0));
+  const discount = Math.min(pkg.discount?.amount || 0, subTotal);
+  const quotedTaxable = pkg.subTotal - (pkg.discount?.amount || 0);
+  const tax = quotedTaxable > 0 ? roundMoney((pkg.tax || 0) * (subTotal - discount) / quotedTaxable) : 0;
+
+  return {
+    excludedItems: excluded.map(item => ({
+      service: item.service,
+      description: item.description,
+      totalPrice: item.totalPrice
+    })),
+    subTotal,
+    discount,
+    tax,
+    total: roundMoney(subTotal - discount + tax)
+  };
+};
+
+/**
+ * What the approval page shows: the current revision, without budget or internal details
+ * @param {Object} estimate - Estimate document, customer.user and tenant populated
+ * @returns {Object}
+ */
+const formatPublicEstimate = (estimate) => {
+  const revision = estimate.revisions.find(r => r.number === estimate.currentRevision);
+  const response = estimate.customerResponse?.decision ? estimate.customerResponse : null;
+
+  return {
+    estimateNumber: estimate.estimateNumber,
+    status: estimate.status,
+    company: estimate.tenant?.name,
+    customer: estimate.customer?.user?.name,
+    property: estimate.property?.address,
+    revision: revision?.number,
+    expiryDate: revision?.expiryDate || estimate.expiryDate,
+    packages: (revision?.packages || []).map(pkg => ({
+      name: pkg.name,
+      description: pkg.description,
+      lineItems: pkg.lineItems.map(item => ({
+        _id: item._id,
+        service: item.service,
+        description: item.description,
+        unitPrice: item.unitPrice,
+        quantity: item.quantity,
+        totalPrice: item.totalPrice,
+        optional: Boolean(item.optional)
+      })),
+      subTotal: pkg.subTotal,
+      discount: pkg.discount,
+      tax: pkg.tax,
+      total: pkg.total,
+      notes: pkg.notes
+    })),
+    response: response && {
+      decision: response.decision,
+      revision: response.revision,
+      packageName: response.packageName,
+      excludedItems: response.excludedItems,
+      total: response.total,
+      signedBy: response.signature?.name,
+      respondedAt: response.respondedAt
+    }
+  };
+};
+
+/**
+ * Tell the tenant owner a customer accepted or declined an estimate
+ * @param {Object} estimate - Estimate document with customerResponse set
+ */
+const notifyEstimateResponse = async (estimate) => {
+  try {
+    const tenant = await Tenant.findById(estimate.tenant._id || estimate.tenant).populate('owner', 'name email');
+    if (!tenant?.owner?.email) return;
+
+    const response = estimate.customerResponse;
+    const accepted = response.decision === 'Accepted';
+    const details = accepted
+      ? `Package: ${response.packageName} (revision ${response.revision}), total ${response.total}` +
+        (response.excludedItems.length > 0
+          ? `\nLeft out: ${response.excludedItems.map(item => item.description || item.service).join(', ')}`
+          : '') +
+        `\nSigned by ${response.signature.name} from ${response.ip || 'an unknown address'} at ${response.respondedAt.toUTCString()}`
+      : `Reason: ${response.reason || 'none given'}`;
+
+    await sendEmail({
+      email: tenant.owner.email,
+      subject: `Estimate ${estimate.estimateNumber} ${accepted ? 'accepted' : 'declined'}`,
+      message: `The customer has ${accepted ? 'accepted' : 'declined'} estimate ${estimate.estimateNumber}.\n\n${details}`
+    });
+  } catch (err) {
+    console.error('Estimate response notification failed:', err.message);
+  }
+};
+
+module.exports = {
+  hashApprovalToken,
+  sendApprovalLink,
+  priceAcceptedPackage,
+  formatPublicEstimate,
+  notifyEstimateResponse
+};
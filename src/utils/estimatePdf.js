@@ -0,0 +1,199 @@
+const Estimate = require('../models/estimate.model');
+const { getTenantBranding, drawBrandedHeader, renderPdf } = require('./pdfBranding');
+const { formatAddress } = require('./properties');
+const { getTenantTimezone } = require('./timezone');
+
+const PAGE_LEFT = 50;
+const PAGE_WIDTH = 500;
+const COLUMN_GAP = 10;
+const COLUMN_PADDING = 6;
+
+const formatMoney = (amount) => `${amount < 0 ? '-' : ''}$${Math.abs(amount || 0).toFixed(2)}`;
+
+const formatDate = (date, timeZone) => new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric',
+  timeZone
+});
+
+// Start a new page when the next block would run off the current one
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+};
+
+const sectionTitle = (doc, title, color) => {
+  ensureSpace(doc, 40);
+  doc
+    .moveDown()
+    .fillColor(color)
+    .fontSize(13)
+    .text(title, PAGE_LEFT, doc.y)
+    .fillColor('#000000')
+    .fontSize(10)
+    .moveDown(0.3);
+};
+
+// The rows of one package column: { text, size, color, bold, gap }
+const getPackageRows = (pkg, { accepted, color }) => {
+  const rows = [
+    { text: `${pkg.name}${accepted ? ' (accepted)' : ''}`, size: 13, color, bold: true },
+    { text: pkg.description, size: 9, color: '#555555', gap: 6 }
+  ];
+
+  pkg.lineItems.forEach(item => {
+    const label = item.description ? `${item.service} - ${item.description}` : item.service;
+    rows.push({ text: `${label}${item.optional ? ' (optional)' : ''}`, size: 9 });
+    rows.push({
+      text: `${item.quantity || 1} x ${formatMoney(item.unitPrice)} = ${formatMoney(item.totalPrice)}`,
+      size: 9,
+      color: '#555555',
+      gap: 3
+    });
+  });
+
+  rows.push({ text: `Subtotal: ${formatMoney(pkg.subTotal)}`, size: 9 });
+  if (pkg.discount?.amount) {
+    const reason = pkg.discount.description ? ` (${pkg.discount.description})` : '';
+    rows.push({ text: `Discount${reason}: ${formatMoney(-pkg.discount.amount)}`, size: 9 });
+  }
+  rows.push({ text: `Tax: ${formatMoney(pkg.tax)}`, size: 9 });
+  rows.push({ text: `Total: ${formatMoney(pkg.total)}`, size: 11, color, bold: true });
+  if (pkg.notes) {
+    rows.push({ text: pkg.notes, size: 8, color: '#555555' });
+  }
+
+  return rows.filter(row => row.text);
+};
+
+const measureRows = (doc, rows, width) => rows.reduce((height, row) => {
+  doc.font(row.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(row.size);
+  return height + doc.heightOfString(row.text, { width }) + (row.gap || 2);
+}, 0);
+
+// Packages side by side, one bordered column each
+const drawPackageColumns = (doc, packages, { approvedPackage, color }) => {
+  const columnWidth = (PAGE_WIDTH - COLUMN_GAP * (packages.length - 1)) / packages.length;
+  const textWidth = columnWidth - COLUMN_PADDING * 2;
+  const columns = packages.map(pkg => getPackageRows(pkg, { accepted: pkg.name === approvedPackage, color }));
+  const height = Math.max(...columns.map(rows => measureRows(doc, rows, textWidth))) + COLUMN_PADDING * 2;
+
+  ensureSpace(doc, height);
+  const top = doc.y;
+
+  columns.forEach((rows, index) => {
+    const x = PAGE_LEFT + index * (columnWidth + COLUMN_GAP);
+    doc
+      .rect(x, top, columnWidth, height)
+      .strokeColor(packages[index].name === approvedPackage ? color : '#CCCCCC')
+      .stroke();
+
+    let y = top + COLUMN_PADDING;
+    rows.forEach(row => {
+      doc
+        .font(row.bold ? 'Helvetica-Bold' : 'Helvetica')
+        .fontSize(row.size)
+        .fillColor(row.color || '#000000')
+        .text(row.text, x + COLUMN_PADDING, y, { width: textWidth });
+      y += doc.heightOfString(row.text, { width: textWidth }) + (row.gap || 2);
+    });
+  });
+
+  doc.font('Helvetica').fillColor('#000000').fontSize(10);
+  doc.x = PAGE_LEFT;
+  doc.y = top + height + 10;
+};
+
+// Estimate with everything the PDF shows
+const loadPdfEstimate = (estimateId) => Estimate.findById(estimateId)
+  .populate({
+    path: 'customer',
+    select: 'user address',
+    populate: {
+      path: 'user',
+      select: 'name email phone'
+    }
+  });
+
+/**
+ * Build the branded PDF of an estimate
+ * @param {Object} estimate - From loadPdfEstimate
+ * @returns {Promise<Buffer>}
+ */
+const generateEstimatePdf = async (estimate) => {
+  const [branding, timezone] = await Promise.all([
+    getTenantBranding(estimate.tenant),
+    getTenantTimezone(estimate.tenant)
+  ]);
+  const approvedPackage = estimate.status === 'Approved' ? estimate.approvedPackage : null;
+
+  return renderPdf({ margin: 50 }, (doc) => {
+    drawBrandedHeader(doc, branding, `Estimate #${estimate.estimateNumber}`);
+
+    const customer = estimate.customer;
+    const address = formatAddress(estimate.property?.address) || formatAddress(customer?.address);
+    doc
+      .fontSize(10)
+      .text(`Prepared for: ${customer?.user?.name || ''}`)
+      .text(`Property: ${address || 'Not provided'}`)
+      .text(`Date: ${formatDate(estimate.createdAt, timezone)}`);
+    if (estimate.currentRevision) {
+      doc.text(`Revision: ${estimate.currentRevision}`);
+    }
+    if (estimate.expiryDate) {
+      doc.text(`Valid until: ${formatDate(estimate.expiryDate, timezone)}`);
+    }
+
+    if (estimate.packages.length > 0) {
+      sectionTitle(doc, 'Packages', branding.color);
+      drawPackageColumns(doc, estimate.packages, { approvedPackage, color: branding.color });
+    }
+
+    if (estimate.deposit?.required) {
+      sectionTitle(doc, 'Deposit', branding.color);
+      doc.text(estimate.deposit.amount
+        ? `A deposit of ${formatMoney(estimate.deposit.amount)} is required before work is scheduled.`
+        : 'A deposit is required before work is scheduled.');
+      if (estimate.deposit.paidOn) {
+        doc.text(`Deposit received ${formatDate(estimate.deposit.paidOn, timezone)}.`);
+      }
+    }
+
+    const response = estimate.customerResponse;
+    if (response?.decision === 'Accepted') {
+      sectionTitle(doc, 'Acceptance', branding.color);
+      doc.text(`Accepted by ${response.signature?.name || customer?.user?.name || 'the customer'} on ${formatDate(response.respondedAt, timezone)}, total ${formatMoney(response.total)}.`);
+      if (response.excludedItems?.length > 0) {
+        doc.text(`Optional items left out: ${response.excludedItems.map(item => item.description || item.service).join(', ')}`);
+      }
+    }
+
+    const terms = [
+      estimate.expiryDate && `This estimate is valid until ${formatDate(estimate.expiryDate, timezone)}. Prices may change after that date.`,
+      branding.terms?.paymentTerms,
+      branding.terms?.cancellationPolicy,
+      branding.terms?.serviceGuarantee
+    ].filter(Boolean);
+    if (terms.length > 0) {
+      sectionTitle(doc, 'Terms', branding.color);
+      doc.fontSize(9);
+      terms.forEach(term => {
+        ensureSpace(doc, 25);
+        doc.text(term, PAGE_LEFT, doc.y, { width: PAGE_WIDTH }).moveDown(0.3);
+      });
+    }
+
+    doc
+      .moveDown(2)
+      .fontSize(9)
+      .fillColor('#555555')
+      .text(`Thank you for considering ${branding.name}!`, PAGE_LEFT, doc.y, { align: 'center', width: PAGE_WIDTH });
+  });
+};
+
+module.exports = {
+  loadPdfEstimate,
+  generateEstimatePdf
+};
@@ -0,0 +1,255 @@
+const ErrorResponse = require('./errorResponse');
+const { roundMoney } = require('./pricing');
+const { idString } = require('./scheduling');
+
+// From here on the customer has seen the estimate, so changes are kept as revisions
+const REVISED_STATUSES = ['Sent', 'Approved', 'Declined', 'Expired'];
+
+// The parts of a package a customer compares between quotes
+const normalizePackages = (packages = []) => packages.map(pkg => ({
+  name: pkg.name,
+  description: pkg.description,
+  lineItems: (pkg.lineItems || []).map(item => ({
+    service: item.service,
+    description: item.description,
+    unitPrice: item.unitPrice,
+    quantity: item.quantity,
+    totalPrice: item.totalPrice,
+    optional: Boolean(item.optional)
+  })),
+  subTotal: pkg.subTotal,
+  tax: pkg.tax,
+  discount: pkg.discount?.amount,
+  total: pkg.total,
+  notes: pkg.notes
+}));
+
+/**
+ * Whether two package lists quote anything differently
+ * @param {Object[]} before
+ * @param {Object[]} after
+ * @returns {Boolean}
+ */
+const packagesChanged = (before, after) =>
+  JSON.stringify(normalizePackages(before)) !== JSON.stringify(normalizePackages(after));
+
+/**
+ * Add a revision with the estimate's current packages (not saved)
+ * @param {Object} estimate - Estimate document
+ * @param {Object} options
+ * @param {Object} options.user - User making the change
+ * @param {String} [options.note] - What changed, for the customer
+ * @returns {Object} The new revision
+ */
+const recordRevision = (estimate, { user, note }) => {
+  const number = (estimate.currentRevision || 0) + 1;
+  const toObject = (value) => (value?.toObject ? value.toObject() : value);
+
+  estimate.revisions.push({
+    number,
+    packages: (estimate.packages || []).map(pkg => {
+      const { _id, ...rest } = toObject(pkg);
+      return rest;
+    }),
+    services: (estimate.services || []).map(item => ({
+      service: item.service?._id || item.service,
+      quantity: item.quantity
+    })),
+    expiryDate: estimate.expiryDate,
+    note,
+    createdBy: user?._id || user?.id
+  });
+  estimate.currentRevision = number;
+  return estimate.revisions[estimate.revisions.length - 1];
+};
+
+/**
+ * A recorded revision of an estimate
+ * @param {Object} estimate
+ * @param {Number|String} number
+ * @throws {ErrorResponse} When there is no such revision
+ * @returns {Object}
+ */
+const getRevision = (estimate, number) => {
+  const revision = estimate.revisions.find(r => r.number === Number(number));
+  if (!revision) {
+    throw new ErrorResponse(`Estimate ${estimate.estimateNumber} has no revision ${number}`, 404);
+  }
+  return revision;
+};
+
+const lineKey = (item) => `${item.service}|${item.description || ''}`;
+
+const compareValues = (fields, from, to) => fields.reduce((changes, field) => {
+  const before = from?.[field] ?? null;
+  const after = to?.[field] ?? null;
+  if (before !== after) {
+    changes[field] = {
+      from: before,
+      to: after,
+      ...(typeof before === 'number' && typeof after === 'number' && { difference: roundMoney(after - before) })
+    };
+  }
+  return changes;
+}, {});
+
+const diffLineItems = (fromItems, toItems) => {
+  const before = new Map(fromItems.map(item => [lineKey(item), item]));
+  const after = new Map(toItems.map(item => [lineKey(item), item]));
+
+  return {
+    added: toItems.filter(item => !before.has(lineKey(item))),
+    removed: fromItems.filter(item => !after.has(lineKey(item))),
+    changed: toItems
+      .filter(item => before.has(lineKey(item)))
+      .map(item => ({
+        service: item.service,
+        description: item.description,
+        changes: compareValues(['unitPrice', 'quantity', 'totalPrice', 'optional'], before.get(lineKey(item)), item)
+      }))
+      .filter(item => Object.keys(item.changes).length > 0)
+  };
+};
+
+/**
+ * What changed between two revisions, package by package
+ * Line items are matched on their service and description.
+ * @param {Object} from - Older revision
+ * @param {Object} to - Newer revision
+ * @returns {Object}
+ */
+const diffRevisions = (from, to) => {
+  const fromPackages = normalizePackages(from.packages);
+  const toPackages = normalizePackages(to.packages);
+  const names = [...new Set([...fromPackages, ...toPackages].map(pkg => pkg.name))];
+
+  const packages = names.map(name => {
+    const before = fromPackages.find(pkg => pkg.name === name);
+    const after = toPackages.find(pkg => pkg.name === name);
+    if (!before) return { name, status: 'added', total: after.total };
+    if (!after) return { name, status: 'removed', total: before.total };
+
+    const lineItems = diffLineItems(before.lineItems, after.lineItems);
+    const totals = compareValues(['subTotal', 'discount', 'tax', 'total'], before, after);
+    const details = compareValues(['description', 'notes'], before, after);
+    const unchanged = Object.keys(totals).length === 0 && Object.keys(details).length === 0 &&
+      lineItems.added.length === 0 && lineItems.removed.length === 0 && lineItems.changed.length === 0;
+
+    return {
+      name,
+      status: unchanged ? 'unchanged' : 'changed',
+      ...(!unchanged && { lineItems, totals, details })
+    };
+  });
+
+  const fromExpiry = from.expiryDate ? new Date(from.expiryDate).toISOString() : null;
+  const toExpiry = to.expiryDate ? new Date(to.expiryDate).toISOString() : null;
+
+  return {
+    from: { number: from.number, createdAt: from.createdAt, note: from.note },
+    to: { number: to.number, createdAt: to.createdAt, note: to.note },
+    packages,
+    ...(fromExpiry !== toExpiry && { expiryDate: { from: fromExpiry, to: toExpiry } })
+  };
+};
+
+/**
+ * Pin an approval to the estimate's current revision (not saved)
+ * A first revision is recorded if the estimate was approved without being sent.
+ * @param {Object} estimate - Estimate document
+ * @param {Object} options
+ * @param {Object} options.user
+ * @param {Number|String} [options.revision] - Revision the customer saw; must still be current
+ * @param {String} [options.packageName] - Package accepted
+ * @throws {ErrorResponse} When the revision is out of date or the package is not in it
+ */
+const pinApproval = (estimate, { user, revision, packageName }) => {
+  if (revision !== undefined && revision !== null && Number(revision) !== estimate.currentRevision) {
+    throw new ErrorResponse(
+      `Revision ${revision} has been replaced by revision ${estimate.currentRevision}; please review the latest quote`,
+      409
+    );
+  }
+  if (!estimate.currentRevision) {
+    recordRevision(estimate, { user, note: 'Approved' });
+  }
+
+  const pinned = getRevision(estimate, estimate.currentRevision);
+  if (packageName && !pinned.packages.some(pkg => pkg.name === packageName)) {
+    throw new ErrorResponse(`Package "${packageName}" not found in revision ${pinned.number}`, 404);
+  }
+
+  estimate.approvedRevision = pinned.number;
+  estimate.approvedAt = new Date();
+  if (packageName) {
+    estimate.approvedPackage = packageName;
+  }
+  return pinned;
+};
+
+/**
+ * Apply staff edits to an estimate, recording a revision when a sent quote changes (not saved)
+ * @param {Object} estimate - Estimate document
+ * @param {Object} changes - Fields to set; revision, approval and customer response fields are ignored
+ * @param {Object} options
+ * @param {Object} options.user
+ * @param {String} [options.note] - Revision note
+ * @param {Number|String} [options.revision] - Revision being approved, when approving
+ * @throws {ErrorResponse} When an approved quote would change
+ * @returns {{ revised: Boolean, approving: Boolean, sending: Boolean }}
+ */
+const applyEstimateChanges = (estimate, changes, { user, note, revision }) => {
+  // The approval record and the customer's signed response are only written by the approval flows
+  const {
+    revisions,
+    currentRevision,
+    approvedRevision,
+    approvedAt,
+    approvedPackage,
+    approvalToken,
+    customerResponse,
+    ...fields
+  } = changes;
+
+  const previousStatus = estimate.status;
+  const previousPackages = (estimate.packages || []).map(pkg => (pkg.toObject ? pkg.toObject() : pkg));
+  const previousExpiry = estimate.expiryDate?.getTime();
+  const previousServices = JSON.stringify((estimate.services || []).map(s => [idString(s.service), s.quantity]));
+  estimate.set(fields);
+
+  const contentChanged = packagesChanged(previousPackages, estimate.packages) ||
+    previousExpiry !== estimate.expiryDate?.getTime() ||
+    previousServices !== JSON.stringify((estimate.services || []).map(s => [idString(s.service), s.quantity]));
+
+  if (previousStatus === 'Approved' && contentChanged) {
+    throw new ErrorResponse('This estimate has been approved; create a new estimate to change the quote', 400);
+  }
+
+  let revised = false;
+  if (!estimate.currentRevision && REVISED_STATUSES.includes(estimate.status)) {
+    recordRevision(estimate, { user, note: note || 'Sent to customer' });
+    revised = true;
+  } else if (estimate.currentRevision && contentChanged) {
+    recordRevision(estimate, { user, note });
+    revised = true;
+  }
+
+  const approving = estimate.status === 'Approved' && previousStatus !== 'Approved';
+  if (approving) {
+    pinApproval(estimate, { user, revision, packageName: approvedPackage });
+  }
+
+  const sending = estimate.status === 'Sent' && previousStatus !== 'Sent';
+
+  return { revised, approving, sending };
+};
+
+module.exports = {
+  REVISED_STATUSES,
+  packagesChanged,
+  recordRevision,
+  getRevision,
+  diffRevisions,
+  pinApproval,
+  applyEstimateChanges
+};
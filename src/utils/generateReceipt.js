@@ -1,4 +1,29 @@
-const PDFDocument = require('pdfkit');
+const { getTenantBranding, drawBrandedHeader, renderPdf } = require('./pdfBranding');
+
+// Receipt lines for a price breakdown: [description, amount]
+const getPricingLines = (pricing, description, packageType) => {
+  const quantity = pricing.unit && pricing.unit !== 'job'
+    ? ` (${pricing.quantity} ${pricing.unit} at $${pricing.basePrice.toFixed(2)})`
+    : '';
+  const packageNote = pricing.priceMultiplier && pricing.priceMultiplier !== 1
+    ? `, ${packageType || 'package'} x${pricing.priceMultiplier}`
+    : '';
+  const lines = [[`${description}${quantity}${packageNote}`, pricing.packageAmount ?? pricing.amount]];
+
+  if (pricing.discountAmount) {
+    lines.push([`Recurring discount (${pricing.discountPercent}%)`, -pricing.discountAmount]);
+  }
+  (pricing.addOns || []).forEach(addOn => {
+    lines.push([`${addOn.name}${addOn.quantity > 1 ? ` x${addOn.quantity}` : ''}`, addOn.amount]);
+  });
+  if (pricing.materialsTotal) {
+    lines.push(['Materials', pricing.materialsTotal]);
+  }
+  if (pricing.taxAmount) {
+    lines.push([`Tax (${pricing.taxRate}%)`, pricing.taxAmount]);
+  }
+  return lines;
+};
 
 /**
  * Generate a PDF receipt for a payment
@@ -6,129 +31,113 @@ const PDFDocument = require('pdfkit');
  * @returns {Promise<Buffer>} PDF buffer
  */
 const generatePDF = async (payment) => {
-  return new Promise((resolve, reject) => {
-    try {
-      // Create a new PDF document
-      const doc = new PDFDocument({ margin: 50 });
-      
-      // Buffer to store PDF
-      const buffers = [];
-      doc.on('data', buffers.push.bind(buffers));
-      doc.on('end', () => {
-        const pdfData = Buffer.concat(buffers);
-        resolve(pdfData);
-      });
-
-      // Add company info
-      doc
-        .fontSize(20)
-        .text('Landscaping Service Receipt', { align: 'center' })
-        .moveDown()
-        .fontSize(10)
-        .text('Landscaping Service Inc.', { align: 'center' })
-        .text('123 Green Street, Garden City, CA 12345', { align: 'center' })
-        .text('Phone: (555) 123-4567', { align: 'center' })
-        .text('Email: support@landscapingservice.com', { align: 'center' })
-        .moveDown(2);
+  // Company details come from the tenant's business settings
+  const branding = await getTenantBranding(payment.tenant);
+
+  return renderPdf({ margin: 50 }, (doc) => {
+    drawBrandedHeader(doc, branding, 'Receipt');
+
+    // Add receipt details
+    doc
+      .fontSize(12)
+      .text(`Receipt Number: ${payment.receiptNumber}`)
+      .text(`Date: ${new Date(payment.createdAt).toLocaleDateString()}`)
+      .text(`Payment Method: ${payment.method}`)
+      .text(`Status: ${payment.status}`)
+      .moveDown();
+
+    // Add customer details
+    doc
+      .text('Customer Details:')
+      .fontSize(10)
+      .text(`Name: ${payment.customer.user.name}`)
+      .text(`Email: ${payment.customer.user.email}`);
+    
+    // Add billing address if available
+    if (payment.billingAddress) {
+      doc.text('Billing Address:')
+        .text(`${payment.billingAddress?.street || ''}`)
+        .text(`${payment.billingAddress?.city || ''}, ${payment.billingAddress?.state || ''} ${payment.billingAddress?.zipCode || ''}`)
+        .text(`${payment.billingAddress?.country || 'USA'}`);
+    }
+    
+    doc.moveDown();
+
+    // Add payment details
+    doc
+      .fontSize(12)
+      .text('Payment Details:')
+      .moveDown(0.5);
+
+    // Draw table header
+    doc
+      .fontSize(10)
+      .text('Description', 50, doc.y, { width: 200 })
+      .text('Amount', 350, doc.y, { width: 100 });
+
+    // Draw a line
+    doc
+      .moveTo(50, doc.y + 5)
+      .lineTo(550, doc.y + 5)
+      .stroke();
+
+    doc.moveDown(0.5);
+
+    // Add payment line item
+    let paymentDescription = payment.paymentType;
+    
+    if (payment.appointment && payment.appointment.service) {
+      paymentDescription = `${payment.paymentType} - ${payment.appointment.service.name}`;
+    } else if (payment.estimate) {
+      paymentDescription = `${payment.paymentType} - Estimate #${payment.estimate.estimateNumber}`;
+    }
 
-      // Add receipt details
-      doc
-        .fontSize(12)
-        .text(`Receipt Number: ${payment.receiptNumber}`)
-        .text(`Date: ${new Date(payment.createdAt).toLocaleDateString()}`)
-        .text(`Payment Method: ${payment.method}`)
-        .text(`Status: ${payment.status}`)
-        .moveDown();
+    // Itemize payments for the appointment's quoted price
+    const pricing = payment.appointment?.pricing;
+    const lines = pricing?.amount === payment.amount && payment.paymentType !== 'Cancellation Fee'
+      ? getPricingLines(pricing, paymentDescription, payment.appointment.packageType)
+      : [[paymentDescription, payment.amount]];
 
-      // Add customer details
-      doc
-        .text('Customer Details:')
-        .fontSize(10)
-        .text(`Name: ${payment.customer.user.name}`)
-        .text(`Email: ${payment.customer.user.email}`);
-      
-      // Add billing address if available
-      if (payment.billingAddress) {
-        doc.text('Billing Address:')
-          .text(`${payment.billingAddress?.street || ''}`)
-          .text(`${payment.billingAddress?.city || ''}, ${payment.billingAddress?.state || ''} ${payment.billingAddress?.zipCode || ''}`)
-          .text(`${payment.billingAddress?.country || 'USA'}`);
-      }
-      
-      doc.moveDown();
-
-      // Add payment details
+    lines.forEach(([description, amount]) => {
+      const y = doc.y;
       doc
+        .text(description, 50, y, { width: 280 })
+        .text(`${amount < 0 ? '-' : ''}$${Math.abs(amount).toFixed(2)}`, 350, y, { width: 100 });
+    });
+
+    // Draw a line
+    doc
+      .moveTo(50, doc.y + 15)
+      .lineTo(550, doc.y + 15)
+      .stroke();
+
+    doc.moveDown();
+
+    // Add total
+    doc
+      .fontSize(12)
+      .text('Total:', 300, doc.y)
+      .text(`$${payment.amount.toFixed(2)}`, 350, doc.y);
+
+    // Add refund section if applicable
+    if (payment.refund && payment.refund.amount) {
+      doc.moveDown()
         .fontSize(12)
-        .text('Payment Details:')
-        .moveDown(0.5);
-
-      // Draw table header
-      doc
+        .text('Refund Information:')
         .fontSize(10)
-        .text('Description', 50, doc.y, { width: 200 })
-        .text('Amount', 350, doc.y, { width: 100 });
-
-      // Draw a line
-      doc
-        .moveTo(50, doc.y + 5)
-        .lineTo(550, doc.y + 5)
-        .stroke();
-
-      doc.moveDown(0.5);
-
-      // Add payment line item
-      let paymentDescription = payment.paymentType;
-      
-      if (payment.appointment && payment.appointment.service) {
-        paymentDescription = `${payment.paymentType} - ${payment.appointment.service.name}`;
-      } else if (payment.estimate) {
-        paymentDescription = `${payment.paymentType} - Estimate #${payment.estimate.estimateNumber}`;
-      }
-
-      doc
-        .text(paymentDescription, 50, doc.y, { width: 200 })
-        .text(`$${payment.amount.toFixed(2)}`, 350, doc.y, { width: 100 });
-
-      // Draw a line
-      doc
-        .moveTo(50, doc.y + 15)
-        .lineTo(550, doc.y + 15)
-        .stroke();
-
-      doc.moveDown();
+        .text(`Refund Amount: $${payment.refund.amount.toFixed(2)}`)
+        .text(`Refund Date: ${new Date(payment.refund.refundedAt).toLocaleDateString()}`)
+        .text(`Reason: ${payment.refund.reason}`);
+    }
 
-      // Add total
-      doc
-        .fontSize(12)
-        .text('Total:', 300, doc.y)
-        .text(`$${payment.amount.toFixed(2)}`, 350, doc.y);
-
-      // Add refund section if applicable
-      if (payment.refund && payment.refund.amount) {
-        doc.moveDown()
-          .fontSize(12)
-          .text('Refund Information:')
-          .fontSize(10)
-          .text(`Refund Amount: $${payment.refund.amount.toFixed(2)}`)
-          .text(`Refund Date: ${new Date(payment.refund.refundedAt).toLocaleDateString()}`)
-          .text(`Reason: ${payment.refund.reason}`);
-      }
-
-      doc.moveDown(2);
-
-      // Add footer
-      doc
-        .fontSize(10)
-        .text('Thank you for your business!', { align: 'center' })
-        .text('This receipt was generated electronically.', { align: 'center' });
+    doc.moveDown(2);
 
-      // Finalize PDF
-      doc.end();
-    } catch (err) {
-      reject(err);
-    }
+    // Add footer
+    doc
+      .fontSize(10)
+      .text(`Thank you for choosing ${branding.name}!`, 50, doc.y, { align: 'center', width: 500 })
+      .text('This receipt was generated electronically.', { align: 'center', width: 500 });
   });
 };
 
-module.exports = generatePDF; 
\ No newline at end of file
+module.exports = generatePDF;
@@ -0,0 +1,299 @@
+/**
+ * Minimal iCalendar (RFC 5545) writer for appointment feeds
+ */
+const { getOffsetMinutes, formatOffset } = require('./timezone');
+
+const PRODID = '-//Landscaping Service Management API//Appointments//EN';
+const UID_DOMAIN = process.env.ICS_UID_DOMAIN || 'landscaping-api';
+
+// Appointment.recurringType -> RRULE frequency
+const RRULE_FREQUENCIES = {
+  Weekly: 'FREQ=WEEKLY',
+  'Bi-weekly': 'FREQ=WEEKLY;INTERVAL=2',
+  Monthly: 'FREQ=MONTHLY',
+  Quarterly: 'FREQ=MONTHLY;INTERVAL=3',
+  Annually: 'FREQ=YEARLY'
+};
+
+// Appointment.status -> VEVENT STATUS
+const EVENT_STATUSES = {
+  Pending: 'TENTATIVE',
+  Cancelled: 'CANCELLED',
+  Rejected: 'CANCELLED'
+};
+
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold content lines longer than 75 octets (RFC 5545 section 3.1)
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char, 'utf8');
+    const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (currentBytes + size > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const formatUTC = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Wall-clock date-time of an appointment day and HH:mm time, e.g. 20261019T080000
+const formatLocal = (date, time) => {
+  const day = new Date(date).toISOString().split('T')[0].replace(/-/g, '');
+  const [hours, minutes] = String(time || '00:00').split(':');
+  return `${day}T${hours.padStart(2, '0')}${(minutes || '00').padStart(2, '0')}00`;
+};
+
+/**
+ * DTSTART/DTEND style property in the tenant's timezone
+ * UTC tenants get a plain UTC value; others get TZID with wall-clock time,
+ * defined by the VTIMEZONE buildCalendar adds.
+ * @param {String} name - Property name (DTSTART, DTEND, RECURRENCE-ID, EXDATE)
+ * @param {Date} date - Appointment date (UTC midnight)
+ * @param {String} time - HH:mm
+ * @param {String} timezone - IANA timezone
+ */
+const formatDateTimeProperty = (name, date, time, timezone) => {
+  const local = formatLocal(date, time);
+  if (!timezone || timezone === 'UTC') {
+    return `${name}:${local}Z`;
+  }
+  return `${name};TZID=${timezone}:${local}`;
+};
+
+const formatIcsOffset = (minutes) => formatOffset(minutes).replace(':', '');
+
+// Instants in a year where the timezone's offset changes
+const findOffsetChanges = (timezone, year) => {
+  const changes = [];
+  const end = Date.UTC(year + 1, 0, 1);
+  for (let day = Date.UTC(year, 0, 1); day < end; day += DAY_MS) {
+    const from = getOffsetMinutes(timezone, new Date(day));
+    if (getOffsetMinutes(timezone, new Date(day + DAY_MS)) === from) continue;
+
+    // Narrow the change down to the minute
+    let low = day;
+    let high = day + DAY_MS;
+    while (high - low > 60 * 1000) {
+      const mid = low + Math.floor((high - low) / 2 / 60000) * 60000;
+      if (getOffsetMinutes(timezone, new Date(mid)) === from) low = mid;
+      else high = mid;
+    }
+    changes.push({ at: new Date(high), from, to: getOffsetMinutes(timezone, new Date(high)) });
+  }
+  return changes;
+};
+
+// Yearly rule for a change, e.g. "second Sunday of March at 02:00"
+const describeOffsetChange = ({ at, from }) => {
+  const local = new Date(at.getTime() + from * 60 * 1000);
+  const month = local.getUTCMonth();
+  const day = local.getUTCDate();
+  const daysInMonth = new Date(Date.UTC(local.getUTCFullYear(), month + 1, 0)).getUTCDate();
+  return {
+    month,
+    weekday: local.getUTCDay(),
+    week: day + 7 > daysInMonth ? -1 : Math.ceil(day / 7),
+    time: local.toISOString().slice(11, 19).replace(/:/g, '')
+  };
+};
+
+// Date of the nth (or last, -1) weekday of a month
+const nthWeekday = (year, month, weekday, week) => {
+  if (week === -1) {
+    const last = new Date(Date.UTC(year, month + 1, 0));
+    last.setUTCDate(last.getUTCDate() - (last.getUTCDay() - weekday + 7) % 7);
+    return last;
+  }
+  const first = new Date(Date.UTC(year, month, 1));
+  first.setUTCDate(1 + (weekday - first.getUTCDay() + 7) % 7 + (week - 1) * 7);
+  return first;
+};
+
+/**
+ * VTIMEZONE component for TZID references
+ * The DST rules in force in the given year are written as yearly RRULEs starting
+ * in 1970; zones without a regular pair of changes get their offset at the start of the year.
+ * @param {String} timezone - IANA timezone
+ * @param {Number} [year]
+ * @returns {String[]} Content lines
+ */
+const buildTimezone = (timezone, year = new Date().getUTCFullYear()) => {
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timezone}`];
+  const changes = findOffsetChanges(timezone, year);
+
+  if (changes.length === 2) {
+    changes.forEach(change => {
+      const rule = describeOffsetChange(change);
+      const firstDay = nthWeekday(1970, rule.month, rule.weekday, rule.week).toISOString().slice(0, 10).replace(/-/g, '');
+      const type = change.to > change.from ? 'DAYLIGHT' : 'STANDARD';
+      lines.push(
+        `BEGIN:${type}`,
+        `DTSTART:${firstDay}T${rule.time}`,
+        `TZOFFSETFROM:${formatIcsOffset(change.from)}`,
+        `TZOFFSETTO:${formatIcsOffset(change.to)}`,
+        `RRULE:FREQ=YEARLY;BYMONTH=${rule.month + 1};BYDAY=${rule.week}${WEEKDAYS[rule.weekday]}`,
+        `END:${type}`
+      );
+    });
+  } else {
+    const offset = formatIcsOffset(getOffsetMinutes(timezone, new Date(Date.UTC(year, 0, 1))));
+    lines.push(
+      'BEGIN:STANDARD',
+      'DTSTART:19700101T000000',
+      `TZOFFSETFROM:${offset}`,
+      `TZOFFSETTO:${offset}`,
+      'END:STANDARD'
+    );
+  }
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+};
+
+/**
+ * RRULE value for a series
+ * Monthly/yearly series starting after the 28th clamp to the month end, like
+ * the series engine does, instead of skipping shorter months.
+ * @param {Object} series - AppointmentSeries document
+ * @returns {String|null}
+ */
+const buildRRule = (series) => {
+  const freq = RRULE_FREQUENCIES[series.recurringType];
+  if (!freq) return null;
+
+  const parts = [freq];
+  const start = new Date(series.startDate);
+  const dayOfMonth = start.getUTCDate();
+
+  if (freq.startsWith('FREQ=MONTHLY') || freq === 'FREQ=YEARLY') {
+    if (freq === 'FREQ=YEARLY') {
+      parts.push(`BYMONTH=${start.getUTCMonth() + 1}`);
+    }
+    if (dayOfMonth > 28) {
+      const days = [];
+      for (let d = 28; d <= dayOfMonth; d++) days.push(d);
+      parts.push(`BYMONTHDAY=${days.join(',')}`, 'BYSETPOS=-1');
+    }
+  }
+
+  if (series.endDate) {
+    const lastDay = new Date(series.endDate).toISOString().split('T')[0].replace(/-/g, '');
+    parts.push(`UNTIL=${lastDay}T235959Z`);
+  }
+
+  return parts.join(';');
+};
+
+const buildUid = (prefix, id) => `${prefix}-${id}@${UID_DOMAIN}`;
+
+/**
+ * Serialize one VEVENT
+ * @param {Object} event
+ * @param {String} event.uid
+ * @param {Date} event.date - Appointment date
+ * @param {String} event.startTime - HH:mm
+ * @param {String} event.endTime - HH:mm
+ * @param {String} event.timezone
+ * @param {String} event.summary
+ * @param {String} [event.location]
+ * @param {String} [event.description]
+ * @param {String} [event.status] - Appointment status
+ * @param {Date} [event.updatedAt]
+ * @param {String} [event.rrule]
+ * @param {Date[]} [event.exdates] - Occurrence dates to exclude
+ * @param {Date} [event.recurrenceId] - Original occurrence date this event overrides
+ * @param {String} [event.recurrenceTime] - Original start time of the overridden occurrence
+ * @returns {String[]} Content lines
+ */
+const buildEvent = (event) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatUTC(event.updatedAt || new Date())}`,
+    formatDateTimeProperty('DTSTART', event.date, event.startTime, event.timezone),
+    formatDateTimeProperty('DTEND', event.date, event.endTime, event.timezone),
+    `SUMMARY:${escapeText(event.summary)}`
+  ];
+
+  if (event.recurrenceId) {
+    lines.push(formatDateTimeProperty('RECURRENCE-ID', event.recurrenceId, event.recurrenceTime || event.startTime, event.timezone));
+  }
+  if (event.rrule) {
+    lines.push(`RRULE:${event.rrule}`);
+  }
+  (event.exdates || []).forEach(date => {
+    lines.push(formatDateTimeProperty('EXDATE', date, event.startTime, event.timezone));
+  });
+  if (event.location) {
+    lines.push(`LOCATION:${escapeText(event.location)}`);
+  }
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  lines.push(`STATUS:${EVENT_STATUSES[event.status] || 'CONFIRMED'}`);
+  lines.push('END:VEVENT');
+
+  return lines;
+};
+
+/**
+ * Serialize a VCALENDAR document
+ * @param {Object} options
+ * @param {String} options.name - Calendar display name
+ * @param {String} [options.timezone]
+ * @param {Object[]} options.events - Objects accepted by buildEvent
+ * @returns {String}
+ */
+const buildCalendar = ({ name, timezone, events }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+  if (timezone) {
+    lines.push(`X-WR-TIMEZONE:${timezone}`);
+  }
+  // Events in other timezones refer to it by TZID
+  if (timezone && timezone !== 'UTC') {
+    lines.push(...buildTimezone(timezone));
+  }
+  events.forEach(event => lines.push(...buildEvent(event)));
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  RRULE_FREQUENCIES,
+  escapeText,
+  foldLine,
+  buildTimezone,
+  buildRRule,
+  buildUid,
+  buildEvent,
+  buildCalendar
+};
@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+const Material = require('../models/material.model');
+const ErrorResponse = require('./errorResponse');
+const notifyTenantAdmins = require('./notifyTenantAdmins');
+const { withMaterialCharges, isAppointmentPaid } = require('./pricing');
+
+// Jobs crews can log materials on
+const MATERIAL_LOGGING_STATUSES = ['In Progress', 'Completed'];
+
+/**
+ * Alert the tenant's admins when a material is at or below its low-stock threshold
+ * Alerts once per dip; stock going back above the threshold re-arms the alert.
+ * @param {Object} material - Material document with the current stock
+ * @returns {Promise<Boolean>} Whether an alert was sent
+ */
+const checkLowStock = async (material) => {
+  if (material.quantityOnHand > material.lowStockThreshold) {
+    if (material.lowStockAlertedAt) {
+      await Material.updateOne({ _id: material._id }, { $unset: { lowStockAlertedAt: 1 } });
+      material.lowStockAlertedAt = undefined;
+    }
+    return false;
+  }
+
+  // Claim the alert so concurrent usage does not send it twice
+  const claimed = await Material.findOneAndUpdate(
+    { _id: material._id, lowStockAlertedAt: null },
+    { $set: { lowStockAlertedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) return false;
+  material.lowStockAlertedAt = claimed.lowStockAlertedAt;
+
+  await notifyTenantAdmins(
+    material.tenant,
+    `Low stock: ${material.name}`,
+    `${material.name} is down to ${material.quantityOnHand} ${material.unit} (alert level ${material.lowStockThreshold}). Restock soon to keep crews supplied.`
+  );
+  return true;
+};
+
+/**
+ * Bring the appointment's charge up to date with its billable materials (not saved)
+ * Paid appointments keep the amount they were charged.
+ * @param {Object} appointment - Appointment document
+ */
+const refreshMaterialCharges = (appointment) => {
+  const pricing = appointment.toObject().pricing;
+  if (pricing?.amount == null || isAppointmentPaid(appointment)) return;
+
+  appointment.pricing = withMaterialCharges(pricing, appointment.materialsUsed);
+  if (appointment.payment?.amount != null) {
+    appointment.payment.amount = appointment.pricing.amount;
+  }
+};
+
+const ensureMaterialsEditable = (appointment) => {
+  if (!MATERIAL_LOGGING_STATUSES.includes(appointment.status)) {
+    throw new ErrorResponse('Materials can only be logged on jobs that are in progress or completed', 400);
+  }
+  if (isAppointmentPaid(appointment)) {
+    throw new ErrorResponse('This job has been paid; its materials can no longer be changed', 400);
+  }
+};
+
+/**
+ * Log material used on a job and take it out of stock
+ * Stock is taken atomically, so two crews cannot both use the last bag.
+ * @param {Object} appointment - Appointment document
+ * @param {Object} options
+ * @param {ObjectId} options.materialId
+ * @param {Number} options.quantity
+ * @param {Object} options.user - Crew member logging the usage
+ * @throws {ErrorResponse} When the job is locked, the material unknown or the stock too low
+ * @returns {Promise<{ usage: Object, material: Object, lowStockAlert: Boolean }>}
+ */
+const logMaterialUsage = async (appointment, { materialId, quantity, user }) => {
+  ensureMaterialsEditable(appointment);
+
+  const amount = Number(quantity);
+  if (!(amount > 0)) {
+    throw new ErrorResponse('Please provide a quantity greater than 0', 400);
+  }
+  if (!mongoose.isValidObjectId(materialId)) {
+    throw new ErrorResponse(`Material not found with id of ${materialId}`, 404);
+  }
+
+  const material = await Material.findOneAndUpdate(
+    { _id: materialId, tenant: appointment.tenant, isActive: true, quantityOnHand: { $gte: amount } },
+    { $inc: { quantityOnHand: -amount } },
+    { new: true }
+  );
+  if (!material) {
+    const existing = await Material.findOne({ _id: materialId, tenant: appointment.tenant, isActive: true });
+    if (!existing) {
+      throw new ErrorResponse(`Material not found with id of ${materialId}`, 404);
+    }
+    throw new ErrorResponse(`Only ${existing.quantityOnHand} ${existing.unit} of ${existing.name} in stock`, 400);
+  }
+
+  appointment.materialsUsed.push({
+    material: material._id,
+    name: material.name,
+    unit: material.unit,
+    quantity: amount,
+    unitCost: material.unitCost,
+    unitPrice: material.unitPrice,
+    billable: material.billable,
+    loggedBy: user._id || user.id
+  });
+  refreshMaterialCharges(appointment);
+
+  try {
+    await appointment.save();
+  } catch (err) {
+    await Material.updateOne({ _id: material._id }, { $inc: { quantityOnHand: amount } });
+    throw err;
+  }
+
+  const lowStockAlert = await checkLowStock(material);
+
+  return {
+    usage: appointment.materialsUsed[appointment.materialsUsed.length - 1],
+    material,
+    lowStockAlert
+  };
+};
+
+/**
+ * Remove a logged usage (e.g. entered by mistake) and put the quantity back in stock
+ * @param {Object} appointment - Appointment document
+ * @param {ObjectId} usageId - materialsUsed entry id
+ * @throws {ErrorResponse} When the job is locked or the entry unknown
+ * @returns {Promise<Object>} The removed entry
+ */
+const removeMaterialUsage = async (appointment, usageId) => {
+  ensureMaterialsEditable(appointment);
+
+  const usage = appointment.materialsUsed.id(usageId);
+  if (!usage) {
+    throw new ErrorResponse(`Material usage not found with id of ${usageId}`, 404);
+  }
+
+  usage.deleteOne();
+  refreshMaterialCharges(appointment);
+  await appointment.save();
+
+  const material = await Material.findByIdAndUpdate(
+    usage.material,
+    { $inc: { quantityOnHand: usage.quantity } },
+    { new: true }
+  );
+  if (material) {
+    await checkLowStock(material);
+  }
+
+  return usage;
+};
+
+module.exports = {
+  MATERIAL_LOGGING_STATUSES,
+  checkLowStock,
+  refreshMaterialCharges,
+  logMaterialUsage,
+  removeMaterialUsage
+};
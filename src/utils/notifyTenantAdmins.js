@@ -0,0 +1,22 @@
+const User = require('../models/user.model');
+const sendEmail = require('./sendEmail');
+
+/**
+ * Email every admin of a tenant
+ * Never throws: a failed notification must not fail the change that triggered it.
+ * @param {ObjectId} tenantId
+ * @param {String} subject
+ * @param {String} message
+ */
+const notifyTenantAdmins = async (tenantId, subject, message) => {
+  try {
+    const admins = await User.find({ tenantId, role: 'tenantAdmin' }).select('email');
+    await Promise.all(admins
+      .filter(admin => admin.email)
+      .map(admin => sendEmail({ email: admin.email, subject, message })));
+  } catch (err) {
+    console.error(`Admin notification "${subject}" failed:`, err.message);
+  }
+};
+
+module.exports = notifyTenantAdmins;
@@ -0,0 +1,130 @@
+const axios = require('axios');
+const PDFDocument = require('pdfkit');
+const BusinessSetting = require('../models/business-setting.model');
+const Tenant = require('../models/tenant.model');
+
+const IMAGE_TIMEOUT_MS = 10000;
+
+/**
+ * Load an image for pdfkit from a URL or data URI
+ * @param {String} source
+ * @returns {Promise<Buffer|null>} null when it cannot be loaded
+ */
+const loadImage = async (source) => {
+  if (!source) return null;
+
+  const dataUri = String(source).match(/^data:image\/[\w+.-]+;base64,(.+)$/);
+  if (dataUri) {
+    return Buffer.from(dataUri[1], 'base64');
+  }
+
+  try {
+    const response = await axios.get(source, { responseType: 'arraybuffer', timeout: IMAGE_TIMEOUT_MS });
+    return Buffer.from(response.data);
+  } catch (err) {
+    console.error(`Could not load image ${source}:`, err.message);
+    return null;
+  }
+};
+
+/**
+ * Company details shown on tenant documents
+ * Business settings win over the tenant record; nothing is hardcoded.
+ * @param {ObjectId} tenantId
+ * @returns {Promise<Object>}
+ */
+const getTenantBranding = async (tenantId) => {
+  const [settings, tenant] = await Promise.all([
+    BusinessSetting.findOne({ tenant: tenantId }),
+    Tenant.findById(tenantId).select('name email phone address settings')
+  ]);
+
+  // Business settings store a structured address, the tenant record a single line
+  const address = settings?.address;
+  const addressLine = address?.street
+    ? [address.street, address.city, [address.state, address.zipCode].filter(Boolean).join(' ')]
+      .filter(Boolean)
+      .join(', ')
+    : tenant?.address || '';
+
+  return {
+    name: settings?.businessName || tenant?.name || 'Landscaping Services',
+    email: settings?.businessEmail || tenant?.email,
+    phone: settings?.businessPhone || tenant?.phone,
+    address: addressLine,
+    color: tenant?.settings?.themeColor || '#2E7D32',
+    terms: settings?.terms,
+    logo: await loadImage(settings?.logo || tenant?.settings?.logo)
+  };
+};
+
+/**
+ * Draw the company header and document title
+ * @param {PDFDocument} doc
+ * @param {Object} branding - From getTenantBranding
+ * @param {String} title
+ */
+const drawBrandedHeader = (doc, branding, title) => {
+  const top = doc.y;
+
+  if (branding.logo) {
+    try {
+      doc.image(branding.logo, 50, top, { fit: [120, 60] });
+    } catch (err) {
+      // Unsupported image formats are left out rather than failing the document
+    }
+  }
+
+  doc
+    .fillColor(branding.color)
+    .fontSize(18)
+    .text(branding.name, 200, top, { width: 350, align: 'right' })
+    .fillColor('#444444')
+    .fontSize(9);
+  [branding.address, branding.phone && `Phone: ${branding.phone}`, branding.email && `Email: ${branding.email}`]
+    .filter(Boolean)
+    .forEach(line => doc.text(line, 200, doc.y, { width: 350, align: 'right' }));
+
+  doc.y = Math.max(doc.y, top + 65);
+  doc
+    .moveTo(50, doc.y)
+    .lineTo(550, doc.y)
+    .strokeColor(branding.color)
+    .stroke()
+    .moveDown();
+
+  doc
+    .fillColor(branding.color)
+    .fontSize(16)
+    .text(title, 50, doc.y, { align: 'center', width: 500 })
+    .fillColor('#000000')
+    .moveDown();
+};
+
+/**
+ * Render a pdfkit document into a buffer
+ * @param {Object} options - PDFDocument options
+ * @param {Function} draw - Receives the document; may be async
+ * @returns {Promise<Buffer>}
+ */
+const renderPdf = (options, draw) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument(options);
+    const buffers = [];
+    doc.on('data', buffers.push.bind(buffers));
+    doc.on('end', () => resolve(Buffer.concat(buffers)));
+    doc.on('error', reject);
+
+    Promise.resolve()
+      .then(() => draw(doc))
+      .then(() => doc.end())
+      .catch(reject);
+  });
+};
+
+module.exports = {
+  loadImage,
+  getTenantBranding,
+  drawBrandedHeader,
+  renderPdf
+};
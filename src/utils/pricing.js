@@ -0,0 +1,282 @@
+const mongoose = require('mongoose');
+const BusinessSetting = require('../models/business-setting.model');
+const Service = require('../models/service.model');
+const Property = require('../models/property.model');
+const ErrorResponse = require('./errorResponse');
+const { getRecurringDiscount } = require('./recurrence');
+const { getPropertySizeSqft } = require('./properties');
+
+// Unit a job is billed in for each Service.priceUnit
+const BILLING_UNITS = {
+  flat: 'job',
+  hourly: 'hour',
+  per_sqft: 'sqft'
+};
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * How many units of the service price a job is billed for
+ * @param {Object} service
+ * @param {Object} options
+ * @param {Number} [options.durationMinutes] - Booked duration; hourly services fall back to the service duration
+ * @param {Object} [options.property] - Property with a size, for per-square-foot services
+ * @throws {ErrorResponse} When a per-square-foot service has no property size to go on
+ * @returns {{ quantity: Number, unit: String }}
+ */
+const getBillableQuantity = (service, { durationMinutes, property } = {}) => {
+  const unit = BILLING_UNITS[service.priceUnit] || BILLING_UNITS.flat;
+
+  if (unit === 'hour') {
+    return { quantity: roundMoney((durationMinutes || service.duration || 0) / 60), unit };
+  }
+
+  if (unit === 'sqft') {
+    const sqft = getPropertySizeSqft(property);
+    if (!sqft) {
+      throw new ErrorResponse(`${service.name} is priced per square foot; please add the property size first`, 400);
+    }
+    return { quantity: sqft, unit };
+  }
+
+  return { quantity: 1, unit };
+};
+
+/**
+ * Add-ons picked for a booking, priced from the service's add-on list
+ * @param {Object} service
+ * @param {Array<String|Object>} [requested] - Add-on names or ids, or { name|_id, quantity }
+ * @throws {ErrorResponse} When an add-on is not offered by the service
+ * @returns {Array<{ name: String, price: Number, quantity: Number, amount: Number }>}
+ */
+const resolveAddOns = (service, requested = []) => {
+  const offered = (service.addOns || []).filter(addOn => addOn.isActive !== false);
+
+  return requested.map(item => {
+    const key = typeof item === 'object' && item !== null ? item._id || item.name : item;
+    const addOn = offered.find(a => a.name === key || a._id?.toString() === String(key));
+    if (!addOn) {
+      throw new ErrorResponse(`${service.name} does not offer the add-on ${key}`, 400);
+    }
+    const quantity = Math.max(1, Number(item?.quantity) || 1);
+    return {
+      name: addOn.name,
+      price: addOn.price,
+      quantity,
+      amount: roundMoney(addOn.price * quantity)
+    };
+  });
+};
+
+/**
+ * Charge for the billable materials logged on a job
+ * @param {Array} [materials] - Appointment materialsUsed entries
+ * @returns {Number}
+ */
+const getMaterialsTotal = (materials = []) => roundMoney(materials
+  .filter(usage => usage.billable !== false)
+  .reduce((total, usage) => total + (usage.unitPrice || 0) * usage.quantity, 0));
+
+/**
+ * Price of a job with its breakdown
+ * The recurring discount applies to the service itself; add-ons are charged in full.
+ * @param {Object} service
+ * @param {Object} options
+ * @param {String} [options.packageType]
+ * @param {String} [options.recurringType]
+ * @param {Object} [options.property]
+ * @param {Number} [options.durationMinutes]
+ * @param {Array} [options.addOns]
+ * @param {Array} [options.materials] - Materials logged on the job
+ * @param {Number} [options.taxRate] - Percent
+ * @returns {Object} Breakdown ending in `amount`, the total to charge
+ */
+const calculatePrice = (service, { packageType, recurringType, property, durationMinutes, addOns, materials, taxRate = 0 } = {}) => {
+  const basePrice = service.basePrice || 0;
+  const { quantity, unit } = getBillableQuantity(service, { durationMinutes, property });
+  const baseAmount = roundMoney(basePrice * quantity);
+
+  const pkg = (service.packages || []).find(p => p.name === packageType);
+  const priceMultiplier = pkg?.priceMultiplier || 1;
+  const packageAmount = roundMoney(baseAmount * priceMultiplier);
+
+  const discountPercent = getRecurringDiscount(service, recurringType);
+  const discountAmount = roundMoney(packageAmount * discountPercent / 100);
+
+  const addOnLines = resolveAddOns(service, addOns);
+  const addOnsTotal = roundMoney(addOnLines.reduce((total, addOn) => total + addOn.amount, 0));
+
+  const materialsTotal = getMaterialsTotal(materials);
+
+  const subtotal = roundMoney(packageAmount - discountAmount + addOnsTotal + materialsTotal);
+  const taxAmount = roundMoney(subtotal * (taxRate || 0) / 100);
+
+  return {
+    priceUnit: service.priceUnit || 'flat',
+    basePrice,
+    quantity,
+    unit,
+    baseAmount,
+    priceMultiplier,
+    packageAmount,
+    discountPercent,
+    discountAmount,
+    addOns: addOnLines,
+    addOnsTotal,
+    materialsTotal,
+    subtotal,
+    taxRate: taxRate || 0,
+    taxAmount,
+    amount: roundMoney(subtotal + taxAmount)
+  };
+};
+
+/**
+ * A stored breakdown with its materials charge brought up to date
+ * The booked service and add-on prices are kept as quoted.
+ * @param {Object} pricing - Price breakdown
+ * @param {Array} materials - Appointment materialsUsed entries
+ * @returns {Object} Price breakdown
+ */
+const withMaterialCharges = (pricing, materials) => {
+  const materialsTotal = getMaterialsTotal(materials);
+  const subtotal = roundMoney((pricing.packageAmount || 0) - (pricing.discountAmount || 0) + (pricing.addOnsTotal || 0) + materialsTotal);
+  const taxAmount = roundMoney(subtotal * (pricing.taxRate || 0) / 100);
+
+  return {
+    ...pricing,
+    materialsTotal,
+    subtotal,
+    taxAmount,
+    amount: roundMoney(subtotal + taxAmount)
+  };
+};
+
+/**
+ * Sales tax percentage of a tenant
+ * @param {ObjectId} tenantId
+ * @returns {Promise<Number>}
+ */
+const getTaxRate = async (tenantId) => {
+  const settings = await BusinessSetting.getSettingsForTenant(tenantId);
+  return settings.taxRate || 0;
+};
+
+/**
+ * Price a booking with the tenant's tax rate
+ * @param {Object} service - Service document
+ * @param {Object} options - As for calculatePrice, without taxRate
+ * @returns {Promise<Object>} Price breakdown
+ */
+const quoteAppointment = async (service, options = {}) => calculatePrice(service, {
+  ...options,
+  taxRate: await getTaxRate(service.tenantId)
+});
+
+/**
+ * Price an existing appointment or series again, e.g. after its package changes
+ * Add-ons already on the booking are kept unless new ones are given.
+ * @param {Object} booking - Appointment or AppointmentSeries document
+ * @param {Object} [changes] - packageType, property, durationMinutes or addOns that replace the booking's own
+ * @returns {Promise<Object>} Price breakdown
+ */
+const requoteBooking = async (booking, changes = {}) => {
+  const service = booking.service?.basePrice !== undefined
+    ? booking.service
+    : await Service.findById(booking.service);
+  if (!service) {
+    throw new ErrorResponse('The service of this booking no longer exists', 400);
+  }
+
+  let property = changes.property || booking.property;
+  if (property && (mongoose.isValidObjectId(property) || !property.size)) {
+    property = await Property.findById(property._id || property);
+  }
+
+  return quoteAppointment(service, {
+    packageType: changes.packageType || booking.packageType,
+    recurringType: booking.recurringType,
+    property,
+    durationMinutes: changes.durationMinutes || booking.duration,
+    addOns: changes.addOns || (booking.pricing?.addOns || []).map(({ name, quantity }) => ({ name, quantity })),
+    materials: booking.materialsUsed
+  });
+};
+
+/**
+ * Fill in the totals of estimate packages
+ * Packages sent without line items get one line per requested service, priced by the engine.
+ * @param {Object} options
+ * @param {ObjectId} options.tenantId
+ * @param {Array} options.packages
+ * @param {Array} [options.services] - Estimate services: { service, quantity }
+ * @param {Number} [options.propertySize] - Square feet
+ * @returns {Promise<Array>} The packages with line totals, subTotal, tax and total set
+ */
+const priceEstimatePackages = async ({ tenantId, packages, services = [], propertySize }) => {
+  const taxRate = await getTaxRate(tenantId);
+  const property = propertySize ? { size: { value: propertySize, unit: 'sqft' } } : undefined;
+
+  const serviceDocs = [];
+  for (const item of services) {
+    const id = item.service?._id || item.service;
+    const service = item.service?.basePrice !== undefined ? item.service : await Service.findById(id);
+    if (service) {
+      serviceDocs.push({ service, quantity: item.quantity || 1 });
+    }
+  }
+
+  return packages.map(pkg => {
+    let lineItems = pkg.lineItems || [];
+    if (lineItems.length === 0) {
+      lineItems = serviceDocs.map(({ service, quantity }) => {
+        const price = calculatePrice(service, { packageType: pkg.name, property });
+        return {
+          service: service.name,
+          description: price.unit === 'job' ? service.description : `${price.quantity} ${price.unit}`,
+          unitPrice: price.packageAmount,
+          quantity
+        };
+      });
+    }
+
+    lineItems = lineItems.map(item => ({
+      ...item,
+      totalPrice: roundMoney((item.unitPrice || 0) * (item.quantity || 1))
+    }));
+    const subTotal = roundMoney(lineItems.reduce((total, item) => total + item.totalPrice, 0));
+    const discount = pkg.discount?.amount || 0;
+    const tax = roundMoney((subTotal - discount) * taxRate / 100);
+
+    return {
+      ...pkg,
+      lineItems,
+      subTotal,
+      tax,
+      total: roundMoney(subTotal - discount + tax)
+    };
+  });
+};
+
+/**
+ * Whether an appointment has been paid, so its charge must not change
+ * Payments recorded before the status was normalized stored it in lower case.
+ * @param {Object} appointment
+ * @returns {Boolean}
+ */
+const isAppointmentPaid = (appointment) => String(appointment?.payment?.status || '').toLowerCase() === 'paid';
+
+module.exports = {
+  BILLING_UNITS,
+  roundMoney,
+  isAppointmentPaid,
+  getBillableQuantity,
+  resolveAddOns,
+  getMaterialsTotal,
+  calculatePrice,
+  withMaterialCharges,
+  getTaxRate,
+  quoteAppointment,
+  requoteBooking,
+  priceEstimatePackages
+};
@@ -0,0 +1,181 @@
+const mongoose = require('mongoose');
+const Property = require('../models/property.model');
+const ErrorResponse = require('./errorResponse');
+
+// What crews and pricing need to know about the property an appointment is for
+const PROPERTY_SUMMARY_FIELDS = 'name address size propertyType features accessInstructions specialRequirements';
+
+const SQFT_PER_UNIT = {
+  sqft: 1,
+  sqm: 10.7639,
+  acres: 43560
+};
+
+/**
+ * Property size in square feet, whatever unit it was entered in
+ * @param {Object} property
+ * @returns {Number|null} null when no size is recorded
+ */
+const getPropertySizeSqft = (property) => {
+  const value = property?.size?.value;
+  if (!value) return null;
+  return Math.round(value * (SQFT_PER_UNIT[property.size.unit] || 1));
+};
+
+/**
+ * Single-line address
+ * @param {Object} address - Property or customer address
+ * @returns {String}
+ */
+const formatAddress = (address) => {
+  if (!address) return '';
+  if (address.fullAddress) return address.fullAddress;
+  return [address.street, address.city, [address.state, address.zipCode].filter(Boolean).join(' ')]
+    .filter(Boolean)
+    .join(', ');
+};
+
+/**
+ * Where an appointment takes place
+ * Appointments booked before properties were linked fall back to the customer address.
+ * @param {Object} appointment - With property and customer populated
+ * @returns {Object|undefined}
+ */
+const getAppointmentAddress = (appointment) => appointment.property?.address || appointment.customer?.address;
+
+const hasFullAddress = (address) => Boolean(address?.street && address.city && address.state && address.zipCode);
+
+const sameAddress = (a, b) => ['street', 'zipCode'].every(field =>
+  String(a?.[field] || '').trim().toLowerCase() === String(b?.[field] || '').trim().toLowerCase());
+
+/**
+ * Address saved on a customer from before properties existed
+ * The customer's own address wins over the legacy propertyDetails entry.
+ * @param {Object} customer
+ * @returns {Object|undefined}
+ */
+const getLegacyCustomerAddress = (customer) =>
+  (hasFullAddress(customer.address) ? customer.address : customer.propertyDetails?.[0]?.propertyAddress);
+
+/**
+ * Address sent with a booking, in any of the shapes older clients use
+ * @param {Object} body - Request body
+ * @returns {Object|null}
+ */
+const getBookingAddress = (body = {}) => [
+  body.address,
+  body.property?.address,
+  body.properties?.[0]?.address,
+  body.propertyDetails?.[0]?.propertyAddress
+].find(address => address && typeof address === 'object') || null;
+
+/**
+ * Property fields for one of a customer's addresses (not saved)
+ * The legacy propertyDetails entry supplies name, size and access instructions.
+ * @param {Object} customer - Customer document
+ * @param {ObjectId} tenantId
+ * @param {Object} address
+ * @param {Object} [options]
+ * @param {Boolean} [options.isDefault]
+ * @returns {Object}
+ */
+const buildPropertyFromAddress = (customer, tenantId, address, { isDefault = true } = {}) => {
+  const legacy = customer.propertyDetails?.[0];
+  return {
+    tenant: tenantId,
+    tenants: [tenantId],
+    customer: customer._id,
+    user: customer.user?._id || customer.user,
+    name: legacy?.name || 'Primary Property',
+    address: {
+      street: address.street,
+      city: address.city,
+      state: address.state,
+      zipCode: address.zipCode,
+      country: address.country || 'USA',
+      coordinates: address.coordinates || customer.address?.coordinates
+    },
+    // Size was optional on the old embedded details; 0 marks it as unknown
+    size: { value: legacy?.size || 0, unit: 'sqft' },
+    accessInstructions: legacy?.accessInstructions,
+    isDefault
+  };
+};
+
+/**
+ * The property a customer is booking for
+ * Without an explicit property the customer's property at the booking address is used
+ * (created when new), otherwise their default (or oldest active) property. Customers
+ * without any property get one from the address saved on their profile.
+ * @param {Object} customer - Customer document
+ * @param {ObjectId|String|Object} [propertyRef] - Property id, or an object with _id
+ * @param {Object} [options]
+ * @param {ObjectId} [options.tenantId] - Tenant of a property created for the booking
+ * @param {Object} [options.address] - Address sent with the booking
+ * @param {Boolean} [options.save=true] - false to return a new property unsaved, e.g. for quotes
+ * @throws {ErrorResponse} When the property is unknown, inactive or someone else's, or there is no address to create one from
+ * @returns {Promise<Object>} Property document
+ */
+const resolveBookingProperty = async (customer, propertyRef, { tenantId, address, save = true } = {}) => {
+  const propertyId = propertyRef && typeof propertyRef === 'object' ? propertyRef._id : propertyRef;
+
+  if (!propertyId) {
+    const properties = await Property.find({ customer: customer._id }).sort({ isDefault: -1, createdAt: 1 });
+    const active = properties.filter(property => property.status !== 'inactive');
+
+    // Partial addresses are completed from the customer's saved one
+    const bookingAddress = address && {
+      ...(customer.address?.toObject ? customer.address.toObject() : customer.address),
+      ...address
+    };
+
+    let newAddress;
+    if (hasFullAddress(bookingAddress)) {
+      const match = active.find(property => sameAddress(property.address, bookingAddress));
+      if (match) return match;
+      newAddress = bookingAddress;
+    } else if (active.length > 0) {
+      return active[0];
+    } else if (properties.length === 0) {
+      newAddress = getLegacyCustomerAddress(customer);
+    }
+
+    if (!hasFullAddress(newAddress) || !customer.user) {
+      throw new ErrorResponse('Please add a property before booking', 400);
+    }
+
+    const fields = buildPropertyFromAddress(customer, tenantId || customer.tenant, newAddress, {
+      isDefault: active.length === 0
+    });
+    return save ? Property.create(fields) : new Property(fields);
+  }
+
+  if (!mongoose.isValidObjectId(propertyId)) {
+    throw new ErrorResponse(`Invalid property id ${propertyId}`, 400);
+  }
+
+  const property = await Property.findById(propertyId);
+  if (!property) {
+    throw new ErrorResponse(`Property not found with id of ${propertyId}`, 404);
+  }
+  if (property.customer.toString() !== customer._id.toString()) {
+    throw new ErrorResponse('This property does not belong to the customer', 403);
+  }
+  if (property.status === 'inactive') {
+    throw new ErrorResponse('This property is inactive', 400);
+  }
+
+  return property;
+};
+
+module.exports = {
+  PROPERTY_SUMMARY_FIELDS,
+  getPropertySizeSqft,
+  formatAddress,
+  getAppointmentAddress,
+  hasFullAddress,
+  getLegacyCustomerAddress,
+  getBookingAddress,
+  buildPropertyFromAddress,
+  resolveBookingProperty
+};
@@ -0,0 +1,302 @@
+const Appointment = require('../models/appointment.model');
+const AppointmentSeries = require('../models/appointment-series.model');
+const sendEmail = require('./sendEmail');
+const { toUTCDate, toDateKey } = require('./recurrence');
+const { checkSlotForAppointment, findBatchClash } = require('./schedulingConflicts');
+const { findEditableOccurrences } = require('./appointmentSeries');
+const { idString } = require('./scheduling');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RAIN_DAY_STRATEGIES = ['next_open_day', 'same_slot_later', 'push_series'];
+
+// Appointments a washed-out day can still move; jobs underway stay put
+const MOVABLE_STATUSES = ['Pending', 'Confirmed', 'Rescheduled'];
+
+// How far "next open day" looks before giving up
+const MAX_SEARCH_DAYS = 14;
+
+const shiftDate = (date, days) => new Date(toUTCDate(date).getTime() + days * DAY_MS);
+
+const formatSlot = (slot) => `${new Date(slot.date).toLocaleDateString('en-US', {
+  weekday: 'long',
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric',
+  timeZone: 'UTC'
+})}, ${slot.timeSlot.startTime} - ${slot.timeSlot.endTime}`;
+
+const slotOf = (appointment) => ({
+  date: appointment.date,
+  timeSlot: {
+    startTime: appointment.timeSlot.startTime,
+    endTime: appointment.timeSlot.endTime
+  }
+});
+
+/**
+ * Active appointments on a washed-out day
+ * @param {Object} options
+ * @param {ObjectId} options.tenantId
+ * @param {Date|String} options.date
+ * @param {ObjectId} [options.crewMember] - Only jobs this crew member works on
+ * @param {String} [options.serviceCategory] - Only services of this category
+ * @returns {Promise<Object[]>}
+ */
+const findRainedOutAppointments = async ({ tenantId, date, crewMember, serviceCategory }) => {
+  const dayStart = toUTCDate(date);
+  const query = {
+    tenant: tenantId,
+    date: { $gte: dayStart, $lt: new Date(dayStart.getTime() + DAY_MS) },
+    status: { $in: MOVABLE_STATUSES }
+  };
+  if (crewMember) {
+    query.$or = [
+      { 'crew.leadProfessional': crewMember },
+      { 'crew.assignedTo': crewMember }
+    ];
+  }
+
+  const appointments = await Appointment.find(query)
+    .populate('service', 'name category')
+    .populate({
+      path: 'customer',
+      select: 'user',
+      populate: { path: 'user', select: 'name email' }
+    })
+    .sort({ 'timeSlot.startTime': 1 });
+
+  return serviceCategory
+    ? appointments.filter(appointment => appointment.service?.category === serviceCategory)
+    : appointments;
+};
+
+const checkMove = async (move, planned, excludeIds, now) => {
+  const check = await checkSlotForAppointment(move.appointment, { ...move.to, excludeIds }, now);
+  if (!check.available) {
+    return check;
+  }
+  const clash = findBatchClash(move, planned);
+  return clash
+    ? { available: false, reason: 'Clashes with another appointment moved in this reschedule', conflicts: [{ appointment: clash.appointment._id, reasons: ['batch'] }] }
+    : check;
+};
+
+/**
+ * Work out where every rained-out appointment goes, without saving anything
+ * "push_series" shifts the rest of a recurring series by the same number of days;
+ * appointments outside a series are moved like "same_slot_later".
+ * @param {Object[]} appointments - From findRainedOutAppointments
+ * @param {Object} options
+ * @param {String} options.strategy - One of RAIN_DAY_STRATEGIES
+ * @param {Number} [options.days] - Days to shift by for same_slot_later and push_series
+ * @param {Date} [options.now]
+ * @returns {Promise<{ moves: Object[], series: Object[] }>} Moves say whether they are available
+ */
+const planRainDayMoves = async (appointments, { strategy, days = 1, now = new Date() }) => {
+  const moves = [];
+  const seriesPushes = [];
+
+  if (strategy === 'push_series') {
+    const pushedSeries = new Set();
+    for (const appointment of appointments) {
+      if (!appointment.series) {
+        moves.push({ appointment, rainedOut: true });
+        continue;
+      }
+      if (pushedSeries.has(idString(appointment.series))) continue;
+      pushedSeries.add(idString(appointment.series));
+
+      const series = await AppointmentSeries.findById(appointment.series);
+      const occurrenceDate = appointment.occurrenceDate || appointment.date;
+      const occurrences = series ? await findEditableOccurrences(series._id, occurrenceDate) : [];
+      if (!occurrences.some(o => o._id.equals(appointment._id))) {
+        occurrences.unshift(appointment);
+      }
+
+      if (series) {
+        seriesPushes.push({ series, occurrenceDate, days });
+      }
+      occurrences.forEach(occurrence => moves.push({
+        appointment: occurrence._id.equals(appointment._id) ? appointment : occurrence,
+        rainedOut: occurrence._id.equals(appointment._id),
+        series: series?._id
+      }));
+    }
+  } else {
+    appointments.forEach(appointment => moves.push({ appointment, rainedOut: true }));
+  }
+
+  // Every appointment in the batch gives up its current slot
+  const excludeIds = moves.map(move => move.appointment._id);
+  const planned = [];
+
+  for (const move of moves) {
+    move.from = slotOf(move.appointment);
+
+    if (strategy === 'next_open_day') {
+      for (let offset = 1; offset <= MAX_SEARCH_DAYS; offset++) {
+        move.to = { date: shiftDate(move.from.date, offset), timeSlot: move.from.timeSlot };
+        const check = await checkMove(move, planned, excludeIds, now);
+        if (check.available) {
+          Object.assign(move, { available: true, reason: undefined, conflicts: [] });
+          break;
+        }
+        Object.assign(move, {
+          available: false,
+          reason: `No open day within ${MAX_SEARCH_DAYS} days`,
+          conflicts: []
+        });
+      }
+    } else {
+      move.to = { date: shiftDate(move.from.date, days), timeSlot: move.from.timeSlot };
+      const check = await checkMove(move, planned, excludeIds, now);
+      Object.assign(move, { available: check.available, reason: check.reason, conflicts: check.conflicts });
+    }
+
+    if (move.available) {
+      planned.push(move);
+    }
+  }
+
+  return { moves, series: seriesPushes };
+};
+
+/**
+ * Where the rest of a series moves; the occurrence date starts a new segment unless it is the first one
+ * Worked out before anything is written, so a retried transaction applies the same values.
+ * @returns {{ changes: Object, pushed: Object|null }} Fields to set on the series, and the new segment if any
+ */
+const planSeriesPush = ({ series, occurrenceDate, days }, userId) => {
+  const shift = (date) => (date ? shiftDate(date, days) : date);
+
+  if (toDateKey(occurrenceDate) === toDateKey(series.startDate)) {
+    return {
+      changes: {
+        startDate: shift(series.startDate),
+        endDate: shift(series.endDate),
+        skipDates: (series.skipDates || []).map(shift),
+        materializedThrough: shift(series.materializedThrough)
+      },
+      pushed: null
+    };
+  }
+
+  const { _id, createdAt, updatedAt, __v, ...template } = series.toObject();
+  return {
+    changes: {
+      endDate: shiftDate(occurrenceDate, -1),
+      skipDates: (series.skipDates || []).filter(d => d < occurrenceDate),
+      status: 'Ended'
+    },
+    pushed: {
+      ...template,
+      startDate: shift(occurrenceDate),
+      endDate: shift(series.endDate),
+      skipDates: (series.skipDates || []).filter(d => d >= occurrenceDate).map(shift),
+      materializedThrough: shift(series.materializedThrough),
+      previousSeries: series._id,
+      createdBy: userId
+    }
+  };
+};
+
+/**
+ * Apply a plan from planRainDayMoves in one transaction, so either every change persists or none does
+ * Transactions need MongoDB running as a replica set (Atlas always is).
+ * @param {Object} plan - From planRainDayMoves; all moves must be available
+ * @param {Object} options
+ * @param {Object} options.user - User making the change (req.user)
+ * @throws The first error; nothing has been written
+ */
+const applyRainDayMoves = async (plan, { user }) => {
+  const pushes = plan.series.map(push => ({ push, ...planSeriesPush(push, user.id) }));
+
+  // Latest first, so a pushed occurrence never lands on one that has not moved yet
+  const moves = [...plan.moves]
+    .sort((a, b) => b.from.date - a.from.date)
+    .map(move => {
+      if (!move.series) return { move };
+      const offset = Math.round((toUTCDate(move.to.date) - toUTCDate(move.from.date)) / DAY_MS);
+      return { move, occurrenceDate: shiftDate(move.appointment.occurrenceDate || move.from.date, offset) };
+    });
+
+  // Mongoose resets the documents' state if the transaction aborts
+  await Appointment.db.transaction(async (session) => {
+    const pushedSeries = {};
+    for (const { push, changes, pushed } of pushes) {
+      push.series.set(changes);
+      await push.series.save({ session });
+      if (pushed) {
+        const [created] = await AppointmentSeries.create([pushed], { session });
+        pushedSeries[idString(push.series)] = created._id;
+      }
+    }
+
+    for (const { move, occurrenceDate } of moves) {
+      const { appointment } = move;
+
+      appointment.date = move.to.date;
+      if (move.series) {
+        appointment.occurrenceDate = occurrenceDate;
+        appointment.series = pushedSeries[idString(move.series)] || move.series;
+      } else if (appointment.series) {
+        // Keep series-wide edits from moving it back
+        appointment.isSeriesException = true;
+      }
+
+      await appointment.save({ session });
+    }
+  });
+};
+
+/**
+ * Email each affected customer once with all of their new times
+ * @param {Object[]} moves - Applied moves
+ * @param {String} [note] - Message from the company
+ * @returns {Promise<Number>} Customers notified
+ */
+const notifyRainDayCustomers = async (moves, note) => {
+  const byCustomer = new Map();
+  moves
+    .filter(move => move.rainedOut)
+    .forEach(move => {
+      const key = idString(move.appointment.customer);
+      byCustomer.set(key, [...(byCustomer.get(key) || []), move]);
+    });
+
+  let notified = 0;
+  for (const customerMoves of byCustomer.values()) {
+    const customer = customerMoves[0].appointment.customer;
+    const email = customer?.user?.email;
+    if (!email) continue;
+
+    const lines = customerMoves.map(move =>
+      `${move.appointment.service?.name || 'Landscaping Service'}: ${formatSlot(move.from)} -> ${formatSlot(move.to)}`);
+    const seriesPushed = customerMoves.some(move => move.series);
+
+    try {
+      await sendEmail({
+        email,
+        subject: 'Weather Update - Appointment Rescheduled',
+        message: `Dear ${customer.user.name},\n\nDue to weather we have moved your appointment:\n\n${lines.join('\n')}` +
+          (seriesPushed ? '\n\nYour following recurring visits have moved by the same number of days.' : '') +
+          (note ? `\n\nNote: ${note}` : '') +
+          '\n\nPlease contact us if the new time does not work for you.'
+      });
+      notified++;
+    } catch (err) {
+      console.error('Rain-day notification failed:', err.message);
+    }
+  }
+  return notified;
+};
+
+module.exports = {
+  RAIN_DAY_STRATEGIES,
+  MOVABLE_STATUSES,
+  findRainedOutAppointments,
+  planRainDayMoves,
+  applyRainDayMoves,
+  notifyRainDayCustomers
+};
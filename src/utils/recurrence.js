@@ -0,0 +1,95 @@
+const moment = require('moment');
+
+// Step between two occurrences for each Appointment.recurringType
+const RECURRENCE_RULES = {
+  Weekly: { amount: 1, unit: 'weeks' },
+  'Bi-weekly': { amount: 2, unit: 'weeks' },
+  Monthly: { amount: 1, unit: 'months' },
+  Quarterly: { amount: 3, unit: 'months' },
+  Annually: { amount: 1, unit: 'years' }
+};
+
+// How far ahead occurrences are materialized for an active series
+const SERIES_HORIZON_DAYS = Number(process.env.SERIES_HORIZON_DAYS) || 90;
+
+const isRecurring = (recurringType) => Boolean(RECURRENCE_RULES[recurringType]);
+
+// Normalize any date input to UTC midnight, matching how appointments store `date`
+const toUTCDate = (input) => {
+  const d = new Date(input);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+};
+
+const toDateKey = (input) => toUTCDate(input).toISOString().split('T')[0];
+
+/**
+ * Get the nth occurrence date of a series.
+ * Always steps from the start date so monthly series keep their day-of-month
+ * (Jan 31 -> Feb 28 -> Mar 31) instead of drifting.
+ * @param {Date} startDate - First occurrence (UTC midnight)
+ * @param {String} recurringType - One of the RECURRENCE_RULES keys
+ * @param {Number} index - Zero-based occurrence index
+ * @returns {Date}
+ */
+const getOccurrenceDate = (startDate, recurringType, index) => {
+  const rule = RECURRENCE_RULES[recurringType];
+  if (!rule) {
+    throw new Error(`Unsupported recurring type: ${recurringType}`);
+  }
+  return moment.utc(toUTCDate(startDate)).add(rule.amount * index, rule.unit).toDate();
+};
+
+/**
+ * List occurrence dates of a series inside a window
+ * @param {Object} options
+ * @param {Date} options.startDate - First occurrence of the series
+ * @param {String} options.recurringType - Series frequency
+ * @param {Date} [options.endDate] - Last day the series may run (inclusive)
+ * @param {Date} [options.from] - Window start (inclusive), defaults to startDate
+ * @param {Date} options.until - Window end (inclusive)
+ * @param {Date[]} [options.skipDates] - Dates that must not produce an occurrence
+ * @returns {Date[]} UTC midnight dates in ascending order
+ */
+const generateOccurrenceDates = ({ startDate, recurringType, endDate, from, until, skipDates = [] }) => {
+  const windowStart = toUTCDate(from || startDate).getTime();
+  let windowEnd = toUTCDate(until).getTime();
+  if (endDate) {
+    windowEnd = Math.min(windowEnd, toUTCDate(endDate).getTime());
+  }
+
+  const skipped = new Set(skipDates.map(toDateKey));
+  const dates = [];
+
+  for (let index = 0; ; index++) {
+    const date = getOccurrenceDate(startDate, recurringType, index);
+    if (date.getTime() > windowEnd) break;
+    if (date.getTime() < windowStart) continue;
+    if (skipped.has(toDateKey(date))) continue;
+    dates.push(date);
+  }
+
+  return dates;
+};
+
+/**
+ * Percentage discount a service grants for a frequency
+ * @param {Object} service - Service document
+ * @param {String} recurringType - Series frequency
+ * @returns {Number} Discount in percent (0 when not recurring)
+ */
+const getRecurringDiscount = (service, recurringType) => {
+  if (!isRecurring(recurringType)) return 0;
+  const discount = service?.recurringOptions?.discounts?.[recurringType];
+  return typeof discount === 'number' && discount > 0 ? discount : 0;
+};
+
+module.exports = {
+  RECURRENCE_RULES,
+  SERIES_HORIZON_DAYS,
+  isRecurring,
+  toUTCDate,
+  toDateKey,
+  getOccurrenceDate,
+  generateOccurrenceDates,
+  getRecurringDiscount
+};
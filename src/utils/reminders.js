@@ -0,0 +1,283 @@
+/**
+ * Appointment reminders
+ * dispatchReminders sends every reminder that is due at a given moment; the
+ * scheduler just calls it on an interval. Both take their time from a clock
+ * function so they can be driven by a fake clock.
+ */
+const Appointment = require('../models/appointment.model');
+const BusinessSetting = require('../models/business-setting.model');
+const Tenant = require('../models/tenant.model');
+const { toUTCDate } = require('./recurrence');
+const { DEFAULT_TIMEZONE, isValidTimezone, getSlotInstants, zonedTimeToUtc } = require('./timezone');
+const sendEmail = require('./sendEmail');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Only confirmed bookings get reminders
+const REMINDER_STATUSES = ['Confirmed', 'Rescheduled'];
+
+// Furthest ahead a reminder can be sent
+const MAX_REMINDER_DAYS = 14;
+
+const DEFAULT_INTERVAL_MS = 15 * 60 * 1000;
+
+// Start of an appointment; slots are wall-clock times in the tenant's timezone
+const getAppointmentStart = (appointment, timezone = DEFAULT_TIMEZONE) =>
+  getSlotInstants(appointment.date, appointment.timeSlot, timezone).start;
+
+/**
+ * How long before the appointment a customer wants to be reminded
+ * Falls back to the tenant's reminderHoursBefore when the customer has no preference.
+ * @param {Object} customer
+ * @param {Object} settings - BusinessSetting
+ * @returns {Number} Milliseconds
+ */
+const getReminderLeadMs = (customer, settings) => {
+  const days = customer?.notificationPreferences?.reminderDaysBefore;
+  if (typeof days === 'number' && days >= 0) {
+    return Math.min(days, MAX_REMINDER_DAYS) * DAY_MS;
+  }
+  return (settings?.notificationSettings?.reminderHoursBefore ?? 24) * HOUR_MS;
+};
+
+/**
+ * Whether a reminder should go out now
+ * Reminders open no later than the start of the appointment's (local) day, so a lead of 0 means "that morning".
+ * @param {Object} appointment
+ * @param {Number} leadMs
+ * @param {Date} now
+ * @param {String} [timezone] - Tenant's IANA timezone
+ * @returns {Boolean}
+ */
+const isReminderDue = (appointment, leadMs, now, timezone = DEFAULT_TIMEZONE) => {
+  const start = getAppointmentStart(appointment, timezone).getTime();
+  const dayStart = zonedTimeToUtc(toUTCDate(appointment.date).toISOString().split('T')[0], '00:00', timezone);
+  const remindAt = Math.min(start - leadMs, dayStart.getTime());
+  return remindAt <= now.getTime() && now.getTime() < start;
+};
+
+const buildReminderContent = ({ appointment, customer, tenant, settings }) => {
+  const businessName = settings?.businessName || tenant?.name || 'Your Landscaping Team';
+  const color = tenant?.settings?.themeColor || '#4CAF50';
+  const logo = settings?.logo || tenant?.settings?.logo;
+  const serviceName = appointment.service?.name || 'Landscaping Service';
+  const formattedDate = new Date(appointment.date).toLocaleDateString('en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'UTC'
+  });
+  const time = `${appointment.timeSlot.startTime} - ${appointment.timeSlot.endTime}`;
+  const contact = settings?.businessPhone ? ` Call us at ${settings.businessPhone} if you need to make changes.` : '';
+
+  return {
+    subject: `Reminder: ${serviceName} on ${formattedDate}`,
+    message: `Hello ${customer.user.name},\n\nThis is a reminder of your ${serviceName} appointment on ${formattedDate}, ${time}.${contact}\n\n${businessName}`,
+    html: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      ${logo ? `<img src="${logo}" alt="${businessName}" style="max-height: 60px;">` : ''}
+      <h2 style="color: ${color};">Appointment Reminder</h2>
+      <p>Hello ${customer.user.name},</p>
+      <p>This is a reminder of your upcoming appointment.</p>
+      <ul>
+        <li>Service: ${serviceName}</li>
+        <li>Date: ${formattedDate}</li>
+        <li>Time: ${time}</li>
+      </ul>
+      ${contact ? `<p>${contact.trim()}</p>` : ''}
+      <p>Best regards,<br>${businessName}</p>
+    </div>
+  `,
+    sms: `${businessName}: reminder of your ${serviceName} on ${formattedDate} at ${appointment.timeSlot.startTime}.`
+  };
+};
+
+// Reminder channels. This API ships no SMS provider; until one is registered,
+// customers who asked for SMS are reminded by email instead.
+const channels = {
+  email: async ({ customer, content }) => {
+    if (!customer.user?.email) return false;
+    await sendEmail({
+      email: customer.user.email,
+      subject: content.subject,
+      message: content.message,
+      html: content.html
+    });
+    return true;
+  }
+};
+
+/**
+ * Make a delivery channel available to reminders
+ * @param {String} name - 'email' or 'sms', matching Customer.notificationPreferences
+ * @param {Function} send - async ({ appointment, customer, content }) => Boolean (whether it was sent)
+ */
+const registerReminderChannel = (name, send) => {
+  if (typeof send !== 'function') {
+    throw new Error(`Reminder channel "${name}" must be a function`);
+  }
+  channels[name] = send;
+};
+
+// Channels the customer opted into that can actually deliver; email stands in for a missing SMS sender
+const getCustomerChannels = (customer) => {
+  const preferences = customer?.notificationPreferences || {};
+  const wanted = ['email', 'sms'].filter(name => preferences[name]);
+  if (wanted.includes('sms') && !channels.sms && !wanted.includes('email')) {
+    wanted.push('email');
+  }
+  return wanted.filter(name => channels[name]);
+};
+
+/**
+ * Send every reminder due at a moment
+ * Each appointment is claimed by flipping notificationsStatus.reminderSent before
+ * anything is sent, so overlapping runs or a restart never send it twice. The
+ * claim is released if no channel could deliver, letting the next run retry.
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<{ sent: Number, failed: Number }>}
+ */
+const dispatchReminders = async ({ now = new Date() } = {}) => {
+  const candidates = await Appointment.find({
+    status: { $in: REMINDER_STATUSES },
+    'notificationsStatus.reminderSent': { $ne: true },
+    // A day either side covers tenants whose local date differs from UTC
+    date: {
+      $gte: new Date(toUTCDate(now).getTime() - DAY_MS),
+      $lte: new Date(toUTCDate(now).getTime() + (MAX_REMINDER_DAYS + 1) * DAY_MS)
+    }
+  })
+    .populate('service', 'name')
+    .populate({
+      path: 'customer',
+      select: 'user notificationPreferences',
+      populate: {
+        path: 'user',
+        select: 'name email phone'
+      }
+    });
+
+  const settingsByTenant = new Map();
+  const tenantsById = new Map();
+  const result = { sent: 0, failed: 0 };
+
+  for (const appointment of candidates) {
+    const { customer } = appointment;
+    if (!customer?.user) continue;
+
+    const tenantKey = appointment.tenant.toString();
+    if (!settingsByTenant.has(tenantKey)) {
+      const [settings, tenant] = await Promise.all([
+        BusinessSetting.findOne({ tenant: appointment.tenant }),
+        Tenant.findById(appointment.tenant).select('name settings')
+      ]);
+      settingsByTenant.set(tenantKey, settings);
+      tenantsById.set(tenantKey, tenant);
+    }
+    const settings = settingsByTenant.get(tenantKey);
+    if (settings?.notificationSettings?.sendAppointmentReminders === false) continue;
+
+    const timezone = tenantsById.get(tenantKey)?.settings?.timezone;
+    const leadMs = getReminderLeadMs(customer, settings);
+    if (!isReminderDue(appointment, leadMs, now, isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE)) continue;
+
+    const customerChannels = getCustomerChannels(customer);
+    if (customerChannels.length === 0) continue;
+
+    const claimed = await Appointment.findOneAndUpdate(
+      { _id: appointment._id, 'notificationsStatus.reminderSent': { $ne: true } },
+      { $set: { 'notificationsStatus.reminderSent': true, 'notificationsStatus.reminderSentAt': now } }
+    );
+    if (!claimed) continue;
+
+    const content = buildReminderContent({
+      appointment,
+      customer,
+      tenant: tenantsById.get(tenantKey),
+      settings
+    });
+
+    let delivered = false;
+    for (const name of customerChannels) {
+      try {
+        delivered = (await channels[name]({ appointment, customer, content })) || delivered;
+      } catch (err) {
+        console.error(`Reminder ${name} for appointment ${appointment._id} failed:`, err.message);
+      }
+    }
+
+    if (delivered) {
+      result.sent += 1;
+    } else {
+      result.failed += 1;
+      await Appointment.updateOne(
+        { _id: appointment._id },
+        { $set: { 'notificationsStatus.reminderSent': false }, $unset: { 'notificationsStatus.reminderSentAt': 1 } }
+      );
+    }
+  }
+
+  return result;
+};
+
+/**
+ * In-process reminder scheduler
+ * @param {Object} [options]
+ * @param {Number} [options.intervalMs]
+ * @param {Function} [options.clock] - Returns the current Date
+ * @param {{ setInterval: Function, clearInterval: Function }} [options.timers]
+ * @returns {{ start: Function, stop: Function, tick: Function }}
+ */
+const createReminderScheduler = ({
+  intervalMs = DEFAULT_INTERVAL_MS,
+  clock = () => new Date(),
+  timers = { setInterval, clearInterval }
+} = {}) => {
+  let handle = null;
+  let running = null;
+
+  // Runs never overlap; a tick during a slow run waits for the next interval
+  const tick = () => {
+    if (!running) {
+      running = dispatchReminders({ now: clock() })
+        .catch(err => {
+          console.error('Reminder dispatch failed:', err.message);
+          return { sent: 0, failed: 0 };
+        })
+        .finally(() => {
+          running = null;
+        });
+    }
+    return running;
+  };
+
+  return {
+    start() {
+      if (!handle) {
+        handle = timers.setInterval(tick, intervalMs);
+        handle?.unref?.();
+      }
+      return this;
+    },
+    stop() {
+      if (handle) {
+        timers.clearInterval(handle);
+        handle = null;
+      }
+    },
+    tick
+  };
+};
+
+module.exports = {
+  REMINDER_STATUSES,
+  getAppointmentStart,
+  getReminderLeadMs,
+  isReminderDue,
+  registerReminderChannel,
+  dispatchReminders,
+  createReminderScheduler
+};
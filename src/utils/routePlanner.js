@@ -0,0 +1,307 @@
+const Appointment = require('../models/appointment.model');
+const BusinessSetting = require('../models/business-setting.model');
+const Property = require('../models/property.model');
+const {
+  INACTIVE_STATUSES,
+  timeToMinutes,
+  minutesToTime,
+  getBusinessHoursForDate
+} = require('./availability');
+const { getDistanceProvider } = require('./distanceProviders');
+const { toDateKey } = require('./recurrence');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Up to this many movable stops every order is tried; beyond it a heuristic is used
+const EXHAUSTIVE_STOP_LIMIT = 7;
+
+// Being late at a customer costs far more than driving further
+const LATE_MINUTE_PENALTY = 1000;
+
+const hasCoordinates = (point) => point && Number.isFinite(point.lat) && Number.isFinite(point.lng);
+
+/**
+ * Coordinates of the property an appointment is for
+ * Uses the appointment's linked Property; older appointments fall back to the
+ * customer's default Property, then any of their properties, then coordinates
+ * stored on the customer address.
+ * @param {Object[]} appointments - Appointments with customer populated
+ * @returns {Promise<Map<String, { lat: Number, lng: Number }>>} Keyed by appointment id
+ */
+const resolveStopCoordinates = async (appointments) => {
+  const customerIds = appointments.map(a => a.customer?._id || a.customer).filter(Boolean);
+  const propertyIds = appointments.map(a => a.property?._id || a.property).filter(Boolean);
+  const properties = await Property.find({
+    $or: [{ _id: { $in: propertyIds } }, { customer: { $in: customerIds } }]
+  })
+    .select('customer isDefault address.coordinates')
+    .sort({ isDefault: -1, createdAt: 1 });
+
+  const byId = new Map();
+  const byCustomer = new Map();
+  properties.forEach(property => {
+    if (!hasCoordinates(property.address?.coordinates)) return;
+    byId.set(property._id.toString(), property.address.coordinates);
+    const key = property.customer.toString();
+    if (!byCustomer.has(key)) {
+      byCustomer.set(key, property.address.coordinates);
+    }
+  });
+
+  const coordinates = new Map();
+  appointments.forEach(appointment => {
+    const customerId = (appointment.customer?._id || appointment.customer)?.toString();
+    const propertyId = (appointment.property?._id || appointment.property)?.toString();
+    const point = (propertyId && byId.get(propertyId)) ||
+      byCustomer.get(customerId) ||
+      appointment.customer?.address?.coordinates;
+    if (hasCoordinates(point)) {
+      coordinates.set(appointment._id.toString(), { lat: point.lat, lng: point.lng });
+    }
+  });
+  return coordinates;
+};
+
+/**
+ * Walk a stop order and work out arrival times
+ * Crews wait when they arrive before a window opens; starting after the
+ * latest start (window end minus duration) counts as late.
+ * @param {Number[]} order - Stop indexes
+ * @param {Object[]} stops - { windowStart, latestStart, duration } in minutes
+ * @param {Function} travel - (fromIndex|null, toIndex) -> { minutes, meters }
+ * @param {Number} dayStart - Minutes after midnight the crew can leave the depot
+ */
+const simulateRoute = (order, stops, travel, dayStart) => {
+  let clock = dayStart;
+  let previous = null;
+  let travelMinutes = 0;
+  let travelMeters = 0;
+  let lateMinutes = 0;
+
+  const schedule = order.map((stopIndex, position) => {
+    const stop = stops[stopIndex];
+    const leg = travel(previous, stopIndex);
+    // Without a depot the crew simply turns up at the first window
+    const arrival = position === 0 && previous === null && !leg.fromDepot
+      ? Math.max(clock, stop.windowStart)
+      : clock + leg.minutes;
+    const start = Math.max(arrival, stop.windowStart);
+    const late = Math.max(0, start - stop.latestStart);
+
+    travelMinutes += leg.minutes;
+    travelMeters += leg.meters;
+    lateMinutes += late;
+    clock = start + stop.duration;
+    previous = stopIndex;
+
+    return {
+      stopIndex,
+      arrival,
+      start,
+      end: clock,
+      waitMinutes: start - arrival,
+      lateMinutes: late,
+      travelMinutes: leg.minutes,
+      travelMeters: leg.meters
+    };
+  });
+
+  return {
+    schedule,
+    travelMinutes,
+    travelMeters,
+    lateMinutes,
+    cost: lateMinutes * LATE_MINUTE_PENALTY + travelMinutes
+  };
+};
+
+// Every ordering of a small array
+const permutations = (items) => {
+  if (items.length <= 1) return [items];
+  return items.flatMap((item, i) => permutations([...items.slice(0, i), ...items.slice(i + 1)])
+    .map(rest => [item, ...rest]));
+};
+
+/**
+ * Order stops to minimise lateness first and travel time second
+ * Locked stops keep their position; the remaining stops fill the free positions.
+ * @param {Object[]} stops - { windowStart, latestStart, duration, lockedPosition? }
+ * @param {Function} travel - (fromIndex|null, toIndex) -> { minutes, meters }
+ * @param {Number} dayStart
+ * @returns {Object} Result of simulateRoute for the best order found
+ */
+const optimizeStopOrder = (stops, travel, dayStart) => {
+  const slots = new Array(stops.length).fill(null);
+  const free = [];
+
+  stops.forEach((stop, index) => {
+    const position = stop.lockedPosition;
+    if (Number.isInteger(position) && position >= 0 && position < stops.length && slots[position] === null) {
+      slots[position] = index;
+    } else {
+      free.push(index);
+    }
+  });
+
+  const freePositions = slots.map((value, position) => (value === null ? position : null))
+    .filter(position => position !== null);
+  const fill = (movable) => {
+    const order = [...slots];
+    freePositions.forEach((position, i) => { order[position] = movable[i]; });
+    return order;
+  };
+
+  if (free.length <= EXHAUSTIVE_STOP_LIMIT) {
+    return permutations(free)
+      .map(movable => simulateRoute(fill(movable), stops, travel, dayStart))
+      .reduce((best, candidate) => (candidate.cost < best.cost ? candidate : best));
+  }
+
+  // Start from window order, then keep swapping pairs while it helps
+  let movable = [...free].sort((a, b) => stops[a].windowStart - stops[b].windowStart);
+  let best = simulateRoute(fill(movable), stops, travel, dayStart);
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = 0; i < movable.length - 1; i++) {
+      for (let j = i + 1; j < movable.length; j++) {
+        const candidateOrder = [...movable];
+        [candidateOrder[i], candidateOrder[j]] = [candidateOrder[j], candidateOrder[i]];
+        const candidate = simulateRoute(fill(candidateOrder), stops, travel, dayStart);
+        if (candidate.cost < best.cost) {
+          movable = candidateOrder;
+          best = candidate;
+          improved = true;
+        }
+      }
+    }
+  }
+  return best;
+};
+
+/**
+ * Plan one crew member's day
+ * @param {Object} options
+ * @param {ObjectId} options.tenantId
+ * @param {Date|String} options.date
+ * @param {ObjectId|String} options.crewMemberId - Lead or assigned professional
+ * @param {Object} [options.locks] - Appointment id -> locked position (0-based)
+ * @param {{ lat: Number, lng: Number }} [options.start] - Overrides the depot
+ * @returns {Promise<Object>} Ordered stops with ETAs and route totals
+ */
+const planCrewRoute = async ({ tenantId, date, crewMemberId, locks = {}, start }) => {
+  const dateOnly = toDateKey(date);
+  const dayStart = new Date(`${dateOnly}T00:00:00Z`);
+
+  const [settings, appointments] = await Promise.all([
+    BusinessSetting.getSettingsForTenant(tenantId),
+    Appointment.find({
+      tenant: tenantId,
+      date: { $gte: dayStart, $lt: new Date(dayStart.getTime() + DAY_MS) },
+      status: { $nin: INACTIVE_STATUSES },
+      $or: [
+        { 'crew.leadProfessional': crewMemberId },
+        { 'crew.assignedTo': crewMemberId }
+      ]
+    })
+      .populate('service', 'name duration')
+      .populate({
+        path: 'customer',
+        select: 'address user',
+        populate: {
+          path: 'user',
+          select: 'name phone'
+        }
+      })
+  ]);
+
+  const depot = hasCoordinates(start) ? start : settings.scheduling?.depotLocation;
+  const provider = getDistanceProvider(settings.scheduling?.distanceProvider);
+  const coordinates = await resolveStopCoordinates(appointments);
+
+  const stops = appointments.map(appointment => {
+    const windowStart = timeToMinutes(appointment.timeSlot.startTime);
+    const windowEnd = timeToMinutes(appointment.timeSlot.endTime);
+    const duration = appointment.duration || appointment.service?.duration || (windowEnd - windowStart);
+    return {
+      appointment,
+      coordinates: coordinates.get(appointment._id.toString()),
+      windowStart,
+      windowEnd,
+      latestStart: Math.max(windowStart, windowEnd - duration),
+      duration,
+      lockedPosition: locks[appointment._id.toString()]
+    };
+  });
+
+  // Matrix over the depot (if any) and every stop that has coordinates
+  const points = [];
+  const depotIndex = hasCoordinates(depot) ? points.push({ lat: depot.lat, lng: depot.lng }) - 1 : null;
+  const pointIndex = stops.map(stop => (stop.coordinates ? points.push(stop.coordinates) - 1 : null));
+  const matrix = points.length > 1
+    ? await provider.getMatrix(points, { averageSpeedKmh: settings.scheduling?.averageSpeedKmh })
+    : { distances: [[0]], durations: [[0]] };
+
+  const travel = (fromStop, toStop) => {
+    const from = fromStop === null ? depotIndex : pointIndex[fromStop];
+    const to = pointIndex[toStop];
+    if (from === null || to === null) {
+      return { minutes: 0, meters: 0, fromDepot: fromStop === null && depotIndex !== null };
+    }
+    return {
+      minutes: Math.round(matrix.durations[from][to]),
+      meters: Math.round(matrix.distances[from][to]),
+      fromDepot: fromStop === null
+    };
+  };
+
+  const hours = getBusinessHoursForDate(settings, dateOnly);
+  const earliestWindow = stops.length > 0 ? Math.min(...stops.map(stop => stop.windowStart)) : 0;
+  const departure = hours.isOpen ? Math.min(timeToMinutes(hours.openTime), earliestWindow) : earliestWindow;
+
+  const result = stops.length > 0
+    ? optimizeStopOrder(stops, travel, departure)
+    : { schedule: [], travelMinutes: 0, travelMeters: 0, lateMinutes: 0 };
+
+  return {
+    date: dayStart,
+    distanceProvider: provider.name,
+    start: depotIndex !== null ? points[depotIndex] : null,
+    totals: {
+      travelMinutes: result.travelMinutes,
+      travelMeters: result.travelMeters,
+      lateMinutes: result.lateMinutes
+    },
+    stops: result.schedule.map((entry, position) => {
+      const stop = stops[entry.stopIndex];
+      return {
+        appointment: stop.appointment._id,
+        position,
+        locked: stop.lockedPosition === position,
+        service: stop.appointment.service?.name,
+        customer: stop.appointment.customer?.user?.name,
+        coordinates: stop.coordinates,
+        missingCoordinates: !stop.coordinates,
+        timeWindow: {
+          startTime: stop.appointment.timeSlot.startTime,
+          endTime: stop.appointment.timeSlot.endTime
+        },
+        duration: stop.duration,
+        eta: minutesToTime(entry.arrival),
+        plannedStart: minutesToTime(entry.start),
+        plannedEnd: minutesToTime(entry.end),
+        waitMinutes: entry.waitMinutes,
+        lateMinutes: entry.lateMinutes,
+        travelMinutes: entry.travelMinutes,
+        travelMeters: entry.travelMeters
+      };
+    })
+  };
+};
+
+module.exports = {
+  resolveStopCoordinates,
+  simulateRoute,
+  optimizeStopOrder,
+  planCrewRoute
+};
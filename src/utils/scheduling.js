@@ -0,0 +1,25 @@
+/**
+ * Helpers shared by the availability, conflict and blackout checks
+ * Kept free of other utils so each of them can require it.
+ */
+
+// Statuses that no longer occupy a crew or a slot
+const INACTIVE_STATUSES = ['Cancelled', 'Rejected'];
+
+/**
+ * @param {String} time - HH:mm
+ * @returns {Number} Minutes since midnight
+ */
+const timeToMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+// Id of a reference, populated or not
+const idString = (id) => (id && id._id ? id._id : id)?.toString();
+
+module.exports = {
+  INACTIVE_STATUSES,
+  timeToMinutes,
+  idString
+};
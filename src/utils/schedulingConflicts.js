@@ -0,0 +1,289 @@
+const Appointment = require('../models/appointment.model');
+const BusinessSetting = require('../models/business-setting.model');
+const Service = require('../models/service.model');
+const {
+  INACTIVE_STATUSES,
+  timeToMinutes,
+  intervalsOverlap,
+  getBusinessHoursForDate,
+  getCrewCapacity
+} = require('./availability');
+const { toDateKey } = require('./recurrence');
+const { getTenantTimezone, zonedTimeToUtc, localTimeExists } = require('./timezone');
+const { getBlackoutsInRange, filterBlockingBlackouts } = require('./blackouts');
+const { idString } = require('./scheduling');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Every crew member of an appointment-like object (lead first, no duplicates)
+const getCrewIds = (crew = {}) => {
+  const ids = [crew.leadProfessional, ...(crew.assignedTo || [])]
+    .filter(Boolean)
+    .map(idString);
+  return [...new Set(ids)];
+};
+
+/**
+ * Find active appointments that clash with a proposed booking
+ * Crew members clash when their jobs overlap once the travel buffer is added
+ * around each job. A property clashes on any plain overlap; appointments
+ * without a linked Property fall back to the customer as the property.
+ * Blackout calendar closures that cover the slot are reported as well.
+ * @param {Object} options
+ * @param {ObjectId} options.tenantId - Tenant whose settings supply buffer and capacity
+ * @param {Date|String} options.date - Appointment date
+ * @param {{ startTime: String, endTime: String }} options.timeSlot
+ * @param {Object} [options.crew] - { leadProfessional, assignedTo }
+ * @param {ObjectId} [options.customerId] - Customer whose property is serviced
+ * @param {ObjectId} [options.propertyId] - Property being serviced
+ * @param {Object|ObjectId} [options.service] - Service booked, for category blackouts
+ * @param {ObjectId[]} [options.excludeIds] - Appointments to ignore (e.g. the one being edited)
+ * @param {Boolean} [options.checkCapacity] - Also report when every crew is already booked
+ * @returns {Promise<Object[]>} Conflicts with the reasons each one clashes
+ */
+const findSchedulingConflicts = async ({
+  tenantId,
+  date,
+  timeSlot,
+  crew,
+  customerId,
+  propertyId,
+  service,
+  excludeIds = [],
+  checkCapacity = false
+}) => {
+  const settings = await BusinessSetting.getSettingsForTenant(tenantId);
+  const buffer = settings.scheduling?.travelBufferMinutes || 0;
+  const crewIds = getCrewIds(crew);
+
+  const dayStart = new Date(`${toDateKey(date)}T00:00:00Z`);
+  const dayQuery = {
+    tenant: tenantId,
+    date: { $gte: dayStart, $lt: new Date(dayStart.getTime() + DAY_MS) },
+    status: { $nin: INACTIVE_STATUSES },
+    _id: { $nin: excludeIds.filter(Boolean) }
+  };
+
+  const who = [];
+  if (crewIds.length > 0) {
+    who.push({ 'crew.leadProfessional': { $in: crewIds } });
+    who.push({ 'crew.assignedTo': { $in: crewIds } });
+  }
+  if (customerId) {
+    who.push({ customer: customerId });
+  }
+  if (propertyId) {
+    who.push({ property: propertyId });
+  }
+
+  const start = timeToMinutes(timeSlot.startTime);
+  const end = timeToMinutes(timeSlot.endTime);
+  const conflicts = [];
+
+  if (who.length > 0) {
+    const candidates = await Appointment.find({ ...dayQuery, $or: who })
+      .select('date timeSlot status crew customer property service')
+      .populate('service', 'name');
+
+    candidates.forEach(appt => {
+      const apptStart = timeToMinutes(appt.timeSlot.startTime);
+      const apptEnd = timeToMinutes(appt.timeSlot.endTime);
+      const reasons = [];
+
+      const sharedCrew = getCrewIds(appt.crew).filter(id => crewIds.includes(id));
+      if (sharedCrew.length > 0 && intervalsOverlap(start - buffer, end + buffer, apptStart, apptEnd)) {
+        reasons.push('crew');
+      }
+
+      // Two linked properties are compared directly; otherwise the customer stands in
+      const sameProperty = propertyId && appt.property
+        ? idString(appt.property) === idString(propertyId)
+        : Boolean(customerId) && idString(appt.customer) === idString(customerId);
+      if (sameProperty && intervalsOverlap(start, end, apptStart, apptEnd)) {
+        reasons.push('property');
+      }
+
+      if (reasons.length > 0) {
+        conflicts.push({
+          appointment: appt._id,
+          date: appt.date,
+          timeSlot: {
+            startTime: appt.timeSlot.startTime,
+            endTime: appt.timeSlot.endTime
+          },
+          service: appt.service?.name,
+          status: appt.status,
+          reasons,
+          crewMembers: reasons.includes('crew') ? sharedCrew : []
+        });
+      }
+    });
+  }
+
+  if (checkCapacity) {
+    const [capacity, dayBookings] = await Promise.all([
+      getCrewCapacity(settings, tenantId),
+      Appointment.find(dayQuery).select('timeSlot')
+    ]);
+    const overlapping = dayBookings.filter(b => intervalsOverlap(
+      start, end, timeToMinutes(b.timeSlot.startTime), timeToMinutes(b.timeSlot.endTime)
+    ));
+    if (overlapping.length >= capacity) {
+      conflicts.push({
+        reasons: ['capacity'],
+        capacity,
+        booked: overlapping.length,
+        appointments: overlapping.map(b => b._id)
+      });
+    }
+  }
+
+  const blackouts = await getBlackoutsInRange(tenantId, dayStart);
+  if (blackouts.length > 0) {
+    let category = service?.category;
+    if (!category && service && blackouts.some(b => (b.serviceCategories || []).length > 0)) {
+      category = (await Service.findById(idString(service)).select('category'))?.category;
+    }
+
+    filterBlockingBlackouts(blackouts, { timeSlot, category, crewIds }).forEach(blackout => {
+      conflicts.push({
+        reasons: ['blackout'],
+        blackout: blackout._id,
+        title: blackout.title,
+        type: blackout.type,
+        allDay: blackout.allDay,
+        crewMembers: (blackout.crewMembers || []).map(idString).filter(id => crewIds.includes(id))
+      });
+    });
+  }
+
+  return conflicts;
+};
+
+/**
+ * Check whether an existing appointment could move to another slot
+ * The appointment itself is ignored, so its current slot never blocks the move.
+ * @param {Object} appointment - Appointment document
+ * @param {Object} slot
+ * @param {Date|String} slot.date
+ * @param {{ startTime: String, endTime: String }} slot.timeSlot
+ * @param {ObjectId[]} [slot.excludeIds] - Other appointments moving in the same operation
+ * @param {Date} [now] - Slots starting before this moment are rejected
+ * @returns {Promise<{ available: Boolean, reason?: String, conflicts: Object[] }>}
+ */
+const checkSlotForAppointment = async (appointment, { date, timeSlot, excludeIds = [] }, now = new Date()) => {
+  const dateOnly = toDateKey(date);
+  const start = timeToMinutes(timeSlot.startTime);
+  const end = timeToMinutes(timeSlot.endTime);
+
+  if (Number.isNaN(start) || Number.isNaN(end) || start >= end) {
+    return { available: false, reason: 'Invalid time slot', conflicts: [] };
+  }
+
+  const timezone = await getTenantTimezone(appointment.tenant);
+  if (!localTimeExists(dateOnly, timeSlot.startTime, timezone)) {
+    return { available: false, reason: `${timeSlot.startTime} does not exist on ${dateOnly} (daylight saving change)`, conflicts: [] };
+  }
+  if (zonedTimeToUtc(dateOnly, timeSlot.startTime, timezone) < now) {
+    return { available: false, reason: 'Cannot reschedule to a past date/time', conflicts: [] };
+  }
+
+  const settings = await BusinessSetting.getSettingsForTenant(appointment.tenant);
+  const hours = getBusinessHoursForDate(settings, dateOnly);
+  if (!hours.isOpen) {
+    return { available: false, reason: hours.reason, conflicts: [] };
+  }
+  if (start < timeToMinutes(hours.openTime) || end > timeToMinutes(hours.closeTime)) {
+    return {
+      available: false,
+      reason: `Outside business hours (${hours.openTime} - ${hours.closeTime})`,
+      conflicts: []
+    };
+  }
+
+  const conflicts = await findSchedulingConflicts({
+    tenantId: appointment.tenant,
+    date: dateOnly,
+    timeSlot,
+    crew: appointment.crew,
+    customerId: appointment.customer?._id || appointment.customer,
+    propertyId: appointment.property?._id || appointment.property,
+    service: appointment.service,
+    excludeIds: [appointment._id, ...excludeIds],
+    checkCapacity: true
+  });
+
+  return conflicts.length > 0
+    ? { available: false, reason: 'The requested time conflicts with existing appointments', conflicts }
+    : { available: true, conflicts };
+};
+
+/**
+ * Find a move planned in the same operation that the given move would clash with
+ * Database checks exclude every appointment of the operation, so clashes
+ * between them have to be caught here.
+ * @param {{ appointment: Object, to: { date, timeSlot } }} move
+ * @param {Object[]} planned - Moves already accepted, same shape
+ * @returns {Object|undefined} The clashing move
+ */
+const findBatchClash = (move, planned) => planned.find(other => {
+  if (!other.to || toDateKey(other.to.date) !== toDateKey(move.to.date)) return false;
+  const overlaps = intervalsOverlap(
+    timeToMinutes(move.to.timeSlot.startTime), timeToMinutes(move.to.timeSlot.endTime),
+    timeToMinutes(other.to.timeSlot.startTime), timeToMinutes(other.to.timeSlot.endTime)
+  );
+  if (!overlaps) return false;
+
+  const crewIds = getCrewIds(move.appointment.crew);
+  return getCrewIds(other.appointment.crew).some(id => crewIds.includes(id)) ||
+    idString(other.appointment.customer) === idString(move.appointment.customer) ||
+    idString(other.appointment.service) === idString(move.appointment.service);
+});
+
+/**
+ * Send the structured 409 response for scheduling conflicts
+ * @param {Object} res - Express response
+ * @param {Object[]} conflicts - Result of findSchedulingConflicts
+ * @param {Object} [options]
+ * @param {Boolean} [options.canOverride] - Whether the caller may retry with overrideConflicts
+ */
+const sendConflictResponse = (res, conflicts, { canOverride = false } = {}) => res.status(409).json({
+  success: false,
+  error: 'The requested time conflicts with existing appointments',
+  canOverride,
+  conflicts
+});
+
+/**
+ * Whether the request asks to book despite conflicts and the caller may do so
+ * @param {Object} req - Express request
+ * @returns {Boolean}
+ */
+const isConflictOverride = (req) => req.user?.role === 'tenantAdmin' &&
+  (req.body?.overrideConflicts === true || req.body?.overrideConflicts === 'true');
+
+/**
+ * Record an admin override on the appointment (not saved)
+ * @param {Object} appointment - Appointment document
+ * @param {Object} req - Express request
+ * @param {Object[]} conflicts - Conflicts that were overridden
+ */
+const recordConflictOverride = (appointment, req, conflicts) => {
+  const ids = conflicts.flatMap(c => (c.appointment ? [c.appointment] : c.appointments || []));
+  appointment.conflictOverrides.push({
+    overriddenBy: req.user.id,
+    overriddenAt: new Date(),
+    reason: req.body.overrideReason,
+    conflictingAppointments: ids
+  });
+};
+
+module.exports = {
+  getCrewIds,
+  findSchedulingConflicts,
+  checkSlotForAppointment,
+  findBatchClash,
+  sendConflictResponse,
+  isConflictOverride,
+  recordConflictOverride
+};
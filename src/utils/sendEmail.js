@@ -98,6 +98,7 @@ const sendEmail = async (options) => {
         subject: options.subject,
         text: options.message,
         html: options.html || options.message,
+        attachments: options.attachments,
       };
 
       const info = await transporter.sendMail(mailOptions);
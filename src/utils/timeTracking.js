@@ -0,0 +1,131 @@
+const TimeEntry = require('../models/time-entry.model');
+const Appointment = require('../models/appointment.model');
+const { toUTCDate, toDateKey } = require('./recurrence');
+const { DEFAULT_TIMEZONE, getZonedDateKey, getZonedDayRange, parseDateKey } = require('./timezone');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * Worked minutes of a time entry, excluding breaks
+ * Open entries and breaks are counted up to now.
+ * @param {Object} entry - TimeEntry
+ * @param {Date} [now]
+ * @returns {Number}
+ */
+const calculateLaborMinutes = (entry, now = new Date()) => {
+  const start = new Date(entry.clockInAt).getTime();
+  const end = new Date(entry.clockOutAt || now).getTime();
+
+  const breakMs = (entry.breaks || []).reduce((total, entryBreak) => {
+    const breakStart = Math.max(new Date(entryBreak.startedAt).getTime(), start);
+    const breakEnd = Math.min(new Date(entryBreak.endedAt || end).getTime(), end);
+    return total + Math.max(0, breakEnd - breakStart);
+  }, 0);
+
+  return Math.max(0, Math.round((end - start - breakMs) / MINUTE_MS));
+};
+
+const getOpenBreak = (entry) => (entry.breaks || []).find(entryBreak => !entryBreak.endedAt);
+
+/**
+ * Store the labor and on-site time of an appointment from its closed entries
+ * laborMinutes adds up every crew member; duration runs from the first clock-in to the last clock-out.
+ * @param {ObjectId} appointmentId
+ * @returns {Promise<{ laborMinutes: Number, duration: Number|null }>}
+ */
+const rollupAppointmentLabor = async (appointmentId) => {
+  const entries = await TimeEntry.find({ appointment: appointmentId });
+  const closed = entries.filter(entry => entry.clockOutAt);
+
+  const laborMinutes = closed.reduce((total, entry) => total + (entry.laborMinutes || 0), 0);
+  const duration = closed.length > 0 && closed.length === entries.length
+    ? Math.round((Math.max(...closed.map(e => e.clockOutAt.getTime())) -
+        Math.min(...closed.map(e => e.clockInAt.getTime()))) / MINUTE_MS)
+    : null;
+
+  const update = { 'completionDetails.laborMinutes': laborMinutes };
+  if (duration !== null) {
+    update['completionDetails.duration'] = duration;
+  }
+  await Appointment.updateOne({ _id: appointmentId }, { $set: update });
+
+  return { laborMinutes, duration };
+};
+
+/**
+ * Monday-to-Sunday week containing a date (UTC)
+ * @param {Date|String} date
+ * @returns {{ start: Date, end: Date }} end is exclusive
+ */
+const getWeekRange = (date) => {
+  const day = toUTCDate(date);
+  const start = new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+  return { start, end: new Date(start.getTime() + 7 * DAY_MS) };
+};
+
+/**
+ * Weekly timesheet of one crew member
+ * Entries count toward the local day (in the tenant's timezone) they were clocked in on.
+ * @param {Object} options
+ * @param {ObjectId} options.tenantId
+ * @param {ObjectId} options.crewMemberId
+ * @param {Date|String} options.week - Any day in the week
+ * @param {String} [options.timezone]
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>}
+ */
+const buildTimesheet = async ({ tenantId, crewMemberId, week, timezone = DEFAULT_TIMEZONE, now = new Date() }) => {
+  const { start, end } = getWeekRange(parseDateKey(week, timezone));
+  const range = getZonedDayRange(toDateKey(start), toDateKey(new Date(end.getTime() - DAY_MS)), timezone);
+
+  const entries = await TimeEntry.find({
+    tenant: tenantId,
+    crewMember: crewMemberId,
+    clockInAt: { $gte: range.start, $lt: range.end }
+  })
+    .populate({
+      path: 'appointment',
+      select: 'date timeSlot service',
+      populate: { path: 'service', select: 'name' }
+    })
+    .sort({ clockInAt: 1 });
+
+  const days = Array.from({ length: 7 }, (_, i) => ({
+    date: toDateKey(new Date(start.getTime() + i * DAY_MS)),
+    laborMinutes: 0,
+    entries: []
+  }));
+
+  entries.forEach(entry => {
+    const day = days.find(d => d.date === getZonedDateKey(entry.clockInAt, timezone));
+    const minutes = entry.clockOutAt ? entry.laborMinutes || 0 : calculateLaborMinutes(entry, now);
+    day.laborMinutes += minutes;
+    day.entries.push({
+      _id: entry._id,
+      appointment: entry.appointment,
+      clockInAt: entry.clockInAt,
+      clockOutAt: entry.clockOutAt,
+      breaks: entry.breaks,
+      laborMinutes: minutes,
+      open: !entry.clockOutAt,
+      corrected: entry.corrections.length > 0
+    });
+  });
+
+  return {
+    crewMember: crewMemberId,
+    weekStart: toDateKey(start),
+    weekEnd: toDateKey(new Date(end.getTime() - DAY_MS)),
+    totalLaborMinutes: days.reduce((total, day) => total + day.laborMinutes, 0),
+    days
+  };
+};
+
+module.exports = {
+  calculateLaborMinutes,
+  getOpenBreak,
+  rollupAppointmentLabor,
+  getWeekRange,
+  buildTimesheet
+};
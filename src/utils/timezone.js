@@ -0,0 +1,247 @@
+/**
+ * Tenant timezone helpers
+ * Appointments store their day as UTC midnight of the tenant's local date and
+ * their times as local "HH:mm" wall-clock strings. These helpers turn that
+ * into real instants in the tenant's IANA timezone, including on DST change days.
+ */
+const Tenant = require('../models/tenant.model');
+
+const DEFAULT_TIMEZONE = 'UTC';
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const formatters = new Map();
+
+const getFormatter = (timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timezone);
+};
+
+/**
+ * Whether a string is an IANA timezone this runtime knows
+ * @param {String} timezone
+ * @returns {Boolean}
+ */
+const isValidTimezone = (timezone) => {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// Wall-clock fields of an instant in a timezone
+const getZonedParts = (date, timezone) => {
+  const parts = {};
+  getFormatter(timezone).formatToParts(new Date(date)).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = Number(value);
+  });
+  return parts;
+};
+
+/**
+ * Offset of a timezone from UTC at an instant
+ * @param {String} timezone
+ * @param {Date} date
+ * @returns {Number} Minutes east of UTC (e.g. -240 for New York in summer)
+ */
+const getOffsetMinutes = (timezone, date) => {
+  const instant = new Date(date);
+  instant.setUTCMilliseconds(0);
+  const p = getZonedParts(instant, timezone);
+  return Math.round((Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - instant.getTime()) / MINUTE_MS);
+};
+
+/**
+ * Instant of a local date and time in a timezone
+ * Times skipped by a spring-forward change move forward by the gap (02:30 -> 03:30);
+ * times repeated by a fall-back change resolve to the first occurrence.
+ * @param {String} dateKey - YYYY-MM-DD
+ * @param {String} time - HH:mm
+ * @param {String} timezone
+ * @returns {Date}
+ */
+const zonedTimeToUtc = (dateKey, time, timezone) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const [hours, minutes] = String(time).split(':').map(Number);
+  const wall = Date.UTC(year, month - 1, day, hours, minutes || 0);
+
+  // Offsets in force either side of any change on that day
+  const offsets = [...new Set([
+    getOffsetMinutes(timezone, new Date(wall - DAY_MS / 2)),
+    getOffsetMinutes(timezone, new Date(wall + DAY_MS / 2))
+  ])];
+  const matches = offsets
+    .map(offset => wall - offset * MINUTE_MS)
+    .filter(instant => getOffsetMinutes(timezone, new Date(instant)) * MINUTE_MS === wall - instant)
+    .sort((a, b) => a - b);
+  if (matches.length > 0) {
+    return new Date(matches[0]);
+  }
+
+  // The wall time falls in a DST gap
+  return new Date(wall - Math.min(...offsets) * MINUTE_MS);
+};
+
+/**
+ * Local date of an instant in a timezone
+ * @param {Date} date
+ * @param {String} timezone
+ * @returns {String} YYYY-MM-DD
+ */
+const getZonedDateKey = (date, timezone) => {
+  const p = getZonedParts(date, timezone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+};
+
+/**
+ * Local time of an instant in a timezone
+ * @param {Date} date
+ * @param {String} timezone
+ * @returns {String} HH:mm
+ */
+const getZonedTime = (date, timezone) => {
+  const p = getZonedParts(date, timezone);
+  return `${String(p.hour).padStart(2, '0')}:${String(p.minute).padStart(2, '0')}`;
+};
+
+/**
+ * Whether a local time exists on a date (false inside a spring-forward gap)
+ * @param {String} dateKey
+ * @param {String} time - HH:mm
+ * @param {String} timezone
+ * @returns {Boolean}
+ */
+const localTimeExists = (dateKey, time, timezone) => {
+  const instant = zonedTimeToUtc(dateKey, time, timezone);
+  return getZonedDateKey(instant, timezone) === dateKey && getZonedTime(instant, timezone) === time;
+};
+
+/**
+ * @param {Number} minutes - Minutes east of UTC
+ * @returns {String} +HH:MM / -HH:MM
+ */
+const formatOffset = (minutes) => {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+};
+
+/**
+ * ISO 8601 timestamp in local time with an explicit offset
+ * @param {Date} date
+ * @param {String} timezone
+ * @returns {String} e.g. 2026-03-08T09:00:00-04:00
+ */
+const toZonedISOString = (date, timezone) => {
+  const p = getZonedParts(date, timezone);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}` +
+    formatOffset(getOffsetMinutes(timezone, date));
+};
+
+/**
+ * Read a requested day as the tenant's local date
+ * Plain YYYY-MM-DD strings are taken as-is; timestamps are converted to the tenant's zone.
+ * @param {String|Date} input
+ * @param {String} timezone
+ * @returns {String|null} YYYY-MM-DD, or null when the input is not a date
+ */
+const parseDateKey = (input, timezone) => {
+  if (typeof input === 'string' && DATE_KEY_PATTERN.test(input.trim())) {
+    return input.trim();
+  }
+  const date = new Date(input);
+  if (!input || Number.isNaN(date.getTime())) return null;
+  return getZonedDateKey(date, timezone);
+};
+
+/**
+ * Start and end instants of a stored slot
+ * @param {Date} date - Appointment date (UTC midnight of the local day)
+ * @param {{ startTime: String, endTime: String }} timeSlot
+ * @param {String} timezone
+ * @returns {{ start: Date, end: Date }}
+ */
+const getSlotInstants = (date, timeSlot, timezone) => {
+  const dateKey = new Date(date).toISOString().split('T')[0];
+  return {
+    start: zonedTimeToUtc(dateKey, timeSlot.startTime, timezone),
+    end: zonedTimeToUtc(dateKey, timeSlot.endTime, timezone)
+  };
+};
+
+/**
+ * Slot times for API responses, with explicit offsets
+ * @param {Date} date
+ * @param {{ startTime: String, endTime: String }} timeSlot
+ * @param {String} timezone
+ * @returns {{ timezone: String, startsAt: String, endsAt: String }}
+ */
+const describeSlotTimes = (date, timeSlot, timezone) => {
+  const { start, end } = getSlotInstants(date, timeSlot, timezone);
+  return {
+    timezone,
+    startsAt: toZonedISOString(start, timezone),
+    endsAt: toZonedISOString(end, timezone)
+  };
+};
+
+/**
+ * First and last instant of a local day range
+ * @param {String} fromKey - YYYY-MM-DD
+ * @param {String} [toKey] - YYYY-MM-DD, inclusive; defaults to fromKey
+ * @param {String} timezone
+ * @returns {{ start: Date, end: Date }} end is exclusive
+ */
+const getZonedDayRange = (fromKey, toKey, timezone) => {
+  const nextDay = new Date(new Date(`${toKey || fromKey}T00:00:00Z`).getTime() + DAY_MS).toISOString().split('T')[0];
+  return {
+    start: zonedTimeToUtc(fromKey, '00:00', timezone),
+    end: zonedTimeToUtc(nextDay, '00:00', timezone)
+  };
+};
+
+/**
+ * IANA timezone of a tenant, falling back to UTC when unset or unknown
+ * @param {ObjectId} tenantId
+ * @returns {Promise<String>}
+ */
+const getTenantTimezone = async (tenantId) => {
+  if (!tenantId) return DEFAULT_TIMEZONE;
+  const tenant = await Tenant.findById(tenantId).select('settings.timezone');
+  const timezone = tenant?.settings?.timezone;
+  return isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  getOffsetMinutes,
+  zonedTimeToUtc,
+  getZonedDateKey,
+  getZonedTime,
+  localTimeExists,
+  formatOffset,
+  toZonedISOString,
+  parseDateKey,
+  getSlotInstants,
+  describeSlotTimes,
+  getZonedDayRange,
+  getTenantTimezone
+};
@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const WaitlistEntry = require('../models/waitlist-entry.model');
+const WaitlistOffer = require('../models/waitlist-offer.model');
+const BusinessSetting = require('../models/business-setting.model');
+const Customer = require('../models/customer.model');
+const Service = require('../models/service.model');
+const Tenant = require('../models/tenant.model');
+const { INACTIVE_STATUSES, timeToMinutes } = require('./availability');
+const { findSchedulingConflicts } = require('./schedulingConflicts');
+const { toUTCDate, toDateKey } = require('./recurrence');
+const { getTenantTimezone, zonedTimeToUtc } = require('./timezone');
+const { getTenantFrontendUrl } = require('./tenantUrl');
+const sendEmail = require('./sendEmail');
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Start-time ranges (minutes after midnight) for Customer.servicePreferences.preferredTimeOfDay
+const TIME_OF_DAY_RANGES = {
+  Morning: [0, 12 * 60],
+  Afternoon: [12 * 60, 17 * 60],
+  Evening: [17 * 60, 24 * 60]
+};
+
+const hashClaimToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Whether a slot suits a waitlist entry's preferred days and time of day
+ * @param {Object} entry - WaitlistEntry
+ * @param {Date} date
+ * @param {{ startTime: String }} timeSlot
+ * @returns {Boolean}
+ */
+const matchesPreferences = (entry, date, timeSlot) => {
+  const weekday = WEEKDAYS[toUTCDate(date).getUTCDay()];
+  if (entry.preferredDays?.length > 0 && !entry.preferredDays.includes(weekday)) {
+    return false;
+  }
+
+  const range = TIME_OF_DAY_RANGES[entry.preferredTimeOfDay];
+  if (range) {
+    const start = timeToMinutes(timeSlot.startTime);
+    return start >= range[0] && start < range[1];
+  }
+  return true;
+};
+
+const sendOfferEmail = async (offer, token) => {
+  try {
+    const [customer, service, tenant] = await Promise.all([
+      Customer.findById(offer.customer).populate('user', 'name email'),
+      Service.findById(offer.service).select('name'),
+      Tenant.findById(offer.tenant)
+    ]);
+    if (!customer?.user?.email) return;
+
+    const claimUrl = getTenantFrontendUrl(tenant || null, `/waitlist/claim/${token}`);
+    const formattedDate = new Date(offer.date).toLocaleDateString('en-US', {
+      weekday: 'long',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      timeZone: 'UTC'
+    });
+
+    await sendEmail({
+      email: customer.user.email,
+      subject: `A slot opened up - ${service?.name || 'your waitlisted service'}`,
+      message: `Hello ${customer.user.name},\n\nA ${service?.name || ''} slot you were waiting for is available on ${formattedDate}, ${offer.timeSlot.startTime} - ${offer.timeSlot.endTime}.\n\nClaim it here before ${offer.expiresAt.toUTCString()}: ${claimUrl}\n\nAfter that the slot is offered to the next customer on the waitlist.`
+    });
+  } catch (err) {
+    console.error('Waitlist offer notification failed:', err.message);
+  }
+};
+
+/**
+ * Offer a free slot to the first suitable waitlisted customer
+ * Customers are tried in the order they joined; entries that were already
+ * offered this slot, whose preferences don't fit or who would clash with
+ * their own bookings are skipped.
+ * @param {Object} slot
+ * @param {ObjectId} slot.tenantId
+ * @param {ObjectId} slot.serviceId
+ * @param {Date} slot.date
+ * @param {{ startTime: String, endTime: String }} slot.timeSlot
+ * @param {ObjectId} [slot.sourceAppointment]
+ * @param {Date} [now]
+ * @returns {Promise<Object|null>} The new offer, or null when nobody could take it
+ */
+const offerSlot = async ({ tenantId, serviceId, date, timeSlot, sourceAppointment }, now = new Date()) => {
+  const slotDate = toUTCDate(date);
+  // Slot times are wall-clock times of the tenant
+  if (zonedTimeToUtc(toDateKey(slotDate), timeSlot.startTime, await getTenantTimezone(tenantId)) <= now) {
+    return null;
+  }
+
+  const slotQuery = {
+    tenant: tenantId,
+    service: serviceId,
+    date: slotDate,
+    'timeSlot.startTime': timeSlot.startTime
+  };
+  if (await WaitlistOffer.exists({ ...slotQuery, status: 'Open' })) {
+    return null;
+  }
+  const alreadyOffered = await WaitlistOffer.find(slotQuery).distinct('entry');
+
+  const candidates = await WaitlistEntry.find({
+    tenant: tenantId,
+    service: serviceId,
+    status: 'Waiting',
+    dateFrom: { $lte: slotDate },
+    dateTo: { $gte: slotDate },
+    _id: { $nin: alreadyOffered }
+  }).sort({ createdAt: 1 });
+
+  for (const entry of candidates) {
+    if (!matchesPreferences(entry, slotDate, timeSlot)) continue;
+
+    const conflicts = await findSchedulingConflicts({
+      tenantId,
+      date: slotDate,
+      timeSlot,
+      customerId: entry.customer,
+      service: serviceId,
+      checkCapacity: true
+    });
+    if (conflicts.some(c => c.reasons.includes('capacity') || c.reasons.includes('blackout'))) {
+      // The slot is taken or closed; nobody can have it
+      return null;
+    }
+    if (conflicts.length > 0) continue;
+
+    const settings = await BusinessSetting.getSettingsForTenant(tenantId);
+    const hours = settings.scheduling?.waitlistOfferHours || 12;
+    const token = crypto.randomBytes(24).toString('hex');
+
+    const offer = await WaitlistOffer.create({
+      tenant: tenantId,
+      entry: entry._id,
+      customer: entry.customer,
+      service: serviceId,
+      date: slotDate,
+      timeSlot: {
+        startTime: timeSlot.startTime,
+        endTime: timeSlot.endTime
+      },
+      sourceAppointment,
+      claimToken: hashClaimToken(token),
+      expiresAt: new Date(now.getTime() + hours * 60 * 60 * 1000)
+    });
+
+    entry.status = 'Offered';
+    await entry.save();
+
+    await sendOfferEmail(offer, token);
+    return offer;
+  }
+
+  return null;
+};
+
+/**
+ * Offer the slot of an appointment that was just cancelled, rejected or moved
+ * Never throws: a failed offer must not fail the cancellation itself.
+ * @param {Object} appointment - Appointment document
+ * @param {{ date: Date, timeSlot: Object }} [previous] - Slot the appointment was moved off
+ */
+const offerFreedSlot = async (appointment, previous) => {
+  if (!appointment) return null;
+  const freed = previous || (INACTIVE_STATUSES.includes(appointment.status) ? appointment : null);
+  if (!freed) return null;
+
+  try {
+    return await offerSlot({
+      tenantId: appointment.tenant,
+      serviceId: appointment.service?._id || appointment.service,
+      date: freed.date,
+      timeSlot: freed.timeSlot,
+      sourceAppointment: appointment._id
+    });
+  } catch (err) {
+    console.error('Waitlist offer failed:', err.message);
+    return null;
+  }
+};
+
+/**
+ * Close an offer that was not taken and pass its slot to the next customer
+ * @param {Object} offer - WaitlistOffer document
+ * @param {String} status - 'Declined' or 'Expired'
+ * @param {Date} [now]
+ */
+const releaseOffer = async (offer, status, now = new Date()) => {
+  offer.status = status;
+  offer.respondedAt = now;
+  await offer.save();
+
+  const entry = await WaitlistEntry.findById(offer.entry);
+  if (entry && entry.status === 'Offered') {
+    entry.status = toUTCDate(entry.dateTo) < toUTCDate(now) ? 'Expired' : 'Waiting';
+    await entry.save();
+  }
+
+  return offerSlot({
+    tenantId: offer.tenant,
+    serviceId: offer.service?._id || offer.service,
+    date: offer.date,
+    timeSlot: offer.timeSlot,
+    sourceAppointment: offer.sourceAppointment
+  }, now);
+};
+
+/**
+ * Expire lapsed offers and waitlist entries whose date range has passed
+ * @param {Date} [now]
+ * @returns {Promise<{ expiredOffers: Number, expiredEntries: Number }>}
+ */
+const expireWaitlistOffers = async (now = new Date()) => {
+  const lapsed = await WaitlistOffer.find({ status: 'Open', expiresAt: { $lte: now } });
+  for (const offer of lapsed) {
+    await releaseOffer(offer, 'Expired', now);
+  }
+
+  const { modifiedCount } = await WaitlistEntry.updateMany(
+    { status: 'Waiting', dateTo: { $lt: toUTCDate(now) } },
+    { status: 'Expired' }
+  );
+
+  return { expiredOffers: lapsed.length, expiredEntries: modifiedCount };
+};
+
+module.exports = {
+  TIME_OF_DAY_RANGES,
+  hashClaimToken,
+  matchesPreferences,
+  offerSlot,
+  offerFreedSlot,
+  releaseOffer,
+  expireWaitlistOffers
+};
@@ -0,0 +1,61 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Appointment = require('../src/models/appointment.model');
+const Blackout = require('../src/models/blackout.model');
+const BusinessSetting = require('../src/models/business-setting.model');
+const Tenant = require('../src/models/tenant.model');
+const { getServiceAvailability } = require('../src/utils/availability');
+
+const tenantId = new mongoose.Types.ObjectId();
+
+// Sunday hours that straddle the 02:00 clock change
+const settings = new BusinessSetting({
+  tenant: tenantId,
+  businessHours: {
+    sunday: { isOpen: true, openTime: '00:00', closeTime: '05:00' }
+  },
+  scheduling: { crewCapacity: 2, slotInterval: 60 }
+});
+
+const service = { tenantId, category: 'Lawn Care', duration: 60 };
+
+describe('getServiceAvailability on DST change days', () => {
+  beforeEach(() => {
+    mock.method(BusinessSetting, 'getSettingsForTenant', async () => settings);
+    mock.method(Tenant, 'findById', () => ({ select: async () => ({ settings: { timezone: 'America/New_York' } }) }));
+    mock.method(Appointment, 'find', () => ({ select: async () => [] }));
+    mock.method(Blackout, 'find', () => ({ sort: async () => [] }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('leaves out the hour skipped by spring-forward', async () => {
+    const result = await getServiceAvailability({ service, dateOnly: '2026-03-08', now: new Date(0) });
+
+    assert.equal(result.timezone, 'America/New_York');
+    assert.deepEqual(result.slots.map(slot => slot.startTime), ['00:00', '01:00', '03:00', '04:00']);
+    assert.equal(result.slots[1].startsAt, '2026-03-08T01:00:00-05:00');
+    assert.equal(result.slots[2].startsAt, '2026-03-08T03:00:00-04:00');
+  });
+
+  it('offers the repeated hour once on fall-back day', async () => {
+    const result = await getServiceAvailability({ service, dateOnly: '2026-11-01', now: new Date(0) });
+
+    assert.deepEqual(result.slots.map(slot => slot.startTime), ['00:00', '01:00', '02:00', '03:00', '04:00']);
+    assert.equal(result.slots[1].startsAt, '2026-11-01T01:00:00-04:00');
+    assert.equal(result.slots[2].startsAt, '2026-11-01T02:00:00-05:00');
+  });
+
+  it('drops slots that have already started in the tenant timezone', async () => {
+    const result = await getServiceAvailability({
+      service,
+      dateOnly: '2026-03-08',
+      now: new Date('2026-03-08T07:30:00Z')
+    });
+
+    assert.deepEqual(result.slots.map(slot => slot.startTime), ['04:00']);
+  });
+});
@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildTimezone, buildCalendar } = require('../src/utils/icalendar');
+
+describe('buildTimezone', () => {
+  it('writes the yearly US daylight saving rules', () => {
+    assert.deepEqual(buildTimezone('America/New_York', 2026), [
+      'BEGIN:VTIMEZONE',
+      'TZID:America/New_York',
+      'BEGIN:DAYLIGHT',
+      'DTSTART:19700308T020000',
+      'TZOFFSETFROM:-0500',
+      'TZOFFSETTO:-0400',
+      'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+      'END:DAYLIGHT',
+      'BEGIN:STANDARD',
+      'DTSTART:19701101T020000',
+      'TZOFFSETFROM:-0400',
+      'TZOFFSETTO:-0500',
+      'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+      'END:STANDARD',
+      'END:VTIMEZONE'
+    ]);
+  });
+
+  it('uses the last weekday of the month where the rule says so', () => {
+    const lines = buildTimezone('Europe/London', 2026);
+    assert.ok(lines.includes('RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU'));
+    assert.ok(lines.includes('RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU'));
+  });
+
+  it('writes a single fixed offset for zones without daylight saving', () => {
+    const lines = buildTimezone('Asia/Kolkata', 2026);
+    assert.ok(lines.includes('TZOFFSETTO:+0530'));
+    assert.equal(lines.filter(line => line.startsWith('RRULE')).length, 0);
+  });
+});
+
+describe('buildCalendar', () => {
+  const event = {
+    uid: 'appointment-1@test',
+    date: new Date('2026-11-02T00:00:00Z'),
+    startTime: '09:00',
+    endTime: '10:00',
+    summary: 'Lawn Mowing'
+  };
+
+  it('defines every TZID it references', () => {
+    const ics = buildCalendar({ name: 'Jobs', timezone: 'America/Chicago', events: [{ ...event, timezone: 'America/Chicago' }] });
+    assert.match(ics, /DTSTART;TZID=America\/Chicago:20261102T090000/);
+    assert.match(ics, /BEGIN:VTIMEZONE\r\nTZID:America\/Chicago\r\n/);
+  });
+
+  it('writes UTC times without a VTIMEZONE', () => {
+    const ics = buildCalendar({ name: 'Jobs', timezone: 'UTC', events: [{ ...event, timezone: 'UTC' }] });
+    assert.match(ics, /DTSTART:20261102T090000Z/);
+    assert.doesNotMatch(ics, /VTIMEZONE/);
+  });
+});
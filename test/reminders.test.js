@@ -0,0 +1,154 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Appointment = require('../src/models/appointment.model');
+const BusinessSetting = require('../src/models/business-setting.model');
+const Tenant = require('../src/models/tenant.model');
+const {
+  REMINDER_STATUSES,
+  registerReminderChannel,
+  createReminderScheduler
+} = require('../src/utils/reminders');
+
+const tenantId = new mongoose.Types.ObjectId();
+
+const booking = (date, reminderDaysBefore, preferences = { email: true }) => ({
+  _id: new mongoose.Types.ObjectId(),
+  tenant: tenantId,
+  status: 'Confirmed',
+  date: new Date(`${date}T00:00:00Z`),
+  timeSlot: { startTime: '09:00', endTime: '10:00' },
+  service: { name: 'Lawn Mowing' },
+  customer: {
+    user: { name: 'Pat', email: `pat-${date}@example.com` },
+    notificationPreferences: { ...preferences, reminderDaysBefore }
+  },
+  notificationsStatus: {}
+});
+
+// In-memory stand-in for the appointments collection
+const useAppointments = (appointments) => {
+  const byId = (id) => appointments.find(apt => apt._id.equals(id));
+  const populated = (docs) => ({ populate: () => ({ populate: async () => docs }) });
+
+  mock.method(Appointment, 'find', () => populated(appointments.filter(apt =>
+    REMINDER_STATUSES.includes(apt.status) && !apt.notificationsStatus.reminderSent)));
+  mock.method(Appointment, 'findOneAndUpdate', async (filter, update) => {
+    const apt = byId(filter._id);
+    if (apt.notificationsStatus.reminderSent) return null;
+    apt.notificationsStatus.reminderSent = update.$set['notificationsStatus.reminderSent'];
+    apt.notificationsStatus.reminderSentAt = update.$set['notificationsStatus.reminderSentAt'];
+    return apt;
+  });
+  mock.method(Appointment, 'updateOne', async (filter, update) => {
+    const apt = byId(filter._id);
+    apt.notificationsStatus.reminderSent = update.$set['notificationsStatus.reminderSent'];
+    delete apt.notificationsStatus.reminderSentAt;
+  });
+};
+
+describe('reminder scheduler with a fake clock', () => {
+  let now;
+  let sent;
+  let scheduler;
+  let intervalCallback;
+
+  const fakeTimers = {
+    setInterval: (callback) => {
+      intervalCallback = callback;
+      return 1;
+    },
+    clearInterval: () => {}
+  };
+
+  beforeEach(() => {
+    sent = [];
+    registerReminderChannel('email', async ({ appointment, customer }) => {
+      sent.push({ appointment: appointment._id, email: customer.user.email, at: now });
+      return true;
+    });
+    mock.method(BusinessSetting, 'findOne', async () => ({
+      notificationSettings: { sendAppointmentReminders: true, reminderHoursBefore: 2 }
+    }));
+    mock.method(Tenant, 'findById', () => ({
+      select: async () => ({ name: 'Green Co', settings: { timezone: 'America/Chicago' } })
+    }));
+    scheduler = createReminderScheduler({ clock: () => now, timers: fakeTimers }).start();
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+    mock.restoreAll();
+  });
+
+  it("sends each reminder once, at its customer's lead time", async () => {
+    // 09:00 in Chicago is 14:00 UTC in June
+    const oneDay = booking('2026-06-10', 1);
+    const threeDays = booking('2026-06-12', 3);
+    const sameMorning = booking('2026-06-11', 0);
+    useAppointments([oneDay, threeDays, sameMorning]);
+
+    now = new Date('2026-06-09T13:00:00Z');
+    assert.deepEqual(await intervalCallback(), { sent: 0, failed: 0 });
+
+    now = new Date('2026-06-09T14:30:00Z');
+    assert.deepEqual(await intervalCallback(), { sent: 2, failed: 0 });
+    assert.deepEqual(sent.map(s => s.appointment), [oneDay._id, threeDays._id]);
+    assert.equal(oneDay.notificationsStatus.reminderSentAt, now);
+
+    // A restart or a second tick at the same moment sends nothing more
+    assert.deepEqual(await intervalCallback(), { sent: 0, failed: 0 });
+
+    // A lead of 0 days opens at the start of the local day, 05:00 UTC
+    now = new Date('2026-06-11T05:00:00Z');
+    assert.deepEqual(await intervalCallback(), { sent: 1, failed: 0 });
+    assert.deepEqual(sent.map(s => s.appointment), [oneDay._id, threeDays._id, sameMorning._id]);
+  });
+
+  it('does not claim a reminder that was raced by another run', async () => {
+    const apt = booking('2026-06-10', 1);
+    useAppointments([apt]);
+    now = new Date('2026-06-09T15:00:00Z');
+
+    // Another process claims it between the query and the claim
+    mock.method(Appointment, 'findOneAndUpdate', async () => null);
+
+    assert.deepEqual(await intervalCallback(), { sent: 0, failed: 0 });
+    assert.equal(sent.length, 0);
+  });
+
+  it('releases the claim when no channel delivers, so the next run retries', async () => {
+    const apt = booking('2026-06-10', 1);
+    useAppointments([apt]);
+    now = new Date('2026-06-09T15:00:00Z');
+
+    registerReminderChannel('email', async () => false);
+    assert.deepEqual(await intervalCallback(), { sent: 0, failed: 1 });
+    assert.equal(apt.notificationsStatus.reminderSent, false);
+  });
+
+  it('emails customers who only want SMS while no SMS channel is registered', async () => {
+    const apt = booking('2026-06-10', 1, { email: false, sms: true });
+    useAppointments([apt]);
+    now = new Date('2026-06-09T15:00:00Z');
+
+    assert.deepEqual(await intervalCallback(), { sent: 1, failed: 0 });
+    assert.deepEqual(sent.map(s => s.email), ['pat-2026-06-10@example.com']);
+    assert.equal(apt.notificationsStatus.reminderSent, true);
+  });
+
+  it('texts customers who want SMS once a sender is registered', async () => {
+    const texts = [];
+    registerReminderChannel('sms', async ({ appointment }) => {
+      texts.push(appointment._id);
+      return true;
+    });
+    const apt = booking('2026-06-10', 1, { email: false, sms: true });
+    useAppointments([apt]);
+    now = new Date('2026-06-09T15:00:00Z');
+
+    assert.deepEqual(await intervalCallback(), { sent: 1, failed: 0 });
+    assert.deepEqual(texts, [apt._id]);
+    assert.equal(sent.length, 0);
+  });
+});
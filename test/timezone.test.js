@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  zonedTimeToUtc,
+  getSlotInstants,
+  describeSlotTimes,
+  localTimeExists,
+  getZonedDayRange
+} = require('../src/utils/timezone');
+
+const NEW_YORK = 'America/New_York';
+
+// US clocks go forward on 2026-03-08 at 02:00 and back on 2026-11-01 at 02:00
+const SPRING_FORWARD = '2026-03-08';
+const FALL_BACK = '2026-11-01';
+
+describe('zonedTimeToUtc', () => {
+  it('uses the standard offset before the spring-forward change and daylight time after it', () => {
+    assert.equal(zonedTimeToUtc(SPRING_FORWARD, '01:30', NEW_YORK).toISOString(), '2026-03-08T06:30:00.000Z');
+    assert.equal(zonedTimeToUtc(SPRING_FORWARD, '03:00', NEW_YORK).toISOString(), '2026-03-08T07:00:00.000Z');
+    assert.equal(zonedTimeToUtc(SPRING_FORWARD, '09:00', NEW_YORK).toISOString(), '2026-03-08T13:00:00.000Z');
+  });
+
+  it('moves a time skipped by spring-forward past the gap', () => {
+    assert.equal(localTimeExists(SPRING_FORWARD, '02:30', NEW_YORK), false);
+    assert.equal(zonedTimeToUtc(SPRING_FORWARD, '02:30', NEW_YORK).toISOString(), '2026-03-08T07:30:00.000Z');
+  });
+
+  it('resolves a time repeated by fall-back to its first occurrence', () => {
+    assert.equal(localTimeExists(FALL_BACK, '01:30', NEW_YORK), true);
+    assert.equal(zonedTimeToUtc(FALL_BACK, '01:30', NEW_YORK).toISOString(), '2026-11-01T05:30:00.000Z');
+    assert.equal(zonedTimeToUtc(FALL_BACK, '09:00', NEW_YORK).toISOString(), '2026-11-01T14:00:00.000Z');
+  });
+
+  it('leaves UTC tenants alone', () => {
+    assert.equal(zonedTimeToUtc(SPRING_FORWARD, '02:30', 'UTC').toISOString(), '2026-03-08T02:30:00.000Z');
+  });
+});
+
+describe('getSlotInstants', () => {
+  it('spans one hour less of real time across the spring-forward change', () => {
+    const { start, end } = getSlotInstants(new Date(`${SPRING_FORWARD}T00:00:00Z`), { startTime: '01:00', endTime: '04:00' }, NEW_YORK);
+    assert.equal(start.toISOString(), '2026-03-08T06:00:00.000Z');
+    assert.equal(end.toISOString(), '2026-03-08T08:00:00.000Z');
+  });
+
+  it('spans one hour more of real time across the fall-back change', () => {
+    const { start, end } = getSlotInstants(new Date(`${FALL_BACK}T00:00:00Z`), { startTime: '00:00', endTime: '03:00' }, NEW_YORK);
+    assert.equal(start.toISOString(), '2026-11-01T04:00:00.000Z');
+    assert.equal(end.toISOString(), '2026-11-01T08:00:00.000Z');
+  });
+
+  it('reports each end of the slot with the offset in force at that moment', () => {
+    const times = describeSlotTimes(new Date(`${SPRING_FORWARD}T00:00:00Z`), { startTime: '01:00', endTime: '04:00' }, NEW_YORK);
+    assert.equal(times.startsAt, '2026-03-08T01:00:00-05:00');
+    assert.equal(times.endsAt, '2026-03-08T04:00:00-04:00');
+  });
+});
+
+describe('getZonedDayRange', () => {
+  it('is 23 hours long on spring-forward day and 25 on fall-back day', () => {
+    const spring = getZonedDayRange(SPRING_FORWARD, null, NEW_YORK);
+    const fall = getZonedDayRange(FALL_BACK, null, NEW_YORK);
+    assert.equal((spring.end - spring.start) / 3600000, 23);
+    assert.equal((fall.end - fall.start) / 3600000, 25);
+  });
+});